@@ -104,6 +104,10 @@ export function genExtraDefs(options) {
                 ),
                 staking: $(
                     `__helios__scriptcontext__get_current_staking_validator_hash()`
+                ),
+                voting: $(`__helios__scriptcontext__get_current_script_hash()`),
+                proposing: $(
+                    `__helios__scriptcontext__get_current_script_hash()`
                 )
             })[expectDefined(options.purpose)]
         )
@@ -11,13 +11,13 @@ import { ParametricName } from "./ParametricName.js"
 /**
  *
  * @param {string} s
- * @param {(m: string) => void} callback
+ * @param {(m: string, pos: number) => void} callback - `pos` is the position of the match in `s`
  */
 export function matchBuiltins(s, callback) {
     const re = new RegExp("(^|[^@[])(__helios[a-zA-Z0-9_@[\\]]*)", "g")
     let m
     while ((m = re.exec(s))) {
-        callback(m[2])
+        callback(m[2], m.index + m[1].length)
     }
 }
 
@@ -40,13 +40,23 @@ export class RawFunc {
      */
     _definition
 
+    /**
+     * Set if the builtin isn't available in the targeted Plutus version
+     * @private
+     * @readonly
+     * @type {string | undefined}
+     */
+    _unavailableMsg
+
     /**
      * Construct a RawFunc, and immediately scan the definition for dependencies
      * @param {string} name
      * @param {string | ((ttp: string[], ftp: string[]) => string)} definition
+     * @param {string | undefined} unavailableMsg - error message thrown if the builtin is used while it isn't available in the targeted Plutus version
      */
-    constructor(name, definition) {
+    constructor(name, definition, unavailableMsg = undefined) {
         this._name = name
+        this._unavailableMsg = unavailableMsg
         if (!definition) {
             throw new Error("unexpected")
         }
@@ -81,6 +91,13 @@ export class RawFunc {
         return this._name
     }
 
+    /**
+     * @type {string | undefined}
+     */
+    get unavailableMsg() {
+        return this._unavailableMsg
+    }
+
     /**
      * @param {string[]} ttp
      * @param {string[]} ftp
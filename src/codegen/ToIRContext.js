@@ -1,19 +1,30 @@
+import { makeDummySite, makeTypeError } from "@helios-lang/compiler-utils"
 import { ParametricName } from "./ParametricName.js"
 import { RawFunc, matchBuiltins } from "./RawFunc.js"
 import { makeRawFunctions } from "./makeRawFuncs.js"
 import { wrapWithDefs, TAB } from "./Definitions.js"
 
 /**
+ * @import { Site, SourceMap } from "@helios-lang/compiler-utils"
  * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
  * @typedef {import("./Definitions.js").Definitions} Definitions
  */
 
 /**
+ * Only V2 and V3 are supported as compilation targets
+ * @typedef {"PlutusScriptV2" | "PlutusScriptV3"} PlutusVersion
+ */
+
+/**
+ * `plutusVersion` defaults to "PlutusScriptV2"
+ * `keepTracing` mirrors the IR optimizer option of the same name
  * @typedef {{
  *   optimize: boolean
+ *   keepTracing?: boolean
  *   isTestnet: boolean
  *   makeParamsSubstitutable?: boolean
  *   aliasNamespace?: string
+ *   plutusVersion?: PlutusVersion
  * }} ToIRContextProps
  */
 
@@ -35,15 +46,25 @@ export class ToIRContext {
      */
     _db
 
+    /**
+     * Names of the IR variables holding the values of expressions that are evaluated before a `?` (see OptionPropagation), keyed by expression
+     * @private
+     * @readonly
+     * @type {Map<object, string>}
+     */
+    _hoistedNames
+
     /**
      * @param {ToIRContextProps} props
      * @param {string} indent
      * @param {Map<string, RawFunc>} db
+     * @param {Map<object, string>} hoistedNames
      */
-    constructor(props, indent = "", db = new Map()) {
+    constructor(props, indent = "", db = new Map(), hoistedNames = new Map()) {
         this.props = props
         this.indent = indent
         this._db = db
+        this._hoistedNames = hoistedNames
     }
 
     /**
@@ -58,7 +79,11 @@ export class ToIRContext {
      */
     get db() {
         if (this._db.size == 0) {
-            this._db = makeRawFunctions(this.optimize, this.isTestnet)
+            this._db = makeRawFunctions(
+                this.optimize,
+                this.isTestnet,
+                this.plutusVersion
+            )
         }
 
         return this._db
@@ -79,6 +104,21 @@ export class ToIRContext {
         return this.props.optimize
     }
 
+    /**
+     * True if the optimizer removes the traces, so trace messages don't need to be generated
+     * @type {boolean}
+     */
+    get stripsTraces() {
+        return this.optimize && !(this.props.keepTracing ?? false)
+    }
+
+    /**
+     * @type {PlutusVersion}
+     */
+    get plutusVersion() {
+        return this.props.plutusVersion ?? "PlutusScriptV2"
+    }
+
     /**
      * @type {boolean}
      */
@@ -90,7 +130,35 @@ export class ToIRContext {
      * @returns {ToIRContext}
      */
     tab() {
-        return new ToIRContext(this.props, this.indent + TAB, this._db)
+        return new ToIRContext(
+            this.props,
+            this.indent + TAB,
+            this._db,
+            this._hoistedNames
+        )
+    }
+
+    /**
+     * @param {object} expr
+     * @returns {string | undefined}
+     */
+    getHoistedName(expr) {
+        return this._hoistedNames.get(expr)
+    }
+
+    /**
+     * Returns a context in which the IR of `expr` is a reference to the IR variable `name`
+     * @param {object} expr
+     * @param {string} name
+     * @returns {ToIRContext}
+     */
+    withHoistedName(expr, name) {
+        return new ToIRContext(
+            this.props,
+            this.indent,
+            this._db,
+            new Map(this._hoistedNames).set(expr, name)
+        )
     }
 
     /**
@@ -122,19 +190,20 @@ export class ToIRContext {
 
     /**
      * Doesn't add templates
+     * Throws a type error if a builtin, or one of its dependencies, isn't available in the targeted Plutus version
      * @param {SourceMappedStringI} ir
      * @param {Definitions | undefined} userDefs - some userDefs might have the __helios prefix
      * @returns {Definitions}
      */
     fetchRawFunctions(ir, userDefs = undefined) {
-        let [src, _] = ir.toStringWithSourceMap()
+        let [src, sourceMap] = ir.toStringWithSourceMap()
 
         /**
          * @type {Definitions}
          */
         const map = new Map()
 
-        matchBuiltins(src, (m) => {
+        matchBuiltins(src, (m, pos) => {
             if (
                 !ParametricName.matches(m) &&
                 !map.has(m) &&
@@ -146,7 +215,27 @@ export class ToIRContext {
                     throw new Error(`builtin ${m} not found`)
                 }
 
+                // the message of the builtin itself takes precedence over those of its dependencies
+                // (checked before loading, because its dependencies might not exist in the targeted Plutus version)
+                if (builtin.unavailableMsg) {
+                    throw makeTypeError(
+                        findSite(sourceMap, pos),
+                        builtin.unavailableMsg
+                    )
+                }
+
+                const prevKeys = new Set(map.keys())
+
                 builtin.load(this.db, map)
+
+                const msg = Array.from(map.keys())
+                    .filter((k) => !prevKeys.has(k))
+                    .map((k) => this.db.get(k)?.unavailableMsg)
+                    .find((msg) => msg !== undefined)
+
+                if (msg) {
+                    throw makeTypeError(findSite(sourceMap, pos), msg)
+                }
             }
         })
 
@@ -167,7 +256,8 @@ export class ToIRContext {
                 aliasNamespace: prev ? `${prev}::${alias}` : alias
             },
             this.indent,
-            this.db
+            this.db,
+            this._hoistedNames
         )
     }
 
@@ -183,7 +273,8 @@ export class ToIRContext {
                 aliasNamespace: alias
             },
             this.indent,
-            this.db
+            this.db,
+            this._hoistedNames
         )
     }
 
@@ -197,3 +288,26 @@ export class ToIRContext {
         return wrapWithDefs(ir, map)
     }
 }
+
+/**
+ * Returns the site of the closest source mapped IR part that starts at or before `pos`
+ * @param {SourceMap} sourceMap
+ * @param {number} pos
+ * @returns {Site}
+ */
+function findSite(sourceMap, pos) {
+    /**
+     * @type {Site | undefined}
+     */
+    let site = undefined
+
+    for (let [p, s] of sourceMap) {
+        if (p > pos) {
+            break
+        }
+
+        site = s
+    }
+
+    return site ?? makeDummySite()
+}
@@ -18,4 +18,5 @@ export { ToIRContext } from "./ToIRContext.js"
 
 /**
  * @typedef {import("./Definitions.js").Definitions} Definitions
+ * @typedef {import("./ToIRContext.js").PlutusVersion} PlutusVersion
  */
@@ -1,21 +1,41 @@
 import { REAL_PRECISION } from "@helios-lang/compiler-utils"
 import { expectDefined } from "@helios-lang/type-utils"
+import { builtinsV3 } from "@helios-lang/uplc"
 import { FTPP, TTPP } from "./ParametricName.js"
 import { RawFunc } from "./RawFunc.js"
 
 const MISSING = "<missing>"
 
+/**
+ * @typedef {import("./ToIRContext.js").PlutusVersion} PlutusVersion
+ */
+
 /**
  * Initializes the db containing all the builtin functions
  * @param {boolean} simplify
  * @param {boolean} isTestnet // needed for Address.to_bytes() and Address.to_hex()
+ * @param {PlutusVersion} plutusVersion // the ScriptContext and TxInfo data layouts differ between V2 and V3
  * @returns {Map<string, RawFunc>}
  */
 // only need to wrap these source in IR right at the very end
-export function makeRawFunctions(simplify, isTestnet) {
+export function makeRawFunctions(
+    simplify,
+    isTestnet,
+    plutusVersion = "PlutusScriptV2"
+) {
     /** @type {Map<string, RawFunc>} */
     let db = new Map()
 
+    const isV3 = plutusVersion == "PlutusScriptV3"
+
+    // the certificates in Plutus V3 ScriptContexts are TxCerts instead of DCerts
+    const DCERT_UNAVAILABLE = isV3
+        ? "DCert is only available in Plutus V2 scripts, use TxCert instead"
+        : undefined
+    const TXCERT_PURPOSE_UNAVAILABLE = isV3
+        ? undefined
+        : "the index and cert of a certifying purpose are only available in Plutus V3 scripts, use dcert instead"
+
     // local utility functions
 
     /**
@@ -28,6 +48,63 @@ export function makeRawFunctions(simplify, isTestnet) {
         db.set(fn.name, fn)
     }
 
+    /**
+     * @param {string} name
+     * @returns {string}
+     */
+    function makeBuiltinArgs(name) {
+        const nArgs = expectDefined(
+            builtinsV3.find((b) => b.name == name)
+        ).nArgs
+
+        return new Array(nArgs)
+            .fill("")
+            .map((_, i) => `arg${i}`)
+            .join(", ")
+    }
+
+    /**
+     * The IR optimizer can't evaluate the secp256k1 builtins nor the builtins that were introduced in Plutus V3.
+     * So the optimizer sees them as a param, i.e. as a function that is unknown at compile time, and the result of calling it is passed through a `chooseData` with identical branches to mark it as a regular value.
+     * `compileIR` removes these wrappers from the final UPLC again, so the builtin is called directly.
+     * @param {string} name
+     * @returns {string}
+     */
+    function makeOpaqueBuiltin(name) {
+        const args = makeBuiltinArgs(name)
+
+        return `(${args}) -> {
+		result = __param("opaque__${name}", __core__${name})(${args});
+		__core__chooseData(
+			__param("opaque_data", ##00),
+			result,
+			result,
+			result,
+			result,
+			result
+		)
+	}`
+    }
+
+    /**
+     * Adds a function that calls a builtin that was introduced in Plutus V3.
+     * Using it in a Plutus V2 script is a compile-time error.
+     * @param {string} name
+     * @param {string} builtinName
+     * @param {string} memberName - the name of the corresponding Helios member or type, used in the error message
+     */
+    function addV3Builtin(name, builtinName, memberName) {
+        add(
+            new RawFunc(
+                name,
+                makeOpaqueBuiltin(builtinName),
+                isV3
+                    ? undefined
+                    : `${memberName} is only available in Plutus V3 scripts`
+            )
+        )
+    }
+
     /**
      * @param {string} ns
      */
@@ -165,18 +242,40 @@ export function makeRawFunctions(simplify, isTestnet) {
      * Adds basic auto members to a fully named enum type
      * @param {string} ns
      * @param {number} constrIndex
+     * @param {string | undefined} unavailableMsg - for variants that don't exist in the targeted Plutus version
      */
-    function addEnumDataFuncs(ns, constrIndex) {
-        add(new RawFunc(`${ns}____eq`, "__helios__common____eq"))
-        add(new RawFunc(`${ns}____neq`, "__helios__common____neq"))
-        add(new RawFunc(`${ns}__serialize`, "__helios__common__serialize"))
-        add(new RawFunc(`${ns}____to_data`, "__helios__common__identity"))
+    function addEnumDataFuncs(ns, constrIndex, unavailableMsg = undefined) {
+        add(
+            new RawFunc(`${ns}____eq`, "__helios__common____eq", unavailableMsg)
+        )
+        add(
+            new RawFunc(
+                `${ns}____neq`,
+                "__helios__common____neq",
+                unavailableMsg
+            )
+        )
+        add(
+            new RawFunc(
+                `${ns}__serialize`,
+                "__helios__common__serialize",
+                unavailableMsg
+            )
+        )
+        add(
+            new RawFunc(
+                `${ns}____to_data`,
+                "__helios__common__identity",
+                unavailableMsg
+            )
+        )
         add(
             new RawFunc(
                 `${ns}____is`,
                 `(data) -> {
 			__helios__common__enum_tag_equals(data, ${constrIndex})
-		}`
+		}`,
+                unavailableMsg
             )
         )
         add(
@@ -184,7 +283,8 @@ export function makeRawFunctions(simplify, isTestnet) {
                 `${ns}__from_data`,
                 `(data) -> {
 			__helios__common__assert_constr_index(data, ${constrIndex})
-		}`
+		}`,
+                unavailableMsg
             )
         )
         add(
@@ -209,9 +309,186 @@ export function makeRawFunctions(simplify, isTestnet) {
 				() -> {__helios__option__NONE_FUNC},
 				() -> {__helios__option__NONE_FUNC}
 			)()
-		}`
+		}`,
+                unavailableMsg
+            )
+        )
+    }
+
+    /**
+     * Adds all the members of a builtin enum type whose variants are encoded as in the ledger.
+     * The variants must be listed in order of their constructor index, and each field is specified by its name and the path of its type.
+     * @param {string} ns
+     * @param {{
+     *   name: string
+     *   constructorName?: string
+     *   fields: [string, string][]
+     * }[]} variants
+     */
+    function addLedgerEnumFuncs(ns, variants) {
+        addDataFuncs(ns)
+
+        /**
+         * @param {(i: number) => string} genVariant
+         * @param {string} fallback
+         * @returns {string}
+         */
+        const genSwitchTag = (genVariant, fallback) =>
+            variants.reduceRight(
+                (inner, _, i) => `__core__ifThenElse(
+				__core__equalsInteger(tag, ${i}),
+				() -> {
+					${genVariant(i)}
+				},
+				() -> {
+					${inner}
+				}
+			)()`,
+                fallback
+            )
+
+        /**
+         * @param {[string, string][]} fields
+         * @param {number} j
+         * @returns {string}
+         */
+        const genTestFields = (fields, j) => {
+            const list = `fields_${j}`
+
+            if (j == fields.length) {
+                return `__core__chooseList(${list}, true, false)`
+            }
+
+            return `__core__chooseList(
+					${list},
+					() -> {
+						false
+					},
+					() -> {
+						__core__ifThenElse(
+							${fields[j][1]}__is_valid_data(__core__headList__safe(${list})),
+							() -> {
+								fields_${j + 1} = __core__tailList__safe(${list});
+								${genTestFields(fields, j + 1)}
+							},
+							() -> {
+								false
+							}
+						)()
+					}
+				)()`
+        }
+
+        /**
+         * Int, hash, list and map fields are shown without decoding them first, so that show() doesn't have any side-effects
+         * @param {string} fieldNs
+         * @returns {string}
+         */
+        const genShowField = (fieldNs) => {
+            if (fieldNs == "__helios__int") {
+                return `__helios__data__show_idata((i) -> {__helios__int__show(i)()})`
+            } else if (fieldNs == "__helios__pubkeyhash") {
+                return `__helios__data__show_bdata((b) -> {__helios__bytearray__show(b)()})`
+            } else if (fieldNs.startsWith("__helios__list[")) {
+                return `__helios__data__show_list_data((list) -> {${fieldNs}__show(list)()})`
+            } else if (fieldNs.startsWith("__helios__map[")) {
+                return `__helios__data__show_map_data((map) -> {${fieldNs}__show(map)()})`
+            } else {
+                return `(field) -> {${fieldNs}__show(${fieldNs}__from_data(field))()}`
+            }
+        }
+
+        add(
+            new RawFunc(
+                `${ns}__is_valid_data`,
+                `(data) -> {
+		__core__chooseData(
+			data,
+			() -> {
+				pair = __core__unConstrData__safe(data);
+				tag = __core__fstPair(pair);
+				fields_0 = __core__sndPair(pair);
+				${genSwitchTag((i) => genTestFields(variants[i].fields, 0), "false")}
+			},
+			() -> {false},
+			() -> {false},
+			() -> {false},
+			() -> {false}
+		)()
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                `${ns}__show`,
+                `(self) -> {
+		() -> {
+			__helios__data__show_constr_data(
+				(tag, fields) -> {
+					${genSwitchTag((i) => {
+                        const { name, fields } = variants[i]
+
+                        if (fields.length == 0) {
+                            return `"${name}"`
+                        }
+
+                        return fields
+                            .flatMap(([fieldName, fieldNs], j) => [
+                                `"${j == 0 ? `${name}{` : ","}${fieldName}:"`,
+                                `__helios__data__show_field(${j}, ${genShowField(fieldNs)})(fields)`
+                            ])
+                            .reduceRight(
+                                (inner, str) =>
+                                    `__core__appendString(${str}, ${inner})`,
+                                `"}"`
+                            )
+                    }, "__helios__data__show(self)()")}
+				}
+			)(self)
+		}
+	}`
             )
         )
+
+        variants.forEach(({ name, constructorName, fields }, i) => {
+            const memberNs = `${ns}__${name.toLowerCase()}`
+            const args = fields.map(([fieldName]) => fieldName)
+            const list =
+                fields.length == 0
+                    ? "__helios__common__list_0"
+                    : `__helios__common__list_${fields.length}(${fields
+                          .map(
+                              ([fieldName, fieldNs]) =>
+                                  `${fieldNs}____to_data(${fieldName})`
+                          )
+                          .join(", ")})`
+            const constructor = `(${args.join(", ")}) -> {
+		__core__constrData(${i}, ${list})
+	}`
+
+            if (constructorName) {
+                add(new RawFunc(`${ns}__${constructorName}`, constructor))
+            }
+
+            addEnumDataFuncs(memberNs, i)
+            add(
+                new RawFunc(
+                    `${memberNs}____new`,
+                    constructorName ? `${ns}__${constructorName}` : constructor
+                )
+            )
+
+            fields.forEach(([fieldName, fieldNs], j) => {
+                add(
+                    new RawFunc(
+                        `${memberNs}__${fieldName}`,
+                        `(self) -> {
+		${fieldNs}__from_data(__helios__common__enum_field_${j}(self))
+	}`
+                    )
+                )
+            })
+        })
     }
 
     /**
@@ -817,6 +1094,71 @@ export function makeRawFunctions(simplify, isTestnet) {
 	}`
         )
     )
+    // like test_mStruct_field, but a missing field is valid because it has a default value
+    add(
+        /** name: Data::ByteArray */
+        new RawFunc(
+            "__helios__common__test_mStruct_default_field",
+            `(self, name, inner_test) -> {
+		__core__chooseData(
+			self,
+			() -> {false},
+			() -> {
+				recurse = (recurse, map) -> {
+					__core__chooseList(
+						map,
+						() -> {
+							true
+						},
+						() -> {
+							head = __core__headList__safe(map);
+							key = __core__fstPair(head);
+							value = __core__sndPair(head);
+							__core__ifThenElse(
+								__core__equalsData(key, name),
+								() -> {
+									inner_test(value)
+								},
+								() -> {
+									recurse(recurse, __core__tailList__safe(map))
+								}
+							)()
+						}
+					)()
+				};
+				recurse(recurse, __core__unMapData__safe(self))
+			},
+			() -> {false},
+			() -> {false},
+			() -> {false}
+		)()
+	}`
+        )
+    )
+    // adds the missing fields that have a default value to an mStruct, so the getters find them
+    add(
+        /** name: ByteArray */
+        new RawFunc(
+            "__helios__common__mStruct_add_default_field",
+            `(map, name, default_data) -> {
+		__core__ifThenElse(
+			__helios__common__enum_tag_equals(
+				__helios__common__mStruct_field_safe(map, name),
+				1
+			),
+			() -> {
+				__core__mkCons(
+					__core__mkPairData(__core__bData(name), default_data()),
+					map
+				)
+			},
+			() -> {
+				map
+			}
+		)()
+	}`
+        )
+    )
     add(
         new RawFunc(
             "__helios__common__enum_fields",
@@ -1941,58 +2283,229 @@ export function makeRawFunctions(simplify, isTestnet) {
 	}`
         )
     )
-    add(
-        new RawFunc(
-            "__helios__int__from_big_endian",
-            `(bytes) -> {
-		n = __core__lengthOfByteString(bytes);
-		recurse = (recurse, acc, pow, i) -> {
+    if (isV3) {
+        add(
+            new RawFunc(
+                "__helios__int__integer_to_bytestring",
+                makeOpaqueBuiltin("integerToByteString")
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__int__bytestring_to_integer",
+                makeOpaqueBuiltin("byteStringToInteger")
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__int__from_big_endian",
+                `(bytes) -> {
+		__core__ifThenElse(
+			__core__equalsInteger(__core__lengthOfByteString(bytes), 0),
+			() -> {
+				0
+			},
+			() -> {
+				__helios__int__bytestring_to_integer(true, bytes)
+			}
+		)()
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__int__from_little_endian",
+                `(bytes) -> {
+		__core__ifThenElse(
+			__core__equalsInteger(__core__lengthOfByteString(bytes), 0),
+			() -> {
+				0
+			},
+			() -> {
+				__helios__int__bytestring_to_integer(false, bytes)
+			}
+		)()
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__int__to_big_endian",
+                `(self) -> {
+		() -> {
 			__core__ifThenElse(
-				__core__equalsInteger(i, -1),
+				__core__lessThanInteger(0, self),
 				() -> {
-					acc
+					__helios__int__integer_to_bytestring(true, 0, self)
 				},
 				() -> {
-					new_acc = __core__addInteger(
-						acc,
-						__core__multiplyInteger(__core__indexByteString(bytes, i), pow)
-					);
-					recurse(recurse, new_acc, __core__multiplyInteger(pow, 256), __core__subtractInteger(i, 1))
+					__core__ifThenElse(
+						__core__equalsInteger(self, 0),
+						() -> {
+							#00
+						},
+						() -> {
+							__helios__error("can't convert negative number to big endian bytearray")
+						}
+					)()
 				}
 			)()
-		};
-		recurse(recurse, 0, 1, __core__subtractInteger(n, 1))
+		}
 	}`
+            )
         )
-    )
-    add(
-        new RawFunc(
-            "__helios__int__from_little_endian",
-            `(bytes) -> {
-		n = __core__lengthOfByteString(bytes);
-		recurse = (recurse, acc, pow, i) -> {
+        add(
+            new RawFunc(
+                "__helios__int__to_little_endian",
+                `(self) -> {
+		() -> {
 			__core__ifThenElse(
-				__core__equalsInteger(i, n),
+				__core__lessThanInteger(0, self),
 				() -> {
-					acc
+					__helios__int__integer_to_bytestring(false, 0, self)
 				},
 				() -> {
-					new_acc = __core__addInteger(
-						acc,
-						__core__multiplyInteger(__core__indexByteString(bytes, i), pow)
-					);
+					__core__ifThenElse(
+						__core__equalsInteger(self, 0),
+						() -> {
+							#00
+						},
+						() -> {
+							__helios__error("can't convert negative number to little endian bytearray")
+						}
+					)()
+				}
+			)()
+		}
+	}`
+            )
+        )
+        // same checks and error messages as the Plutus V2 version, the width is checked against the minimal encoding (a width of 0) before padding
+        // the width of integerToByteString must be less than 8192, so any padding beyond that is added separately
+        add(
+            new RawFunc(
+                "__helios__int__to_padded",
+                `(self, width, big_endian) -> {
+		__core__ifThenElse(
+			__core__lessThanInteger(self, 0),
+			() -> {
+				__helios__error("can't convert negative number to padded bytearray")
+			},
+			() -> {
+				__core__ifThenElse(
+					__core__lessThanInteger(width, 0),
+					() -> {
+						__helios__error("negative width")
+					},
+					() -> {
+						bytes = __helios__int__integer_to_bytestring(big_endian, 0, self);
+						__core__ifThenElse(
+							__core__lessThanEqualsInteger(__core__lengthOfByteString(bytes), width),
+							() -> {
+								__core__ifThenElse(
+									__core__lessThanInteger(width, 8192),
+									() -> {
+										__helios__int__integer_to_bytestring(big_endian, width, self)
+									},
+									() -> {
+										recurse = (recurse, n) -> {
+											__core__ifThenElse(
+												__core__equalsInteger(n, 0),
+												() -> {
+													#
+												},
+												() -> {
+													__core__consByteString(0, recurse(recurse, __core__subtractInteger(n, 1)))
+												}
+											)()
+										};
+										zeros = recurse(recurse, __core__subtractInteger(width, 8191));
+										padded = __helios__int__integer_to_bytestring(big_endian, 8191, self);
+										__core__ifThenElse(
+											big_endian,
+											() -> {
+												__core__appendByteString(zeros, padded)
+											},
+											() -> {
+												__core__appendByteString(padded, zeros)
+											}
+										)()
+									}
+								)()
+							},
+							() -> {
+								// the minimal encoding of 0 is #00, but 0 also fits in a width of 0
+								__core__ifThenElse(
+									__core__equalsInteger(self, 0),
+									() -> {
+										#
+									},
+									() -> {
+										__helios__error("integer doesn't fit in the given width")
+									}
+								)()
+							}
+						)()
+					}
+				)()
+			}
+		)()
+	}`
+            )
+        )
+    } else {
+        add(
+            new RawFunc(
+                "__helios__int__from_big_endian",
+                `(bytes) -> {
+		n = __core__lengthOfByteString(bytes);
+		recurse = (recurse, acc, pow, i) -> {
+			__core__ifThenElse(
+				__core__equalsInteger(i, -1),
+				() -> {
+					acc
+				},
+				() -> {
+					new_acc = __core__addInteger(
+						acc,
+						__core__multiplyInteger(__core__indexByteString(bytes, i), pow)
+					);
+					recurse(recurse, new_acc, __core__multiplyInteger(pow, 256), __core__subtractInteger(i, 1))
+				}
+			)()
+		};
+		recurse(recurse, 0, 1, __core__subtractInteger(n, 1))
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__int__from_little_endian",
+                `(bytes) -> {
+		n = __core__lengthOfByteString(bytes);
+		recurse = (recurse, acc, pow, i) -> {
+			__core__ifThenElse(
+				__core__equalsInteger(i, n),
+				() -> {
+					acc
+				},
+				() -> {
+					new_acc = __core__addInteger(
+						acc,
+						__core__multiplyInteger(__core__indexByteString(bytes, i), pow)
+					);
 					recurse(recurse, new_acc, __core__multiplyInteger(pow, 256), __core__addInteger(i, 1))
 				}
 			)()
 		};
 		recurse(recurse, 0, 1, 0)
 	}`
+            )
         )
-    )
-    add(
-        new RawFunc(
-            "__helios__int__to_big_endian",
-            `(self) -> {
+        add(
+            new RawFunc(
+                "__helios__int__to_big_endian",
+                `(self) -> {
 		() -> {
 			__core__ifThenElse(
 				__core__lessThanInteger(self, 0),
@@ -2021,12 +2534,12 @@ export function makeRawFunctions(simplify, isTestnet) {
 			)()
 		}
 	}`
+            )
         )
-    )
-    add(
-        new RawFunc(
-            "__helios__int__to_little_endian",
-            `(self) -> {
+        add(
+            new RawFunc(
+                "__helios__int__to_little_endian",
+                `(self) -> {
 		() -> {
 			__core__ifThenElse(
 				__core__lessThanInteger(self, 0),
@@ -2052,6 +2565,80 @@ export function makeRawFunctions(simplify, isTestnet) {
 				}
 			)()
 		}
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__int__to_padded",
+                `(self, width, big_endian) -> {
+		recurse = (recurse, self, i) -> {
+			__core__ifThenElse(
+				__core__equalsInteger(i, 0),
+				() -> {
+					__core__ifThenElse(
+						__core__equalsInteger(self, 0),
+						() -> {
+							#
+						},
+						() -> {
+							__helios__error("integer doesn't fit in the given width")
+						}
+					)()
+				},
+				() -> {
+					byte = __core__modInteger(self, 256);
+					tail = recurse(recurse, __core__divideInteger(self, 256), __core__subtractInteger(i, 1));
+					__core__ifThenElse(
+						big_endian,
+						() -> {
+							__core__appendByteString(tail, __core__consByteString(byte, #))
+						},
+						() -> {
+							__core__consByteString(byte, tail)
+						}
+					)()
+				}
+			)()
+		};
+		__core__ifThenElse(
+			__core__lessThanInteger(self, 0),
+			() -> {
+				__helios__error("can't convert negative number to padded bytearray")
+			},
+			() -> {
+				__core__ifThenElse(
+					__core__lessThanInteger(width, 0),
+					() -> {
+						__helios__error("negative width")
+					},
+					() -> {
+						recurse(recurse, self, width)
+					}
+				)()
+			}
+		)()
+	}`
+            )
+        )
+    }
+    add(
+        new RawFunc(
+            "__helios__int__to_big_endian_padded",
+            `(self) -> {
+		(width) -> {
+			__helios__int__to_padded(self, width, true)
+		}
+	}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__int__to_little_endian_padded",
+            `(self) -> {
+		(width) -> {
+			__helios__int__to_padded(self, width, false)
+		}
 	}`
         )
     )
@@ -2106,6 +2693,95 @@ export function makeRawFunctions(simplify, isTestnet) {
         )
     )
 
+    add(
+        new RawFunc(
+            "__helios__int__square_and_multiply",
+            `(base, exp, one, mul) -> {
+		recurse = (recurse, exp) -> {
+			__core__ifThenElse(
+				__core__equalsInteger(exp, 0),
+				() -> {
+					one
+				},
+				() -> {
+					half = recurse(recurse, __core__divideInteger(exp, 2));
+					square = mul(half, half);
+					__core__ifThenElse(
+						__core__equalsInteger(__core__modInteger(exp, 2), 0),
+						() -> {
+							square
+						},
+						() -> {
+							mul(square, base)
+						}
+					)()
+				}
+			)()
+		};
+		recurse(recurse, exp)
+	}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__int__pow",
+            `(self) -> {
+		(exp) -> {
+			__core__ifThenElse(
+				__core__lessThanInteger(exp, 0),
+				() -> {
+					__helios__error("negative exponent in pow")
+				},
+				() -> {
+					__helios__int__square_and_multiply(
+						self,
+						exp,
+						1,
+						(a, b) -> {
+							__core__multiplyInteger(a, b)
+						}
+					)
+				}
+			)()
+		}
+	}`
+        )
+    )
+    // square-and-multiply in IR
+    add(
+        new RawFunc(
+            "__helios__int__pow_mod",
+            `(self) -> {
+		(exp, mod) -> {
+			__core__ifThenElse(
+				__core__lessThanInteger(exp, 0),
+				() -> {
+					__helios__error("negative exponent in pow_mod")
+				},
+				() -> {
+					__core__ifThenElse(
+						__core__lessThanInteger(0, mod),
+						() -> {
+							__helios__int__square_and_multiply(
+								__core__modInteger(self, mod),
+								exp,
+								__core__modInteger(1, mod),
+								(a, b) -> {
+									__core__modInteger(__core__multiplyInteger(a, b), mod)
+								}
+							)
+						},
+						() -> {
+							__helios__error("non-positive modulus in pow_mod")
+						}
+					)()
+				}
+			)()
+		}
+	}`
+        )
+    )
+
     // Ratio builtins
     addDataFuncs("__helios__ratio")
     add(
@@ -2803,6 +3479,30 @@ export function makeRawFunctions(simplify, isTestnet) {
 	}`
         )
     )
+    add(
+        new RawFunc(
+            "__helios__real__pow",
+            `(self) -> {
+		(exp) -> {
+			pos = __helios__int__square_and_multiply(
+				self,
+				__helios__int__abs(exp)(),
+				__helios__real__ONE,
+				__helios__real____mul
+			);
+			__core__ifThenElse(
+				__core__lessThanInteger(exp, 0),
+				() -> {
+					__helios__real____div(__helios__real__ONE, pos)
+				},
+				() -> {
+					pos
+				}
+			)()
+		}
+	}`
+        )
+    )
     add(
         new RawFunc(
             "__helios__real__floor",
@@ -3697,6 +4397,22 @@ export function makeRawFunctions(simplify, isTestnet) {
 	}`
         )
     )
+    add(
+        new RawFunc(
+            "__helios__bytearray__assert_length",
+            `(self, n, msg) -> {
+		__core__ifThenElse(
+			__core__equalsInteger(__core__lengthOfByteString(self), n),
+			() -> {
+				self
+			},
+			() -> {
+				__helios__error(msg)
+			}
+		)()
+	}`
+        )
+    )
     add(
         new RawFunc(
             "__helios__bytearray__is_valid_data_fixed_length",
@@ -3845,26 +4561,56 @@ export function makeRawFunctions(simplify, isTestnet) {
 	}`
         )
     )
+    addV3Builtin(
+        "__helios__bytearray__blake2b_224_builtin",
+        "blake2b_224",
+        "ByteArray.blake2b_224()"
+    )
     add(
         new RawFunc(
-            "__helios__bytearray__decode_utf8",
+            "__helios__bytearray__blake2b_224",
             `(self) -> {
 		() -> {
-			__core__decodeUtf8(self)
+			__helios__bytearray__blake2b_224_builtin(self)
 		}
 	}`
         )
     )
+    addV3Builtin(
+        "__helios__bytearray__keccak_256_builtin",
+        "keccak_256",
+        "ByteArray.keccak_256()"
+    )
     add(
         new RawFunc(
-            "__helios__bytearray__show",
+            "__helios__bytearray__keccak_256",
             `(self) -> {
 		() -> {
-			recurse = (recurse, self) -> {
-				n = __core__lengthOfByteString(self);
-				__core__ifThenElse(
-					__core__lessThanInteger(0, n),
-					() -> {
+			__helios__bytearray__keccak_256_builtin(self)
+		}
+	}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__bytearray__decode_utf8",
+            `(self) -> {
+		() -> {
+			__core__decodeUtf8(self)
+		}
+	}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__bytearray__show",
+            `(self) -> {
+		() -> {
+			recurse = (recurse, self) -> {
+				n = __core__lengthOfByteString(self);
+				__core__ifThenElse(
+					__core__lessThanInteger(0, n),
+					() -> {
 						__core__appendString(
 							__core__decodeUtf8__safe(
 								hex_bytes = (
@@ -3894,6 +4640,59 @@ export function makeRawFunctions(simplify, isTestnet) {
         )
     )
 
+    // BLS12-381 builtins
+    addV3Builtin(
+        "__helios__bls12_381_g1____add",
+        "bls12_381_G1_add",
+        "Bls12_381_G1"
+    )
+    addV3Builtin(
+        "__helios__bls12_381_g1____eq",
+        "bls12_381_G1_equal",
+        "Bls12_381_G1"
+    )
+    addNeqFunc("__helios__bls12_381_g1")
+    addV3Builtin(
+        "__helios__bls12_381_g1____neg",
+        "bls12_381_G1_neg",
+        "Bls12_381_G1"
+    )
+    addV3Builtin(
+        "__helios__bls12_381_g1__scalar_mul_builtin",
+        "bls12_381_G1_scalarMul",
+        "Bls12_381_G1"
+    )
+    add(
+        new RawFunc(
+            "__helios__bls12_381_g1__scalar_mul",
+            `(self) -> {
+		(scalar) -> {
+			__helios__bls12_381_g1__scalar_mul_builtin(scalar, self)
+		}
+	}`
+        )
+    )
+    addV3Builtin(
+        "__helios__bls12_381_g1__compress_builtin",
+        "bls12_381_G1_compress",
+        "Bls12_381_G1"
+    )
+    add(
+        new RawFunc(
+            "__helios__bls12_381_g1__compress",
+            `(self) -> {
+		() -> {
+			__helios__bls12_381_g1__compress_builtin(self)
+		}
+	}`
+        )
+    )
+    addV3Builtin(
+        "__helios__bls12_381_g1__uncompress",
+        "bls12_381_G1_uncompress",
+        "Bls12_381_G1"
+    )
+
     // Iterator builtins (lazy lists)
     // many iterator methods must be generated for different number of arguments
     for (let n = 1; n <= 10; n++) {
@@ -4584,7 +5383,7 @@ export function makeRawFunctions(simplify, isTestnet) {
 				() -> {false},
 				() -> {false},
 				() -> {
-					list = __core__unListData__safe(list);
+					list = __core__unListData__safe(data);
 					${inner}
 				},
 				() -> {false},
@@ -4632,7 +5431,11 @@ export function makeRawFunctions(simplify, isTestnet) {
 		}`
         })
     )
-    ;["first", "second", "third", "fourth", "fifth"].forEach((getter, i) => {
+    /**
+     * @param {string} getter
+     * @param {number} i
+     */
+    const addTupleGetter = (getter, i) => {
         add(
             new RawFunc(`__helios__tuple[]__${getter}`, (ttp) => {
                 if (ttp.length < 2) {
@@ -4648,7 +5451,12 @@ export function makeRawFunctions(simplify, isTestnet) {
 			}`
             })
         )
-    })
+    }
+    ;["first", "second", "third", "fourth", "fifth"].forEach(addTupleGetter)
+    // element access by index (`t.0`), tuples have at most 10 items
+    for (let i = 0; i < 10; i++) {
+        addTupleGetter(i.toString(), i)
+    }
 
     // List builtins
     addSerializeFunc(`__helios__list[${TTPP}0]`)
@@ -7012,6 +7820,19 @@ export function makeRawFunctions(simplify, isTestnet) {
             `__helios__bytearray__is_valid_data_fixed_length(32)`
         )
     )
+    add(
+        new RawFunc(
+            "__helios__pubkey__hash",
+            `(self) -> {
+		() -> {
+			__helios__bytearray__blake2b_224_builtin(self)
+		}
+	}`,
+            isV3
+                ? undefined
+                : "PubKey.hash() is only available in Plutus V3 scripts"
+        )
+    )
     add(
         new RawFunc(
             "__helios__pubkey__verify",
@@ -7023,23 +7844,142 @@ export function makeRawFunctions(simplify, isTestnet) {
         )
     )
 
-    // ScriptContext builtins
-    add(new RawFunc("__helios__scriptcontext__data", "__CONTEXT"))
+    // EcdsaSecp256k1PubKey builtin
+    addByteArrayLikeFuncs("__helios__ecdsasecp256k1pubkey")
+    add(
+        new RawFunc(
+            "__helios__ecdsasecp256k1pubkey__is_valid_data",
+            `__helios__bytearray__is_valid_data_fixed_length(33)`
+        )
+    )
     add(
         new RawFunc(
-            "__helios__scriptcontext__new_spending",
-            `(tx, output_id) -> {
+            "__helios__ecdsasecp256k1pubkey__verify_builtin",
+            makeOpaqueBuiltin("verifyEcdsaSecp256k1Signature")
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__ecdsasecp256k1pubkey__verify",
+            `(self) -> {
+		(message, signature) -> {
+			__helios__ecdsasecp256k1pubkey__verify_builtin(
+				__helios__bytearray__assert_length(self, 33, "expected an ECDSA public key of 33 bytes"),
+				__helios__bytearray__assert_length(message, 32, "expected a message of 32 bytes"),
+				__helios__bytearray__assert_length(signature, 64, "expected a signature of 64 bytes")
+			)
+		}
+	}`
+        )
+    )
+
+    // SchnorrSecp256k1PubKey builtin
+    addByteArrayLikeFuncs("__helios__schnorrsecp256k1pubkey")
+    add(
+        new RawFunc(
+            "__helios__schnorrsecp256k1pubkey__is_valid_data",
+            `__helios__bytearray__is_valid_data_fixed_length(32)`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__schnorrsecp256k1pubkey__verify_builtin",
+            makeOpaqueBuiltin("verifySchnorrSecp256k1Signature")
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__schnorrsecp256k1pubkey__verify",
+            `(self) -> {
+		(message, signature) -> {
+			__helios__schnorrsecp256k1pubkey__verify_builtin(
+				__helios__bytearray__assert_length(self, 32, "expected a Schnorr public key of 32 bytes"),
+				message,
+				__helios__bytearray__assert_length(signature, 64, "expected a signature of 64 bytes")
+			)
+		}
+	}`
+        )
+    )
+
+    // ScriptContext builtins
+    add(new RawFunc("__helios__scriptcontext__data", "__CONTEXT"))
+    if (isV3) {
+        // the V3 ScriptContext contains the redeemer, and a ScriptInfo instead of a ScriptPurpose
+        // the generated contexts use the unit redeemer, and spending contexts don't have a datum
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__new_spending",
+                `(tx, output_id) -> {
+		__core__constrData(0, __helios__common__list_3(
+			tx,
+			__core__constrData(0, __helios__common__list_0),
+			__core__constrData(1, __helios__common__list_2(
+				output_id,
+				__core__constrData(1, __helios__common__list_0)
+			))
+		))
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__new_minting",
+                `(tx, mph) -> {
+		__core__constrData(0, __helios__common__list_3(
+			tx,
+			__core__constrData(0, __helios__common__list_0),
+			__core__constrData(
+				0, 
+				__helios__common__list_1(
+					__helios__mintingpolicyhash____to_data(mph)
+				)
+			)
+		))
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__new_rewarding",
+                `(tx, cred) -> {
+		__core__constrData(0, __helios__common__list_3(
+			tx,
+			__core__constrData(0, __helios__common__list_0),
+			__core__constrData(2, __helios__common__list_1(__helios__common__enum_field_0(cred)))
+		))
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__new_certifying",
+                `(tx, dcert) -> {
+		__core__constrData(0, __helios__common__list_3(
+			tx,
+			__core__constrData(0, __helios__common__list_0),
+			__core__constrData(3, __helios__common__list_2(__core__iData(0), dcert))
+		))
+	}`,
+                DCERT_UNAVAILABLE
+            )
+        )
+    } else {
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__new_spending",
+                `(tx, output_id) -> {
 		__core__constrData(0, __helios__common__list_2(
 			tx,
 			__core__constrData(1, __helios__common__list_1(output_id))
 		))
 	}`
+            )
         )
-    )
-    add(
-        new RawFunc(
-            "__helios__scriptcontext__new_minting",
-            `(tx, mph) -> {
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__new_minting",
+                `(tx, mph) -> {
 		__core__constrData(0, __helios__common__list_2(
 			tx,
 			__core__constrData(
@@ -7050,42 +7990,101 @@ export function makeRawFunctions(simplify, isTestnet) {
 			)
 		))
 	}`
+            )
         )
-    )
-    add(
-        new RawFunc(
-            "__helios__scriptcontext__new_rewarding",
-            `(tx, cred) -> {
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__new_rewarding",
+                `(tx, cred) -> {
 		__core__constrData(0, __helios__common__list_2(
 			tx,
 			__core__constrData(2, __helios__common__list_1(cred))
 		))
 	}`
+            )
         )
-    )
-    add(
-        new RawFunc(
-            "__helios__scriptcontext__new_certifying",
-            `(tx, dcert) -> {
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__new_certifying",
+                `(tx, dcert) -> {
 		__core__constrData(0, __helios__common__list_2(
 			tx,
 			__core__constrData(3, __helios__common__list_1(dcert))
 		))
 	}`
+            )
         )
-    )
+    }
     add(
         new RawFunc(
             "__helios__scriptcontext__tx",
             "__helios__common__enum_field_0(__helios__scriptcontext__data)"
         )
     )
-    add(
-        new RawFunc(
-            "__helios__scriptcontext__purpose",
-            "__helios__common__enum_field_1(__helios__scriptcontext__data)"
+    if (isV3) {
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__redeemer",
+                "__helios__common__enum_field_1(__helios__scriptcontext__data)"
+            )
         )
-    )
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__script_info",
+                "__helios__common__enum_field_2(__helios__scriptcontext__data)"
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__get_optional_spending_datum",
+                `() -> {
+		__helios__common__enum_field_1(__helios__scriptcontext__script_info)
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__get_spending_datum",
+                `() -> {
+		maybe_datum = __core__unConstrData(__helios__scriptcontext__get_optional_spending_datum());
+		__core__ifThenElse(
+			__core__equalsInteger(__core__fstPair(maybe_datum), 0),
+			() -> {
+				__core__headList(__core__sndPair(maybe_datum))
+			},
+			() -> {
+				__helios__error("missing datum")
+			}
+		)()
+	}`
+            )
+        )
+        // the spending ScriptInfo is converted into a ScriptPurpose by dropping the datum
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__purpose",
+                `(script_info) -> {
+		pair = __core__unConstrData(script_info);
+		__core__ifThenElse(
+			__core__equalsInteger(__core__fstPair(pair), 1),
+			() -> {
+				__core__constrData(1, __helios__common__list_1(__core__headList(__core__sndPair(pair))))
+			},
+			() -> {
+				script_info
+			}
+		)()
+	}(__helios__scriptcontext__script_info)`
+            )
+        )
+    } else {
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__purpose",
+                "__helios__common__enum_field_1(__helios__scriptcontext__data)"
+            )
+        )
+    }
     add(
         new RawFunc(
             "__helios__scriptcontext__get_current_input",
@@ -7138,7 +8137,7 @@ export function makeRawFunctions(simplify, isTestnet) {
         new RawFunc(
             "__helios__scriptcontext__get_spending_purpose_output_id",
             `() -> {
-		__helios__common__enum_field_0(__helios__scriptcontext__purpose)
+		__helios__common__enum_field_0(${isV3 ? "__helios__scriptcontext__script_info" : "__helios__scriptcontext__purpose"})
 	}`
         )
     )
@@ -7172,31 +8171,86 @@ export function makeRawFunctions(simplify, isTestnet) {
         new RawFunc(
             "__helios__scriptcontext__get_current_staking_validator_hash",
             `() -> {
-		pair = __core__unConstrData(__helios__scriptcontext__purpose);
+		pair = __core__unConstrData(${isV3 ? "__helios__scriptcontext__script_info" : "__helios__scriptcontext__purpose"});
 		tag = __core__fstPair(pair);
-		data = __core__headList(__core__sndPair(pair));
+		fields = __core__sndPair(pair);
 
-		hash = __core__ifThenElse(
+		// a StakingCredential in V2, a Credential in V3
+		cred = __core__ifThenElse(
 			__core__equalsInteger(tag, 2),
 			() -> {
 				// rewarding
-				__helios__common__enum_field_0(__helios__common__enum_field_0(data))
+				__core__headList(fields)
 			},
 			() -> {
-				// certifying
-				__helios__common__enum_field_0(__helios__common__enum_field_0(__helios__common__enum_field_0(data)))
+				// certifying, the V3 certificate is preceded by its index
+				__helios__common__enum_field_0(${isV3 ? "__core__headList(__core__tailList(fields))" : "__core__headList(fields)"})
 			}
 		)();
 
+		hash = __helios__common__enum_field_0(${isV3 ? "cred" : "__helios__common__enum_field_0(cred)"});
+
 		__helios__stakingvalidatorhash__from_data(hash)
 	}`
         )
     )
     add(
         new RawFunc(
-            "__helios__scriptcontext__get_current_script_hash",
+            "__helios__scriptcontext__get_current_voter",
             `() -> {
-				tag = __helios__data__tag(__helios__scriptcontext__purpose);
+		__helios__common__enum_field_0(__helios__common__assert_constr_index(__helios__scriptcontext__script_info, 4))
+	}`,
+            isV3
+                ? undefined
+                : "get_current_voter is only available in Plutus V3 scripts"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__scriptcontext__get_current_proposal",
+            `() -> {
+		__helios__common__enum_field_1(__helios__common__assert_constr_index(__helios__scriptcontext__script_info, 5))
+	}`,
+            isV3
+                ? undefined
+                : "get_current_proposal is only available in Plutus V3 scripts"
+        )
+    )
+    if (isV3) {
+        // the hash of a proposing script is the guardrail script hash of a ParameterChange or TreasuryWithdrawals governance action
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__get_current_proposing_script_hash",
+                `() -> {
+		action = __core__unConstrData(__helios__common__enum_field_2(__helios__scriptcontext__get_current_proposal()));
+		action_tag = __core__fstPair(action);
+		action_fields = __core__sndPair(action);
+		maybe_hash = __core__ifThenElse(
+			__core__equalsInteger(action_tag, 0),
+			() -> {
+				__core__headList(__core__tailList(__core__tailList(action_fields)))
+			},
+			() -> {
+				__core__ifThenElse(
+					__core__equalsInteger(action_tag, 2),
+					() -> {
+						__core__headList(__core__tailList(action_fields))
+					},
+					() -> {
+						__helios__error("governance action without guardrail script")
+					}
+				)()
+			}
+		)();
+		__helios__common__enum_field_0(__helios__common__assert_constr_index(maybe_hash, 0))
+	}`
+            )
+        )
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__get_current_script_hash",
+                `() -> {
+				tag = __helios__data__tag(__helios__scriptcontext__script_info);
 
 				__core__ifThenElse(
 					__core__equalsInteger(tag, 0),
@@ -7205,23 +8259,67 @@ export function makeRawFunctions(simplify, isTestnet) {
 						__core__ifThenElse(
 							__core__equalsInteger(tag, 1),
 							__helios__scriptcontext__get_current_validator_hash,
-							__helios__scriptcontext__get_current_staking_validator_hash
+							() -> {
+								__core__ifThenElse(
+									__core__lessThanInteger(tag, 4),
+									__helios__scriptcontext__get_current_staking_validator_hash,
+									() -> {
+										__core__ifThenElse(
+											__core__equalsInteger(tag, 4),
+											() -> {
+												__core__unBData(
+													__helios__common__enum_field_0(
+														__helios__common__enum_field_0(
+															__helios__scriptcontext__get_current_voter()
+														)
+													)
+												)
+											},
+											() -> {
+												__core__unBData(__helios__scriptcontext__get_current_proposing_script_hash())
+											}
+										)()
+									}
+								)()
+							}
 						)()
 					}
 				)()
 			}`
+            )
         )
-    )
-    add(
-        new RawFunc(
-            "__helios__scriptcontext__get_staking_purpose",
-            `() -> {
-		__helios__scriptcontext__purpose
-	}`
-        )
-    )
-    add(
-        new RawFunc(
+    } else {
+        add(
+            new RawFunc(
+                "__helios__scriptcontext__get_current_script_hash",
+                `() -> {
+				tag = __helios__data__tag(__helios__scriptcontext__purpose);
+
+				__core__ifThenElse(
+					__core__equalsInteger(tag, 0),
+					__helios__scriptcontext__get_current_minting_policy_hash,
+					() -> {
+						__core__ifThenElse(
+							__core__equalsInteger(tag, 1),
+							__helios__scriptcontext__get_current_validator_hash,
+							__helios__scriptcontext__get_current_staking_validator_hash
+						)()
+					}
+				)()
+			}`
+            )
+        )
+    }
+    add(
+        new RawFunc(
+            "__helios__scriptcontext__get_staking_purpose",
+            `() -> {
+		__helios__scriptcontext__purpose
+	}`
+        )
+    )
+    add(
+        new RawFunc(
             "__helios__scriptcontext__get_script_purpose",
             `() -> {
 		__helios__scriptcontext__purpose
@@ -7349,7 +8447,7 @@ export function makeRawFunctions(simplify, isTestnet) {
 							 	cred_str = __helios__data__show_field(
 									0,
 									(cred_data) -> {
-										__helios__stakingcredential__show(cred_data)()
+										${isV3 ? "__helios__spendingcredential__show" : "__helios__stakingcredential__show"}(cred_data)()
 									}
 								)(fields);
 								__core__appendString(
@@ -7365,7 +8463,7 @@ export function makeRawFunctions(simplify, isTestnet) {
 									__core__equalsInteger(tag, 3),
 									() -> {
 									 	dcert_str = __helios__data__show_field(
-											0,
+											${isV3 ? 1 : 0},
 											(dcert_data) -> {
 												__helios__dcert__show(dcert_data)()
 											}
@@ -7396,7 +8494,11 @@ export function makeRawFunctions(simplify, isTestnet) {
     add(
         new RawFunc(
             "__helios__stakingpurpose__rewarding__credential",
-            "__helios__common__enum_field_0"
+            isV3
+                ? `(self) -> {
+		__helios__stakingcredential__new_hash(__helios__common__enum_field_0(self))
+	}`
+                : "__helios__common__enum_field_0"
         )
     )
 
@@ -7405,7 +8507,24 @@ export function makeRawFunctions(simplify, isTestnet) {
     add(
         new RawFunc(
             "__helios__stakingpurpose__certifying__dcert",
-            "__helios__common__enum_field_0"
+            "__helios__common__enum_field_0",
+            DCERT_UNAVAILABLE
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__stakingpurpose__certifying__index",
+            `(self) -> {
+		__helios__int__from_data(__helios__common__enum_field_0(self))
+	}`,
+            TXCERT_PURPOSE_UNAVAILABLE
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__stakingpurpose__certifying__cert",
+            "__helios__common__enum_field_1",
+            TXCERT_PURPOSE_UNAVAILABLE
         )
     )
 
@@ -7429,6 +8548,101 @@ export function makeRawFunctions(simplify, isTestnet) {
 	}`
         )
     )
+
+    // a Plutus V3 certifying purpose contains the index of the certificate, followed by a TxCert instead of a DCert
+    const showCertifyingPurpose = isV3
+        ? `index_str = __helios__data__show_field(
+			0,
+			__helios__data__show_idata((i) -> {__helios__int__show(i)()})
+		)(fields);
+		cert_str = __helios__data__show_field(
+			1,
+			(cert_data) -> {
+				__helios__txcert__show(cert_data)()
+			}
+		)(fields);
+		__core__appendString(
+			"Certifying{index:",
+			__core__appendString(
+				index_str,
+				__core__appendString(
+					",cert:",
+					__core__appendString(
+						cert_str,
+						"}"
+					)
+				)
+			)
+		)`
+        : `dcert_str = __helios__data__show_field(
+			0,
+			(dcert_data) -> {
+				__helios__dcert__show(dcert_data)()
+			}
+		)(fields);
+		__core__appendString(
+			"Certifying{dcert:",
+			__core__appendString(
+				dcert_str,
+				"}"
+			)
+		)`
+
+    // a Plutus V3 ScriptPurpose can also be Voting or Proposing
+    const showV3Purposes = isV3
+        ? `__core__ifThenElse(
+			__core__equalsInteger(tag, 4),
+			() -> {
+				voter_str = __helios__data__show_field(
+					0,
+					(voter_data) -> {
+						__helios__voter__show(voter_data)()
+					}
+				)(fields);
+				__core__appendString(
+					"Voting{voter:",
+					__core__appendString(
+						voter_str,
+						"}"
+					)
+				)
+			},
+			() -> {
+				__core__ifThenElse(
+					__core__equalsInteger(tag, 5),
+					() -> {
+						index_str = __helios__data__show_field(
+							0,
+							__helios__data__show_idata((i) -> {__helios__int__show(i)()})
+						)(fields);
+						proposal_str = __helios__data__show_field(
+							1,
+							(proposal_data) -> {
+								__helios__proposalprocedure__show(proposal_data)()
+							}
+						)(fields);
+						__core__appendString(
+							"Proposing{index:",
+							__core__appendString(
+								index_str,
+								__core__appendString(
+									",proposal:",
+									__core__appendString(
+										proposal_str,
+										"}"
+									)
+								)
+							)
+						)
+					},
+					() -> {
+						__helios__data__show(self)()
+					}
+				)()
+			}
+		)()`
+        : "__helios__data__show(self)()"
+
     add(
         new RawFunc(
             "__helios__scriptpurpose__show",
@@ -7480,7 +8694,7 @@ export function makeRawFunctions(simplify, isTestnet) {
 											 	cred_str = __helios__data__show_field(
 													0,
 													(cred_data) -> {
-														__helios__stakingcredential__show(cred_data)()
+														${isV3 ? "__helios__spendingcredential__show" : "__helios__stakingcredential__show"}(cred_data)()
 													}
 												)(fields);
 												__core__appendString(
@@ -7495,22 +8709,10 @@ export function makeRawFunctions(simplify, isTestnet) {
 											 	__core__ifThenElse(
 													__core__equalsInteger(tag, 3),
 													() -> {
-													 	dcert_str = __helios__data__show_field(
-															0,
-															(dcert_data) -> {
-																__helios__dcert__show(dcert_data)()
-															}
-														)(fields);
-														__core__appendString(
-															"Certifying{dcert:",
-															__core__appendString(
-																dcert_str,
-																"}"
-															)
-														)
+													 	${showCertifyingPurpose}
 													},
 													() -> {
-													 	__helios__data__show(self)()
+													 	${showV3Purposes}
 													}
 												)()
 											}
@@ -7545,7 +8747,7 @@ export function makeRawFunctions(simplify, isTestnet) {
         new RawFunc(
             "__helios__scriptpurpose__new_rewarding",
             `(cred) -> {
-		__core__constrData(2, __helios__common__list_1(cred))
+		__core__constrData(2, __helios__common__list_1(${isV3 ? "__helios__common__enum_field_0(cred)" : "cred"}))
 	}`
         )
     )
@@ -7554,7 +8756,8 @@ export function makeRawFunctions(simplify, isTestnet) {
             "__helios__scriptpurpose__new_certifying",
             `(dcert) -> {
 		__core__constrData(3, __helios__common__list_1(dcert))
-	}`
+	}`,
+            DCERT_UNAVAILABLE
         )
     )
 
@@ -7583,7 +8786,11 @@ export function makeRawFunctions(simplify, isTestnet) {
     add(
         new RawFunc(
             "__helios__scriptpurpose__rewarding__credential",
-            "__helios__common__enum_field_0"
+            isV3
+                ? `(self) -> {
+		__helios__stakingcredential__new_hash(__helios__common__enum_field_0(self))
+	}`
+                : "__helios__common__enum_field_0"
         )
     )
 
@@ -7592,7 +8799,69 @@ export function makeRawFunctions(simplify, isTestnet) {
     add(
         new RawFunc(
             "__helios__scriptpurpose__certifying__dcert",
-            "__helios__common__enum_field_0"
+            "__helios__common__enum_field_0",
+            DCERT_UNAVAILABLE
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__scriptpurpose__certifying__index",
+            `(self) -> {
+		__helios__int__from_data(__helios__common__enum_field_0(self))
+	}`,
+            TXCERT_PURPOSE_UNAVAILABLE
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__scriptpurpose__certifying__cert",
+            "__helios__common__enum_field_1",
+            TXCERT_PURPOSE_UNAVAILABLE
+        )
+    )
+
+    // ScriptPurpose::Voting and ScriptPurpose::Proposing only exist in Plutus V3 ScriptContexts
+    const VOTING_PURPOSE_UNAVAILABLE = isV3
+        ? undefined
+        : "ScriptPurpose::Voting is only available in Plutus V3 scripts"
+    const PROPOSING_PURPOSE_UNAVAILABLE = isV3
+        ? undefined
+        : "ScriptPurpose::Proposing is only available in Plutus V3 scripts"
+
+    // ScriptPurpose::Voting builtins
+    addEnumDataFuncs(
+        "__helios__scriptpurpose__voting",
+        4,
+        VOTING_PURPOSE_UNAVAILABLE
+    )
+    add(
+        new RawFunc(
+            "__helios__scriptpurpose__voting__voter",
+            "__helios__common__enum_field_0",
+            VOTING_PURPOSE_UNAVAILABLE
+        )
+    )
+
+    // ScriptPurpose::Proposing builtins
+    addEnumDataFuncs(
+        "__helios__scriptpurpose__proposing",
+        5,
+        PROPOSING_PURPOSE_UNAVAILABLE
+    )
+    add(
+        new RawFunc(
+            "__helios__scriptpurpose__proposing__index",
+            `(self) -> {
+		__helios__int__from_data(__helios__common__enum_field_0(self))
+	}`,
+            PROPOSING_PURPOSE_UNAVAILABLE
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__scriptpurpose__proposing__proposal",
+            "__helios__common__enum_field_1",
+            PROPOSING_PURPOSE_UNAVAILABLE
         )
     )
 
@@ -7890,6 +9159,561 @@ export function makeRawFunctions(simplify, isTestnet) {
         )
     )
 
+    // Delegatee builtins
+    addLedgerEnumFuncs("__helios__delegatee", [
+        {
+            name: "Stake",
+            constructorName: "new_stake",
+            fields: [["pool_id", "__helios__pubkeyhash"]]
+        },
+        {
+            name: "Vote",
+            constructorName: "new_vote",
+            fields: [["drep", "__helios__drep"]]
+        },
+        {
+            name: "StakeVote",
+            constructorName: "new_stake_vote",
+            fields: [
+                ["pool_id", "__helios__pubkeyhash"],
+                ["drep", "__helios__drep"]
+            ]
+        }
+    ])
+
+    // DRep builtins
+    addLedgerEnumFuncs("__helios__drep", [
+        {
+            name: "Credential",
+            constructorName: "new_credential",
+            fields: [["credential", "__helios__spendingcredential"]]
+        },
+        {
+            name: "AlwaysAbstain",
+            fields: []
+        },
+        {
+            name: "AlwaysNoConfidence",
+            fields: []
+        }
+    ])
+
+    // TxCert builtins
+    addLedgerEnumFuncs("__helios__txcert", [
+        {
+            name: "RegisterStaking",
+            constructorName: "new_register_staking",
+            fields: [
+                ["credential", "__helios__spendingcredential"],
+                ["deposit", "__helios__option[__helios__int]"]
+            ]
+        },
+        {
+            name: "DeregisterStaking",
+            constructorName: "new_deregister_staking",
+            fields: [
+                ["credential", "__helios__spendingcredential"],
+                ["refund", "__helios__option[__helios__int]"]
+            ]
+        },
+        {
+            name: "Delegate",
+            constructorName: "new_delegate",
+            fields: [
+                ["delegator", "__helios__spendingcredential"],
+                ["delegatee", "__helios__delegatee"]
+            ]
+        },
+        {
+            name: "RegisterAndDelegate",
+            constructorName: "new_register_and_delegate",
+            fields: [
+                ["delegator", "__helios__spendingcredential"],
+                ["delegatee", "__helios__delegatee"],
+                ["deposit", "__helios__int"]
+            ]
+        },
+        {
+            name: "RegisterDRep",
+            constructorName: "new_register_drep",
+            fields: [
+                ["credential", "__helios__spendingcredential"],
+                ["deposit", "__helios__int"]
+            ]
+        },
+        {
+            name: "UpdateDRep",
+            constructorName: "new_update_drep",
+            fields: [["credential", "__helios__spendingcredential"]]
+        },
+        {
+            name: "DeregisterDRep",
+            constructorName: "new_deregister_drep",
+            fields: [
+                ["credential", "__helios__spendingcredential"],
+                ["refund", "__helios__int"]
+            ]
+        },
+        {
+            name: "RegisterPool",
+            constructorName: "new_register_pool",
+            fields: [
+                ["pool_id", "__helios__pubkeyhash"],
+                ["pool_vrf", "__helios__pubkeyhash"]
+            ]
+        },
+        {
+            name: "RetirePool",
+            constructorName: "new_retire_pool",
+            fields: [
+                ["pool_id", "__helios__pubkeyhash"],
+                ["epoch", "__helios__int"]
+            ]
+        },
+        {
+            name: "AuthorizeHotCommittee",
+            constructorName: "new_authorize_hot_committee",
+            fields: [
+                ["cold_credential", "__helios__spendingcredential"],
+                ["hot_credential", "__helios__spendingcredential"]
+            ]
+        },
+        {
+            name: "ResignColdCommittee",
+            constructorName: "new_resign_cold_committee",
+            fields: [["cold_credential", "__helios__spendingcredential"]]
+        }
+    ])
+
+    // GovernanceActionId builtins
+    addDataFuncs("__helios__governanceactionid")
+    add(
+        new RawFunc(
+            "__helios__governanceactionid__is_valid_data",
+            "__helios__txoutputid__is_valid_data"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__governanceactionid__tx_id",
+            "__helios__txoutputid__tx_id"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__governanceactionid__index",
+            "__helios__txoutputid__index"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__governanceactionid__new",
+            "__helios__txoutputid__new"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__governanceactionid__show",
+            "__helios__txoutputid__show"
+        )
+    )
+
+    // GovernanceAction builtins
+    addLedgerEnumFuncs("__helios__governanceaction", [
+        {
+            name: "ParameterChange",
+            constructorName: "new_parameter_change",
+            fields: [
+                [
+                    "prev_action",
+                    "__helios__option[__helios__governanceactionid]"
+                ],
+                ["parameters", "__helios__data"],
+                ["guardrail", "__helios__option[__helios__scripthash]"]
+            ]
+        },
+        {
+            name: "HardForkInitiation",
+            constructorName: "new_hard_fork_initiation",
+            fields: [
+                [
+                    "prev_action",
+                    "__helios__option[__helios__governanceactionid]"
+                ],
+                ["protocol_version", "__helios__data"]
+            ]
+        },
+        {
+            name: "TreasuryWithdrawals",
+            constructorName: "new_treasury_withdrawals",
+            fields: [
+                [
+                    "withdrawals",
+                    "__helios__map[__helios__spendingcredential@__helios__int]"
+                ],
+                ["guardrail", "__helios__option[__helios__scripthash]"]
+            ]
+        },
+        {
+            name: "NoConfidence",
+            constructorName: "new_no_confidence",
+            fields: [
+                [
+                    "prev_action",
+                    "__helios__option[__helios__governanceactionid]"
+                ]
+            ]
+        },
+        {
+            name: "UpdateCommittee",
+            constructorName: "new_update_committee",
+            fields: [
+                [
+                    "prev_action",
+                    "__helios__option[__helios__governanceactionid]"
+                ],
+                [
+                    "removed_members",
+                    "__helios__list[__helios__spendingcredential]"
+                ],
+                [
+                    "added_members",
+                    "__helios__map[__helios__spendingcredential@__helios__int]"
+                ],
+                ["quorum", "__helios__data"]
+            ]
+        },
+        {
+            name: "NewConstitution",
+            constructorName: "new_constitution",
+            fields: [
+                [
+                    "prev_action",
+                    "__helios__option[__helios__governanceactionid]"
+                ],
+                ["constitution", "__helios__data"]
+            ]
+        },
+        {
+            name: "Info",
+            fields: []
+        }
+    ])
+
+    // Vote builtins
+    addLedgerEnumFuncs("__helios__vote", [
+        {
+            name: "No",
+            fields: []
+        },
+        {
+            name: "Yes",
+            fields: []
+        },
+        {
+            name: "Abstain",
+            fields: []
+        }
+    ])
+
+    // Voter builtins
+    addDataFuncs("__helios__voter")
+    add(
+        new RawFunc(
+            "__helios__voter__is_valid_data",
+            `(data) -> {
+		__core__chooseData(
+			data,
+			() -> {
+				pair = __core__unConstrData__safe(data);
+				index = __core__fstPair(pair);
+				fields = __core__sndPair(pair);
+				test_fields = (test_field) -> {
+					__helios__common__test_list_head_data(test_field, __helios__common__test_list_empty)(fields)
+				};
+				__core__ifThenElse(
+					__core__equalsInteger(index, 2),
+					() -> {
+						test_fields(__helios__pubkeyhash__is_valid_data)
+					},
+					() -> {
+						__core__ifThenElse(
+							__core__lessThanEqualsInteger(0, index),
+							() -> {
+								__core__ifThenElse(
+									__core__lessThanInteger(index, 2),
+									() -> {
+										test_fields(__helios__spendingcredential__is_valid_data)
+									},
+									() -> {
+										false
+									}
+								)()
+							},
+							() -> {
+								false
+							}
+						)()
+					}
+				)()
+			},
+			() -> {false},
+			() -> {false},
+			() -> {false},
+			() -> {false}
+		)()
+	}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__voter__show",
+            `(self) -> {
+			() -> {
+			 	__helios__data__show_constr_data(
+					(tag, fields) -> {
+						show_credential = (name) -> {
+							cred_str = __helios__data__show_field(
+								0,
+								(cred_data) -> {
+									__helios__spendingcredential__show(cred_data)()
+								}
+							)(fields);
+							__core__appendString(
+								name,
+								__core__appendString(
+									"{credential:",
+									__core__appendString(
+										cred_str,
+										"}"
+									)
+								)
+							)
+						};
+						__core__ifThenElse(
+							__core__equalsInteger(tag, 0),
+							() -> {
+							 	show_credential("Committee")
+							},
+							() -> {
+							 	__core__ifThenElse(
+									__core__equalsInteger(tag, 1),
+									() -> {
+									 	show_credential("DRep")
+									},
+									() -> {
+									 	__core__ifThenElse(
+											__core__equalsInteger(tag, 2),
+											() -> {
+												pool_str = __helios__data__show_field(
+													0,
+													__helios__data__show_bdata(
+														(b) -> {
+															__helios__bytearray__show(b)()
+														}
+													)
+												)(fields);
+												__core__appendString(
+													"StakePool{pool_id:",
+													__core__appendString(
+														pool_str,
+														"}"
+													)
+												)
+											},
+											() -> {
+												__helios__data__show(self)()
+											}
+										)()
+									}
+								)()
+							}
+						)()
+					}
+				)(self)
+			}
+		}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__voter__new_committee",
+            `(cred) -> {
+		__core__constrData(0, __helios__common__list_1(cred))
+	}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__voter__new_drep",
+            `(cred) -> {
+		__core__constrData(1, __helios__common__list_1(cred))
+	}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__voter__new_stake_pool",
+            `(pool_id) -> {
+		__core__constrData(2, __helios__common__list_1(__helios__pubkeyhash____to_data(pool_id)))
+	}`
+        )
+    )
+
+    // Voter::Committee builtins
+    addEnumDataFuncs("__helios__voter__committee", 0)
+    add(
+        new RawFunc(
+            "__helios__voter__committee____new",
+            "__helios__voter__new_committee"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__voter__committee__credential",
+            "__helios__common__enum_field_0"
+        )
+    )
+
+    // Voter::DRep builtins
+    addEnumDataFuncs("__helios__voter__drep", 1)
+    add(
+        new RawFunc("__helios__voter__drep____new", "__helios__voter__new_drep")
+    )
+    add(
+        new RawFunc(
+            "__helios__voter__drep__credential",
+            "__helios__common__enum_field_0"
+        )
+    )
+
+    // Voter::StakePool builtins
+    addEnumDataFuncs("__helios__voter__stakepool", 2)
+    add(
+        new RawFunc(
+            "__helios__voter__stakepool____new",
+            "__helios__voter__new_stake_pool"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__voter__stakepool__pool_id",
+            `(self) -> {
+		__helios__pubkeyhash__from_data(__helios__common__enum_field_0(self))
+	}`
+        )
+    )
+
+    // ProposalProcedure builtins
+    addDataFuncs("__helios__proposalprocedure")
+    add(
+        new RawFunc(
+            "__helios__proposalprocedure__is_valid_data",
+            `(data) -> {
+		__core__chooseData(
+			data,
+			() -> {
+				pair = __core__unConstrData__safe(data);
+				__core__ifThenElse(
+					__core__equalsInteger(__core__fstPair(pair), 0),
+					() -> {
+						__helios__common__test_list_head_data(
+							__helios__int__is_valid_data,
+							__helios__common__test_list_head_data(
+								__helios__spendingcredential__is_valid_data,
+								__helios__common__test_list_head_data(
+									__helios__governanceaction__is_valid_data,
+									__helios__common__test_list_empty
+								)
+							)
+						)(__core__sndPair(pair))
+					},
+					() -> {
+						false
+					}
+				)()
+			},
+			() -> {false},
+			() -> {false},
+			() -> {false},
+			() -> {false}
+		)()
+	}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__proposalprocedure__show",
+            `(self) -> {
+			() -> {
+				__helios__data__show_constr_data(
+					(tag, fields) -> {
+						deposit_str = __helios__data__show_field(
+							0,
+							__helios__data__show_idata(
+								(i) -> {
+									__helios__int__show(i)()
+								}
+							)
+						)(fields);
+						cred_str = __helios__data__show_field(
+							1,
+							(cred_data) -> {
+								__helios__spendingcredential__show(cred_data)()
+							}
+						)(fields);
+						action_str = __helios__data__show_field(
+							2,
+							(action_data) -> {
+								__helios__governanceaction__show(action_data)()
+							}
+						)(fields);
+						__core__appendString(
+							"ProposalProcedure{deposit:",
+							__core__appendString(
+								deposit_str,
+								__core__appendString(
+									",return_credential:",
+									__core__appendString(
+										cred_str,
+										__core__appendString(
+											",governance_action:",
+											__core__appendString(
+												action_str,
+												"}"
+											)
+										)
+									)
+								)
+							)
+						)
+					}
+				)(self)
+			}
+		}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__proposalprocedure__deposit",
+            `(self) -> {
+		__helios__int__from_data(__helios__common__enum_field_0(self))
+	}`
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__proposalprocedure__return_credential",
+            "__helios__common__enum_field_1"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__proposalprocedure__governance_action",
+            "__helios__common__enum_field_2"
+        )
+    )
+
     // TxBuilder builtins
     addDataFuncs("__helios__txbuilder")
     add(
@@ -8350,11 +10174,19 @@ export function makeRawFunctions(simplify, isTestnet) {
 								)(fields);
 								fee_str = __helios__data__show_field(
 									3,
-									__helios__data__show_map_data(
+									${
+                                        isV3
+                                            ? `__helios__data__show_idata(
+										(lovelace) -> {
+											__helios__value__show(__helios__value__lovelace(lovelace))()
+										}
+									)`
+                                            : `__helios__data__show_map_data(
 										(map) -> {
 											__helios__value__show(map)()
 										}
-									)
+									)`
+                                    }
 								)(fields);
 								minted_str =  __helios__data__show_field(
 									4,
@@ -8376,7 +10208,7 @@ export function makeRawFunctions(simplify, isTestnet) {
 									6,
 									__helios__data__show_map_data(
 										(map) -> {
-											__helios__map[__helios__stakingcredential@__helios__int]__show(map)()
+											__helios__map[${isV3 ? "__helios__spendingcredential" : "__helios__stakingcredential"}@__helios__int]__show(map)()
 										}
 									)
 								)(fields);
@@ -8503,7 +10335,36 @@ export function makeRawFunctions(simplify, isTestnet) {
     add(
         new RawFunc(
             `__helios__tx__new[${FTPP}0@${FTPP}1]`,
-            `(inputs, ref_inputs, outputs, fee, minted, dcerts, withdrawals, validity, signatories, redeemers, datums, txId) -> {
+            isV3
+                ? `(inputs, ref_inputs, outputs, fee, minted, dcerts, withdrawals, validity, signatories, redeemers, datums, txId) -> {
+		__core__constrData(0, __helios__common__list_16(
+			__core__listData(inputs),
+			__core__listData(ref_inputs),
+			__core__listData(outputs),
+			__core__iData(__helios__value__get_lovelace(fee)()),
+			__core__mapData(minted),
+			__core__listData(dcerts),
+			__core__mapData(
+				__helios__common__map(
+					withdrawals,
+					(pair) -> {
+						__core__mkPairData(__helios__common__enum_field_0(__core__fstPair(pair)), __core__sndPair(pair))
+					},
+					__core__mkNilPairData(())
+				)
+			),
+			__helios__timerange____to_data(validity),
+			__core__listData(signatories),
+			__core__mapData(redeemers),
+			__core__mapData(datums),
+			__helios__txid____to_data(txId),
+			__core__mapData(__core__mkNilPairData(())),
+			__core__listData(__core__mkNilData(())),
+			__core__constrData(1, __helios__common__list_0),
+			__core__constrData(1, __helios__common__list_0)
+		))
+	}`
+                : `(inputs, ref_inputs, outputs, fee, minted, dcerts, withdrawals, validity, signatories, redeemers, datums, txId) -> {
 		__core__constrData(0, __helios__common__list_12(
 			__core__listData(inputs),
 			__core__listData(ref_inputs),
@@ -8548,7 +10409,11 @@ export function makeRawFunctions(simplify, isTestnet) {
     add(
         new RawFunc(
             "__helios__tx__fee",
-            `(self) -> {
+            isV3
+                ? `(self) -> {
+		__helios__value__lovelace(__core__unIData(__helios__common__enum_field_3(self)))
+	}`
+                : `(self) -> {
 		__core__unMapData(__helios__common__enum_field_3(self))
 	}`
         )
@@ -8566,13 +10431,73 @@ export function makeRawFunctions(simplify, isTestnet) {
             "__helios__tx__dcerts",
             `(self) -> {
 		__core__unListData(__helios__common__enum_field_5(self))
-	}`
+	}`,
+            isV3
+                ? "tx.dcerts is only available in Plutus V2 scripts, use tx.certs instead"
+                : undefined
         )
     )
     add(
         new RawFunc(
-            "__helios__tx__withdrawals",
+            "__helios__tx__certs",
+            `(self) -> {
+		__core__unListData(__helios__common__enum_field_5(self))
+	}`,
+            isV3 ? undefined : "tx.certs is only available in Plutus V3 scripts"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__tx__votes",
+            `(self) -> {
+		__core__unMapData(__helios__common__enum_field_12(self))
+	}`,
+            isV3 ? undefined : "tx.votes is only available in Plutus V3 scripts"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__tx__proposal_procedures",
             `(self) -> {
+		__core__unListData(__helios__common__enum_field_13(self))
+	}`,
+            isV3
+                ? undefined
+                : "tx.proposal_procedures is only available in Plutus V3 scripts"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__tx__current_treasury_amount",
+            "__helios__common__enum_field_14",
+            isV3
+                ? undefined
+                : "tx.current_treasury_amount is only available in Plutus V3 scripts"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__tx__treasury_donation",
+            "__helios__common__enum_field_15",
+            isV3
+                ? undefined
+                : "tx.treasury_donation is only available in Plutus V3 scripts"
+        )
+    )
+    add(
+        new RawFunc(
+            "__helios__tx__withdrawals",
+            isV3
+                ? `(self) -> {
+		__helios__common__map(
+			__core__unMapData(__helios__common__enum_field_6(self)),
+			(pair) -> {
+				__core__mkPairData(__helios__stakingcredential__new_hash(__core__fstPair(pair)), __core__sndPair(pair))
+			},
+			__core__mkNilPairData(())
+		)
+	}`
+                : `(self) -> {
 		__core__unMapData(__helios__common__enum_field_6(self))
 	}`
         )
@@ -8937,11 +10862,14 @@ export function makeRawFunctions(simplify, isTestnet) {
     )
 
     // TxId builtins
+    // in V3 the TxId is no longer wrapped in a constr
     addDataFuncs("__helios__txid")
     add(
         new RawFunc(
             "__helios__txid__bytes",
-            `(self) -> {
+            isV3
+                ? "__core__unBData"
+                : `(self) -> {
 		__core__unBData(__core__headList(__core__sndPair(__core__unConstrData(self))))
 	}`
         )
@@ -8981,7 +10909,9 @@ export function makeRawFunctions(simplify, isTestnet) {
     add(
         new RawFunc(
             "__helios__txid__new",
-            `(bytes) -> {
+            isV3
+                ? "__core__bData"
+                : `(bytes) -> {
 		__core__constrData(0, __helios__common__list_1(__core__bData(bytes))) 
 	}`
         )
@@ -8989,7 +10919,9 @@ export function makeRawFunctions(simplify, isTestnet) {
     add(
         new RawFunc(
             "__helios__txid__is_valid_data",
-            `(data) -> {
+            isV3
+                ? "__helios__bytearray__is_valid_data_fixed_length(32)"
+                : `(data) -> {
 		__core__chooseData(
 			data,
 			() -> {
@@ -9033,7 +10965,17 @@ export function makeRawFunctions(simplify, isTestnet) {
     add(
         new RawFunc(
             "__helios__txid__show",
-            `(self) -> {
+            isV3
+                ? `(self) -> {
+		() -> {
+			__helios__data__show_bdata(
+				(bytes) -> {
+					__helios__bytearray__show(bytes)()
+				}
+			)(self)
+		}
+	}`
+                : `(self) -> {
 		() -> {
 			__helios__data__show_constr_data(
 				(tag, fields) -> {
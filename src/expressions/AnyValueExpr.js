@@ -33,7 +33,7 @@ export class AnyValueExpr extends Expr {
      * @param {ToIRContext} _ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(_ctx) {
+    toIRInternal(_ctx) {
         return $("()", this.site)
     }
 
@@ -51,7 +51,11 @@ export class AssignExpr extends ChainExpr {
      * @returns {EvalEntity}
      */
     evalInternal(scope) {
-        const subScope = new Scope(scope, scope.allowShadowing)
+        const subScope = new Scope(
+            scope,
+            scope.allowShadowing,
+            this.downstreamExpr.initOptionPropagation(this.optionPropagation)
+        )
 
         let upstreamVal = this.upstreamExpr.eval(scope)
 
@@ -108,8 +112,8 @@ export class AssignExpr extends ChainExpr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
-        let inner = this.downstreamExpr.toIR(ctx.tab())
+    toIRInternal(ctx) {
+        let inner = this.downstreamExpr.toBranchIR(ctx.tab())
 
         if (this._nameType.isTuple() && this._nameType.isIgnored()) {
             // TODO: get rid of this on the next major version release, while making sure the default approach is equally efficient (i.e. the callback call is properly inlined)
@@ -124,6 +124,20 @@ export class BinaryExpr extends Expr {
         return makeWord({ value: name, site })
     }
 
+    /**
+     * The rhs of a lazy operator is only evaluated if needed
+     * @returns {boolean}
+     */
+    isLazy() {
+        switch (this._op.toString()) {
+            case "&&":
+            case "||":
+                return true
+            default:
+                return false
+        }
+    }
+
     /**
      * @returns {boolean}
      */
@@ -145,7 +159,10 @@ export class BinaryExpr extends Expr {
      */
     evalInternal(scope) {
         const a_ = this._a.eval(scope)
-        const b_ = this._b.eval(scope)
+        // `?` isn't allowed in the rhs of a lazy operator
+        const b_ = this._b.eval(
+            this.isLazy() ? new Scope(scope, scope.allowShadowing, null) : scope
+        )
 
         const a = a_.asInstance
         if (!a) {
@@ -200,7 +217,7 @@ export class BinaryExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         let path = expectDefined(this.first.cache?.asTyped?.type.asNamed).path
 
         let op = this.translateOp(this._alt).value
@@ -4,14 +4,18 @@ import { expectDefined } from "@helios-lang/type-utils"
 import { ToIRContext } from "../codegen/index.js"
 import { Scope } from "../scopes/index.js"
 import {
+    AssertFunc,
+    ErrorFunc,
     FuncType,
     IntType,
     ParametricFunc,
+    PrintFunc,
     RealType,
     getTupleItemTypes
 } from "../typecheck/index.js"
 import { CallArgExpr } from "./CallArgExpr.js"
 import { Expr } from "./Expr.js"
+import { InterpolatedStringExpr } from "./InterpolatedStringExpr.js"
 import { MemberExpr } from "./MemberExpr.js"
 import { ParametricExpr } from "./ParametricExpr.js"
 import { PathExpr } from "./PathExpr.js"
@@ -126,6 +130,14 @@ export class CallExpr extends Expr {
     evalInternal(scope) {
         const fnVal = this._fnExpr.eval(scope)
 
+        if (fnVal == PrintFunc || fnVal == ErrorFunc || fnVal == AssertFunc) {
+            this._argExprs.forEach((ae) => {
+                if (ae.valueExpr instanceof InterpolatedStringExpr) {
+                    ae.valueExpr.markAsTraceMessage()
+                }
+            })
+        }
+
         const argVals = this._argExprs.map((ae, i) => {
             const av_ = ae.eval(scope)
 
@@ -342,7 +354,8 @@ export class CallExpr extends Expr {
             const params = ParametricExpr.toApplicationIR(this._paramTypes)
 
             if (this._fnExpr instanceof MemberExpr) {
-                return this._fnExpr.toIR(ctx, params)
+                // parametric members are functions, which are never hoisted (see OptionPropagation)
+                return this._fnExpr.toIRInternal(ctx, params)
             } else {
                 return $(
                     `${this._fnExpr.toIR(ctx).toString()}${params}`,
@@ -418,7 +431,7 @@ export class CallExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         let fnIR = this.toFnExprIR(ctx)
 
         /**
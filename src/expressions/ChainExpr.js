@@ -72,19 +72,27 @@ export class ChainExpr extends Expr {
             }
         }
 
-        return this.downstreamExpr.eval(scope)
+        return this.downstreamExpr.eval(
+            new Scope(
+                scope,
+                scope.allowShadowing,
+                this.downstreamExpr.initOptionPropagation(
+                    this.optionPropagation
+                )
+            )
+        )
     }
 
     /**
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         return $([
             $("__core__chooseUnit(", this.site),
             this.upstreamExpr.toIR(ctx),
             $(", "),
-            this.downstreamExpr.toIR(ctx),
+            this.downstreamExpr.toBranchIR(ctx),
             $(")")
         ])
     }
@@ -23,6 +23,7 @@ import { IfElseExpr } from "./IfElseExpr.js"
  */
 
 const IR_CONTROL_EXPR_NAME = "__cond"
+const IR_FALLTHROUGH_NAME = "__fallthrough"
 
 /**
  * Switch expression for Enum, with SwitchCases and SwitchDefault as children
@@ -87,10 +88,28 @@ export class EnumSwitchExpr extends SwitchExpr {
         }
     }
 
+    /**
+     * Throws an error if the number of conditions of a case doesn't match the number of switched values
+     * @private
+     * @param {DataType[]} enumTypes
+     */
+    checkCaseArity(enumTypes) {
+        this.cases.forEach((c) => {
+            const n = c.lhs.isTuple() ? c.lhs.destructExprs.length : 1
+
+            if (n != enumTypes.length) {
+                throw makeTypeError(
+                    c.lhs.site,
+                    `wrong number of switch case conditions (expected ${enumTypes.length}, got ${n})`
+                )
+            }
+        })
+    }
+
     /**
      * Throws an error if some cases can't be reached
      * @param {DataType[]} enumTypes
-     * @returns {boolean}
+     * @returns {string | undefined} - the first combination of variants that isn't covered by the cases
      */
     checkCaseReachability(enumTypes) {
         // first collect all variants for each enum type
@@ -232,19 +251,31 @@ export class EnumSwitchExpr extends SwitchExpr {
                 )
             }
 
-            markUnreachable(indices)
+            // a guarded case can fall through to the next matching case, so it doesn't cover its variants
+            if (!c.guard) {
+                markUnreachable(indices)
+            }
         })
 
-        const someRemainingReachable = reachable.some((r) => r)
+        const firstReachable = reachable.findIndex((r) => r)
 
-        if (this.defaultCase && !someRemainingReachable) {
-            throw makeTypeError(
-                this.defaultCase.site,
-                "unreachable default case"
-            )
+        if (firstReachable == -1) {
+            if (this.defaultCase) {
+                throw makeTypeError(
+                    this.defaultCase.site,
+                    "unreachable default case"
+                )
+            }
+
+            return undefined
         }
 
-        return someRemainingReachable
+        const names = variants.map(
+            (vs, j) =>
+                vs[Math.floor(firstReachable / strides[j]) % vs.length][0]
+        )
+
+        return names.length == 1 ? names[0] : `(${names.join(", ")})`
     }
 
     /**
@@ -254,9 +285,11 @@ export class EnumSwitchExpr extends SwitchExpr {
     evalInternal(scope) {
         const enumTypes = this.evalControlExprTypes(scope)
 
-        const someUncovered = this.checkCaseReachability(enumTypes)
+        this.checkCaseArity(enumTypes)
 
-        if (!this.defaultCase && someUncovered) {
+        const uncovered = this.checkCaseReachability(enumTypes)
+
+        if (!this.defaultCase && uncovered) {
             this.setDefaultCaseToVoid()
         }
 
@@ -267,7 +300,14 @@ export class EnumSwitchExpr extends SwitchExpr {
 
         for (let c of this.cases) {
             // TODO: pass a list of enumTypes (can be multiswitch)
-            const branchVal = c.evalEnumMember(scope, enumTypes)
+            const branchVal = c.evalEnumMember(
+                new Scope(
+                    scope,
+                    false,
+                    c.body.initOptionPropagation(this.optionPropagation)
+                ),
+                enumTypes
+            )
 
             if (!branchVal) {
                 continue
@@ -286,10 +326,21 @@ export class EnumSwitchExpr extends SwitchExpr {
                 branchMultiType &&
                 !new VoidType().isBaseOf(branchMultiType)
             ) {
-                throw makeTypeError(this.site, "incomplete enum coverage")
+                throw makeTypeError(
+                    this.site,
+                    `incomplete enum coverage, '${uncovered}' isn't handled`
+                )
             }
 
-            const defaultVal = this.defaultCase.eval(scope)
+            const defaultVal = this.defaultCase.eval(
+                new Scope(
+                    scope,
+                    false,
+                    this.defaultCase.body.initOptionPropagation(
+                        this.optionPropagation
+                    )
+                )
+            )
 
             if (defaultVal) {
                 branchMultiType = IfElseExpr.reduceBranchMultiType(
@@ -311,7 +362,7 @@ export class EnumSwitchExpr extends SwitchExpr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         let cases = this.cases.slice()
 
         /** @type {SwitchCase | SwitchDefault} */
@@ -353,7 +404,22 @@ export class EnumSwitchExpr extends SwitchExpr {
 
             const test = c.toControlIR(ctx, es)
 
-            res = $`__core__ifThenElse(
+            if (c.guard) {
+                // the remaining cases are wrapped in a function, so they can be reached from two branches without duplicating the IR
+                res = $`(${IR_FALLTHROUGH_NAME}) -> {
+                    __core__ifThenElse(
+                        ${test},
+                        () ${$("->", switchLambdaSite)} {
+                            ${c.toIR(ctx.tab().tab().tab(), $`${IR_FALLTHROUGH_NAME}()(${IR_CONTROL_EXPR_NAME})`)}
+                        }, () ${$("->", switchLambdaSite)} {
+                            ${IR_FALLTHROUGH_NAME}()
+                        }
+                    )()
+                }(() -> {
+                    ${res}
+                })`
+            } else {
+                res = $`__core__ifThenElse(
 				${test},
 				() ${$("->", switchLambdaSite)} {
 					${c.toIR(ctx.tab().tab().tab())}
@@ -361,6 +427,7 @@ export class EnumSwitchExpr extends SwitchExpr {
 					${res}
 				}
 			)()`
+            }
         }
 
         if (nLhs == 1) {
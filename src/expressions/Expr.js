@@ -1,6 +1,8 @@
 import { makeTypeError } from "@helios-lang/compiler-utils"
+import { $ } from "@helios-lang/ir"
 import { ToIRContext } from "../codegen/index.js"
 import { Scope } from "../scopes/index.js"
+import { OptionPropagation } from "./OptionPropagation.js"
 
 /**
  * @import { Site, Token } from "@helios-lang/compiler-utils"
@@ -44,12 +46,19 @@ export class Expr {
      */
     cache
 
+    /**
+     * Set during evaluation if the value of this expression is returned directly by the enclosing function (i.e. tail position)
+     * @type {OptionPropagation | undefined}
+     */
+    optionPropagation
+
     /**
      * @param {Site} site
      */
     constructor(site) {
         this.site = site
         this.cache = undefined
+        this.optionPropagation = undefined
     }
 
     /**
@@ -65,8 +74,13 @@ export class Expr {
      * @returns {EvalEntity}
      */
     eval(scope) {
+        const propagation = scope.getOptionPropagation()
+        const start = propagation?.nPending ?? 0
+
         this.cache = this.evalInternal(scope)
 
+        propagation?.evaluated(this, start)
+
         return this.cache
     }
 
@@ -118,6 +132,20 @@ export class Expr {
         return result
     }
 
+    /**
+     * Called by the parent expression before evaluating this expression as one of its branches (function body, if-else branch, switch case, assignment downstream).
+     * The branch is in tail position if the parent is, and `?` is only allowed in branches in tail position.
+     * @param {OptionPropagation | undefined} parent - `optionPropagation` of the parent expression
+     * @returns {OptionPropagation | null} - to be passed to the scope of the branch
+     */
+    initOptionPropagation(parent) {
+        this.optionPropagation = parent
+            ? new OptionPropagation(parent.retType)
+            : undefined
+
+        return this.optionPropagation ?? null
+    }
+
     /**
      * @returns {boolean}
      */
@@ -126,11 +154,37 @@ export class Expr {
     }
 
     /**
+     * @param {ToIRContext} _ctx
+     * @returns {SourceMappedStringI}
+     */
+    toIRInternal(_ctx) {
+        throw new Error("not yet implemented")
+    }
+
+    /**
+     * Expressions that were assigned to a variable before a `?` of the same branch (see OptionPropagation) are replaced by a reference to that variable
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
     toIR(ctx) {
-        throw new Error("not yet implemented")
+        const name = ctx.getHoistedName(this)
+
+        if (name) {
+            return $(name, this.site)
+        } else {
+            return this.toIRInternal(ctx)
+        }
+    }
+
+    /**
+     * IR of a branch, which returns `None` early if any of the Options unwrapped by `?` is `None`
+     * @param {ToIRContext} ctx
+     * @returns {SourceMappedStringI}
+     */
+    toBranchIR(ctx) {
+        return this.optionPropagation
+            ? this.optionPropagation.wrapIR(ctx, (ctx) => this.toIR(ctx))
+            : this.toIR(ctx)
     }
 
     /**
@@ -7,6 +7,7 @@ import { AllType, FuncEntity, FuncType } from "../typecheck/index.js"
 import { ChainExpr } from "./ChainExpr.js"
 import { Expr } from "./Expr.js"
 import { FuncArg } from "./FuncArg.js"
+import { OptionPropagation } from "./OptionPropagation.js"
 
 /**
  * @import { Site } from "@helios-lang/compiler-utils"
@@ -140,7 +141,8 @@ export class FuncLiteralExpr extends Expr {
         // argTypes is calculated separately again here so it includes self
         const argTypes = this.args.map((a) => a.evalType(scope))
 
-        const subScope = new Scope(scope, true)
+        // `?` isn't allowed in default args
+        const subScope = new Scope(scope, true, null)
 
         argTypes.forEach((a, i) => {
             if (a && !this.args[i].isIgnored()) {
@@ -150,7 +152,17 @@ export class FuncLiteralExpr extends Expr {
             }
         })
 
-        let bodyVal = this._bodyExpr.eval(subScope)
+        const bodyScope = new Scope(
+            subScope,
+            true,
+            this._bodyExpr.initOptionPropagation(
+                new OptionPropagation(
+                    this.retTypeExpr ? fnType.retType : undefined
+                )
+            )
+        )
+
+        let bodyVal = this._bodyExpr.eval(bodyScope)
 
         if (!this.retTypeExpr) {
             if (bodyVal.asTyped) {
@@ -224,7 +236,7 @@ export class FuncLiteralExpr extends Expr {
             innerIndent += TAB
         }
 
-        let innerIR = this._bodyExpr.toIR(ctx.tab())
+        let innerIR = this._bodyExpr.toBranchIR(ctx.tab())
 
         innerIR = this.wrapWithDefaultArgs(ctx, innerIR)
 
@@ -256,14 +268,6 @@ export class FuncLiteralExpr extends Expr {
         return ir
     }
 
-    /**
-     * @param {ToIRContext} ctx
-     * @returns {SourceMappedStringI}
-     */
-    toIR(ctx) {
-        return this.toIRInternal(ctx)
-    }
-
     /**
      * @returns {string}
      */
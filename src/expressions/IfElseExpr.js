@@ -155,8 +155,13 @@ export class IfElseExpr extends Expr {
      * @returns {EvalEntity}
      */
     evalInternal(scope) {
+        // the conditions after the first aren't always evaluated, so `?` isn't allowed in them
+        const nextCondScope = new Scope(scope, false, null)
+
         for (let c of this._conditions) {
-            const cVal_ = c.eval(scope)
+            const cVal_ = c.eval(
+                c == this._conditions[0] ? scope : nextCondScope
+            )
             if (!cVal_) {
                 continue
             }
@@ -176,7 +181,11 @@ export class IfElseExpr extends Expr {
 
         for (let b of this._branches) {
             // don't allow shadowing
-            const branchScope = new Scope(scope, false)
+            const branchScope = new Scope(
+                scope,
+                false,
+                b.initOptionPropagation(this.optionPropagation)
+            )
 
             const branchVal = b.evalAsTyped(branchScope)
 
@@ -203,11 +212,11 @@ export class IfElseExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         let n = this._conditions.length
 
         // each branch actually returns a function to allow deferred evaluation
-        let res = $([$("() -> {"), this._branches[n].toIR(ctx), $("}")])
+        let res = $([$("() -> {"), this._branches[n].toBranchIR(ctx), $("}")])
 
         // TODO: nice indentation
         for (let i = n - 1; i >= 0; i--) {
@@ -215,7 +224,7 @@ export class IfElseExpr extends Expr {
                 $("__core__ifThenElse("),
                 this._conditions[i].toIR(ctx),
                 $(", () -> {"),
-                this._branches[i].toIR(ctx),
+                this._branches[i].toBranchIR(ctx),
                 $("}, () -> {"),
                 res,
                 $("()})")
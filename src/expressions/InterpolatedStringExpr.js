@@ -0,0 +1,175 @@
+import { makeTypeError } from "@helios-lang/compiler-utils"
+import { $ } from "@helios-lang/ir"
+import { expectDefined } from "@helios-lang/type-utils"
+import { ToIRContext } from "../codegen/index.js"
+import { Scope } from "../scopes/index.js"
+import { DataEntity, FuncType, StringType } from "../typecheck/index.js"
+import { Expr } from "./Expr.js"
+
+/**
+ * @import { Site } from "@helios-lang/compiler-utils"
+ * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
+ * @typedef {import("../typecheck/index.js").EvalEntity} EvalEntity
+ * @typedef {import("../typecheck/index.js").Type} Type
+ */
+
+/**
+ * `"...${expr}..."` expression.
+ * Interpolated String values are inserted as is, other values are converted using their `show` method
+ */
+export class InterpolatedStringExpr extends Expr {
+    /**
+     * Literal text and interpolated expressions, in order
+     * @private
+     * @readonly
+     * @type {(string | Expr)[]}
+     */
+    _parts
+
+    /**
+     * Set for the message args of `print`, `error` and `assert`
+     * @private
+     * @type {boolean}
+     */
+    _isTraceMessage
+
+    /**
+     * @param {Site} site
+     * @param {(string | Expr)[]} parts
+     */
+    constructor(site, parts) {
+        super(site)
+        this._parts = parts
+        this._isTraceMessage = false
+    }
+
+    /**
+     * The whole string is elided when traces are stripped
+     */
+    markAsTraceMessage() {
+        this._isTraceMessage = true
+    }
+
+    /**
+     * @param {Scope} scope
+     * @returns {EvalEntity}
+     */
+    evalInternal(scope) {
+        for (let part of this._parts) {
+            if (typeof part == "string") {
+                continue
+            }
+
+            const type = part.evalAsTyped(scope).type
+
+            if (!StringType.isBaseOf(type) && !getShowPath(type)) {
+                throw makeTypeError(
+                    part.site,
+                    `${type.toString()} doesn't have a 'show' method`
+                )
+            }
+        }
+
+        return new DataEntity(StringType)
+    }
+
+    /**
+     * @param {ToIRContext} ctx
+     * @returns {SourceMappedStringI}
+     */
+    toIRInternal(ctx) {
+        if (this._isTraceMessage && ctx.stripsTraces) {
+            return $(`""`, this.site)
+        }
+
+        /**
+         * @type {SourceMappedStringI[]}
+         */
+        const irs = []
+
+        for (let part of this._parts) {
+            if (typeof part == "string") {
+                irs.push($(`"${escapeStringLiteral(part)}"`, this.site))
+            } else {
+                const type = expectDefined(part.cache?.asTyped).type
+
+                if (StringType.isBaseOf(type)) {
+                    irs.push(part.toIR(ctx))
+                } else {
+                    irs.push(
+                        $([
+                            $(`${expectDefined(getShowPath(type))}__show`),
+                            $("(", part.site),
+                            part.toIR(ctx),
+                            $(")()")
+                        ])
+                    )
+                }
+            }
+        }
+
+        if (irs.length == 0) {
+            return $(`""`, this.site)
+        }
+
+        return irs.reduceRight((acc, ir) =>
+            $([$("__core__appendString("), ir, $(", "), acc, $(")")])
+        )
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return `f"${this._parts.map((p) => (typeof p == "string" ? escapeStringLiteral(p).split("${").join("$${") : `\${${p.toString()}}`)).join("")}"`
+    }
+}
+
+/**
+ * The literal parts contain the unescaped text of the string literal, which must be escaped again before being inserted into the IR
+ * @param {string} s
+ * @returns {string}
+ */
+function escapeStringLiteral(s) {
+    return s
+        .split("\\")
+        .join("\\\\")
+        .split('"')
+        .join('\\"')
+        .split("\n")
+        .join("\\n")
+        .split("\t")
+        .join("\\t")
+}
+
+/**
+ * Returns the path of the type that defines the `show` method, or undefined if the type doesn't have a `show` method
+ * @param {Type} type
+ * @returns {string | undefined}
+ */
+function getShowPath(type) {
+    const named = type.asNamed
+
+    if (!named) {
+        return undefined
+    }
+
+    let show = type.instanceMembers.show
+    let path = named.path
+
+    // enum members inherit the show method of the parent enum type
+    if (!show && named.asEnumMemberType) {
+        show = named.asEnumMemberType.parentType.instanceMembers.show
+        path = named.asEnumMemberType.parentType.path
+    }
+
+    if (
+        show instanceof FuncType &&
+        show.nArgs == 0 &&
+        StringType.isBaseOf(show.retType)
+    ) {
+        return path
+    } else {
+        return undefined
+    }
+}
@@ -101,7 +101,7 @@ export class ListLiteralExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         let ir = $("__core__mkNilData(())")
 
         // starting from last element, keeping prepending a data version of that item
@@ -70,7 +70,7 @@ export class LiteralDataExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         return $(this.toString(), this.site)
     }
 
@@ -0,0 +1,103 @@
+import { makeTypeError } from "@helios-lang/compiler-utils"
+import { $ } from "@helios-lang/ir"
+import { ToIRContext } from "../codegen/index.js"
+import { Scope } from "../scopes/index.js"
+import { BoolType } from "../typecheck/index.js"
+import { Expr } from "./Expr.js"
+import { PrimitiveLiteralExpr } from "./PrimitiveLiteralExpr.js"
+
+/**
+ * @import { Site } from "@helios-lang/compiler-utils"
+ * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
+ * @typedef {import("../typecheck/index.js").Typed} Typed
+ */
+
+/**
+ * Switch case matching an Int, String or ByteArray literal
+ */
+export class LiteralSwitchCase {
+    /**
+     * @readonly
+     * @type {Site}
+     */
+    site
+
+    /**
+     * @readonly
+     * @type {PrimitiveLiteralExpr}
+     */
+    literal
+
+    /**
+     * @readonly
+     * @type {Expr}
+     */
+    body
+
+    /**
+     * @readonly
+     * @type {Expr | undefined}
+     */
+    guard
+
+    /**
+     * @param {Site} site
+     * @param {PrimitiveLiteralExpr} literal
+     * @param {Expr} body
+     * @param {Expr | undefined} guard - optional condition following the 'if' keyword
+     */
+    constructor(site, literal, body, guard = undefined) {
+        this.site = site
+        this.literal = literal
+        this.body = body
+        this.guard = guard
+    }
+
+    /**
+     * @param {Scope} scope
+     * @returns {Typed}
+     */
+    eval(scope) {
+        if (this.guard) {
+            // the guard isn't always evaluated, so `?` isn't allowed in it
+            const guardVal = this.guard.eval(
+                new Scope(scope, false, null)
+            ).asTyped
+
+            if (!guardVal || !BoolType.isBaseOf(guardVal.type)) {
+                throw makeTypeError(this.guard.site, "expected bool")
+            }
+        }
+
+        const bodyVal = this.body.eval(scope).asTyped
+
+        if (!bodyVal) {
+            throw makeTypeError(this.body.site, "not typed")
+        }
+
+        return bodyVal
+    }
+
+    /**
+     * @param {ToIRContext} ctx
+     * @param {string} equalsBuiltin - name of the builtin used to compare the literal with the control value
+     * @param {SourceMappedStringI} control
+     * @returns {SourceMappedStringI}
+     */
+    toControlIR(ctx, equalsBuiltin, control) {
+        const test = $`${equalsBuiltin}(${control}, ${this.literal.toIR(ctx)})`
+
+        if (this.guard) {
+            return $`__helios__bool__and(() -> {${test}}, () -> {${this.guard.toIR(ctx)}})`
+        } else {
+            return test
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return `${this.literal.toString()}${this.guard ? ` if ${this.guard.toString()}` : ""} => ${this.body.toString()}`
+    }
+}
@@ -0,0 +1,222 @@
+import { makeDummySite, makeTypeError } from "@helios-lang/compiler-utils"
+import { $ } from "@helios-lang/ir"
+import { TAB, ToIRContext } from "../codegen/index.js"
+import { Scope } from "../scopes/index.js"
+import {
+    ByteArrayType,
+    ErrorEntity,
+    IntType,
+    StringType
+} from "../typecheck/index.js"
+import { Expr } from "./Expr.js"
+import { IfElseExpr } from "./IfElseExpr.js"
+import { LiteralSwitchCase } from "./LiteralSwitchCase.js"
+import { SwitchDefault } from "./SwitchDefault.js"
+
+/**
+ * @import { Site } from "@helios-lang/compiler-utils"
+ * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
+ * @typedef {import("../typecheck/index.js").DataType} DataType
+ * @typedef {import("../typecheck/index.js").EvalEntity} EvalEntity
+ * @typedef {import("../typecheck/index.js").Type} Type
+ */
+
+const IR_CONTROL_EXPR_NAME = "__cond"
+
+/**
+ * The types that can be switched on, along with the builtins used to compare the control value with the case literals
+ * @type {[DataType, string][]}
+ */
+const LITERAL_SWITCH_TYPES = [
+    [IntType, "__core__equalsInteger"],
+    [StringType, "__core__equalsString"],
+    [ByteArrayType, "__core__equalsByteString"]
+]
+
+/**
+ * Switch expression for Int, String and ByteArray values, with LiteralSwitchCases and a mandatory SwitchDefault as children
+ */
+export class LiteralSwitchExpr extends Expr {
+    /**
+     * @readonly
+     * @type {Site}
+     */
+    dotSite
+
+    /**
+     * @readonly
+     * @type {Expr}
+     */
+    controlExpr
+
+    /**
+     * @readonly
+     * @type {LiteralSwitchCase[]}
+     */
+    cases
+
+    /**
+     * @readonly
+     * @type {SwitchDefault}
+     */
+    defaultCase
+
+    /**
+     * Set during type evaluation
+     * @private
+     * @type {string}
+     */
+    _equalsBuiltin
+
+    /**
+     * @param {Site} site
+     * @param {Site} dotSite
+     * @param {Expr} controlExpr - input value of the switch
+     * @param {LiteralSwitchCase[]} cases
+     * @param {SwitchDefault} defaultCase
+     */
+    constructor(site, dotSite, controlExpr, cases, defaultCase) {
+        super(site)
+        this.dotSite = dotSite
+        this.controlExpr = controlExpr
+        this.cases = cases
+        this.defaultCase = defaultCase
+        this._equalsBuiltin = ""
+    }
+
+    /**
+     * @param {Scope} scope
+     * @returns {EvalEntity}
+     */
+    evalInternal(scope) {
+        const controlVal = this.controlExpr.eval(scope).asTyped
+
+        if (!controlVal) {
+            throw makeTypeError(this.controlExpr.site, "not typed")
+        }
+
+        const entry = LITERAL_SWITCH_TYPES.find(([t]) =>
+            t.isBaseOf(controlVal.type)
+        )
+
+        if (!entry) {
+            throw makeTypeError(
+                this.controlExpr.site,
+                `expected Int, String or ByteArray, got ${controlVal.type.toString()}`
+            )
+        }
+
+        const [controlType, equalsBuiltin] = entry
+
+        this._equalsBuiltin = equalsBuiltin
+
+        /**
+         * @type {Type | undefined}
+         */
+        let branchMultiType = undefined
+
+        this.cases.forEach((c, i) => {
+            if (!controlType.isBaseOf(c.literal.type)) {
+                throw makeTypeError(
+                    c.literal.site,
+                    `expected ${controlType.toString()} literal, got ${c.literal.type.toString()}`
+                )
+            }
+
+            // a guarded case doesn't cover its literal, so it can be followed by a case with the same literal
+            const prev = this.cases
+                .slice(0, i)
+                .find(
+                    (prev) =>
+                        !prev.guard &&
+                        prev.literal.toString() == c.literal.toString()
+                )
+
+            if (prev) {
+                throw makeTypeError(
+                    c.literal.site,
+                    `duplicate switch case '${c.literal.toString()}'`
+                )
+            }
+
+            branchMultiType = IfElseExpr.reduceBranchMultiType(
+                c.site,
+                branchMultiType,
+                c.eval(
+                    new Scope(
+                        scope,
+                        false,
+                        c.body.initOptionPropagation(this.optionPropagation)
+                    )
+                )
+            )
+        })
+
+        branchMultiType = IfElseExpr.reduceBranchMultiType(
+            this.defaultCase.site,
+            branchMultiType,
+            this.defaultCase.eval(
+                new Scope(
+                    scope,
+                    false,
+                    this.defaultCase.body.initOptionPropagation(
+                        this.optionPropagation
+                    )
+                )
+            )
+        )
+
+        if (!branchMultiType) {
+            return new ErrorEntity()
+        } else {
+            return branchMultiType.toTyped()
+        }
+    }
+
+    /**
+     * @param {ToIRContext} ctx
+     * @returns {SourceMappedStringI}
+     */
+    toIRInternal(ctx) {
+        const switchLambdaSite = this.site.withDescription("<switch>")
+        const control = $(IR_CONTROL_EXPR_NAME)
+
+        let res = $`${this.defaultCase.body.toBranchIR(ctx.tab().tab())}`
+
+        for (let i = this.cases.length - 1; i >= 0; i--) {
+            const c = this.cases[i]
+
+            res = $`__core__ifThenElse(
+				${c.toControlIR(ctx, this._equalsBuiltin, control)},
+				() ${$("->", switchLambdaSite)} {
+					${c.body.toBranchIR(ctx.tab().tab())}
+				}, () ${$("->", switchLambdaSite)} {
+					${res}
+				}
+			)()`
+        }
+
+        return $([
+            $("("),
+            $(
+                IR_CONTROL_EXPR_NAME,
+                makeDummySite().withDescription("<condition>")
+            ),
+            $(") "),
+            $("->", switchLambdaSite),
+            $(` {\n${ctx.indent}${TAB}`),
+            res,
+            $(`\n${ctx.indent}}`),
+            $("(", this.dotSite),
+            this.controlExpr.toIR(ctx),
+            $(")")
+        ])
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return `${this.controlExpr.toString()}.switch{${this.cases.map((c) => c.toString()).join(", ")}, ${this.defaultCase.toString()}}`
+    }
+}
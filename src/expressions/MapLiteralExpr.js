@@ -145,7 +145,7 @@ export class MapLiteralExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         let ir = $("__core__mkNilPairData(())")
 
         // starting from last element, keeping prepending a data version of that item
@@ -88,7 +88,7 @@ export class MemberExpr extends Expr {
      * @param {string} params - applied type parameters must be inserted Before the call to self
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx, params = "") {
+    toIRInternal(ctx, params = "") {
         // members can be functions so, field getters are also encoded as functions for consistency
 
         const objType = expectDefined(
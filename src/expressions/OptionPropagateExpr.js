@@ -0,0 +1,108 @@
+import { makeTypeError } from "@helios-lang/compiler-utils"
+import { $ } from "@helios-lang/ir"
+import { expectDefined } from "@helios-lang/type-utils"
+import { ToIRContext } from "../codegen/index.js"
+import { Scope } from "../scopes/index.js"
+import { FuncType, isOptionType } from "../typecheck/index.js"
+import { Expr } from "./Expr.js"
+
+/**
+ * @typedef {import("@helios-lang/compiler-utils").Site} Site
+ * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
+ * @typedef {import("../typecheck/index.js").EvalEntity} EvalEntity
+ */
+
+/**
+ * Postfix `?` expression: unwraps a `Some`, or returns `None` from the enclosing function.
+ * The rest of the enclosing branch is only evaluated if the Option is `Some` (see OptionPropagation)
+ */
+export class OptionPropagateExpr extends Expr {
+    /**
+     * @readonly
+     * @type {Expr}
+     */
+    operandExpr
+
+    /**
+     * Name of the IR variable holding the unwrapped value, set during evaluation
+     * @private
+     * @type {string | undefined}
+     */
+    _name
+
+    /**
+     * @param {Site} site
+     * @param {Expr} operandExpr
+     */
+    constructor(site, operandExpr) {
+        super(site)
+        this.operandExpr = operandExpr
+        this._name = undefined
+    }
+
+    /**
+     * @type {string}
+     */
+    get optionPath() {
+        return expectDefined(this.operandExpr.cache?.asTyped?.type.asNamed).path
+    }
+
+    /**
+     * @param {Scope} scope
+     * @returns {EvalEntity}
+     */
+    evalInternal(scope) {
+        // the expressions evaluated before the operand are assigned to variables before the Option check
+        const nBefore = scope.getOptionPropagation()?.nPending ?? 0
+
+        const optionType = this.operandExpr.evalAsTyped(scope).type
+
+        if (!isOptionType(optionType)) {
+            throw makeTypeError(
+                this.operandExpr.site,
+                `expected Option for '?', got ${optionType.toString()}`
+            )
+        }
+
+        const propagation = scope.getOptionPropagation()
+
+        if (propagation === null) {
+            throw makeTypeError(
+                this.site,
+                "'?' can't be used in a conditional branch that isn't returned by the function"
+            )
+        }
+
+        if (!propagation?.retType || !isOptionType(propagation.retType)) {
+            throw makeTypeError(
+                this.site,
+                "'?' can only be used in functions returning an Option"
+            )
+        }
+
+        this._name = propagation.register(this, nBefore)
+
+        const unwrap = optionType.instanceMembers.unwrap
+
+        if (!(unwrap instanceof FuncType)) {
+            throw new Error("unexpected")
+        }
+
+        return unwrap.retType.toTyped()
+    }
+
+    /**
+     * @param {ToIRContext} ctx
+     * @returns {SourceMappedStringI}
+     */
+    toIRInternal(ctx) {
+        return $(expectDefined(this._name), this.site)
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return `${this.operandExpr.toString()}?`
+    }
+}
@@ -0,0 +1,175 @@
+import { $ } from "@helios-lang/ir"
+import { ToIRContext } from "../codegen/index.js"
+
+/**
+ * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
+ * @typedef {import("../typecheck/index.js").Type} Type
+ * @typedef {import("./Expr.js").ExprI} ExprI
+ * @typedef {import("./OptionPropagateExpr.js").OptionPropagateExpr} OptionPropagateExpr
+ */
+
+/**
+ * A `?` expression whose Option is checked, or an expression that is evaluated before a `?`
+ * @typedef {{
+ *   kind: "check"
+ *   expr: OptionPropagateExpr
+ * } | {
+ *   kind: "value"
+ *   expr: ExprI
+ * }} PropagationStep
+ */
+
+const IR_PROPAGATED_PREFIX = "__propagated"
+
+/**
+ * Collects the `?` expressions that return `None` early from a branch in tail position.
+ * The Option of a `?` is checked where its operand is evaluated, and the rest of the branch is nested inside the `Some` case.
+ * Parts of the rest of the branch that are evaluated before the `?` (eg. `g(1)` in `g(1) + m.get_safe(k)?`) are assigned to variables before the check, so the evaluation order doesn't change.
+ */
+export class OptionPropagation {
+    /**
+     * Return type of the enclosing function, undefined if it isn't declared
+     * @readonly
+     * @type {Type | undefined}
+     */
+    retType
+
+    /**
+     * In evaluation order
+     * @private
+     * @readonly
+     * @type {PropagationStep[]}
+     */
+    _steps
+
+    /**
+     * Outermost value expressions evaluated since the last `?`, in evaluation order
+     * @private
+     * @type {ExprI[]}
+     */
+    _pending
+
+    /**
+     * @param {Type | undefined} retType
+     */
+    constructor(retType) {
+        this.retType = retType
+        this._steps = []
+        this._pending = []
+    }
+
+    /**
+     * Number of expressions evaluated since the last `?`
+     * @type {number}
+     */
+    get nPending() {
+        return this._pending.length
+    }
+
+    /**
+     * Called after evaluating an expression of the branch.
+     * The expressions evaluated while evaluating `expr` (i.e. since `nPending` was equal to `start`) are part of `expr`, so they are replaced by it.
+     * Literals and functions aren't assigned to variables, so they are left out, but their sub-expressions aren't.
+     * @param {ExprI} expr
+     * @param {number} start
+     */
+    evaluated(expr, start) {
+        if (
+            !expr.cache?.asTyped ||
+            expr.cache.asFunc ||
+            expr.isLiteral() ||
+            this.findStep(expr) != -1
+        ) {
+            return
+        }
+
+        this._pending = this._pending.slice(0, start)
+        this._pending.push(expr)
+    }
+
+    /**
+     * The expressions evaluated before the operand of `expr` are assigned to variables before the Option is checked
+     * @param {OptionPropagateExpr} expr
+     * @param {number} nBefore - `nPending` before evaluating the operand of `expr`
+     * @returns {string} - name of the IR variable holding the unwrapped value
+     */
+    register(expr, nBefore) {
+        this._pending.slice(0, nBefore).forEach((e) => {
+            this._steps.push({ kind: "value", expr: e })
+        })
+
+        this._pending = []
+
+        let i = this.findStep(expr)
+
+        if (i == -1) {
+            i = this._steps.length
+            this._steps.push({ kind: "check", expr })
+        }
+
+        return `${IR_PROPAGATED_PREFIX}${i}`
+    }
+
+    /**
+     * @private
+     * @param {ExprI} expr
+     * @returns {number}
+     */
+    findStep(expr) {
+        return this._steps.findIndex((s) => s.expr == expr)
+    }
+
+    /**
+     * The steps are nested in evaluation order, so an expression can depend on a previously unwrapped value.
+     * Inside the nesting, the `toIR()` of the expressions that were assigned to variables returns a reference to those variables (see `ToIRContext.withHoistedName()`)
+     * @param {ToIRContext} ctx
+     * @param {(ctx: ToIRContext) => SourceMappedStringI} toIR - IR of the branch
+     * @returns {SourceMappedStringI}
+     */
+    wrapIR(ctx, toIR) {
+        /**
+         * The context of step i only contains the variables of the steps before it
+         * @type {ToIRContext[]}
+         */
+        const stepCtxs = [ctx]
+
+        this._steps.forEach((step, i) => {
+            stepCtxs.push(
+                step.kind == "value"
+                    ? stepCtxs[i].withHoistedName(
+                          step.expr,
+                          `${IR_PROPAGATED_PREFIX}${i}`
+                      )
+                    : stepCtxs[i]
+            )
+        })
+
+        let ir = toIR(stepCtxs[this._steps.length])
+
+        for (let i = this._steps.length - 1; i >= 0; i--) {
+            const step = this._steps[i]
+            const expr = step.expr
+            const name = `${IR_PROPAGATED_PREFIX}${i}`
+
+            if (step.kind == "value") {
+                ir = $`(${name}) ${$("->", expr.site)} {
+    ${ir}
+}${$("(", expr.site)}${expr.toIR(stepCtxs[i])})`
+            } else {
+                ir = $`(${name}) ${$("->", expr.site)} {
+    __core__ifThenElse(
+        __helios__common__enum_tag_equals(${name}, 1),
+        () -> {__helios__option__NONE},
+        () -> {
+            (${name}) -> {
+                ${ir}
+            }(${step.expr.optionPath}__unwrap(${name})())
+        }
+    )()
+}${$("(", expr.site)}${step.expr.operandExpr.toIR(stepCtxs[i])})`
+            }
+        }
+
+        return ir
+    }
+}
@@ -98,11 +98,12 @@ export class ParametricExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         const params = ParametricExpr.toApplicationIR(this.paramTypes)
 
         if (this._baseExpr instanceof MemberExpr) {
-            return this._baseExpr.toIR(ctx, params)
+            // parametric members are functions, which are never hoisted (see OptionPropagation)
+            return this._baseExpr.toIRInternal(ctx, params)
         } else {
             return $(
                 [$`${this._baseExpr.toIR(ctx).toString()}${params}`],
@@ -74,7 +74,7 @@ export class ParensExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         if (this._exprs.length === 0) {
             return $`()`
         } else if (this._exprs.length === 1) {
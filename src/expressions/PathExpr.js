@@ -2,6 +2,7 @@ import { makeReferenceError } from "@helios-lang/compiler-utils"
 import { $ } from "@helios-lang/ir"
 import { ToIRContext } from "../codegen/index.js"
 import { Scope } from "../scopes/index.js"
+import { ModuleNamespace } from "../typecheck/index.js"
 import { Expr } from "./Expr.js"
 
 /**
@@ -66,7 +67,16 @@ export class PathExpr extends Expr {
             member = typeMembers[this._memberName.value]
         }
 
-        if (!member) {
+        if (
+            !member &&
+            base instanceof ModuleNamespace &&
+            base.isPrivate(this._memberName.value)
+        ) {
+            throw makeReferenceError(
+                this._memberName.site,
+                `'${this._memberName.value}' is private to module '${base.name}'`
+            )
+        } else if (!member) {
             throw makeReferenceError(
                 this._memberName.site,
                 `${base.toString()}::${this._memberName.value} not found`
@@ -84,7 +94,7 @@ export class PathExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         const v = this.cache
 
         if (v?.asNamed) {
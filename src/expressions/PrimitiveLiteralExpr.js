@@ -79,7 +79,7 @@ export class PrimitiveLiteralExpr extends Expr {
      * @param {ToIRContext} _ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(_ctx) {
+    toIRInternal(_ctx) {
         if (this._primitive.kind == "real") {
             return $(this._primitive.value.toString(), this._primitive.site)
         } else {
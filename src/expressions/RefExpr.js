@@ -42,7 +42,7 @@ export class RefExpr extends Expr {
      * @param {ToIRContext} _ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(_ctx) {
+    toIRInternal(_ctx) {
         const path = this.cache?.asNamed
             ? this.cache.asNamed.path
             : this.name.value
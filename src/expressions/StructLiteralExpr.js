@@ -3,6 +3,7 @@ import { $ } from "@helios-lang/ir"
 import { expectDefined as expectDefined } from "@helios-lang/type-utils"
 import { ToIRContext } from "../codegen/index.js"
 import { Scope } from "../scopes/index.js"
+import { DataField } from "../statements/DataField.js"
 import { DataEntity } from "../typecheck/index.js"
 import { Expr } from "./Expr.js"
 import { StructLiteralField } from "./StructLiteralField.js"
@@ -10,10 +11,13 @@ import { StructLiteralField } from "./StructLiteralField.js"
 /**
  * @import { Site, Word } from "@helios-lang/compiler-utils"
  * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
+ * @typedef {import("../typecheck/index.js").DataType} DataType
  * @typedef {import("../typecheck/index.js").EvalEntity} EvalEntity
  * @typedef {import("../typecheck/index.js").Type} Type
  */
 
+const IR_BASE_NAME = "__base"
+
 /**
  * Struct literal constructor
  */
@@ -32,14 +36,32 @@ export class StructLiteralExpr extends Expr {
      */
     _fields
 
+    /**
+     * Fields that aren't given are taken from this value (eg. `State{..old, counter: 1}`)
+     * @private
+     * @readonly
+     * @type {Expr | undefined}
+     */
+    _baseExpr
+
+    /**
+     * Set if the base value has the parent enum type of the variant being constructed, so its constructor tag must be checked at runtime
+     * @private
+     * @type {number | bigint | undefined}
+     */
+    _baseConstrIndex
+
     /**
      * @param {Expr} typeExpr
      * @param {StructLiteralField[]} fields
+     * @param {Expr | undefined} baseExpr
      */
-    constructor(typeExpr, fields) {
+    constructor(typeExpr, fields, baseExpr = undefined) {
         super(typeExpr.site)
         this._typeExpr = typeExpr
         this._fields = fields
+        this._baseExpr = baseExpr
+        this._baseConstrIndex = undefined
     }
 
     /**
@@ -58,11 +80,32 @@ export class StructLiteralExpr extends Expr {
             )
         }
 
-        if (type.fieldNames.length != this._fields.length) {
-            throw makeTypeError(
-                this.site,
-                `wrong number of fields for ${type.toString()}, expected ${type.fieldNames.length}, got ${this._fields.length}`
-            )
+        this.assertNoDuplicateFields()
+
+        if (this._baseExpr) {
+            const baseVal = this._baseExpr.eval(scope).asTyped
+
+            if (!baseVal) {
+                throw makeTypeError(this._baseExpr.site, "not typed")
+            }
+
+            const variantType = type.asEnumMemberType
+
+            if (
+                variantType &&
+                !baseVal.type.asEnumMemberType &&
+                variantType.parentType.isBaseOf(baseVal.type)
+            ) {
+                // eg. `Action::Withdraw{..action, amount: 1}` with `action: Action`
+                this._baseConstrIndex = variantType.constrIndex
+            } else if (!type.isBaseOf(baseVal.type)) {
+                throw makeTypeError(
+                    this._baseExpr.site,
+                    `expected ${type.toString()} for '..', got ${baseVal.type.toString()}`
+                )
+            }
+        } else {
+            this.assertAllFieldsGiven(type)
         }
 
         /**
@@ -140,6 +183,74 @@ export class StructLiteralExpr extends Expr {
         return new DataEntity(type)
     }
 
+    /**
+     * @private
+     */
+    assertNoDuplicateFields() {
+        if (!this.isNamed()) {
+            return
+        }
+
+        /**
+         * @type {Set<string>}
+         */
+        const names = new Set()
+
+        for (let f of this._fields) {
+            if (names.has(f.name.value)) {
+                throw makeTypeError(
+                    f.name.site,
+                    `duplicate field '${f.name.value}'`
+                )
+            }
+
+            names.add(f.name.value)
+        }
+    }
+
+    /**
+     * Positional literals can't have more fields than the type, and omitted fields must have a default value
+     * @private
+     * @param {DataType} type
+     */
+    assertAllFieldsGiven(type) {
+        const nFields = type.fieldNames.length
+
+        if (!this.isNamed() && this._fields.length > nFields) {
+            throw makeTypeError(
+                this._fields[nFields].site,
+                `unexpected field ${nFields} for ${type.toString()}, expected at most ${nFields} fields`
+            )
+        }
+
+        const missing = this.getOmittedFieldNames(type).filter(
+            (name) => !type.typeMembers[DataField.defaultMemberName(name)]
+        )
+
+        if (missing.length > 0) {
+            throw makeTypeError(
+                this.site,
+                `missing field${missing.length > 1 ? "s" : ""} ${missing.map((name) => `'${name}'`).join(", ")} for ${type.toString()}`
+            )
+        }
+    }
+
+    /**
+     * Named fields can be omitted anywhere, positional fields only at the end
+     * @private
+     * @param {DataType} type
+     * @returns {string[]}
+     */
+    getOmittedFieldNames(type) {
+        if (this.isNamed()) {
+            return type.fieldNames.filter(
+                (name) => !this._fields.some((f) => f.name.value == name)
+            )
+        } else {
+            return type.fieldNames.slice(this._fields.length)
+        }
+    }
+
     /**
      * @returns {boolean}
      */
@@ -172,34 +283,60 @@ export class StructLiteralExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         const type = expectDefined(this._typeExpr.cache?.asDataType)
 
-        const fields = this._fields.slice()
+        // sort fields by correct name, and fill in the omitted fields from the base value or the default values
+        const irFields = type.fieldNames.map((name, i) => {
+            const f = this.isNamed()
+                ? this._fields.find((f) => f.name.value == name)
+                : this._fields[i]
 
-        // sort fields by correct name
-        if (this.isNamed()) {
-            fields.sort(
-                (a, b) =>
-                    type.fieldNames.findIndex((n) => n == a.name.value) -
-                    type.fieldNames.findIndex((n) => n == b.name.value)
-            )
-        }
-
-        const irFields = fields.map((f) => f.toIR(ctx))
+            if (f) {
+                return f.toIR(ctx)
+            } else if (this._baseExpr) {
+                return $`${type.path}__${name}(${IR_BASE_NAME})`
+            } else {
+                return $(
+                    `${type.path}__${DataField.defaultMemberName(name)}`,
+                    this.site
+                )
+            }
+        })
 
-        return StructLiteralExpr.toIRInternal(
+        const ir = StructLiteralExpr.toIRInternal(
             ctx,
             this.site,
             type.path,
             irFields
         )
+
+        if (this._baseExpr) {
+            let baseIR = this._baseExpr.toIR(ctx)
+
+            if (this._baseConstrIndex !== undefined) {
+                baseIR = $`__helios__common__assert_constr_index(${baseIR}, ${this._baseConstrIndex.toString()})`
+            }
+
+            // the base value is only evaluated once
+            return $`(${IR_BASE_NAME}) -> {
+                ${ir}
+            }(${baseIR})`
+        } else {
+            return ir
+        }
     }
 
     /**
      * @returns {string}
      */
     toString() {
-        return `${this._typeExpr.toString()}{${this._fields.map((f) => f.toString()).join(", ")}}`
+        const fields = this._fields.map((f) => f.toString())
+
+        if (this._baseExpr) {
+            fields.unshift(`..${this._baseExpr.toString()}`)
+        }
+
+        return `${this._typeExpr.toString()}{${fields.join(", ")}}`
     }
 }
@@ -3,7 +3,7 @@ import { $ } from "@helios-lang/ir"
 import { expectDefined } from "@helios-lang/type-utils"
 import { TAB, ToIRContext } from "../codegen/index.js"
 import { Scope } from "../scopes/index.js"
-import { AllType } from "../typecheck/index.js"
+import { AllType, BoolType } from "../typecheck/index.js"
 import { DestructExpr } from "./DestructExpr.js"
 import { Expr } from "./Expr.js"
 
@@ -20,11 +20,12 @@ import { Expr } from "./Expr.js"
  *   site: Site
  *   lhs: DestructExpr
  *   body: Expr
+ *   guard: Expr | undefined
  *   memberNames: (Word | undefined)[]
  *   toString(): string
  *   evalEnumMember(scope: Scope, enumTypes: DataType[]): Typed
  *   toControlIR(ctx: ToIRContext, dataIRs: SourceMappedStringI[]): SourceMappedStringI
- *   toIR(ctx: ToIRContext): SourceMappedStringI
+ *   toIR(ctx: ToIRContext, fallthrough?: SourceMappedStringI): SourceMappedStringI
  * }} SwitchCaseI
  */
 
@@ -52,15 +53,24 @@ export class SwitchCase {
      */
     _bodyExpr
 
+    /**
+     * @private
+     * @readonly
+     * @type {Expr | undefined}
+     */
+    _guardExpr
+
     /**
      * @param {Site} site
      * @param {DestructExpr} lhs
      * @param {Expr} bodyExpr
+     * @param {Expr | undefined} guardExpr - optional condition following the 'if' keyword
      */
-    constructor(site, lhs, bodyExpr) {
+    constructor(site, lhs, bodyExpr, guardExpr = undefined) {
         this.site = site
         this.lhs = lhs
         this._bodyExpr = bodyExpr
+        this._guardExpr = guardExpr
     }
 
     /**
@@ -70,6 +80,14 @@ export class SwitchCase {
         return this._bodyExpr
     }
 
+    /**
+     * A guarded case doesn't cover all the values of its enum variants
+     * @type {Expr | undefined}
+     */
+    get guard() {
+        return this._guardExpr
+    }
+
     /**
      * Used by parser to check if typeExpr reference the same base enum
      * @type {(Word | undefined)[]} - word representation of type, TODO: change to list in order to allow  multi enum switch
@@ -96,7 +114,7 @@ export class SwitchCase {
      * @returns {string}
      */
     toString() {
-        return `${this.lhs.toString()} => ${this._bodyExpr.toString()}`
+        return `${this.lhs.toString()}${this._guardExpr ? ` if ${this._guardExpr.toString()}` : ""} => ${this._bodyExpr.toString()}`
     }
 
     /**
@@ -131,6 +149,17 @@ export class SwitchCase {
 
         this.lhs.evalInSwitchCase(caseScope, caseTypes)
 
+        if (this._guardExpr) {
+            // the guard isn't always evaluated, so `?` isn't allowed in it
+            const guardVal = this._guardExpr.eval(
+                new Scope(caseScope, false, null)
+            ).asTyped
+
+            if (!guardVal || !BoolType.isBaseOf(guardVal.type)) {
+                throw makeTypeError(this._guardExpr.site, "expected bool")
+            }
+        }
+
         const bodyVal = this._bodyExpr.eval(caseScope).asTyped
 
         if (!bodyVal) {
@@ -187,10 +216,27 @@ export class SwitchCase {
     /**
      * Accept an arg because will be called with the result of the controlexpr
      * @param {ToIRContext} ctx
+     * @param {SourceMappedStringI | undefined} fallthrough - evaluated instead of the body if the guard is false
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
-        let inner = this._bodyExpr.toIR(ctx.tab())
+    toIR(ctx, fallthrough = undefined) {
+        let inner = this._bodyExpr.toBranchIR(ctx.tab())
+
+        if (this._guardExpr) {
+            if (!fallthrough) {
+                throw new Error("unexpected")
+            }
+
+            inner = $`__core__ifThenElse(
+                ${this._guardExpr.toIR(ctx.tab())},
+                () -> {
+                    ${inner}
+                },
+                () -> {
+                    ${fallthrough}
+                }
+            )()`
+        }
 
         inner = this.lhs.wrapDestructIR(ctx, inner, 0)
 
@@ -69,7 +69,7 @@ export class SwitchDefault {
             $(`(_) `),
             $("->", this.site),
             $(` {\n${ctx.indent}${TAB}`),
-            this.body.toIR(ctx.tab()),
+            this.body.toBranchIR(ctx.tab()),
             $(`\n${ctx.indent}}`)
         ])
     }
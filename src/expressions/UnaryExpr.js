@@ -89,7 +89,7 @@ export class UnaryExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         const path = expectDefined(this.cache?.asTyped?.type?.asNamed).path
 
         return $([
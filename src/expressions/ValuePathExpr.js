@@ -55,7 +55,7 @@ export class ValuePathExpr extends PathExpr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         const v = this.cache
 
         if (
@@ -67,7 +67,7 @@ export class ValuePathExpr extends PathExpr {
                 $("()")
             ])
         } else {
-            return super.toIR(ctx)
+            return super.toIRInternal(ctx)
         }
     }
 }
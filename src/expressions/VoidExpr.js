@@ -34,7 +34,7 @@ export class VoidExpr extends Expr {
      * @param {ToIRContext} ctx
      * @returns {SourceMappedStringI}
      */
-    toIR(ctx) {
+    toIRInternal(ctx) {
         return $("()", this.site)
     }
 
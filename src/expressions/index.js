@@ -13,14 +13,19 @@ export { FuncArgTypeExpr } from "./FuncArgTypeExpr.js"
 export { FuncLiteralExpr } from "./FuncLiteralExpr.js"
 export { FuncTypeExpr } from "./FuncTypeExpr.js"
 export { IfElseExpr } from "./IfElseExpr.js"
+export { InterpolatedStringExpr } from "./InterpolatedStringExpr.js"
 export { IteratorTypeExpr } from "./IteratorTypeExpr.js"
 export { ListLiteralExpr } from "./ListLiteralExpr.js"
 export { ListTypeExpr } from "./ListTypeExpr.js"
 export { LiteralDataExpr } from "./LiteralDataExpr.js"
+export { LiteralSwitchCase } from "./LiteralSwitchCase.js"
+export { LiteralSwitchExpr } from "./LiteralSwitchExpr.js"
 export { MapLiteralExpr } from "./MapLiteralExpr.js"
 export { MapTypeExpr } from "./MapTypeExpr.js"
 export { MemberExpr } from "./MemberExpr.js"
 export { NameTypePair } from "./NameTypePair.js"
+export { OptionPropagateExpr } from "./OptionPropagateExpr.js"
+export { OptionPropagation } from "./OptionPropagation.js"
 export { OptionTypeExpr } from "./OptionTypeExpr.js"
 export { ParametricExpr } from "./ParametricExpr.js"
 export { ParensExpr } from "./ParensExpr.js"
@@ -8,6 +8,8 @@ export const SCRIPT_PURPOSES = /** @type {const} */ ([
     "spending",
     "minting",
     "staking",
+    "voting",
+    "proposing",
     "module",
     "testing",
     "mixed"
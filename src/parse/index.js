@@ -1,10 +1,12 @@
 import { DEFAULT_PARSE_OPTIONS } from "@helios-lang/ir"
+import { builtinsV3 } from "@helios-lang/uplc"
 import { PARAM_IR_PREFIX } from "../codegen/index.js"
 export { createSource, parseScript } from "./parseScript.js"
 
 /**
  * @typedef {import("@helios-lang/ir").ParseOptions} ParseOptions
  * @typedef {import("./parseScript.js").ParsedScript} ParsedScript
+ * @typedef {import("../codegen/index.js").PlutusVersion} PlutusVersion
  */
 
 /**
@@ -16,3 +18,31 @@ export const IR_PARSE_OPTIONS = {
     errorPrefix: "",
     paramPrefix: PARAM_IR_PREFIX
 }
+
+/**
+ * The builtins that were introduced in Plutus V3 are only accepted for "PlutusScriptV3".
+ * The V2 builtins keep the same ids in both versions.
+ * @param {PlutusVersion} plutusVersion
+ * @returns {ParseOptions}
+ */
+export function makeIRParseOptions(plutusVersion) {
+    if (plutusVersion == "PlutusScriptV3") {
+        return {
+            ...IR_PARSE_OPTIONS,
+            builtins: Object.fromEntries(
+                builtinsV3.map((b, id) => [
+                    b.name,
+                    {
+                        id: id,
+                        nForce: b.forceCount,
+                        nArgs: b.nArgs,
+                        canFail: false,
+                        sideEffects: false
+                    }
+                ])
+            )
+        }
+    } else {
+        return IR_PARSE_OPTIONS
+    }
+}
@@ -1,4 +1,8 @@
-import { oneOf, word } from "@helios-lang/compiler-utils"
+import { oneOf, symbol, word } from "@helios-lang/compiler-utils"
+
+/**
+ * @import { Token, TokenReader } from "@helios-lang/compiler-utils"
+ */
 
 /**
  * @typedef {(typeof topLevelKeywords) extends ReadonlyArray<infer T> ? T: never} TopLevelKeyword
@@ -9,6 +13,36 @@ export const topLevelKeywords = /** @type {const} */ ([
     "enum",
     "func",
     "import",
-    "struct"
+    "newtype",
+    "private",
+    "struct",
+    "trait",
+    "type"
 ])
 export const anyTopLevelKeyword = oneOf(topLevelKeywords.map((kw) => word(kw)))
+
+const memberAccessSymbol = oneOf([symbol("."), symbol("::")])
+
+/**
+ * Reads until the next top-level keyword that starts a statement.
+ * Keywords following a '.' or '::' are member names (eg. `s.type`) and are skipped.
+ * @param {TokenReader} r
+ * @returns {TokenReader}
+ */
+export function readUntilTopLevelKeyword(r) {
+    const tokens = r.rest
+
+    /**
+     * @type {Token | undefined}
+     */
+    const stop = tokens.find(
+        (t, i) =>
+            anyTopLevelKeyword.matches(t) &&
+            !(i > 0 && memberAccessSymbol.matches(tokens[i - 1]))
+    )
+
+    return r.readUntil({
+        matches: (t) => (stop && t === stop ? t : undefined),
+        toString: () => (stop ? stop.toString() : "<top-level keyword>")
+    })
+}
@@ -1,4 +1,5 @@
 import {
+    makeIntLiteral,
     makeTokenReader,
     makeWord,
     anyWord,
@@ -21,8 +22,11 @@ import {
     Expr,
     IfElseExpr,
     ListLiteralExpr,
+    LiteralSwitchCase,
+    LiteralSwitchExpr,
     MapLiteralExpr,
     MemberExpr,
+    OptionPropagateExpr,
     ParametricExpr,
     ParensExpr,
     PrimitiveLiteralExpr,
@@ -36,6 +40,7 @@ import {
 } from "../expressions/index.js"
 import { ParseContext } from "./ParseContext.js"
 import { makeFuncLiteralExprParser } from "./parseFuncLiteralExpr.js"
+import { makeInterpolatedStringExprParser } from "./parseInterpolatedStringExpr.js"
 import { parseTypeExpr } from "./parseTypeExpr.js"
 import { anyName } from "./parseName.js"
 import { parseDestructExpr } from "./parseDestructExpr.js"
@@ -51,6 +56,8 @@ import { parseDestructExpr } from "./parseDestructExpr.js"
  */
 export function makeChainedExprParser(parseValueExpr) {
     const parseFuncLiteralExpr = makeFuncLiteralExprParser(parseValueExpr)
+    const parseInterpolatedStringExpr =
+        makeInterpolatedStringExprParser(parseValueExpr)
 
     /**
      * @param {ParseContext} ctx
@@ -85,6 +92,8 @@ export function makeChainedExprParser(parseValueExpr) {
             const [kw, firstCond, firstBranch] = m
 
             return parseIfElseExpr(ctx, kw, firstCond, firstBranch)
+        } else if ((m = r.matches(word("f"), strlit()))) {
+            return parseInterpolatedStringExpr(ctx, m[0], m[1])
         } else if (
             (m = r.matches(
                 oneOf([intlit(), boollit(), reallit, strlit(), byteslit()])
@@ -172,6 +181,25 @@ export function makeChainedExprParser(parseValueExpr) {
                 const [dot, memberName] = m
 
                 expr = new MemberExpr(dot.site, expr, memberName)
+            } else if ((m = r.matches(symbol("."), intlit()))) {
+                const [dot, index] = m
+
+                expr = new MemberExpr(
+                    dot.site,
+                    expr,
+                    makeWord({
+                        value: index.value.toString(),
+                        site: index.site
+                    })
+                )
+            } else if ((m = r.matches(symbol("."), reallit))) {
+                // `t.0.1` is tokenized as `t`, `.`, `0.1`
+                ctx.errors.syntax(
+                    m[1].site,
+                    "nested tuple element access requires parentheses (e.g. '(t.0).1')"
+                )
+            } else if ((m = r.matches(symbol("?")))) {
+                expr = new OptionPropagateExpr(m.site, expr)
             } else {
                 r.endMatch()
 
@@ -294,7 +322,7 @@ export function makeChainedExprParser(parseValueExpr) {
      * @param {SymbolToken} dot
      * @param {Word} kw
      * @param {GenericGroup<TokenReader>} braces
-     * @returns {EnumSwitchExpr}
+     * @returns {EnumSwitchExpr | LiteralSwitchExpr}
      */
     function parseSwitchExpr(ctx, objExpr, dot, kw, braces) {
         /**
@@ -302,6 +330,11 @@ export function makeChainedExprParser(parseValueExpr) {
          */
         const cases = []
 
+        /**
+         * @type {LiteralSwitchCase[]}
+         */
+        const literalCases = []
+
         /**
          * @type {SwitchDefault | undefined}
          */
@@ -328,7 +361,52 @@ export function makeChainedExprParser(parseValueExpr) {
 
                 def = new SwitchDefault(darrow.site, bodyExpr)
             } else if ((m = f.findNextMatch(symbol("=>")))) {
-                const [before, darrow] = m
+                let [before, darrow] = m
+
+                /**
+                 * @type {Expr | undefined}
+                 */
+                let guardExpr = undefined
+
+                // the optional guard follows the 'if' keyword, and ends at '=>'
+                if ((m = before.findNextMatch(word("if")))) {
+                    const [lhs, ifKw] = m
+
+                    guardExpr = parseValueExpr(
+                        ctx.atSite(ifKw.site).withReader(before),
+                        0
+                    )
+
+                    before = lhs
+                }
+
+                const literal = parseSwitchCaseLiteral(before)
+
+                if (literal || literalCases.length > 0) {
+                    if (!literal || cases.length > 0) {
+                        ctx.errors.syntax(
+                            darrow.site,
+                            "inconsistent switch case condition"
+                        )
+                    }
+
+                    const bodyExpr = parseBracedValueExpr(
+                        ctx.atSite(darrow.site).withReader(f)
+                    )
+
+                    if (literal) {
+                        literalCases.push(
+                            new LiteralSwitchCase(
+                                darrow.site,
+                                literal,
+                                bodyExpr,
+                                guardExpr
+                            )
+                        )
+                    }
+
+                    return
+                }
 
                 let destructExpr = parseDestructExpr(
                     ctx.atSite(darrow.site).withReader(before),
@@ -346,7 +424,12 @@ export function makeChainedExprParser(parseValueExpr) {
                 const bodyExpr = parseBracedValueExpr(
                     ctx.atSite(darrow.site).withReader(f)
                 )
-                const cs = new SwitchCase(darrow.site, destructExpr, bodyExpr)
+                const cs = new SwitchCase(
+                    darrow.site,
+                    destructExpr,
+                    bodyExpr,
+                    guardExpr
+                )
 
                 cases.push(cs)
             } else {
@@ -355,9 +438,51 @@ export function makeChainedExprParser(parseValueExpr) {
             }
         })
 
+        if (literalCases.length > 0) {
+            if (!def) {
+                ctx.errors.syntax(kw.site, "missing 'else' switch case")
+                def = new SwitchDefault(kw.site, new VoidExpr(kw.site))
+            }
+
+            return new LiteralSwitchExpr(
+                kw.site,
+                dot.site,
+                objExpr,
+                literalCases,
+                def
+            )
+        }
+
         return new EnumSwitchExpr(kw.site, dot.site, objExpr, cases, def)
     }
 
+    /**
+     * Returns undefined if the switch case condition isn't an Int, String or ByteArray literal, without consuming any tokens
+     * @param {TokenReader} r
+     * @returns {PrimitiveLiteralExpr | undefined}
+     */
+    function parseSwitchCaseLiteral(r) {
+        let m
+
+        if ((m = r.matches(oneOf([intlit(), strlit(), byteslit()])))) {
+            r.end()
+
+            return new PrimitiveLiteralExpr(m)
+        } else if ((m = r.matches(symbol("-"), intlit()))) {
+            const [minus, i] = m
+
+            r.end()
+
+            return new PrimitiveLiteralExpr(
+                makeIntLiteral({ value: -i.value, site: minus.site })
+            )
+        } else {
+            r.endMatch(false)
+
+            return undefined
+        }
+    }
+
     /**
      * @param {number} n
      * @param {Site} site
@@ -640,9 +765,37 @@ export function makeChainedExprParser(parseValueExpr) {
     function parseStructLiteralExpr(ctx, typeReader, braces) {
         const typeExpr = parseTypeExpr(ctx.withReader(typeReader))
 
-        const fields = braces.fields.map((f) => {
+        /**
+         * @type {Expr | undefined}
+         */
+        let baseExpr = undefined
+
+        /**
+         * @type {StructLiteralField[]}
+         */
+        const fields = []
+
+        braces.fields.forEach((f, i) => {
             let m
 
+            // record update syntax: `Type{..base, field: value}`
+            if ((m = f.matches(symbol("."), symbol(".")))) {
+                const [dot] = m
+
+                if (i != 0) {
+                    ctx.errors.syntax(
+                        dot.site,
+                        "'..' must come before the other fields"
+                    )
+                }
+
+                baseExpr = parseValueExpr(ctx.atSite(dot.site).withReader(f), 0)
+
+                return
+            } else {
+                f.endMatch(false)
+            }
+
             /**
              * @type {Word | undefined}
              */
@@ -671,10 +824,17 @@ export function makeChainedExprParser(parseValueExpr) {
                 valueExpr = parseValueExpr(ctx.withReader(f), 0)
             }
 
-            return new StructLiteralField(fieldName, valueExpr)
+            if (baseExpr && !fieldName) {
+                ctx.errors.syntax(
+                    valueExpr.site,
+                    "expected named field after '..'"
+                )
+            }
+
+            fields.push(new StructLiteralField(fieldName, valueExpr))
         })
 
-        return new StructLiteralExpr(typeExpr, fields)
+        return new StructLiteralExpr(typeExpr, fields, baseExpr)
     }
 
     return parseChainedExpr
@@ -1,7 +1,7 @@
 import { symbol } from "@helios-lang/compiler-utils"
 import { Expr } from "../expressions/index.js"
 import { ConstStatement } from "../statements/index.js"
-import { anyTopLevelKeyword } from "./keywords.js"
+import { readUntilTopLevelKeyword } from "./keywords.js"
 import { ParseContext } from "./ParseContext.js"
 import { parseName } from "./parseName.js"
 import { parseTypeExpr } from "./parseTypeExpr.js"
@@ -16,7 +16,7 @@ export function parseConstStatement(ctx) {
 
     const name = parseName(ctx)
 
-    r = r.readUntil(anyTopLevelKeyword)
+    r = readUntilTopLevelKeyword(r)
 
     /**
      * @type {Expr | undefined}
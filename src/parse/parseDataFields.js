@@ -1,8 +1,10 @@
 import { makeStringLiteral, strlit, symbol } from "@helios-lang/compiler-utils"
+import { Expr } from "../expressions/index.js"
 import { DataField } from "../statements/index.js"
 import { ParseContext } from "./ParseContext.js"
 import { anyName } from "./parseName.js"
 import { parseTypeExpr } from "./parseTypeExpr.js"
+import { parseValueExpr } from "./parseValueExpr.js"
 
 /**
  * @import { Site, StringLiteral, TokenReader, Word } from "@helios-lang/compiler-utils"
@@ -11,9 +13,14 @@ import { parseTypeExpr } from "./parseTypeExpr.js"
 /**
  * @param {ParseContext} ctx
  * @param {boolean} allowEncodingKeys
+ * @param {boolean} allowDefaults
  * @returns {DataField[]}
  */
-export function parseDataFields(ctx, allowEncodingKeys = false) {
+export function parseDataFields(
+    ctx,
+    allowEncodingKeys = false,
+    allowDefaults = false
+) {
     const r = ctx.reader
 
     /**
@@ -85,6 +92,29 @@ export function parseDataFields(ctx, allowEncodingKeys = false) {
 
             let typeReader = r.readUntil(anyName, symbol(":"))
 
+            /**
+             * @type {Expr | undefined}
+             */
+            let defaultExpr = undefined
+
+            if ((m = typeReader.findNextMatch(symbol("=")))) {
+                const [before, equals] = m
+
+                if (!allowDefaults) {
+                    ctx.errors.syntax(
+                        equals.site,
+                        "default value not valid in this context"
+                    )
+                }
+
+                defaultExpr = parseValueExpr(
+                    ctx.atSite(equals.site).withReader(typeReader)
+                )
+                typeReader = before
+            } else {
+                typeReader.endMatch(false)
+            }
+
             /* @type{string} */
             let encodingKey
 
@@ -118,7 +148,12 @@ export function parseDataFields(ctx, allowEncodingKeys = false) {
                 ctx.atSite(colon.site).withReader(typeReader)
             )
             fields.push(
-                new DataField(name, typeExpr, getFieldEncodingKey(name))
+                new DataField(
+                    name,
+                    typeExpr,
+                    getFieldEncodingKey(name),
+                    defaultExpr
+                )
             )
         } else {
             r.endMatch()
@@ -1,4 +1,4 @@
-import { makeWord, group } from "@helios-lang/compiler-utils"
+import { group, intlit, makeWord, symbol } from "@helios-lang/compiler-utils"
 import {
     DataField,
     EnumMember,
@@ -49,6 +49,10 @@ export function parseEnumStatement(ctx) {
     return new EnumStatement(ctx.currentSite, name, parameters, members, impl)
 }
 
+/**
+ * @import { IntLiteral } from "@helios-lang/compiler-utils"
+ */
+
 /**
  * @param {ParseContext} ctx
  * @returns {EnumMember[]}
@@ -73,6 +77,21 @@ function parseEnumMembers(ctx) {
             break
         }
 
+        /**
+         * @type {IntLiteral | undefined}
+         */
+        let tag = undefined
+
+        if ((m = r.matches(symbol("="), intlit()))) {
+            tag = m[1]
+        } else if ((m = r.matches(symbol("="), symbol("-"), intlit()))) {
+            ctx.errors.syntax(m[1].site, "constructor tag can't be negative")
+        } else if ((m = r.matches(symbol("=")))) {
+            ctx.errors.syntax(m.site, "expected constructor tag after '='")
+        } else {
+            r.endMatch(false)
+        }
+
         /**
          * @type {DataField[]}
          */
@@ -84,7 +103,7 @@ function parseEnumMembers(ctx) {
             r.endMatch(false)
         }
 
-        members.push(new EnumMember(name, fields))
+        members.push(new EnumMember(name, fields, tag))
     }
 
     return members
@@ -0,0 +1,178 @@
+import {
+    makeSource,
+    makeStringLiteral,
+    makeTokenReader,
+    makeTokenizer
+} from "@helios-lang/compiler-utils"
+import {
+    AnyValueExpr,
+    Expr,
+    InterpolatedStringExpr,
+    PrimitiveLiteralExpr
+} from "../expressions/index.js"
+import { ParseContext } from "./ParseContext.js"
+
+/**
+ * @import { StringLiteral, Word } from "@helios-lang/compiler-utils"
+ * @typedef {import("./ValueExprParser.js").ValueExprParser} ValueExprParser
+ */
+
+const NESTED_STRING_MSG =
+    "nested string literals aren't supported in interpolated expressions"
+
+/**
+ * @param {ValueExprParser} parseValueExpr
+ * @returns {(ctx: ParseContext, prefix: Word, lit: StringLiteral) => Expr}
+ */
+export function makeInterpolatedStringExprParser(parseValueExpr) {
+    /**
+     * Interpolated strings are string literals prefixed by `f` (e.g. `f"got ${a}"`), other string literals are never interpolated.
+     * `$${` is a literal `${`.
+     * Because the string literal is tokenized as a whole, the interpolated expressions can't contain string literals
+     * @param {ParseContext} ctx
+     * @param {Word} prefix - the `f` in front of the string literal
+     * @param {StringLiteral} lit
+     * @returns {Expr}
+     */
+    function parseInterpolatedStringExpr(ctx, prefix, lit) {
+        if (
+            prefix.site.end?.line != lit.site.line ||
+            prefix.site.end?.column != lit.site.column
+        ) {
+            ctx.errors.syntax(
+                lit.site,
+                "unexpected whitespace between 'f' and the interpolated string literal"
+            )
+        }
+
+        const s = lit.value
+
+        /**
+         * @type {(string | Expr)[]}
+         */
+        const parts = []
+
+        let text = ""
+        let i = 0
+
+        while (i < s.length) {
+            if (s.startsWith("$${", i)) {
+                text += "${"
+                i += 3
+            } else if (s.startsWith("${", i)) {
+                const end = findClosingBrace(s, i + 2)
+
+                if (end == -1) {
+                    // a nested string literal ends the outer string literal, leaving the '${' unmatched
+                    ctx.errors.syntax(
+                        lit.site,
+                        `unmatched '\${' (${NESTED_STRING_MSG})`
+                    )
+                    break
+                }
+
+                if (text != "") {
+                    parts.push(text)
+                    text = ""
+                }
+
+                parts.push(parseInterpolatedExpr(ctx, lit, i + 2, end))
+
+                i = end + 1
+            } else {
+                text += s[i]
+                i += 1
+            }
+        }
+
+        if (text != "") {
+            parts.push(text)
+        }
+
+        // nothing is interpolated, so it is a regular string literal
+        if (parts.every((p) => typeof p == "string")) {
+            return new PrimitiveLiteralExpr(
+                makeStringLiteral({ value: parts.join(""), site: lit.site })
+            )
+        }
+
+        return new InterpolatedStringExpr(lit.site, parts)
+    }
+
+    /**
+     * The interpolated expression is tokenized at its approximate position in the original source, so error messages point to the right place
+     * @param {ParseContext} ctx
+     * @param {StringLiteral} lit
+     * @param {number} start
+     * @param {number} end
+     * @returns {Expr}
+     */
+    function parseInterpolatedExpr(ctx, lit, start, end) {
+        const src = lit.value.slice(start, end)
+
+        if (src.trim() == "") {
+            ctx.errors.syntax(lit.site, "empty interpolated expression")
+
+            return new AnyValueExpr(lit.site)
+        }
+
+        // escaped quotes would be tokenized as a string literal
+        if (src.includes('"')) {
+            ctx.errors.syntax(lit.site, NESTED_STRING_MSG)
+
+            return new AnyValueExpr(lit.site)
+        }
+
+        let line = lit.site.line
+        let column = lit.site.column + 1 // opening quote
+
+        for (let c of lit.value.slice(0, start)) {
+            if (c == "\n") {
+                line += 1
+                column = 0
+            } else {
+                column += 1
+            }
+        }
+
+        const tokenizer = makeTokenizer(
+            makeSource("\n".repeat(line) + " ".repeat(column) + src, {
+                name: lit.site.file
+            }),
+            { errorCollector: ctx.errors }
+        )
+
+        const r = makeTokenReader({
+            tokens: tokenizer.tokenize(),
+            errors: ctx.errors
+        })
+
+        return parseValueExpr(ctx.atSite(lit.site).withReader(r), 0)
+    }
+
+    return parseInterpolatedStringExpr
+}
+
+/**
+ * Returns -1 if the closing brace isn't found
+ * @param {string} s
+ * @param {number} start
+ * @returns {number}
+ */
+function findClosingBrace(s, start) {
+    let depth = 1
+
+    for (let i = start; i < s.length; i++) {
+        if (s[i] == "{") {
+            depth += 1
+        } else if (s[i] == "}") {
+            depth -= 1
+
+            if (depth == 0) {
+                return i
+            }
+        }
+    }
+
+    return -1
+}
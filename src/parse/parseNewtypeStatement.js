@@ -0,0 +1,100 @@
+import {
+    anySymbol,
+    group,
+    oneOf,
+    symbol,
+    word
+} from "@helios-lang/compiler-utils"
+import { AnyTypeExpr, RefExpr } from "../expressions/index.js"
+import { ImplDefinition, NewtypeStatement } from "../statements/index.js"
+import { readUntilTopLevelKeyword } from "./keywords.js"
+import { ParseContext } from "./ParseContext.js"
+import { parseImplDefinition } from "./parseImplDefinition.js"
+import { parseName } from "./parseName.js"
+import { parseTypeExpr } from "./parseTypeExpr.js"
+
+/**
+ * @import { SymbolToken } from "@helios-lang/compiler-utils"
+ */
+
+/**
+ * @param {ParseContext} ctx
+ * @returns {NewtypeStatement}
+ */
+export function parseNewtypeStatement(ctx) {
+    let r = ctx.reader
+
+    const name = parseName(ctx)
+    const selfTypeExpr = new RefExpr(name)
+
+    r = readUntilTopLevelKeyword(r)
+
+    /**
+     * @type {SymbolToken[]}
+     */
+    const operators = []
+
+    let impl = new ImplDefinition(selfTypeExpr, [])
+
+    let m
+
+    if (!(m = r.matches(symbol("=")))) {
+        if (r.isEof()) {
+            ctx.errors.syntax(name.site, `expected '=' after '${name.value}'`)
+        } else {
+            r.endMatch()
+        }
+
+        return new NewtypeStatement(
+            ctx.currentSite,
+            name,
+            new AnyTypeExpr(name.site),
+            operators,
+            impl
+        )
+    }
+
+    const typeReader = r.readUntil(
+        oneOf([word("with"), group("{", { length: 1 })])
+    )
+    let typeExpr
+
+    if (typeReader.isEof()) {
+        ctx.errors.syntax(m.site, "expected type after '='")
+        typeExpr = new AnyTypeExpr(m.site)
+    } else {
+        typeExpr = parseTypeExpr(ctx.withReader(typeReader).atSite(m.site))
+    }
+
+    if ((m = r.matches(word("with"), group("(", { minLength: 1 })))) {
+        const [_kw, g] = m
+
+        g.fields.forEach((f) => {
+            let m
+
+            if ((m = f.matches(anySymbol))) {
+                operators.push(m)
+                f.end()
+            } else {
+                f.endMatch()
+            }
+        })
+    }
+
+    if ((m = r.matches(group("{", { length: 1 })))) {
+        impl = parseImplDefinition(
+            ctx.atSite(m.site).withReader(m.fields[0]),
+            selfTypeExpr
+        )
+    }
+
+    r.end()
+
+    return new NewtypeStatement(
+        ctx.currentSite,
+        name,
+        typeExpr,
+        operators,
+        impl
+    )
+}
@@ -1,11 +1,15 @@
+import { oneOf, word } from "@helios-lang/compiler-utils"
 import { Statement } from "../statements/index.js"
 import { ParseContext } from "./ParseContext.js"
-import { anyTopLevelKeyword } from "./keywords.js"
+import { anyTopLevelKeyword, topLevelKeywords } from "./keywords.js"
 import { parseConstStatement } from "./parseConstStatement.js"
 import { parseEnumStatement } from "./parseEnumStatement.js"
 import { parseFuncStatement } from "./parseFuncStatement.js"
 import { parseImportStatements } from "./parseImportStatements.js"
+import { parseNewtypeStatement } from "./parseNewtypeStatement.js"
 import { parseStructStatement } from "./parseStructStatement.js"
+import { parseTraitStatement } from "./parseTraitStatement.js"
+import { parseTypeAliasStatement } from "./parseTypeAliasStatement.js"
 
 /**
  * @typedef {import("./keywords.js").TopLevelKeyword} TopLevelKeyword
@@ -32,6 +36,42 @@ export const topLevelParsers = {
     },
     func: (ctx, statements) => {
         statements.push(parseFuncStatement(ctx))
+    },
+    trait: (ctx, statements) => {
+        statements.push(parseTraitStatement(ctx))
+    },
+    type: (ctx, statements) => {
+        statements.push(parseTypeAliasStatement(ctx))
+    },
+    newtype: (ctx, statements) => {
+        statements.push(parseNewtypeStatement(ctx))
+    },
+    private: (ctx, statements) => {
+        const r = ctx.reader
+
+        let m
+
+        if ((m = r.matches(word("import")))) {
+            ctx.errors.syntax(m.site, "imports can't be private")
+
+            topLevelParsers.import(ctx.atSite(m.site), statements)
+        } else if (
+            (m = r.matches(
+                oneOf(
+                    topLevelKeywords
+                        .filter((kw) => kw != "private" && kw != "import")
+                        .map((kw) => word(kw))
+                )
+            ))
+        ) {
+            const n = statements.length
+
+            topLevelParsers[m.value](ctx.atSite(m.site), statements)
+
+            statements.slice(n).forEach((s) => s.setPrivate())
+        } else {
+            r.endMatch()
+        }
     }
 }
 
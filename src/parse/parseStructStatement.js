@@ -42,6 +42,7 @@ export function parseStructStatement(ctx) {
 
         fields = parseDataFields(
             ctx.atSite(m.site).withReader(dataReader),
+            true,
             true
         )
 
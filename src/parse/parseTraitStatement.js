@@ -0,0 +1,124 @@
+import { anyWord, group, symbol, word } from "@helios-lang/compiler-utils"
+import {
+    AnyTypeExpr,
+    FuncArgTypeExpr,
+    FuncTypeExpr
+} from "../expressions/index.js"
+import { TraitStatement } from "../statements/index.js"
+import { ParseContext } from "./ParseContext.js"
+import { parseName } from "./parseName.js"
+import { parseTypeExpr } from "./parseTypeExpr.js"
+
+/**
+ * @typedef {import("../statements/TraitStatement.js").TraitMethod} TraitMethod
+ */
+
+/**
+ * @param {ParseContext} ctx
+ * @returns {TraitStatement}
+ */
+export function parseTraitStatement(ctx) {
+    const r = ctx.reader
+    const name = parseName(ctx)
+
+    /**
+     * @type {TraitMethod[]}
+     */
+    const methods = []
+
+    let m
+
+    if ((m = r.matches(group("{", { length: 1 })))) {
+        const fr = m.fields[0]
+        const bodyCtx = ctx.atSite(m.site).withReader(fr)
+
+        while (!fr.isEof()) {
+            if ((m = fr.matches(word("func")))) {
+                const method = parseTraitMethod(bodyCtx.atSite(m.site))
+
+                if (method) {
+                    methods.push(method)
+                }
+            } else {
+                fr.endMatch()
+                break
+            }
+        }
+    } else {
+        r.endMatch()
+    }
+
+    return new TraitStatement(ctx.currentSite, name, methods)
+}
+
+/**
+ * Trait methods don't have a body, so the return type ends at the next 'func' keyword
+ * @param {ParseContext} ctx
+ * @returns {TraitMethod | undefined}
+ */
+function parseTraitMethod(ctx) {
+    const r = ctx.reader
+    const name = parseName(ctx)
+
+    let m
+
+    if ((m = r.matches(group("("), symbol("->")))) {
+        const [ag, arrow] = m
+
+        let hasSelf = false
+
+        /**
+         * @type {FuncArgTypeExpr[]}
+         */
+        const argExprs = []
+
+        ag.fields.forEach((f, i) => {
+            const argCtx = ctx.inGroup(ag, i)
+
+            if ((m = f.matches(word("self")))) {
+                if (i != 0) {
+                    ctx.errors.syntax(m.site, "'self' is reserved")
+                }
+
+                hasSelf = true
+                f.end()
+            } else if ((m = f.matches(anyWord, symbol(":")))) {
+                const [_, colon] = m
+
+                // the arg names aren't part of the trait, so that the implementations can use different names
+                argExprs.push(
+                    new FuncArgTypeExpr(
+                        argCtx.currentSite,
+                        undefined,
+                        parseTypeExpr(argCtx.atSite(colon.site)),
+                        false
+                    )
+                )
+            } else {
+                f.endMatch()
+            }
+        })
+
+        const retTypeReader = r.readUntil(word("func"))
+        let retTypeExpr
+
+        if (retTypeReader.isEof()) {
+            ctx.errors.syntax(arrow.site, "expected return type after '->'")
+            retTypeExpr = new AnyTypeExpr(arrow.site)
+        } else {
+            retTypeExpr = parseTypeExpr(
+                ctx.atSite(arrow.site).withReader(retTypeReader)
+            )
+        }
+
+        return {
+            name,
+            hasSelf,
+            typeExpr: new FuncTypeExpr(arrow.site, argExprs, retTypeExpr)
+        }
+    } else {
+        r.endMatch()
+
+        return undefined
+    }
+}
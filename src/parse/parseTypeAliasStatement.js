@@ -0,0 +1,58 @@
+import { symbol } from "@helios-lang/compiler-utils"
+import { AnyTypeExpr } from "../expressions/index.js"
+import { TypeAliasStatement } from "../statements/index.js"
+import { readUntilTopLevelKeyword } from "./keywords.js"
+import { ParseContext } from "./ParseContext.js"
+import { parseName } from "./parseName.js"
+import { parseTypeExpr } from "./parseTypeExpr.js"
+import { parseTypeParameters } from "./parseTypeParameters.js"
+
+/**
+ * @param {ParseContext} ctx
+ * @returns {TypeAliasStatement}
+ */
+export function parseTypeAliasStatement(ctx) {
+    let r = ctx.reader
+
+    const name = parseName(ctx)
+    const parameters = parseTypeParameters(ctx)
+
+    r = readUntilTopLevelKeyword(r)
+
+    let m
+
+    if ((m = r.matches(symbol("=")))) {
+        if (r.isEof()) {
+            ctx.errors.syntax(m.site, "expected type after '='")
+
+            return new TypeAliasStatement(
+                ctx.currentSite,
+                name,
+                parameters,
+                new AnyTypeExpr(m.site)
+            )
+        }
+
+        const typeExpr = parseTypeExpr(ctx.withReader(r).atSite(m.site))
+
+        return new TypeAliasStatement(
+            ctx.currentSite,
+            name,
+            parameters,
+            typeExpr
+        )
+    } else {
+        if (r.isEof()) {
+            ctx.errors.syntax(name.site, `expected '=' after '${name.value}'`)
+        } else {
+            r.endMatch()
+        }
+
+        return new TypeAliasStatement(
+            ctx.currentSite,
+            name,
+            parameters,
+            new AnyTypeExpr(name.site)
+        )
+    }
+}
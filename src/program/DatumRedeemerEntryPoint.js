@@ -1,15 +1,23 @@
 import { makeTypeError } from "@helios-lang/compiler-utils"
-import { $, DEFAULT_PARSE_OPTIONS, compile } from "@helios-lang/ir"
+import { $ } from "@helios-lang/ir"
 import { TAB, ToIRContext } from "../codegen/index.js"
 import { GlobalScope } from "../scopes/index.js"
-import { BoolType, isDataType, VoidType } from "../typecheck/index.js"
+import {
+    BoolType,
+    isDataType,
+    isOptionType,
+    VoidType
+} from "../typecheck/index.js"
+import { compileIR } from "./compileIR.js"
 import { EntryPointImpl } from "./EntryPoint.js"
 import { ModuleCollection } from "./ModuleCollection.js"
 
 /**
  * @typedef {import("@helios-lang/uplc").UplcProgramV2} UplcProgramV2
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3} UplcProgramV3
  * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
  * @typedef {import("../codegen/index.js").Definitions} Definitions
+ * @typedef {import("../codegen/index.js").PlutusVersion} PlutusVersion
  * @typedef {import("../typecheck/index.js").DataType} DataType
  * @typedef {import("../typecheck/index.js").ScriptTypes} ScriptTypes
  * @typedef {import("../typecheck/index.js").Type} Type
@@ -44,12 +52,30 @@ export class DatumRedeemerEntryPoint extends EntryPointImpl {
     }
 
     /**
-     * @type {Set<string>}
+     * The datum argument of `main` has a default value, which is used if the spent output doesn't have a datum (Plutus V3 only)
+     * @type {boolean}
      */
-    get requiredParams() {
+    get hasDatumDefault() {
+        return this.mainFunc.args[0]?.isOptional ?? false
+    }
+
+    /**
+     * The datum is optional if the datum argument of `main` has a default value, or if it has an `Option` type, which is `None` if the spent output doesn't have a datum (Plutus V3 only)
+     * @type {boolean}
+     */
+    get isDatumOptional() {
+        return this.hasDatumDefault || isOptionType(this.datumType)
+    }
+
+    /**
+     * @param {PlutusVersion} plutusVersion
+     * @returns {Set<string>}
+     */
+    getRequiredParams(plutusVersion) {
         const ctx = new ToIRContext({
             optimize: false,
-            isTestnet: false
+            isTestnet: false,
+            plutusVersion
         })
 
         const ir = this.toIRInternal(ctx)
@@ -60,20 +86,18 @@ export class DatumRedeemerEntryPoint extends EntryPointImpl {
     /**
      * Used by cli
      * @param {boolean} isTestnet
-     * @returns {UplcProgramV2}
+     * @param {PlutusVersion} plutusVersion
+     * @returns {UplcProgramV2 | UplcProgramV3}
      */
-    compileDatumCheck(isTestnet) {
-        const ctx = new ToIRContext({ optimize: false, isTestnet: isTestnet })
-        const ir = this.datumCheckToIR(ctx)
-
-        return compile(ir, {
+    compileDatumCheck(isTestnet, plutusVersion = "PlutusScriptV2") {
+        const ctx = new ToIRContext({
             optimize: false,
-            parseOptions: {
-                ...DEFAULT_PARSE_OPTIONS,
-                builtinsPrefix: "__core__",
-                errorPrefix: ""
-            }
+            isTestnet: isTestnet,
+            plutusVersion
         })
+        const ir = this.datumCheckToIR(ctx)
+
+        return compileIR(ir, { optimize: false, plutusVersion })
     }
 
     /**
@@ -96,6 +120,10 @@ export class DatumRedeemerEntryPoint extends EntryPointImpl {
             throw makeTypeError(main.site, "expected 2 args for main")
         }
 
+        if (main.args[1].isOptional) {
+            throw makeTypeError(main.args[1].site, "redeemer can't be optional")
+        }
+
         for (let i = 0; i < nArgs; i++) {
             if (argTypeNames[i] != "" && !isDataType(argTypes[i])) {
                 throw makeTypeError(
@@ -121,11 +149,40 @@ export class DatumRedeemerEntryPoint extends EntryPointImpl {
     toIR(ctx, extra = undefined) {
         let ir = this.toIRInternal(ctx)
 
-        ir = this.wrapEntryPoint(ctx, ir, extra)
+        if (ctx.plutusVersion == "PlutusScriptV3") {
+            // an unused datum isn't extracted, so the script can also be used for outputs without a datum
+            // an optional datum is passed as the Option-encoded datum of the ScriptInfo, which an Option datum decodes as is, see toIRInternal()
+            const datum =
+                this.datumTypeName == ""
+                    ? "()"
+                    : this.isDatumOptional
+                      ? "__helios__scriptcontext__get_optional_spending_datum()"
+                      : "__helios__scriptcontext__get_spending_datum()"
+
+            ir = $`(__DATUM, __REDEEMER) -> {
+    ${ir}
+}(${datum}, __helios__scriptcontext__redeemer)`
+
+            ir = this.wrapEntryPoint(ctx, ir, extra)
+
+            ir = $`(__CONTEXT) -> {
+    ${ir}
+}`
+        } else {
+            // in Plutus V3 an Option datum is None if the spent output doesn't have a datum, in Plutus V2 it would silently be decoded from an Option-encoded datum instead
+            if (this.datumTypeName != "" && isOptionType(this.datumType)) {
+                throw makeTypeError(
+                    this.mainFunc.args[0].site,
+                    "an Option datum is only allowed in Plutus V3 spending scripts"
+                )
+            }
+
+            ir = this.wrapEntryPoint(ctx, ir, extra)
 
-        ir = $`(__DATUM, __REDEEMER, __CONTEXT) -> {
+            ir = $`(__DATUM, __REDEEMER, __CONTEXT) -> {
     ${ir}
 }`
+        }
 
         return ir
     }
@@ -147,7 +204,19 @@ export class DatumRedeemerEntryPoint extends EntryPointImpl {
 
         const innerArgNames = [`__DATUM`, `__REDEEMER`]
         const innerArgs = this.mainArgTypes.map((t, i) => {
-            if (argTypeNames[i] != "") {
+            if (argTypeNames[i] != "" && i == 0 && this.hasDatumDefault) {
+                // optional args are passed as a flag followed by the value
+                if (ctx.plutusVersion == "PlutusScriptV3") {
+                    const cond = "__helios__option__is_some(__DATUM)"
+
+                    return $(
+                        `${cond}, __core__ifThenElse(${cond}, () -> {__helios__option[${t.path}]__some__some(__DATUM)}, () -> {()})()`
+                    )
+                } else {
+                    // Plutus V2 spending scripts always receive a datum
+                    return $(`true, ${t.path}__from_data(__DATUM)`)
+                }
+            } else if (argTypeNames[i] != "") {
                 return $([
                     $(`${t.path}__from_data`),
                     $("("),
@@ -16,6 +16,7 @@ import { ModuleCollection } from "./ModuleCollection.js"
  * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
  * @typedef {import("../codegen/index.js").Definitions} Definitions
+ * @typedef {import("../codegen/index.js").PlutusVersion} PlutusVersion
  * @typedef {import("../typecheck/index.js").DataType} DataType
  * @typedef {import("../typecheck/index.js").ScriptTypes} ScriptTypes
  * @typedef {import("../typecheck/index.js").Type} Type
@@ -35,7 +36,7 @@ import { ModuleCollection } from "./ModuleCollection.js"
  *   userTypes: Record<string, Record<string, DataType>>
  *   paramTypes: Record<string, DataType>
  *   paramsDetails(): Record<string, string>
- *   requiredParams: Set<string>
+ *   getRequiredParams(plutusVersion: PlutusVersion): Set<string>
  *   changeParam(name: string, data: UplcData): boolean
  *   evalTypes(scriptTypes: ScriptTypes): void
  *   toIR(ctx: ToIRContext, extra?: Definitions | undefined): SourceMappedStringI
@@ -98,7 +99,7 @@ export class EntryPointImpl {
                     scriptType.typeMembers[this.name].asEnumMemberType
 
                 if (enumVariant) {
-                    return enumVariant.constrIndex
+                    return Number(enumVariant.constrIndex)
                 }
             }
         }
@@ -171,7 +172,11 @@ export class EntryPointImpl {
             const moduleScope = topScope.getModuleScope(moduleName)
 
             moduleScope.loopTypes((name, type) => {
-                if (module_.statements.some((s) => s.name.value == name)) {
+                if (
+                    module_.statements.some(
+                        (s) => s.name.value == name && !s.isPrivate
+                    )
+                ) {
                     if (type?.asDataType) {
                         moduleTypes[name] = type.asDataType
                     }
@@ -10,6 +10,7 @@ import { ModuleCollection } from "./ModuleCollection.js"
 /**
  * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
  * @typedef {import("../codegen/index.js").Definitions} Definitions
+ * @typedef {import("../codegen/index.js").PlutusVersion} PlutusVersion
  * @typedef {import("../typecheck/index.js").DataType} DataType
  * @typedef {import("../typecheck/index.js").ScriptTypes} ScriptTypes
  * @typedef {import("../typecheck/index.js").Type} Type
@@ -36,10 +37,15 @@ export class GenericEntryPoint extends EntryPointImpl {
     }
 
     /**
-     * @type {Set<string>}
+     * @param {PlutusVersion} plutusVersion
+     * @returns {Set<string>}
      */
-    get requiredParams() {
-        const ctx = new ToIRContext({ optimize: false, isTestnet: false })
+    getRequiredParams(plutusVersion) {
+        const ctx = new ToIRContext({
+            optimize: false,
+            isTestnet: false,
+            plutusVersion
+        })
         const ir = this.toIRInternal(ctx)
 
         return this.getRequiredParametersInternal(ctx, ir)
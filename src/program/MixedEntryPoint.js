@@ -9,6 +9,7 @@ import { ModuleCollection } from "./ModuleCollection.js"
 /**
  * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
  * @typedef {import("../codegen/index.js").Definitions} Definitions
+ * @typedef {import("../codegen/index.js").PlutusVersion} PlutusVersion
  * @typedef {import("../typecheck/index.js").DataType} DataType
  * @typedef {import("../typecheck/index.js").ScriptTypes} ScriptTypes
  * @typedef {import("../typecheck/index.js").Type} Type
@@ -31,10 +32,15 @@ export class MixedEntryPoint extends EntryPointImpl {
     }
 
     /**
-     * @type {Set<string>}
+     * @param {PlutusVersion} plutusVersion
+     * @returns {Set<string>}
      */
-    get requiredParams() {
-        const ctx = new ToIRContext({ optimize: false, isTestnet: false })
+    getRequiredParams(plutusVersion) {
+        const ctx = new ToIRContext({
+            optimize: false,
+            isTestnet: false,
+            plutusVersion
+        })
         const ir = this.toIRInternal(ctx)
 
         return this.getRequiredParametersInternal(ctx, ir)
@@ -81,6 +87,48 @@ export class MixedEntryPoint extends EntryPointImpl {
     toIR(ctx, extra = undefined) {
         let ir = this.toIRInternal(ctx)
 
+        if (ctx.plutusVersion == "PlutusScriptV3") {
+            // the V3 ScriptContext tells directly whether the script is being used for spending
+            // like in Plutus V2, spending an output without a datum gives MixedArgs::Other
+            ir = $`(__MIXED) -> {
+    ${ir}
+}(
+    __core__ifThenElse(
+        __core__equalsInteger(__helios__data__tag(__helios__scriptcontext__script_info), 1),
+        () -> {
+            maybe_datum = __core__unConstrData(__helios__scriptcontext__get_optional_spending_datum());
+            __core__ifThenElse(
+                __core__equalsInteger(__core__fstPair(maybe_datum), 0),
+                () -> {
+                    // spending
+                    __core__constrData(
+                        1,
+                        __helios__common__list_2(
+                            __core__headList(__core__sndPair(maybe_datum)),
+                            __helios__scriptcontext__redeemer
+                        )
+                    )
+                },
+                () -> {
+                    // other (no datum)
+                    __core__constrData(0, __helios__common__list_1(__helios__scriptcontext__redeemer))
+                }
+            )()
+        },
+        () -> {
+            // other (no datum)
+            __core__constrData(0, __helios__common__list_1(__helios__scriptcontext__redeemer))
+        }
+    )()
+)`
+
+            ir = this.wrapEntryPoint(ctx, ir, extra)
+
+            return $`(__CONTEXT) -> {
+    ${ir}
+}`
+        }
+
         ir = this.wrapEntryPoint(ctx, ir, extra)
 
         ir = $`(__DATUM_OR_REDEEMER, __REDEEMER_OR_CONTEXT) -> {
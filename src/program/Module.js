@@ -63,7 +63,11 @@ export class Module {
      * @returns {string}
      */
     toString() {
-        return this._statements.map((s) => s.toString()).join("\n")
+        return this._statements
+            .map((s) =>
+                s.isPrivate ? `private ${s.toString()}` : s.toString()
+            )
+            .join("\n")
     }
 
     /**
@@ -72,6 +76,10 @@ export class Module {
     evalTypes(scope) {
         for (let s of this.statements) {
             s.eval(scope)
+
+            if (s.isPrivate) {
+                scope.setPrivate(s.name)
+            }
         }
     }
 
@@ -1,13 +1,12 @@
 import { bytesToHex } from "@helios-lang/codec-utils"
-import { makeErrorCollector } from "@helios-lang/compiler-utils"
-import { compile as compileIR } from "@helios-lang/ir"
+import { makeErrorCollector, makeTypeError } from "@helios-lang/compiler-utils"
 import { expectDefined, isDefined } from "@helios-lang/type-utils"
 import { ToIRContext, genExtraDefs } from "../codegen/index.js"
-import { IR_PARSE_OPTIONS } from "../parse/index.js"
 import {
     ConstStatement,
     EnumStatement,
     FuncStatement,
+    NewtypeStatement,
     StructStatement
 } from "../statements/index.js"
 import { VoidType, isDataType } from "../typecheck/index.js"
@@ -16,6 +15,7 @@ import { MainModule } from "./MainModule.js"
 import { Module } from "./Module.js"
 import { ModuleCollection } from "./ModuleCollection.js"
 import { UserFunc } from "./UserFunc.js"
+import { compileIR } from "./compileIR.js"
 
 /**
  * @import { ErrorCollector, Site, Source } from "@helios-lang/compiler-utils"
@@ -25,7 +25,9 @@ import { UserFunc } from "./UserFunc.js"
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
  * @typedef {import("@helios-lang/uplc").UplcValue} UplcValue
  * @typedef {import("@helios-lang/uplc").UplcProgramV2} UplcProgramV2
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3} UplcProgramV3
  * @typedef {import("../codegen/index.js").Definitions} Definitions
+ * @typedef {import("../codegen/index.js").PlutusVersion} PlutusVersion
  * @typedef {import("../typecheck/index.js").DataType} DataType
  * @typedef {import("../typecheck/index.js").ScriptTypes} ScriptTypes
  * @typedef {import("../typecheck/index.js").Type} Type
@@ -44,14 +46,17 @@ import { UserFunc } from "./UserFunc.js"
  */
 
 /**
+ * `plutusVersion` defaults to "PlutusScriptV2", except for voting and proposing validators which only exist in "PlutusScriptV3".
+ * For "PlutusScriptV3" the validator takes the ScriptContext as its only argument, and the datum and redeemer are extracted from it.
  * @typedef {{
  *   optimize?: boolean | OptimizeOptions
  *   dependsOnOwnHash?: boolean
  *   hashDependencies?: Record<string, string>
  *   validatorIndices?: Record<string, number>
- *   onCompileUserFunc?: (name: string, uplc: UplcProgramV2) => void
+ *   onCompileUserFunc?: (name: string, uplc: UplcProgramV2 | UplcProgramV3) => void
  *   excludeUserFuncs?: Set<string>
  *   withAlt?: boolean
+ *   plutusVersion?: PlutusVersion
  * }} CompileOptions
  */
 
@@ -209,13 +214,19 @@ export class Program {
             const statements = m.statements
 
             statements.forEach((s, i) => {
+                // private statements aren't part of the public surface of the module
+                if (s.isPrivate) {
+                    return
+                }
+
                 if (s instanceof FuncStatement) {
                     addFunc(m, s, "")
                 } else if (s instanceof ConstStatement) {
                     addConst(m, s, "")
                 } else if (
                     s instanceof EnumStatement ||
-                    s instanceof StructStatement
+                    s instanceof StructStatement ||
+                    s instanceof NewtypeStatement
                 ) {
                     const prefix = `${s.name.value}::`
 
@@ -248,10 +259,22 @@ export class Program {
     }
 
     /**
+     * The required params for the default Plutus version of the program, see `getRequiredParams()`
      * @type {Set<string>}
      */
     get requiredParams() {
-        return this.entryPoint.requiredParams
+        return this.getRequiredParams()
+    }
+
+    /**
+     * The builtins used by the program, and thus the params it requires, depend on the targeted Plutus version
+     * @param {PlutusVersion | undefined} plutusVersion
+     * @returns {Set<string>}
+     */
+    getRequiredParams(plutusVersion = undefined) {
+        return this.entryPoint.getRequiredParams(
+            resolvePlutusVersion(this.entryPoint, plutusVersion)
+        )
     }
 
     /**
@@ -286,7 +309,7 @@ export class Program {
      * warning message will be emitted, indicating the lack of loggable details.
      *
      * @param {boolean | CompileOptions} optimizeOrOptions
-     * @returns {UplcProgramV2}
+     * @returns {UplcProgramV2 | UplcProgramV3}
      */
     compile(optimizeOrOptions = {}) {
         /**
@@ -300,6 +323,10 @@ export class Program {
         // these fields come the contract-utils package and must also be passed to the alt unoptimize compilation
         const hashDependencies = options.hashDependencies ?? {}
         const dependsOnOwnHash = options.dependsOnOwnHash ?? false
+        const plutusVersion = resolvePlutusVersion(
+            this.entryPoint,
+            options.plutusVersion
+        )
 
         const explicitOptimize = options.optimize
         // uses implied optimize=true if not explicitly set
@@ -312,10 +339,17 @@ export class Program {
         const withAlt =
             false == explicitOptimize ? false : (options.withAlt ?? optimize)
 
+        const optimizeOptions =
+            options.optimize && typeof options.optimize != "boolean"
+                ? options.optimize
+                : undefined
+
         const ir = this.toIR({
             dependsOnOwnHash,
             hashDependencies,
-            optimize: optimize
+            optimize: optimize,
+            keepTracing: optimizeOptions?.keepTracing,
+            plutusVersion
         })
 
         // don't (yet) compile user funcs in alt unoptimized
@@ -323,7 +357,8 @@ export class Program {
             ? this.compile({
                   optimize: false,
                   dependsOnOwnHash,
-                  hashDependencies
+                  hashDependencies,
+                  plutusVersion
               })
             : undefined
 
@@ -333,11 +368,8 @@ export class Program {
         const uplc = compileIR(ir, {
             optimize: optimize,
             alt: alt,
-            parseOptions: IR_PARSE_OPTIONS,
-            optimizeOptions:
-                options.optimize && typeof options.optimize != "boolean"
-                    ? options.optimize
-                    : undefined
+            optimizeOptions: optimizeOptions,
+            plutusVersion
         })
 
         // userfuncs might depend on own hash, which is easer to inject after compilation of main program
@@ -349,7 +381,8 @@ export class Program {
             this.compileUserFuncs(options.onCompileUserFunc, {
                 excludeUserFuncs: options.excludeUserFuncs ?? new Set(),
                 hashDependencies: hashDependencies,
-                validatorIndices: options.validatorIndices
+                validatorIndices: options.validatorIndices,
+                plutusVersion
             })
         }
 
@@ -357,11 +390,12 @@ export class Program {
     }
 
     /**
-     * @param {(name: string, uplc: UplcProgramV2) => void} onCompile
+     * @param {(name: string, uplc: UplcProgramV2 | UplcProgramV3) => void} onCompile
      * @param {{
      *   excludeUserFuncs: Set<string>
      *   hashDependencies: Record<string, string>
      *   validatorIndices?: Record<string, number>
+     *   plutusVersion?: PlutusVersion
      * }} options
      */
     compileUserFuncs(onCompile, options) {
@@ -376,23 +410,25 @@ export class Program {
                         moduleName == this.name && options.validatorIndices
                             ? `__core__constrData(${expectDefined(options.validatorIndices[this.name])}, __core__mkNilData(()))`
                             : undefined
-                    const uplc = fn
-                        .compile({
-                            optimize: true,
-                            hashDependencies: options.hashDependencies,
-                            validatorTypes: this.props.validatorTypes ?? {},
-                            validatorIndices: options.validatorIndices,
-                            currentScriptValue
-                        })
-                        .withAlt(
-                            fn.compile({
-                                optimize: false,
-                                hashDependencies: options.hashDependencies,
-                                validatorTypes: this.props.validatorTypes ?? {},
-                                validatorIndices: options.validatorIndices,
-                                currentScriptValue
-                            })
-                        )
+
+                    const alt = fn.compile({
+                        optimize: false,
+                        hashDependencies: options.hashDependencies,
+                        validatorTypes: this.props.validatorTypes ?? {},
+                        validatorIndices: options.validatorIndices,
+                        currentScriptValue,
+                        plutusVersion: options.plutusVersion
+                    })
+
+                    const uplc = fn.compile({
+                        optimize: true,
+                        hashDependencies: options.hashDependencies,
+                        validatorTypes: this.props.validatorTypes ?? {},
+                        validatorIndices: options.validatorIndices,
+                        currentScriptValue,
+                        plutusVersion: options.plutusVersion,
+                        alt
+                    })
 
                     onCompile(fullName, uplc)
                 }
@@ -408,16 +444,23 @@ export class Program {
      *   dependsOnOwnHash: boolean
      *   hashDependencies: Record<string, string>
      *   optimize: boolean
+     *   keepTracing?: boolean
      *   makeParamSubstitutable?: boolean
      *   validatorIndices?: Record<string, number>
+     *   plutusVersion?: PlutusVersion
      * }} options
      * @returns {SourceMappedStringI}
      */
     toIR(options) {
         const ctx = new ToIRContext({
             optimize: options.optimize,
+            keepTracing: options.keepTracing,
             isTestnet: this.isForTestnet,
-            makeParamsSubstitutable: options.makeParamSubstitutable
+            makeParamsSubstitutable: options.makeParamSubstitutable,
+            plutusVersion: resolvePlutusVersion(
+                this.entryPoint,
+                options.plutusVersion
+            )
         })
 
         const extra = genExtraDefs({
@@ -446,3 +489,25 @@ export class Program {
         return this.entryPoint.toString()
     }
 }
+
+/**
+ * @param {EntryPoint} entryPoint
+ * @param {PlutusVersion | undefined} plutusVersion
+ * @returns {PlutusVersion}
+ */
+function resolvePlutusVersion(entryPoint, plutusVersion) {
+    const purpose = entryPoint.purpose
+
+    if (purpose == "voting" || purpose == "proposing") {
+        if (plutusVersion == "PlutusScriptV2") {
+            throw makeTypeError(
+                entryPoint.mainModule.name.site,
+                `${purpose} validators can't be compiled to PlutusScriptV2`
+            )
+        }
+
+        return "PlutusScriptV3"
+    } else {
+        return plutusVersion ?? "PlutusScriptV2"
+    }
+}
@@ -4,12 +4,14 @@ import { removeWhitespace } from "@helios-lang/codec-utils"
 import { expectLeft, expectDefined, isRight } from "@helios-lang/type-utils"
 import {
     decodeUplcProgramV2FromCbor,
+    makeByteArrayData,
     makeConstrData,
     makeIntData,
     makeUplcDataValue,
     makeUplcSourceMap,
     UplcRuntimeError
 } from "@helios-lang/uplc"
+import { DatumRedeemerEntryPoint } from "./DatumRedeemerEntryPoint.js"
 import { getScriptHashType } from "./multi.js"
 import { Program } from "./Program.js"
 
@@ -29,6 +31,197 @@ describe(Program.name, () => {
         program.compile(false)
     })
 
+    it("compiles to Plutus V2 by default", () => {
+        const program = new Program(basic)
+
+        strictEqual(program.compile(true).plutusVersion, "PlutusScriptV2")
+    })
+
+    it("compiles to Plutus V3 including the alt program", () => {
+        const program = new Program(basic)
+
+        const uplc = program.compile({
+            optimize: true,
+            plutusVersion: "PlutusScriptV3"
+        })
+
+        strictEqual(uplc.plutusVersion, "PlutusScriptV3")
+        strictEqual(uplc.alt?.plutusVersion, "PlutusScriptV3")
+    })
+
+    it("calls the Plutus V3 builtins directly", () => {
+        const program = new Program(`testing blake2b_224
+        func main(a: ByteArray) -> ByteArray {
+            a.blake2b_224()
+        }`)
+
+        for (const optimize of [true, false]) {
+            const uplc = program.compile({
+                optimize,
+                plutusVersion: "PlutusScriptV3"
+            })
+
+            // chooseData is only used to hide the builtin from the IR optimizer
+            strictEqual(uplc.toString().includes("(builtin 36)"), false)
+        }
+    })
+
+    it("keeps applications of identity lambdas that aren't opaque builtin wrappers", () => {
+        const program = new Program(`testing identity
+        func main(a: Int) -> Int {
+            b = a;
+            b
+        }`)
+
+        for (const plutusVersion of /** @type {const} */ ([
+            "PlutusScriptV2",
+            "PlutusScriptV3"
+        ])) {
+            const uplc = program.compile({ optimize: false, plutusVersion })
+
+            strictEqual(uplc.toString().includes("[(lam b b) a]"), true)
+        }
+    })
+
+    it("generates the same IR for '?' on every compilation", () => {
+        const program = new Program(`testing propagate_twice
+        func g(a: Int) -> Int {
+            a * 2
+        }
+
+        func f(m: Map[Int]Int, k: Int) -> Option[Int] {
+            Option[Int]::Some{g(1) + m.get_safe(k)?}
+        }
+
+        func main(k: Int) -> Option[Int] {
+            f(Map[Int]Int{1: 4, 2: 6}, k)
+        }`)
+
+        const toIR = () =>
+            program
+                .toIR({
+                    dependsOnOwnHash: false,
+                    hashDependencies: {},
+                    optimize: false
+                })
+                .toString()
+
+        const ir = toIR()
+
+        strictEqual(ir.includes("__propagated0"), true)
+        strictEqual(toIR(), ir)
+    })
+
+    it("gets the required params of the targeted Plutus version", () => {
+        const program = new Program(`spending v3_only
+        import { tx } from ScriptContext
+        const FEE: Int
+        func main(_, _) -> Bool {
+            tx.votes.is_empty() && FEE > 0
+        }`)
+
+        deepEqual(
+            program.getRequiredParams("PlutusScriptV3"),
+            new Set(["v3_only::FEE"])
+        )
+    })
+
+    it("voting scripts require their params in Plutus V3 by default", () => {
+        const program = new Program(`voting drep_check
+        import { get_current_voter } from ScriptContext
+        const DREP: Voter
+        func main(_) -> Bool {
+            get_current_voter() == DREP
+        }`)
+
+        deepEqual(program.requiredParams, new Set(["drep_check::DREP"]))
+    })
+
+    it("compiles the datum check to the targeted Plutus version", () => {
+        const program = new Program(`spending datum_check
+        func main(d: Int, _) -> Bool {
+            d > 0
+        }`)
+
+        const entryPoint = program.entryPoint
+
+        if (!(entryPoint instanceof DatumRedeemerEntryPoint)) {
+            throw new Error("expected a DatumRedeemerEntryPoint")
+        }
+
+        strictEqual(
+            entryPoint.compileDatumCheck(true).plutusVersion,
+            "PlutusScriptV2"
+        )
+        strictEqual(
+            entryPoint.compileDatumCheck(true, "PlutusScriptV3").plutusVersion,
+            "PlutusScriptV3"
+        )
+    })
+
+    it("compiles voting and proposing scripts to Plutus V3 by default", () => {
+        const program = new Program(`voting m
+        func main(_) -> Bool {
+            true
+        }`)
+
+        strictEqual(program.compile(true).plutusVersion, "PlutusScriptV3")
+
+        throws(() => {
+            program.compile({ optimize: true, plutusVersion: "PlutusScriptV2" })
+        }, /TypeError \(m:1:8\): voting validators can't be compiled to PlutusScriptV2/)
+    })
+
+    it("voting script can depend on its own hash", () => {
+        const hash = "01234567890123456789012345678901234567890123456789012345"
+
+        const program = new Program(
+            `voting drep_check
+            func main(_) -> Bool {
+                Scripts::drep_check.bytes == #${hash}
+            }`,
+            {
+                validatorTypes: {
+                    drep_check: getScriptHashType("voting")
+                }
+            }
+        )
+
+        const uplc = program.compile({
+            optimize: false,
+            dependsOnOwnHash: true
+        })
+
+        /**
+         * @param {string} hash
+         */
+        const makeVotingScriptContext = (hash) =>
+            makeConstrData(0, [
+                makeIntData(0),
+                makeIntData(0),
+                makeConstrData(4, [
+                    makeConstrData(1, [
+                        makeConstrData(1, [makeByteArrayData(hash)])
+                    ])
+                ])
+            ])
+
+        strictEqual(
+            isRight(
+                uplc.eval([makeUplcDataValue(makeVotingScriptContext(hash))])
+                    .result
+            ),
+            true
+        )
+        strictEqual(
+            isRight(
+                uplc.eval([makeUplcDataValue(makeVotingScriptContext("00"))])
+                    .result
+            ),
+            false
+        )
+    })
+
     it("real script 3 works", () => {
         const mainSrc = `testing match_string
 
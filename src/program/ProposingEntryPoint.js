@@ -0,0 +1,18 @@
+import { ModuleCollection } from "./ModuleCollection.js"
+import { RedeemerEntryPoint } from "./RedeemerEntryPoint.js"
+
+/**
+ * @typedef {import("./EntryPoint.js").EntryPoint} EntryPoint
+ */
+
+/**
+ * @implements {EntryPoint}
+ */
+export class ProposingEntryPoint extends RedeemerEntryPoint {
+    /**
+     * @param {ModuleCollection} modules
+     */
+    constructor(modules) {
+        super("proposing", modules)
+    }
+}
@@ -9,6 +9,7 @@ import { ModuleCollection } from "./ModuleCollection.js"
 /**
  * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
  * @typedef {import("../codegen/index.js").Definitions} Definitions
+ * @typedef {import("../codegen/index.js").PlutusVersion} PlutusVersion
  * @typedef {import("../typecheck/index.js").DataType} DataType
  * @typedef {import("../typecheck/index.js").ScriptTypes} ScriptTypes
  * @typedef {import("../typecheck/index.js").Type} Type
@@ -29,10 +30,15 @@ export class RedeemerEntryPoint extends EntryPointImpl {
     }
 
     /**
-     * @type {Set<string>}
+     * @param {PlutusVersion} plutusVersion
+     * @returns {Set<string>}
      */
-    get requiredParams() {
-        const ctx = new ToIRContext({ optimize: false, isTestnet: false })
+    getRequiredParams(plutusVersion) {
+        const ctx = new ToIRContext({
+            optimize: false,
+            isTestnet: false,
+            plutusVersion
+        })
         const ir = this.toIRInternal(ctx)
 
         return this.getRequiredParametersInternal(ctx, ir)
@@ -81,11 +87,23 @@ export class RedeemerEntryPoint extends EntryPointImpl {
     toIR(ctx, extra = undefined) {
         let ir = this.toIRInternal(ctx)
 
-        ir = this.wrapEntryPoint(ctx, ir, extra)
+        if (ctx.plutusVersion == "PlutusScriptV3") {
+            ir = $`(__REDEEMER) -> {
+    ${ir}
+}(__helios__scriptcontext__redeemer)`
+
+            ir = this.wrapEntryPoint(ctx, ir, extra)
 
-        ir = $`(__REDEEMER, __CONTEXT) -> {
+            ir = $`(__CONTEXT) -> {
     ${ir}
 }`
+        } else {
+            ir = this.wrapEntryPoint(ctx, ir, extra)
+
+            ir = $`(__REDEEMER, __CONTEXT) -> {
+    ${ir}
+}`
+        }
 
         return ir
     }
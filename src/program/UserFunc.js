@@ -1,14 +1,16 @@
-import { $, compile as compileIR } from "@helios-lang/ir"
+import { $ } from "@helios-lang/ir"
 import { expectDefined } from "@helios-lang/type-utils"
 import { ToIRContext, genExtraDefs } from "../codegen/index.js"
 import { FuncArg } from "../expressions/index.js"
-import { IR_PARSE_OPTIONS } from "../parse/index.js"
 import { ConstStatement, FuncStatement } from "../statements/index.js"
 import { VoidType } from "../typecheck/index.js"
 import { ModuleCollection } from "./ModuleCollection.js"
+import { compileIR } from "./compileIR.js"
 
 /**
  * @typedef {import("@helios-lang/uplc").UplcProgramV2} UplcProgramV2
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3} UplcProgramV3
+ * @typedef {import("../codegen/index.js").PlutusVersion} PlutusVersion
  * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
  * @typedef {import("../typecheck/index.js").ScriptTypes} ScriptTypes
  * @typedef {import("./EntryPoint.js").EntryPoint} EntryPoint
@@ -101,21 +103,27 @@ export class UserFunc {
      *   validatorIndices?: Record<string, number>
      *   hashDependencies: Record<string, string>
      *   currentScriptValue?: string
+     *   plutusVersion?: PlutusVersion
+     *   alt?: UplcProgramV2 | UplcProgramV3
      * }} props
-     * @returns {UplcProgramV2}
+     * @returns {UplcProgramV2 | UplcProgramV3}
      */
     compile(props) {
+        const plutusVersion = props.plutusVersion ?? "PlutusScriptV2"
+
         const { ir } = this.toIR({
             validatorTypes: props.validatorTypes,
             optimize: props.optimize,
             hashDependencies: props.hashDependencies,
             validatorIndices: props.validatorIndices,
-            currentScriptValue: props.currentScriptValue
+            currentScriptValue: props.currentScriptValue,
+            plutusVersion
         })
 
         const uplc = compileIR(ir, {
             optimize: props.optimize,
-            parseOptions: IR_PARSE_OPTIONS
+            alt: props.alt,
+            plutusVersion
         })
 
         return uplc
@@ -128,6 +136,7 @@ export class UserFunc {
      *   optimize?: boolean
      *   hashDependencies?: Record<string, string>
      *   currentScriptValue?: string
+     *   plutusVersion?: PlutusVersion
      * }} props
      * @returns {{
      *   ir: SourceMappedStringI
@@ -139,7 +148,8 @@ export class UserFunc {
         const ctx = new ToIRContext({
             optimize: props.optimize ?? false,
             isTestnet: false,
-            makeParamsSubstitutable: false
+            makeParamsSubstitutable: false,
+            plutusVersion: props.plutusVersion
         })
 
         const extra = genExtraDefs({
@@ -0,0 +1,165 @@
+import { format, prepare } from "@helios-lang/ir"
+import {
+    builtinsV3,
+    makeUplcCall,
+    makeUplcDelay,
+    makeUplcForce,
+    makeUplcLambda,
+    makeUplcProgramV2,
+    makeUplcProgramV3
+} from "@helios-lang/uplc"
+import { makeIRParseOptions } from "../parse/index.js"
+
+/**
+ * @typedef {import("@helios-lang/ir").OptimizeOptions} OptimizeOptions
+ * @typedef {import("@helios-lang/ir").SourceMappedStringI} SourceMappedStringI
+ * @typedef {import("@helios-lang/uplc").UplcProgramV2} UplcProgramV2
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3} UplcProgramV3
+ * @typedef {import("@helios-lang/uplc").UplcTerm} UplcTerm
+ * @typedef {import("../codegen/index.js").PlutusVersion} PlutusVersion
+ */
+
+/**
+ * `alt` must have the same Plutus version as the compiled program
+ * @typedef {{
+ *   optimize: boolean
+ *   optimizeOptions?: OptimizeOptions
+ *   plutusVersion: PlutusVersion
+ *   alt?: UplcProgramV2 | UplcProgramV3
+ * }} CompileIROptions
+ */
+
+/**
+ * The IR library only creates V2 programs, so its compilation steps are repeated here for both Plutus versions
+ * @param {SourceMappedStringI} ir
+ * @param {CompileIROptions} options
+ * @returns {UplcProgramV2 | UplcProgramV3}
+ */
+export function compileIR(ir, options) {
+    const alt = options.alt
+
+    const expr = prepare(ir, {
+        optimize: options.optimize,
+        parseOptions: makeIRParseOptions(options.plutusVersion),
+        optimizeOptions: options.optimizeOptions
+    })
+
+    const uplc = removeOpaqueBuiltinWrappers(expr.toUplc())
+
+    const formatIR = () =>
+        format(expr, {
+            builtinsPrefix: "__core__",
+            syntacticSugar: true,
+            uplcDataLiterals: false
+        })
+
+    if (options.plutusVersion == "PlutusScriptV3") {
+        if (alt && alt.plutusVersion != "PlutusScriptV3") {
+            throw new Error("alt must also be a PlutusScriptV3 program")
+        }
+
+        return makeUplcProgramV3(uplc, { alt, ir: formatIR })
+    } else {
+        if (alt && alt.plutusVersion != "PlutusScriptV2") {
+            throw new Error("alt must also be a PlutusScriptV2 program")
+        }
+
+        return makeUplcProgramV2(uplc, { alt, ir: formatIR })
+    }
+}
+
+const CHOOSE_DATA_ID = builtinsV3.findIndex((b) => b.name == "chooseData")
+
+/**
+ * Removes the wrappers that hide the secp256k1 and Plutus V3 builtins from the IR optimizer (see `makeOpaqueBuiltin()` in makeRawFuncs.js):
+ *   * `[(lam x [(force (builtin chooseData)) (con data ...) x x x x x]) y]` becomes `y`
+ *   * `[(force (builtin chooseData)) (con data ...) x x x x x]` becomes `x`
+ * Other terms, including other applications of identity lambdas, are kept as is
+ *
+ * This doesn't rely on what the optimizer did with the wrappers, the removal is safe for any term that matches:
+ *   * `chooseData` with a constant condition can't fail, and returns one of its five branches, which are all the same (already evaluated) variable
+ *   * UPLC is strict, so `y` is evaluated before the wrapper lambda is applied to it, removing the lambda doesn't change when `y` fails
+ * If the optimizer inlines or rewrites a wrapper into a different shape, the wrapper is simply kept, which only costs some size and budget
+ * @param {UplcTerm} term
+ * @returns {UplcTerm}
+ */
+function removeOpaqueBuiltinWrappers(term) {
+    switch (term.kind) {
+        case "call": {
+            const fn = removeOpaqueBuiltinWrappers(term.fn)
+            const arg = removeOpaqueBuiltinWrappers(term.arg)
+
+            if (isOpaqueWrapperLambda(term.fn) || isOpaqueChooseData(fn, arg)) {
+                return arg
+            } else {
+                return makeUplcCall({ fn, arg, site: term.site })
+            }
+        }
+        case "lambda":
+            return makeUplcLambda({
+                body: removeOpaqueBuiltinWrappers(term.expr),
+                argName: term.argName,
+                site: term.site
+            })
+        case "delay":
+            return makeUplcDelay({
+                arg: removeOpaqueBuiltinWrappers(term.arg),
+                site: term.site
+            })
+        case "force":
+            return makeUplcForce({
+                arg: removeOpaqueBuiltinWrappers(term.arg),
+                site: term.site
+            })
+        default:
+            return term
+    }
+}
+
+/**
+ * Checks if `term` is `(lam x [(force (builtin chooseData)) (con data ...) x x x x x])`, i.e. the wrapper that is applied to the result of an opaque builtin call
+ * @param {UplcTerm} term
+ * @returns {boolean}
+ */
+function isOpaqueWrapperLambda(term) {
+    return (
+        term.kind == "lambda" &&
+        term.expr.kind == "call" &&
+        term.expr.arg.kind == "var" &&
+        term.expr.arg.index == 1 &&
+        isOpaqueChooseData(term.expr.fn, term.expr.arg)
+    )
+}
+
+/**
+ * Checks if `[fn arg]` is a fully applied `chooseData` with a constant condition and five times the same variable as branches
+ * @param {UplcTerm} fn
+ * @param {UplcTerm} arg
+ * @returns {boolean}
+ */
+function isOpaqueChooseData(fn, arg) {
+    if (arg.kind != "var") {
+        return false
+    }
+
+    /**
+     * @type {UplcTerm[]}
+     */
+    const args = [arg]
+
+    while (fn.kind == "call") {
+        args.unshift(fn.arg)
+        fn = fn.fn
+    }
+
+    const [cond, ...branches] = args
+
+    return (
+        fn.kind == "force" &&
+        fn.arg.kind == "builtin" &&
+        fn.arg.id == CHOOSE_DATA_ID &&
+        cond.kind == "const" &&
+        branches.length == 5 &&
+        branches.every((b) => b.kind == "var" && b.index == arg.index)
+    )
+}
@@ -84,11 +84,13 @@ export function getScriptHashType(purpose) {
             return MintingPolicyHashType
         case "staking":
             return StakingValidatorHashType
+        case "voting":
+        case "proposing":
         case "mixed":
             return scriptHashType
         default:
             throw new Error(
-                `Helios v${VERSION} doesn't support validator purpose '${purpose}' (hint: supported purposes are 'spending', 'minting', 'staking' and 'mixed')`
+                `Helios v${VERSION} doesn't support validator purpose '${purpose}' (hint: supported purposes are 'spending', 'minting', 'staking', 'voting', 'proposing' and 'mixed')`
             )
     }
 }
@@ -305,7 +307,7 @@ function analyzeMainFunction(purpose, args) {
                             dArg.name.value == rArg.name.value
                                 ? "$datum"
                                 : dArg.name.value,
-                        isOptional: false,
+                        isOptional: dArg.isOptional,
                         type: expectDefined(dArg.type.asDataType).toSchema()
                     },
                     {
@@ -318,7 +320,9 @@ function analyzeMainFunction(purpose, args) {
                 return res
             }
             case "minting":
-            case "staking": {
+            case "staking":
+            case "voting":
+            case "proposing": {
                 const [rArg] = args
 
                 /**
@@ -357,7 +361,7 @@ function analyzeMainFunction(purpose, args) {
             }
             default:
                 throw new Error(
-                    `Helios v${VERSION} doesn't support validator purpose '${purpose}' (hint: supported purposes are 'spending', 'minting', 'staking' and 'mixed')`
+                    `Helios v${VERSION} doesn't support validator purpose '${purpose}' (hint: supported purposes are 'spending', 'minting', 'staking', 'voting', 'proposing' and 'mixed')`
                 )
         }
     })()
@@ -133,6 +133,39 @@ describe(analyzeMulti.name, () => {
         analyzeMulti([src1, src2], [mod])
     })
 
+    it("excludes private module functions and types", () => {
+        const src = `spending s
+        import { ok } from utils
+        func main(_, _) -> Bool {
+            ok()
+        }`
+
+        const mod = `module utils
+
+        private struct Flag {
+            value: Bool
+        }
+
+        struct PublicFlag {
+            value: Bool
+        }
+
+        private const FLAG: Flag = Flag{true}
+
+        private func is_set(flag: Flag) -> Bool {
+            flag.value
+        }
+
+        func ok() -> Bool {
+            is_set(FLAG)
+        }`
+
+        const { modules } = analyzeMulti([src], [mod])
+
+        deepEqual(Object.keys(modules.utils.functions), ["ok"])
+        deepEqual(Object.keys(modules.utils.types), ["PublicFlag"])
+    })
+
     it("converts untyped const statement as userFunc", () => {
         const src1 = `spending s
         const ok = true
@@ -4,6 +4,8 @@ import { MintingEntryPoint } from "./MintingEntryPoint.js"
 import { SpendingEntryPoint } from "./SpendingEntryPoint.js"
 import { StakingEntryPoint } from "./StakingEntryPoint.js"
 import { TestingEntryPoint } from "./TestingEntryPoint.js"
+import { VotingEntryPoint } from "./VotingEntryPoint.js"
+import { ProposingEntryPoint } from "./ProposingEntryPoint.js"
 import { Module } from "./Module.js"
 import { MainModule } from "./MainModule.js"
 import { GenericEntryPoint } from "./GenericEntryPoint.js"
@@ -57,6 +59,12 @@ export function newEntryPoint(
         case "staking":
             entryPoint = new StakingEntryPoint(moduleCol)
             break
+        case "voting":
+            entryPoint = new VotingEntryPoint(moduleCol)
+            break
+        case "proposing":
+            entryPoint = new ProposingEntryPoint(moduleCol)
+            break
         default:
             entryPoint = new GenericEntryPoint(purpose ?? "unknown", moduleCol)
     }
@@ -4,24 +4,32 @@ import {
     AnyTypeClass,
     AssertFunc,
     AssetClassType,
+    Bls12_381_G1Type,
     BoolType,
     ByteArrayType,
     Cip67Namespace,
     ContractContextType,
     DatumHashType,
     DCertType,
+    DelegateeType,
+    DRepType,
+    GovernanceActionType,
+    GovernanceActionIdType,
     DurationType,
+    EcdsaSecp256k1PubKeyType,
     ErrorFunc,
     IntType,
     MintingPolicyHashType,
     MixedArgsType,
     NetworkType,
     PrintFunc,
+    ProposalProcedureType,
     PubKeyType,
     PubKeyHashType,
     RatioType,
     RawDataType,
     RealType,
+    SchnorrSecp256k1PubKeyType,
     scriptHashType,
     ScriptContextNamespace,
     ScriptPurposeType,
@@ -36,6 +44,7 @@ import {
     TimeRangeType,
     TxType,
     TxBuilderType,
+    TxCertType,
     TxIdType,
     TxInputType,
     TxOutputType,
@@ -44,6 +53,8 @@ import {
     ValidatorHashType,
     ValueType,
     ValuableTypeClass,
+    VoteType,
+    VoterType,
     WalletType,
     NamedNamespace
 } from "../typecheck/index.js"
@@ -83,19 +94,27 @@ export const builtinNamespaces = {
 export const builtinTypes = {
     Address: AddressType,
     AssetClass: AssetClassType,
+    Bls12_381_G1: Bls12_381_G1Type,
     Bool: BoolType,
     ByteArray: ByteArrayType,
     DCert: DCertType,
     DatumHash: DatumHashType,
+    Delegatee: DelegateeType,
+    DRep: DRepType,
     Data: RawDataType,
     Duration: DurationType,
+    EcdsaSecp256k1PubKey: EcdsaSecp256k1PubKeyType,
+    GovernanceAction: GovernanceActionType,
+    GovernanceActionId: GovernanceActionIdType,
     Int: IntType,
     MintingPolicyHash: MintingPolicyHashType,
     MixedArgs: MixedArgsType,
+    ProposalProcedure: ProposalProcedureType,
     PubKey: PubKeyType,
     PubKeyHash: PubKeyHashType,
     Ratio: RatioType,
     Real: RealType,
+    SchnorrSecp256k1PubKey: SchnorrSecp256k1PubKeyType,
     ScriptHash: scriptHashType,
     ScriptPurpose: ScriptPurposeType,
     SpendingCredential: SpendingCredentialType,
@@ -107,13 +126,16 @@ export const builtinTypes = {
     Time: TimeType,
     TimeRange: TimeRangeType,
     Tx: TxType,
+    TxCert: TxCertType,
     TxId: TxIdType,
     TxInput: TxInputType,
     TxOutput: TxOutputType,
     TxOutputDatum: TxOutputDatumType,
     TxOutputId: TxOutputIdType,
     ValidatorHash: ValidatorHashType,
-    Value: ValueType
+    Value: ValueType,
+    Vote: VoteType,
+    Voter: VoterType
 }
 
 /**
@@ -1,3 +1,60 @@
+import { makeReferenceError } from "@helios-lang/compiler-utils"
+import { GlobalScope } from "./GlobalScope.js"
 import { Scope } from "./Scope.js"
 
-export class ModuleScope extends Scope {}
+/**
+ * @import { Word } from "@helios-lang/compiler-utils"
+ * @typedef {import("../typecheck/index.js").EvalEntity} EvalEntity
+ */
+
+/**
+ * Top-level scope of a module, keeps track of the names that can't be imported by other modules
+ */
+export class ModuleScope extends Scope {
+    /**
+     * @private
+     * @readonly
+     * @type {Set<string>}
+     */
+    _privateNames
+
+    /**
+     * @param {GlobalScope | Scope} parent
+     */
+    constructor(parent) {
+        super(parent)
+        this._privateNames = new Set()
+    }
+
+    /**
+     * @param {Word} name
+     */
+    setPrivate(name) {
+        this._privateNames.add(name.value)
+    }
+
+    /**
+     * @param {Word} name
+     * @returns {boolean}
+     */
+    isPrivate(name) {
+        return this._privateNames.has(name.value)
+    }
+
+    /**
+     * Gets a named value on behalf of another module. Throws an error if the value is private
+     * @param {Word} name
+     * @param {Word} moduleName
+     * @returns {EvalEntity | Scope}
+     */
+    getExported(name, moduleName) {
+        if (this.isPrivate(name)) {
+            throw makeReferenceError(
+                name.site,
+                `'${name.value}' is private to module '${moduleName.value}'`
+            )
+        }
+
+        return this.get(name)
+    }
+}
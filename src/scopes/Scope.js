@@ -13,6 +13,7 @@ import { GlobalScope } from "./GlobalScope.js"
  * @typedef {import("../typecheck/index.js").Named} Named
  * @typedef {import("../typecheck/index.js").Namespace} Namespace
  * @typedef {import("../typecheck/index.js").Type} Type
+ * @typedef {import("../expressions/index.js").OptionPropagation} OptionPropagation
  */
 
 /**
@@ -41,15 +42,25 @@ export class Scope extends Common {
      */
     _allowShadowing
 
+    /**
+     * Where `?` expressions return `None` to, `null` if `?` isn't allowed, `undefined` if inherited from the parent scope
+     * @private
+     * @readonly
+     * @type {OptionPropagation | null | undefined}
+     */
+    _optionPropagation
+
     /**
      * @param {GlobalScope | Scope} parent
      * @param {boolean} allowShadowing
+     * @param {OptionPropagation | null | undefined} optionPropagation
      */
-    constructor(parent, allowShadowing = false) {
+    constructor(parent, allowShadowing = false, optionPropagation = undefined) {
         super()
         this._parent = parent
         this._values = [] // list of pairs
         this._allowShadowing = allowShadowing
+        this._optionPropagation = optionPropagation
     }
 
     /**
@@ -59,6 +70,20 @@ export class Scope extends Common {
         return this._allowShadowing
     }
 
+    /**
+     * Returns `undefined` outside functions
+     * @returns {OptionPropagation | null | undefined}
+     */
+    getOptionPropagation() {
+        if (this._optionPropagation !== undefined) {
+            return this._optionPropagation
+        } else if (this._parent instanceof Scope) {
+            return this._parent.getOptionPropagation()
+        } else {
+            return undefined
+        }
+    }
+
     /**
      * Used by top-scope to loop over all the statements
      */
@@ -1,5 +1,5 @@
 import { bytesToHex, encodeUtf8 } from "@helios-lang/codec-utils"
-import { makeWord } from "@helios-lang/compiler-utils"
+import { makeTypeError, makeWord } from "@helios-lang/compiler-utils"
 import { $ } from "@helios-lang/ir"
 import { expectDefined } from "@helios-lang/type-utils"
 import { ToIRContext } from "../codegen/index.js"
@@ -19,7 +19,7 @@ import { DataField } from "./DataField.js"
  * @typedef {import("../codegen/index.js").Definitions} Definitions
  * @typedef {import("../typecheck/index.js").DataType} DataType
  * @typedef {import("../typecheck/index.js").InstanceMembers} InstanceMembers
- * @typedef {import("../typecheck/index.js").FieldTypeSchema} FieldTypeSchema
+ * @typedef {import("../typecheck/index.js").FieldTypeSchemaWithDefault} FieldTypeSchemaWithDefault
  * @typedef {import("../typecheck/index.js").Type} Type
  * @typedef {import("../typecheck/index.js").TypeMembers} TypeMembers
  */
@@ -164,6 +164,54 @@ export class DataDefinition {
         return fields
     }
 
+    /**
+     * Type checks the default values of the fields
+     * @param {Scope} scope
+     */
+    evalDefaults(scope) {
+        for (let f of this._fields) {
+            if (!f.defaultExpr) {
+                continue
+            }
+
+            const fieldType = f.eval(scope)
+            const defaultVal = f.defaultExpr.eval(scope).asTyped
+
+            if (!defaultVal) {
+                throw makeTypeError(f.defaultExpr.site, "not typed")
+            }
+
+            if (fieldType && !fieldType.isBaseOf(defaultVal.type)) {
+                throw makeTypeError(
+                    f.defaultExpr.site,
+                    `wrong default value type for '${f.name.value}', expected ${fieldType.toString()}, got ${defaultVal.type.toString()}`
+                )
+            }
+        }
+    }
+
+    /**
+     * The default values are exposed as hidden type members, so struct literals can find them
+     * @param {Scope} scope
+     * @returns {TypeMembers}
+     */
+    genDefaultTypeMembers(scope) {
+        /**
+         * @type {TypeMembers}
+         */
+        const members = {}
+
+        for (let f of this._fields) {
+            const fieldType = f.defaultExpr ? f.eval(scope) : undefined
+
+            if (fieldType) {
+                members[f.defaultMemberName] = fieldType.toTyped()
+            }
+        }
+
+        return members
+    }
+
     /**
      * @param {Type} self
      * @returns {Type}
@@ -245,11 +293,11 @@ export class DataDefinition {
 
     /**
      * @param {Set<string>} parents
-     * @returns {(FieldTypeSchema)[]}
+     * @returns {FieldTypeSchemaWithDefault[]}
      */
     fieldsToSchema(parents) {
         /**
-         * @type {FieldTypeSchema[]}
+         * @type {FieldTypeSchemaWithDefault[]}
          */
         const fieldSchemas = []
 
@@ -269,8 +317,9 @@ export class DataDefinition {
                           //  ... and b) add distinction for that separate context
                           key: encodingKey
                       }
-                    : {})
-                // ...  alt location for the comment?
+                    : {}),
+                // the default value is included as Helios source code
+                ...(f.defaultExpr ? { default: f.defaultExpr.toString() } : {})
             })
         })
 
@@ -281,7 +330,7 @@ export class DataDefinition {
      * @param {ToIRContext} ctx
      * @param {string} path
      * @param {Definitions} map
-     * @param {number} constrIndex
+     * @param {number | bigint} constrIndex
      */
     toIR_new(ctx, path, map, constrIndex) {
         const isConstr = constrIndex != -1
@@ -330,7 +379,7 @@ export class DataDefinition {
             }
 
             if (isConstr) {
-                ir = $`__core__constrData(${constrIndex}, ${ir})`
+                ir = $`__core__constrData(${constrIndex.toString()}, ${ir})`
             }
 
             ir = $`(${$(this._fields.map((f) => $(f.name.value))).join(", ")}) -> {${ir}}`
@@ -346,7 +395,7 @@ export class DataDefinition {
      * @param {string} path
      * @param {Definitions} map
      * @param {string[]} getterNames
-     * @param {number} constrIndex
+     * @param {number | bigint} constrIndex
      */
     toIR_copy(ctx, path, map, getterNames, constrIndex = -1) {
         const key = `${path}__copy`
@@ -517,8 +566,12 @@ export class DataDefinition {
             let ir = $`true`
 
             fields.forEach((f, i) => {
+                const testName = f.defaultExpr
+                    ? "__helios__common__test_mStruct_default_field"
+                    : "__helios__common__test_mStruct_field"
+
                 ir = $`__core__ifThenElse(
-						__helios__common__test_mStruct_field(
+						${testName}(
 							data,
 							__core__bData(#${bytesToHex(encodeUtf8(f.encodedFieldName))}),
 							${f.type.path}__is_valid_data	
@@ -625,6 +678,37 @@ export class DataDefinition {
         return irOuter
     }
 
+    /**
+     * Adds the missing keys of the fields that have a default value to mapped struct data.
+     * Returns undefined if none of the fields have a default value.
+     * @param {string} path
+     * @returns {SourceMappedStringI | undefined}
+     */
+    toIR_add_defaults(path) {
+        const fields = this._fields.filter((f) => f.defaultExpr)
+
+        if (fields.length == 0) {
+            return undefined
+        }
+
+        let ir = $`map`
+
+        fields.forEach((f) => {
+            ir = $`__helios__common__mStruct_add_default_field(
+                ${ir},
+                #${bytesToHex(encodeUtf8(f.encodedFieldName))},
+                () -> {
+                    ${f.type.path}____to_data(${path}__${f.defaultMemberName})
+                }
+            )`
+        })
+
+        return $`(data) -> {
+            map = __core__unMapData(data);
+            __core__mapData(${ir})
+        }`
+    }
+
     /**
      * @param {string} path
      * @returns {SourceMappedStringI}
@@ -729,7 +813,7 @@ export class DataDefinition {
      * @param {ToIRContext} ctx
      * @param {string} path
      * @param {Definitions} map
-     * @param {number} constrIndex
+     * @param {number | bigint} constrIndex
      */
     toIR(ctx, path, map, constrIndex) {
         /**
@@ -801,6 +885,14 @@ export class DataDefinition {
             }
         }
 
+        for (let f of this._fields) {
+            if (f.defaultExpr) {
+                map.set(`${path}__${f.defaultMemberName}`, {
+                    content: f.defaultExpr.toIR(ctx)
+                })
+            }
+        }
+
         this.toIR_new(ctx, path, map, constrIndex)
         this.toIR_copy(ctx, path, map, getterNames)
     }
@@ -2,7 +2,7 @@ import { makeTypeError } from "@helios-lang/compiler-utils"
 import { expectDefined, isDefined } from "@helios-lang/type-utils"
 import { Expr, NameTypePair } from "../expressions/index.js"
 import { Scope } from "../scopes/index.js"
-import { isDataType } from "../typecheck/index.js"
+import { Bls12_381_G1Type, isDataType } from "../typecheck/index.js"
 
 /**
  * @import { StringLiteral, Word } from "@helios-lang/compiler-utils"
@@ -20,14 +20,28 @@ export class DataField extends NameTypePair {
      */
     encodingKey
 
+    /**
+     * Value used when the field is omitted in a struct literal (eg. `fee_bps: Int = 30`)
+     * @readonly
+     * @type {Expr | undefined}
+     */
+    defaultExpr
+
     /**
      * @param {Word} name
      * @param {Expr} typeExpr
      * @param {StringLiteral | undefined} encodingKey
+     * @param {Expr | undefined} defaultExpr
      */
-    constructor(name, typeExpr, encodingKey = undefined) {
+    constructor(
+        name,
+        typeExpr,
+        encodingKey = undefined,
+        defaultExpr = undefined
+    ) {
         super(name, typeExpr)
         this.encodingKey = encodingKey?.value
+        this.defaultExpr = defaultExpr
     }
 
     /**
@@ -45,6 +59,23 @@ export class DataField extends NameTypePair {
         return isDefined(this.encodingKey)
     }
 
+    /**
+     * Name of the hidden type member holding the default value
+     * @type {string}
+     */
+    get defaultMemberName() {
+        return DataField.defaultMemberName(this.name.value)
+    }
+
+    /**
+     * Name of the hidden type member holding the default value of the field with the given name
+     * @param {string} fieldName
+     * @returns {string}
+     */
+    static defaultMemberName(fieldName) {
+        return `__default_${fieldName}`
+    }
+
     /**
      * @type {string}
      */
@@ -53,6 +84,17 @@ export class DataField extends NameTypePair {
         return this.encodingKey || this.name.value
     }
 
+    /**
+     * @returns {string}
+     */
+    toString() {
+        if (this.defaultExpr) {
+            return `${super.toString()} = ${this.defaultExpr.toString()}`
+        } else {
+            return super.toString()
+        }
+    }
+
     /**
      * Evaluates the type, used by FuncLiteralExpr and DataDefinition
      * @param {Scope} scope
@@ -64,6 +106,14 @@ export class DataField extends NameTypePair {
         } else {
             const t = this.typeExpr.eval(scope)
 
+            // isBaseOf() compares paths, so aliases of the BLS types are also caught
+            if (t.asType && Bls12_381_G1Type.isBaseOf(t.asType)) {
+                throw makeTypeError(
+                    this.typeExpr.site,
+                    `BLS types have no data representation, '${t.toString()}' can't be used as a field type`
+                )
+            }
+
             if (t.asDataType) {
                 const dt = t.asDataType
 
@@ -72,7 +122,7 @@ export class DataField extends NameTypePair {
                 }
             }
 
-            makeTypeError(
+            throw makeTypeError(
                 this.typeExpr.site,
                 `'${t.toString()}' isn't a valid data field type`
             )
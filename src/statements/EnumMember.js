@@ -11,7 +11,7 @@ import { DataField } from "./DataField.js"
 import { DataDefinition } from "./DataDefinition.js"
 
 /**
- * @import { Word } from "@helios-lang/compiler-utils"
+ * @import { IntLiteral, Word } from "@helios-lang/compiler-utils"
  * @typedef {import("../codegen/index.js").Definitions} Definitions
  * @typedef {import("../typecheck/index.js").DataType} DataType
  * @typedef {import("../typecheck/index.js").EnumMemberType} EnumMemberType
@@ -42,7 +42,7 @@ export class EnumMember {
 
     /**
      * @private
-     * @type {number | undefined}
+     * @type {bigint | undefined}
      */
     _constrIndex
 
@@ -53,18 +53,27 @@ export class EnumMember {
      */
     _dataDef
 
+    /**
+     * Explicit constructor tag (eg. `Withdraw = 3 {...}`)
+     * @readonly
+     * @type {IntLiteral | undefined}
+     */
+    tag
+
     /**
      * @param {Word} name
      * @param {DataField[]} fields
+     * @param {IntLiteral | undefined} tag
      */
-    constructor(name, fields) {
+    constructor(name, fields, tag = undefined) {
         this._parent = undefined // registered later
         this._constrIndex = undefined
         this._dataDef = new DataDefinition(name.site, name, fields)
+        this.tag = tag
     }
 
     /**
-     * @returns {number}
+     * @returns {bigint}
      */
     get constrIndex() {
         if (this._constrIndex === undefined) {
@@ -83,7 +92,7 @@ export class EnumMember {
 
     /**
      * @param {EnumStatementI} parent
-     * @param {number} i
+     * @param {bigint} i
      */
     registerParent(parent, i) {
         this._parent = parent
@@ -181,7 +190,7 @@ export class EnumMember {
         })
         map.set(`${this.path}____is`, {
             content: $`(data) -> {
-                __helios__common__enum_tag_equals(data, ${this.constrIndex})
+                __helios__common__enum_tag_equals(data, ${this.constrIndex.toString()})
             }`
         })
 
@@ -192,7 +201,7 @@ export class EnumMember {
 				() -> {
 					(pair) -> {
 						__core__ifThenElse(
-							__core__equalsInteger(__core__fstPair(pair), ${this.constrIndex}),
+							__core__equalsInteger(__core__fstPair(pair), ${this.constrIndex.toString()}),
 							() -> {
 								${this._dataDef.toIR_is_valid_data(true)}(__core__listData(__core__sndPair(pair)))
 							},
@@ -232,7 +241,7 @@ export class EnumMember {
             map.set(`${this.path}__from_data`, {
                 content: $(
                     `(data) -> {
-				__helios__common__assert_constr_index(data, ${this.constrIndex})
+				__helios__common__assert_constr_index(data, ${this.constrIndex.toString()})
 			}`,
                     this._dataDef.site
                 )
@@ -246,7 +255,7 @@ export class EnumMember {
 				() -> {
 					(index) -> {
 						__core__ifThenElse(
-							__core__equalsInteger(index, ${this.constrIndex}),
+							__core__equalsInteger(index, ${this.constrIndex.toString()}),
 							() -> {
 								__helios__option__SOME_FUNC(data)
 							},
@@ -300,7 +309,7 @@ export class EnumMember {
 
         return {
             kind: "variant",
-            tag: this.constrIndex,
+            tag: Number(this.constrIndex),
             id: this.path,
             name: this.name.value,
             fieldTypes: fieldTypes
@@ -324,7 +333,7 @@ export class EnumMember {
 
             return {
                 kind: "variant",
-                tag: this.constrIndex,
+                tag: Number(this.constrIndex),
                 id: this.path,
                 name: this.name.value,
                 fieldTypes: fieldTypes
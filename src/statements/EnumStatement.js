@@ -1,3 +1,4 @@
+import { makeTypeError } from "@helios-lang/compiler-utils"
 import { $ } from "@helios-lang/ir"
 import { expectDefined } from "@helios-lang/type-utils"
 import { ToIRContext } from "../codegen/ToIRContext.js"
@@ -25,6 +26,11 @@ import { TypeParameters } from "./TypeParameters.js"
  * @typedef {import("../typecheck/common.js").TypeSchema} TypeSchema
  */
 
+/**
+ * Constructor tags of Data are unsigned 64-bit integers, but the UPLC library and the schemas represent them as JS numbers, so tags are limited to `Number.MAX_SAFE_INTEGER` to avoid silently losing precision
+ */
+const MAX_CONSTR_INDEX = BigInt(Number.MAX_SAFE_INTEGER)
+
 /**
  * Enum statement, containing at least one member
  * @internal
@@ -64,8 +70,16 @@ export class EnumStatement extends Statement {
         this._members = members
         this._impl = impl
 
-        for (let i = 0; i < this._members.length; i++) {
-            this._members[i].registerParent(this, i)
+        // variants without an explicit tag follow the previous variant
+        let constrIndex = 0n
+
+        for (let member of this._members) {
+            if (member.tag) {
+                constrIndex = member.tag.value
+            }
+
+            member.registerParent(this, constrIndex)
+            constrIndex += 1n
         }
     }
 
@@ -143,10 +157,38 @@ export class EnumStatement extends Statement {
         return this._members.length
     }
 
+    /**
+     * Throws an error if a constructor tag is bigger than `Number.MAX_SAFE_INTEGER`, or if two variants end up with the same constructor tag
+     * @private
+     */
+    checkConstrIndices() {
+        this._members.forEach((member, i) => {
+            if (member.constrIndex > MAX_CONSTR_INDEX) {
+                throw makeTypeError(
+                    member.tag?.site ?? member.name.site,
+                    `constructor tag ${member.constrIndex} out of range (expected at most ${MAX_CONSTR_INDEX})`
+                )
+            }
+
+            const prev = this._members
+                .slice(0, i)
+                .find((prev) => prev.constrIndex == member.constrIndex)
+
+            if (prev) {
+                throw makeTypeError(
+                    member.tag?.site ?? member.name.site,
+                    `duplicate constructor tag ${member.constrIndex} (also used by '${prev.name.value}')`
+                )
+            }
+        })
+    }
+
     /**
      * @param {Scope} scope
      */
     eval(scope) {
+        this.checkConstrIndices()
+
         const [type, typeScope] = this._parameters.createParametricType(
             scope,
             this.site,
@@ -275,7 +317,7 @@ export class EnumStatement extends Statement {
             const m = this._members[i]
 
             ir = $`__core__ifThenElse(
-				__core__equalsInteger(index, ${m.constrIndex}),
+				__core__equalsInteger(index, ${m.constrIndex.toString()}),
 				() -> {
 					${m.path}__show(data)()
 				},
@@ -101,7 +101,13 @@ export class ImportFromStatement extends Statement {
                 return undefined
             }
 
-            const importedEntity = importedScope.get(this._origName)
+            const importedEntity =
+                importedScope instanceof ModuleScope
+                    ? importedScope.getExported(
+                          this._origName,
+                          this._moduleName
+                      )
+                    : importedScope.get(this._origName)
 
             if (importedEntity instanceof Scope) {
                 throw makeTypeError(
@@ -48,13 +48,29 @@ export class ImportModuleStatement extends Statement {
              */
             const namespaceMembers = {}
 
+            /**
+             * @type {Set<string>}
+             */
+            const privateNames = new Set()
+
             for (let [name, entity] of importedScope.values) {
-                if (!(entity instanceof Scope)) {
+                if (entity instanceof Scope) {
+                    continue
+                } else if (
+                    importedScope instanceof ModuleScope &&
+                    importedScope.isPrivate(name)
+                ) {
+                    privateNames.add(name.value)
+                } else {
                     namespaceMembers[name.value] = entity
                 }
             }
 
-            return new ModuleNamespace(this.name.value, namespaceMembers)
+            return new ModuleNamespace(
+                this.name.value,
+                namespaceMembers,
+                privateNames
+            )
         }
     }
 
@@ -0,0 +1,290 @@
+import { makeTypeError } from "@helios-lang/compiler-utils"
+import { $ } from "@helios-lang/ir"
+import { ToIRContext } from "../codegen/index.js"
+import { Expr } from "../expressions/index.js"
+import { TopScope } from "../scopes/index.js"
+import {
+    FuncType,
+    GenericType,
+    NamedEntity,
+    genCommonInstanceMembers,
+    genCommonTypeMembers
+} from "../typecheck/index.js"
+import { ImplDefinition } from "./ImplDefinition.js"
+import { Statement } from "./Statement.js"
+
+/**
+ * @import { Site, SymbolToken, Word } from "@helios-lang/compiler-utils"
+ * @typedef {import("../codegen/index.js").Definitions} Definitions
+ * @typedef {import("../typecheck/index.js").DataType} DataType
+ * @typedef {import("../typecheck/index.js").Type} Type
+ * @typedef {import("../typecheck/index.js").TypeMembers} TypeMembers
+ */
+
+/**
+ * Operators that can be inherited from the underlying type, along with the type members they correspond to
+ * @type {Record<string, string[]>}
+ */
+const INHERITABLE_OPERATORS = {
+    "+": ["__add", "__pos"],
+    "-": ["__sub", "__neg"],
+    "*": ["__mul"],
+    "/": ["__div"],
+    "%": ["__mod"],
+    "<": ["__lt"],
+    "<=": ["__leq"],
+    ">": ["__gt"],
+    ">=": ["__geq"]
+}
+
+/**
+ * Newtype statement: `newtype Name = TypeExpr with (ops...) {impl}`
+ * The newtype is a distinct type for the typechecker, but reuses the on-chain representation of the underlying type
+ */
+export class NewtypeStatement extends Statement {
+    /**
+     * @private
+     * @readonly
+     * @type {Expr}
+     */
+    _typeExpr
+
+    /**
+     * @private
+     * @readonly
+     * @type {SymbolToken[]}
+     */
+    _operators
+
+    /**
+     * @private
+     * @readonly
+     * @type {ImplDefinition}
+     */
+    _impl
+
+    /**
+     * Set during type evaluation
+     * @private
+     * @type {DataType | undefined}
+     */
+    _underlyingType
+
+    /**
+     * Type members inherited from the underlying type, set during type evaluation
+     * @private
+     * @type {string[]}
+     */
+    _inherited
+
+    /**
+     * @param {Site} site
+     * @param {Word} name
+     * @param {Expr} typeExpr
+     * @param {SymbolToken[]} operators
+     * @param {ImplDefinition} impl
+     */
+    constructor(site, name, typeExpr, operators, impl) {
+        super(site, name)
+        this._typeExpr = typeExpr
+        this._operators = operators
+        this._impl = impl
+        this._underlyingType = undefined
+        this._inherited = []
+    }
+
+    /**
+     * @type {Statement[]}
+     */
+    get statements() {
+        return this._impl.statements
+    }
+
+    /**
+     * @param {string} basePath
+     */
+    setBasePath(basePath) {
+        super.setBasePath(basePath)
+
+        this._impl.setBasePath(this.path)
+    }
+
+    /**
+     * @private
+     * @type {DataType}
+     */
+    get underlyingType() {
+        if (!this._underlyingType) {
+            throw new Error("underlying type not yet evaluated")
+        }
+
+        return this._underlyingType
+    }
+
+    /**
+     * @private
+     * @param {DataType} underlyingType
+     * @returns {string[]}
+     */
+    evalInherited(underlyingType) {
+        /**
+         * @type {string[]}
+         */
+        const inherited = []
+
+        this._operators.forEach((op, i) => {
+            const symbol = op.toString()
+            const names = INHERITABLE_OPERATORS[symbol]
+
+            if (!names) {
+                throw makeTypeError(
+                    op.site,
+                    `operator '${symbol}' can't be inherited`
+                )
+            }
+
+            if (
+                this._operators.slice(0, i).some((p) => p.toString() == symbol)
+            ) {
+                throw makeTypeError(op.site, `duplicate operator '${symbol}'`)
+            }
+
+            const found = names.filter((name) =>
+                isSelfOperator(underlyingType, name)
+            )
+
+            if (found.length == 0) {
+                throw makeTypeError(
+                    op.site,
+                    `operator '${symbol}' isn't defined for ${underlyingType.toString()}`
+                )
+            }
+
+            inherited.push(...found)
+        })
+
+        return inherited
+    }
+
+    /**
+     * Evaluates own type and adds to scope
+     * @param {TopScope} scope
+     */
+    eval(scope) {
+        const underlyingType = this._typeExpr.evalAsDataType(scope)
+
+        this._underlyingType = underlyingType
+        this._inherited = this.evalInherited(underlyingType)
+
+        const type = new GenericType({
+            name: this.name.value,
+            path: this.path,
+            genTypeSchema: (_self, parents) => underlyingType.toSchema(parents),
+            genInstanceMembers: (self) => ({
+                ...genCommonInstanceMembers(self),
+                ...this._impl.genInstanceMembers(scope),
+                unwrap: new FuncType([], underlyingType)
+            }),
+            genTypeMembers: (self) => ({
+                ...genCommonTypeMembers(self),
+                ...this._impl.genTypeMembers(scope),
+                ...this.genInheritedTypeMembers(self),
+                new: new FuncType([underlyingType], self)
+            })
+        })
+
+        scope.set(this.name, new NamedEntity(this.name.value, this.path, type))
+
+        this._impl.eval(scope)
+    }
+
+    /**
+     * The inherited operators take and return the newtype instead of the underlying type
+     * @private
+     * @param {Type} self
+     * @returns {TypeMembers}
+     */
+    genInheritedTypeMembers(self) {
+        const underlyingType = this.underlyingType
+
+        /**
+         * @type {TypeMembers}
+         */
+        const members = {}
+
+        this._inherited.forEach((name) => {
+            const fnType = /** @type {FuncType} */ (
+                underlyingType.typeMembers[name]
+            )
+
+            members[name] = new FuncType(
+                fnType.argTypes.map(() => self),
+                underlyingType.isBaseOf(fnType.retType) ? self : fnType.retType
+            )
+        })
+
+        return members
+    }
+
+    /**
+     * All the builtin members are mapped to those of the underlying type, `new` and `unwrap` are no-ops
+     * @param {ToIRContext} ctx
+     * @param {Definitions} map
+     */
+    toIR(ctx, map) {
+        const implPath = this.underlyingType.path
+
+        const mapped = [
+            "____eq",
+            "____neq",
+            "__serialize",
+            "__show",
+            "__from_data",
+            "__from_data_safe",
+            "____to_data",
+            "__is_valid_data"
+        ].concat(this._inherited.map((name) => `__${name}`))
+
+        mapped.forEach((suffix) => {
+            map.set(`${this.path}${suffix}`, {
+                content: $(`${implPath}${suffix}`, this.site)
+            })
+        })
+
+        map.set(`${this.path}__new`, {
+            content: $(`__helios__common__identity`, this.site)
+        })
+        map.set(`${this.path}__unwrap`, {
+            content: $(`(self) -> {() -> {self}}`, this.site)
+        })
+
+        this._impl.toIR(ctx.appendAliasNamespace(this.name.value), map)
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        const ops =
+            this._operators.length > 0
+                ? ` with (${this._operators.map((op) => op.toString()).join(", ")})`
+                : ""
+
+        return `newtype ${this.name.toString()} = ${this._typeExpr.toString()}${ops}`
+    }
+}
+
+/**
+ * Checks that the operator type member only takes instances of the type itself (i.e. not the alternative overloads)
+ * @param {DataType} type
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isSelfOperator(type, name) {
+    const member = type.typeMembers[name]?.asType
+
+    return (
+        member instanceof FuncType &&
+        member.argTypes.every((argType) => argType.isBaseOf(type))
+    )
+}
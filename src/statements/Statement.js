@@ -1,5 +1,5 @@
 import { ToIRContext } from "../codegen/index.js"
-import { ModuleScope } from "../scopes/index.js"
+import { ModuleScope, TopScope } from "../scopes/index.js"
 
 /**
  * @import { Site, Token, Word } from "@helios-lang/compiler-utils"
@@ -29,6 +29,12 @@ export class Statement {
      */
     _name
 
+    /**
+     * @private
+     * @type {boolean}
+     */
+    _isPrivate
+
     /**
      * @param {Site} site
      * @param {Word} name
@@ -37,6 +43,15 @@ export class Statement {
         this.site = site
         this.basePath = "__user"
         this._name = name
+        this._isPrivate = false
+    }
+
+    /**
+     * Private top-level statements can't be imported by other modules
+     * @type {boolean}
+     */
+    get isPrivate() {
+        return this._isPrivate
     }
 
     /**
@@ -61,7 +76,7 @@ export class Statement {
     }
 
     /**
-     * @param {ModuleScope} scope
+     * @param {ModuleScope | TopScope} scope
      */
     eval(scope) {
         throw new Error("not yet implemented")
@@ -74,6 +89,13 @@ export class Statement {
         this.basePath = basePath
     }
 
+    /**
+     * Set by the parser for top-level statements with the `private` modifier
+     */
+    setPrivate() {
+        this._isPrivate = true
+    }
+
     /**
      * Returns IR of statement.
      * No need to specify indent here, because all statements are top-level
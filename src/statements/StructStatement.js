@@ -135,6 +135,7 @@ export class StructStatement extends Statement {
                     }),
                     genTypeMembers: (self) => ({
                         ...genCommonTypeMembers(self),
+                        ...this._dataDef.genDefaultTypeMembers(typeScope),
                         ...this._impl.genTypeMembers(typeScope)
                     })
                 }
@@ -153,6 +154,8 @@ export class StructStatement extends Statement {
 
         void this._dataDef.evalFieldTypes(typeScope)
 
+        this._dataDef.evalDefaults(typeScope)
+
         typeScope.assertAllUsed()
 
         this._impl.eval(typeScope)
@@ -200,12 +203,16 @@ export class StructStatement extends Statement {
             content: $(`__helios__common__identity`, this.site)
         })
 
+        // missing keys of fields with a default value are added when decoding, so the getters and the equality check find them
+        const addDefaults = this._dataDef.toIR_add_defaults(this.path)
+        const decoded = addDefaults ? `${addDefaults.toString()}(data)` : "data"
+
         if (!ctx.optimize) {
             map.set(`${this.path}__from_data`, {
                 content: $(
                     `(data) -> {
                 (ignore) -> {
-                    data
+                    ${decoded}
                 }(
                     __core__ifThenElse(
                         ${this.path}__is_valid_data(data),
@@ -221,6 +228,10 @@ export class StructStatement extends Statement {
                     this.site
                 )
             })
+        } else if (addDefaults) {
+            map.set(`${this.path}__from_data`, {
+                content: addDefaults
+            })
         } else {
             map.set(`${this.path}__from_data`, {
                 content: $(`__helios__common__identity`, this.site)
@@ -232,7 +243,7 @@ export class StructStatement extends Statement {
                 `(data) -> {
                 __core__ifThenElse(
                     ${this.path}__is_valid_data(data),
-                    () -> { __helios__option__SOME_FUNC(data) },
+                    () -> { __helios__option__SOME_FUNC(${decoded}) },
                     () -> { __helios__option__NONE_FUNC }
                 )()
             }`,
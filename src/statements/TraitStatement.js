@@ -0,0 +1,98 @@
+import { makeTypeError } from "@helios-lang/compiler-utils"
+import { ToIRContext } from "../codegen/index.js"
+import { FuncTypeExpr } from "../expressions/index.js"
+import { TopScope } from "../scopes/index.js"
+import { TraitTypeClass } from "../typecheck/index.js"
+import { Statement } from "./Statement.js"
+
+/**
+ * @import { Site, Word } from "@helios-lang/compiler-utils"
+ * @typedef {import("../codegen/index.js").Definitions} Definitions
+ * @typedef {import("../typecheck/index.js").TypeClassMembers} TypeClassMembers
+ */
+
+/**
+ * Methods that take `self` as first argument are instance members, the other methods are type members.
+ * A method without `self` is only implemented by an associated function of the same name (and vice versa), and is called as `T::method()`
+ * @typedef {{
+ *   name: Word
+ *   hasSelf: boolean
+ *   typeExpr: FuncTypeExpr
+ * }} TraitMethod
+ */
+
+/**
+ * Trait statement, declaring a user-defined typeclass
+ */
+export class TraitStatement extends Statement {
+    /**
+     * @private
+     * @readonly
+     * @type {TraitMethod[]}
+     */
+    _methods
+
+    /**
+     * @param {Site} site
+     * @param {Word} name
+     * @param {TraitMethod[]} methods
+     */
+    constructor(site, name, methods) {
+        super(site, name)
+        this._methods = methods
+    }
+
+    /**
+     * Evaluates the method signatures and adds the typeclass to scope
+     * @param {TopScope} scope
+     */
+    eval(scope) {
+        /**
+         * @type {TypeClassMembers}
+         */
+        const instanceMembers = {}
+
+        /**
+         * @type {TypeClassMembers}
+         */
+        const typeMembers = {}
+
+        this._methods.forEach(({ name, hasSelf, typeExpr }) => {
+            const members = hasSelf ? instanceMembers : typeMembers
+
+            if (name.value in instanceMembers || name.value in typeMembers) {
+                throw makeTypeError(
+                    name.site,
+                    `duplicate method '${name.value}' in trait ${this.name.value}`
+                )
+            }
+
+            const type = typeExpr.eval(scope).asType
+
+            if (!type) {
+                throw makeTypeError(typeExpr.site, "not a type")
+            }
+
+            members[name.value] = type
+        })
+
+        scope.set(
+            this.name,
+            new TraitTypeClass(this.name.value, instanceMembers, typeMembers)
+        )
+    }
+
+    /**
+     * Traits don't generate any IR, the implementing types are substituted when the type parameters are applied
+     * @param {ToIRContext} ctx
+     * @param {Definitions} map
+     */
+    toIR(ctx, map) {}
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return `trait ${this.name.toString()} {${this._methods.map(({ name, typeExpr }) => `func ${name.toString()}${typeExpr.toString()}`).join(" ")}}`
+    }
+}
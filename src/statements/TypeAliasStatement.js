@@ -0,0 +1,111 @@
+import { makeTypeError } from "@helios-lang/compiler-utils"
+import { ToIRContext } from "../codegen/index.js"
+import { Expr } from "../expressions/index.js"
+import { TopScope } from "../scopes/index.js"
+import { ParametricType, aliasType } from "../typecheck/index.js"
+import { Statement } from "./Statement.js"
+import { TypeParameters } from "./TypeParameters.js"
+
+/**
+ * @import { Site, Word } from "@helios-lang/compiler-utils"
+ * @typedef {import("../codegen/index.js").Definitions} Definitions
+ * @typedef {import("../typecheck/index.js").DataType} DataType
+ * @typedef {import("../typecheck/index.js").InferenceMap} InferenceMap
+ * @typedef {import("../typecheck/index.js").Type} Type
+ */
+
+/**
+ * Type alias statement: `type Name[Params] = TypeExpr`
+ */
+export class TypeAliasStatement extends Statement {
+    /**
+     * @private
+     * @readonly
+     * @type {TypeParameters}
+     */
+    _parameters
+
+    /**
+     * @private
+     * @readonly
+     * @type {Expr}
+     */
+    _typeExpr
+
+    /**
+     * @param {Site} site
+     * @param {Word} name
+     * @param {TypeParameters} parameters
+     * @param {Expr} typeExpr
+     */
+    constructor(site, name, parameters, typeExpr) {
+        super(site, name)
+        this._parameters = parameters
+        this._typeExpr = typeExpr
+    }
+
+    /**
+     * Adds the aliased type to scope, renamed so that error messages show the alias
+     * @param {TopScope} scope
+     */
+    eval(scope) {
+        const typeScope = this._parameters.evalParams(scope)
+
+        const type = this._typeExpr.evalAsType(typeScope)
+
+        typeScope.assertAllUsed()
+
+        if (!this._parameters.hasParameters()) {
+            scope.set(this.name, aliasType(type, this.name.value))
+            return
+        }
+
+        const parameters = this._parameters.getParameters()
+
+        scope.set(
+            this.name,
+            new ParametricType({
+                name: this.name.value,
+                parameters: parameters,
+                apply: (paramTypes) => {
+                    /**
+                     * @type {InferenceMap}
+                     */
+                    const map = new Map()
+
+                    paramTypes.forEach((pt, i) => {
+                        map.set(parameters[i], pt)
+                    })
+
+                    const appliedType = aliasType(
+                        type.infer(this.site, map, null),
+                        `${this.name.value}[${paramTypes.map((pt) => pt.toString()).join(",")}]`
+                    ).asDataType
+
+                    if (!appliedType) {
+                        throw makeTypeError(
+                            this._typeExpr.site,
+                            "a parametric type alias must be a data type"
+                        )
+                    }
+
+                    return appliedType
+                }
+            })
+        )
+    }
+
+    /**
+     * Type aliases don't generate any IR, the aliased type is used directly
+     * @param {ToIRContext} ctx
+     * @param {Definitions} map
+     */
+    toIR(ctx, map) {}
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return `type ${this.name.toString()}${this._parameters.toString()} = ${this._typeExpr.toString()}`
+    }
+}
@@ -6,7 +6,10 @@ export { FuncStatement } from "./FuncStatement.js"
 export { ImplDefinition } from "./ImplDefinition.js"
 export { ImportFromStatement } from "./ImportFromStatement.js"
 export { ImportModuleStatement } from "./ImportModuleStatement.js"
+export { NewtypeStatement } from "./NewtypeStatement.js"
 export { Statement } from "./Statement.js"
 export { StructStatement } from "./StructStatement.js"
+export { TraitStatement } from "./TraitStatement.js"
+export { TypeAliasStatement } from "./TypeAliasStatement.js"
 export { TypeParameter } from "./TypeParameter.js"
 export { TypeParameters } from "./TypeParameters.js"
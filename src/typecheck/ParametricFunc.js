@@ -131,6 +131,13 @@ export class ParametricFunc extends Common {
                 )
             }
 
+            if (!p.typeClass.isImplementedBy(pt)) {
+                throw makeTypeError(
+                    site,
+                    `${pt.toString()} doesn't implement ${p.typeClass.toString()}`
+                )
+            }
+
             paramTypes.push(pt)
         })
 
@@ -0,0 +1,26 @@
+import { FuncType, GenericType } from "./common.js"
+import { BoolType, ByteArrayType, IntType } from "./primitives.js"
+
+/**
+ * @typedef {import("./common.js").DataType} DataType
+ */
+
+/**
+ * Builtin BLS12-381 G1 point type
+ * Can't be converted to and from Data, and can only be used in Plutus V3 scripts
+ * @type {DataType}
+ */
+export const Bls12_381_G1Type = new GenericType({
+    name: "Bls12_381_G1",
+    genInstanceMembers: (self) => ({
+        compress: new FuncType([], ByteArrayType),
+        scalar_mul: new FuncType([IntType], self)
+    }),
+    genTypeMembers: (self) => ({
+        __add: new FuncType([self, self], self),
+        __eq: new FuncType([self, self], BoolType),
+        __neg: new FuncType([self], self),
+        __neq: new FuncType([self, self], BoolType),
+        uncompress: new FuncType([ByteArrayType], self)
+    })
+})
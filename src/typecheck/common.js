@@ -10,6 +10,11 @@ import { expectDefined, isDefined } from "@helios-lang/type-utils"
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
  */
 
+/**
+ * The default value of a struct field is included in its schema as Helios source code
+ * @typedef {FieldTypeSchema & {default?: string}} FieldTypeSchemaWithDefault
+ */
+
 /**
  * @typedef {(argType: Type, targetType: Type) => (Type | undefined)} ViableCasts
  */
@@ -85,7 +90,7 @@ export function registerMakeMapType(callback) {
 /**
  * @typedef {DataType & {
  *   asEnumMemberType: EnumMemberType
- *   constrIndex:      number
+ *   constrIndex:      number | bigint
  *   parentType:       DataType
  * }} EnumMemberType
  */
@@ -1387,6 +1392,22 @@ export class GenericType extends Common {
         })
     }
 
+    /**
+     * Used by type aliases: the path stays the same, so the copy is interchangeable with the original type
+     * @param {string} name
+     * @returns {GenericType}
+     */
+    alias(name) {
+        return new GenericType({
+            name: name,
+            path: this._path,
+            fieldNames: this._fieldNames,
+            genInstanceMembers: this._genInstanceMembers,
+            genTypeMembers: this._genTypeMembers,
+            genTypeSchema: (_self, parents) => this.toSchema(parents)
+        })
+    }
+
     /**
      * @param {Type} other
      * @returns {boolean}
@@ -1420,7 +1441,7 @@ export class GenericType extends Common {
  * @typedef {{
  *   name: string,
  *   path?: string,
- *   constrIndex: number,
+ *   constrIndex: number | bigint,
  *   parentType: DataType,
  *   fieldNames?: string[],
  *   genInstanceMembers: (self: Type) => InstanceMembers,
@@ -1438,7 +1459,7 @@ export class GenericEnumMemberType extends GenericType {
     /**
      * @private
      * @readonly
-     * @type {number}
+     * @type {number | bigint}
      */
     _constrIndex
 
@@ -1476,7 +1497,7 @@ export class GenericEnumMemberType extends GenericType {
     }
 
     /**
-     * @type {number}
+     * @type {number | bigint}
      */
     get constrIndex() {
         return this._constrIndex
@@ -2104,14 +2125,24 @@ export class ModuleNamespace extends Common {
      */
     _members
 
+    /**
+     * Names of the private declarations of the module, which aren't part of the members
+     * @private
+     * @readonly
+     * @type {Set<string>}
+     */
+    _privateNames
+
     /**
      * @param {string} name
      * @param {NamespaceMembers} members
+     * @param {Set<string>} privateNames
      */
-    constructor(name, members) {
+    constructor(name, members, privateNames = new Set()) {
         super()
         this.name = name
         this._members = members
+        this._privateNames = privateNames
     }
 
     /**
@@ -2121,6 +2152,14 @@ export class ModuleNamespace extends Common {
         return this._members
     }
 
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    isPrivate(name) {
+        return this._privateNames.has(name)
+    }
+
     /**
      * @type {Namespace}
      */
@@ -251,13 +251,13 @@ export function isDataType(type) {
         return false
     }
 
-    // no need to check for primitives
+    // no need to check for primitives (isBaseOf() compares paths, so this includes aliases of primitives)
     if (
-        dt == IntType ||
-        dt == StringType ||
-        dt == ByteArrayType ||
-        dt == BoolType ||
-        dt == RealType
+        IntType.isBaseOf(dt) ||
+        StringType.isBaseOf(dt) ||
+        ByteArrayType.isBaseOf(dt) ||
+        BoolType.isBaseOf(dt) ||
+        RealType.isBaseOf(dt)
     ) {
         return true
     }
@@ -309,6 +309,10 @@ export function TupleType$(itemTypes, isAllDataTypes = null) {
                 members[key] = itemTypes[i]
             }
 
+            itemTypes.forEach((it, i) => {
+                members[i.toString()] = it
+            })
+
             const a = new Parameter("a", `${FTPP}0`, new AnyTypeClass())
             members.__to_func = new ParametricFunc(
                 [a],
@@ -1128,3 +1132,18 @@ const OptionType = new ParametricType({
 export function OptionType$(someType) {
     return applyTypes(OptionType, someType)
 }
+
+/**
+ * Returns false for the Option member types
+ * @param {Type} type
+ * @returns {boolean}
+ */
+export function isOptionType(type) {
+    const path = type.asDataType?.path ?? ""
+
+    return (
+        path.startsWith("__helios__option[") &&
+        !path.endsWith("]__some") &&
+        !path.endsWith("]__none")
+    )
+}
@@ -108,6 +108,39 @@ export const MintingPolicyHashType = new ScriptHashType(
  */
 export const PubKeyType = new GenericType({
     name: "PubKey",
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        hash: new FuncType([], PubKeyHashType),
+        verify: new FuncType([ByteArrayType, ByteArrayType], BoolType)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        new: new FuncType([ByteArrayType], self)
+    })
+})
+
+/**
+ * Builtin compressed secp256k1 public key type, for verifying ECDSA signatures
+ * @type {DataType}
+ */
+export const EcdsaSecp256k1PubKeyType = new GenericType({
+    name: "EcdsaSecp256k1PubKey",
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        verify: new FuncType([ByteArrayType, ByteArrayType], BoolType)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        new: new FuncType([ByteArrayType], self)
+    })
+})
+
+/**
+ * Builtin x-only secp256k1 public key type, for verifying Schnorr signatures
+ * @type {DataType}
+ */
+export const SchnorrSecp256k1PubKeyType = new GenericType({
+    name: "SchnorrSecp256k1PubKey",
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
         verify: new FuncType([ByteArrayType, ByteArrayType], BoolType)
@@ -1,3 +1,4 @@
+export { Bls12_381_G1Type } from "./bls.js"
 export {
     BuiltinFunc,
     AssertFunc,
@@ -15,13 +16,16 @@ export {
     ListType$,
     MapType,
     MapType$,
-    OptionType$
+    OptionType$,
+    isOptionType
 } from "./containers.js"
 export {
     DatumHashType,
+    EcdsaSecp256k1PubKeyType,
     MintingPolicyHashType,
     PubKeyType,
     PubKeyHashType,
+    SchnorrSecp256k1PubKeyType,
     ScriptHashType,
     scriptHashType,
     StakingHashType,
@@ -35,6 +39,7 @@ export { Parameter } from "./Parameter.js"
 export { ParametricData } from "./ParametricData.js"
 export { ParametricFunc } from "./ParametricFunc.js"
 export {
+    aliasType,
     AnyTypeClass,
     DataTypeClassImpl,
     DefaultTypeClass,
@@ -42,6 +47,7 @@ export {
     GenericParametricEnumMemberType,
     ParametricType,
     SummableTypeClass,
+    TraitTypeClass,
     TypeClassImpl
 } from "./parametric.js"
 export {
@@ -62,22 +68,30 @@ export {
     Cip67Namespace,
     ContractContextType,
     DCertType,
+    DelegateeType,
+    DRepType,
+    GovernanceActionType,
+    GovernanceActionIdType,
     SpendingCredentialType,
     TxOutputDatumType,
     MacroType,
     MixedArgsType,
     NetworkType,
+    ProposalProcedureType,
     ScriptsType,
     ScriptContextNamespace,
     ScriptPurposeType,
     StakingCredentialType,
     StakingPurposeType,
     TxBuilderType,
+    TxCertType,
     TxType,
     TxIdType,
     TxInputType,
     TxOutputType,
     TxOutputIdType,
+    VoteType,
+    VoterType,
     WalletType
 } from "./tx.js"
 
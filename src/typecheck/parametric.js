@@ -121,7 +121,7 @@ export class GenericParametricEnumMemberType extends GenericEnumMemberType {
 
                     return {
                         kind: "variant",
-                        tag: this.constrIndex,
+                        tag: Number(this.constrIndex),
                         name: this.name,
                         id: partialProps.path,
                         fieldTypes: partialProps.fieldNames.map((fn) => ({
@@ -530,6 +530,75 @@ export class SummableTypeClass extends Common {
     }
 }
 
+/**
+ * Created by trait statements.
+ * A type implements a trait if it has all the methods of the trait (on top of the members required by DefaultTypeClass).
+ * @implements {TypeClass}
+ */
+export class TraitTypeClass extends DefaultTypeClass {
+    /**
+     * @private
+     * @readonly
+     * @type {string}
+     */
+    _name
+
+    /**
+     * @private
+     * @readonly
+     * @type {TypeClassMembers}
+     */
+    _instanceMembers
+
+    /**
+     * @private
+     * @readonly
+     * @type {TypeClassMembers}
+     */
+    _typeMembers
+
+    /**
+     * @param {string} name
+     * @param {TypeClassMembers} instanceMembers
+     * @param {TypeClassMembers} typeMembers
+     */
+    constructor(name, instanceMembers, typeMembers) {
+        super()
+        this._name = name
+        this._instanceMembers = instanceMembers
+        this._typeMembers = typeMembers
+    }
+
+    /**
+     * @param {Type} impl
+     * @returns {TypeClassMembers}
+     */
+    genTypeMembers(impl) {
+        return {
+            ...super.genTypeMembers(impl),
+            ...this._typeMembers
+        }
+    }
+
+    /**
+     * @param {Type} impl
+     * @returns {TypeClassMembers}
+     */
+    genInstanceMembers(impl) {
+        return {
+            ...super.genInstanceMembers(impl),
+            ...this._instanceMembers
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return this._name
+    }
+}
+
 /**
  * @implements {DataType}
  */
@@ -643,6 +712,18 @@ class AppliedType extends Common {
             const infered = this._types.map((t) => t.infer(site, map, null))
 
             return new AppliedType(infered, this._apply, this._apply(infered))
+        } else if (
+            type instanceof AppliedType &&
+            type._apply != this._apply &&
+            type._inner instanceof AppliedType
+        ) {
+            // parametric type aliases are inferred through the aliased type
+            return this.infer(site, map, type._inner)
+        } else if (
+            this._inner instanceof AppliedType &&
+            !(type instanceof AppliedType && type._apply == this._apply)
+        ) {
+            return this._inner.infer(site, map, type)
         } else if (
             type instanceof AppliedType &&
             type._types.length == this._types.length
@@ -667,6 +748,18 @@ class AppliedType extends Common {
         }
     }
 
+    /**
+     * @param {string} name
+     * @returns {AppliedType}
+     */
+    alias(name) {
+        return new AppliedType(
+            this._types,
+            this._apply,
+            /** @type {DataType} */ (aliasType(this._inner, name))
+        )
+    }
+
     /**
      * @param {Type} other
      * @returns {boolean}
@@ -690,6 +783,24 @@ class AppliedType extends Common {
     }
 }
 
+/**
+ * Renames a type for a type alias, keeping its path so the alias remains interchangeable with the original type.
+ * Other types are returned as is, including the subclasses of GenericType (tuples, enum variants and types with unresolved parameters), because a renamed copy would lose their special behavior.
+ * @param {Type} type
+ * @param {string} name
+ * @returns {Type}
+ */
+export function aliasType(type, name) {
+    if (
+        type instanceof AppliedType ||
+        (type instanceof GenericType && type.constructor == GenericType)
+    ) {
+        return type.alias(name)
+    } else {
+        return type
+    }
+}
+
 /**
  * @implements {Parametric}
  */
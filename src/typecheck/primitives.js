@@ -104,8 +104,10 @@ export const ByteArrayType = new GenericType({
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
         blake2b: new FuncType([], self),
+        blake2b_224: new FuncType([], self),
         decode_utf8: new FuncType([], StringType),
         ends_with: new FuncType([self], BoolType),
+        keccak_256: new FuncType([], self),
         length: IntType,
         prepend: new FuncType([IntType], self),
         sha2: new FuncType([], self),
@@ -141,11 +143,15 @@ export const IntType = new GenericType({
         bound_min: new FuncType([self], self),
         decode_zigzag: new FuncType([], self),
         encode_zigzag: new FuncType([], self),
+        pow: new FuncType([self], self),
+        pow_mod: new FuncType([self, self], self),
         to_base58: new FuncType([], StringType),
         to_big_endian: new FuncType([], ByteArrayType),
+        to_big_endian_padded: new FuncType([self], ByteArrayType),
         to_bool: new FuncType([], BoolType),
         to_hex: new FuncType([], StringType),
         to_little_endian: new FuncType([], ByteArrayType),
+        to_little_endian_padded: new FuncType([self], ByteArrayType),
         to_ratio: new FuncType([], RatioType),
         to_real: new FuncType([], RealType)
     }),
@@ -363,6 +369,7 @@ export const RealType = new GenericType({
         abs: new FuncType([], self),
         ceil: new FuncType([], IntType),
         floor: new FuncType([], IntType),
+        pow: new FuncType([IntType], self),
         round: new FuncType([], IntType),
         trunc: new FuncType([], IntType),
         to_ratio: new FuncType([], RatioType)
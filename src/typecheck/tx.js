@@ -278,217 +278,759 @@ const DCertRetirePoolType = new GenericEnumMemberType({
 })
 
 /**
- * Builtin Credential type
+ * Builtin Delegatee type (Stake | Vote | StakeVote)
  * @type {DataType}
  */
-export const SpendingCredentialType = new GenericType({
-    name: "SpendingCredential",
+export const DelegateeType = new GenericType({
+    name: "Delegatee",
     genTypeSchema: (self, parents) => ({
         kind: "internal",
-        name: "SpendingCredential"
+        name: "Delegatee"
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self)
     }),
     genTypeMembers: (self) => ({
         ...genCommonTypeMembers(self),
-        PubKey: SpendingCredentialPubKeyType,
-        Validator: SpendingCredentialValidatorType,
-        new_pubkey: new FuncType(
-            [PubKeyHashType],
-            SpendingCredentialPubKeyType
-        ),
-        new_validator: new FuncType(
-            [ValidatorHashType],
-            SpendingCredentialValidatorType
+        Stake: DelegateeStakeType,
+        Vote: DelegateeVoteType,
+        StakeVote: DelegateeStakeVoteType,
+        new_stake: new FuncType([PubKeyHashType], DelegateeStakeType),
+        new_vote: new FuncType([DRepType], DelegateeVoteType),
+        new_stake_vote: new FuncType(
+            [PubKeyHashType, DRepType],
+            DelegateeStakeVoteType
         )
     })
 })
 
 /**
- * Builtin SpendingCredential::PubKey
+ * @type {EnumMemberType}
  */
-const SpendingCredentialPubKeyType = new GenericEnumMemberType({
-    name: "PubKey",
+const DelegateeStakeType = new GenericEnumMemberType({
+    name: "Stake",
     constrIndex: 0,
-    fieldNames: ["hash"],
-    parentType: SpendingCredentialType,
+    fieldNames: ["pool_id"],
+    parentType: DelegateeType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
         tag: 0,
         id: expectDefined(self.asDataType).path,
-        name: "PubKey",
+        name: "Stake",
         fieldTypes: [
             {
-                name: "hash",
+                name: "pool_id",
                 type: PubKeyHashType.toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        hash: PubKeyHashType
+        pool_id: PubKeyHashType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, SpendingCredentialType)
+        ...genCommonEnumTypeMembers(self, DelegateeType)
     })
 })
 
 /**
- * Builtin SpendingCredential::Validator type
+ * @type {EnumMemberType}
  */
-const SpendingCredentialValidatorType = new GenericEnumMemberType({
-    name: "Validator",
+const DelegateeVoteType = new GenericEnumMemberType({
+    name: "Vote",
     constrIndex: 1,
-    fieldNames: ["hash"],
-    parentType: SpendingCredentialType,
+    fieldNames: ["drep"],
+    parentType: DelegateeType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
         tag: 1,
         id: expectDefined(self.asDataType).path,
-        name: "Validator",
+        name: "Vote",
         fieldTypes: [
             {
-                name: "hash",
-                type: ValidatorHashType.toSchema(parents)
+                name: "drep",
+                type: DRepType.toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        hash: ValidatorHashType
+        drep: DRepType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, SpendingCredentialType)
+        ...genCommonEnumTypeMembers(self, DelegateeType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const DelegateeStakeVoteType = new GenericEnumMemberType({
+    name: "StakeVote",
+    constrIndex: 2,
+    fieldNames: ["pool_id", "drep"],
+    parentType: DelegateeType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 2,
+        id: expectDefined(self.asDataType).path,
+        name: "StakeVote",
+        fieldTypes: [
+            {
+                name: "pool_id",
+                type: PubKeyHashType.toSchema(parents)
+            },
+            {
+                name: "drep",
+                type: DRepType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        pool_id: PubKeyHashType,
+        drep: DRepType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, DelegateeType)
     })
 })
 
 /**
+ * Builtin DRep type, the target of a vote delegation
  * @type {DataType}
  */
-export const TxOutputDatumType = new GenericType({
-    name: "TxOutputDatum",
-    path: "__helios__txoutputdatum",
+export const DRepType = new GenericType({
+    name: "DRep",
     genTypeSchema: (self, parents) => ({
         kind: "internal",
-        name: "TxOutputDatum"
+        name: "DRep"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        Credential: DRepCredentialType,
+        AlwaysAbstain: DRepAlwaysAbstainType,
+        AlwaysNoConfidence: DRepAlwaysNoConfidenceType,
+        new_credential: new FuncType(
+            [SpendingCredentialType],
+            DRepCredentialType
+        )
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const DRepCredentialType = new GenericEnumMemberType({
+    name: "Credential",
+    constrIndex: 0,
+    fieldNames: ["credential"],
+    parentType: DRepType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 0,
+        id: expectDefined(self.asDataType).path,
+        name: "Credential",
+        fieldTypes: [
+            {
+                name: "credential",
+                type: SpendingCredentialType.toSchema(parents)
+            }
+        ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        inline: RawDataType
+        credential: SpendingCredentialType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, DRepType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const DRepAlwaysAbstainType = new GenericEnumMemberType({
+    name: "AlwaysAbstain",
+    constrIndex: 1,
+    fieldNames: [],
+    parentType: DRepType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 1,
+        id: expectDefined(self.asDataType).path,
+        name: "AlwaysAbstain",
+        fieldTypes: []
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, DRepType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const DRepAlwaysNoConfidenceType = new GenericEnumMemberType({
+    name: "AlwaysNoConfidence",
+    constrIndex: 2,
+    fieldNames: [],
+    parentType: DRepType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 2,
+        id: expectDefined(self.asDataType).path,
+        name: "AlwaysNoConfidence",
+        fieldTypes: []
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, DRepType)
+    })
+})
+
+/**
+ * Builtin GovernanceAction type, the action of a ProposalProcedure
+ * @type {DataType}
+ */
+export const GovernanceActionType = new GenericType({
+    name: "GovernanceAction",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "GovernanceAction"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
     }),
     genTypeMembers: (self) => ({
         ...genCommonTypeMembers(self),
-        Hash: TxOutputDatumHashType,
-        Inline: TxOutputDatumInlineType,
-        None: TxOutputDatumNoneType,
-        new_hash: new FuncType([DatumHashType], TxOutputDatumHashType),
-        new_inline: (() => {
-            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
+        ParameterChange: GovernanceActionParameterChangeType,
+        HardForkInitiation: GovernanceActionHardForkInitiationType,
+        TreasuryWithdrawals: GovernanceActionTreasuryWithdrawalsType,
+        NoConfidence: GovernanceActionNoConfidenceType,
+        UpdateCommittee: GovernanceActionUpdateCommitteeType,
+        NewConstitution: GovernanceActionNewConstitutionType,
+        Info: GovernanceActionInfoType,
+        new_parameter_change: new FuncType(
+            [
+                OptionType$(GovernanceActionIdType),
+                RawDataType,
+                OptionType$(scriptHashType)
+            ],
+            GovernanceActionParameterChangeType
+        ),
+        new_hard_fork_initiation: new FuncType(
+            [OptionType$(GovernanceActionIdType), RawDataType],
+            GovernanceActionHardForkInitiationType
+        ),
+        new_treasury_withdrawals: new FuncType(
+            [
+                MapType$(SpendingCredentialType, IntType),
+                OptionType$(scriptHashType)
+            ],
+            GovernanceActionTreasuryWithdrawalsType
+        ),
+        new_no_confidence: new FuncType(
+            [OptionType$(GovernanceActionIdType)],
+            GovernanceActionNoConfidenceType
+        ),
+        new_update_committee: new FuncType(
+            [
+                OptionType$(GovernanceActionIdType),
+                ListType$(SpendingCredentialType),
+                MapType$(SpendingCredentialType, IntType),
+                RawDataType
+            ],
+            GovernanceActionUpdateCommitteeType
+        ),
+        new_constitution: new FuncType(
+            [OptionType$(GovernanceActionIdType), RawDataType],
+            GovernanceActionNewConstitutionType
+        )
+    })
+})
 
-            return new ParametricFunc(
-                [a],
-                new FuncType([a.ref], TxOutputDatumInlineType)
-            )
-        })(),
-        new_none: new FuncType([], TxOutputDatumNoneType)
+/**
+ * @type {EnumMemberType}
+ */
+const GovernanceActionParameterChangeType = new GenericEnumMemberType({
+    name: "ParameterChange",
+    constrIndex: 0,
+    fieldNames: ["prev_action", "parameters", "guardrail"],
+    parentType: GovernanceActionType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 0,
+        id: expectDefined(self.asDataType).path,
+        name: "ParameterChange",
+        fieldTypes: [
+            {
+                name: "prev_action",
+                type: OptionType$(GovernanceActionIdType).toSchema(parents)
+            },
+            {
+                name: "parameters",
+                type: RawDataType.toSchema(parents)
+            },
+            {
+                name: "guardrail",
+                type: OptionType$(scriptHashType).toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        prev_action: OptionType$(GovernanceActionIdType),
+        parameters: RawDataType,
+        guardrail: OptionType$(scriptHashType)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, GovernanceActionType)
     })
 })
 
 /**
  * @type {EnumMemberType}
  */
-const TxOutputDatumHashType = new GenericEnumMemberType({
-    name: "Hash",
+const GovernanceActionHardForkInitiationType = new GenericEnumMemberType({
+    name: "HardForkInitiation",
     constrIndex: 1,
-    parentType: TxOutputDatumType,
-    fieldNames: ["hash"],
+    fieldNames: ["prev_action", "protocol_version"],
+    parentType: GovernanceActionType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
         tag: 1,
         id: expectDefined(self.asDataType).path,
-        name: "Hash",
+        name: "HardForkInitiation",
         fieldTypes: [
             {
-                name: "hash",
-                type: DatumHashType.toSchema(parents)
+                name: "prev_action",
+                type: OptionType$(GovernanceActionIdType).toSchema(parents)
+            },
+            {
+                name: "protocol_version",
+                type: RawDataType.toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        hash: DatumHashType
+        prev_action: OptionType$(GovernanceActionIdType),
+        protocol_version: RawDataType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, TxOutputDatumType)
+        ...genCommonEnumTypeMembers(self, GovernanceActionType)
     })
 })
 
 /**
  * @type {EnumMemberType}
  */
-const TxOutputDatumInlineType = new GenericEnumMemberType({
-    name: "Inline",
+const GovernanceActionTreasuryWithdrawalsType = new GenericEnumMemberType({
+    name: "TreasuryWithdrawals",
     constrIndex: 2,
-    parentType: TxOutputDatumType,
-    fieldNames: ["data"],
+    fieldNames: ["withdrawals", "guardrail"],
+    parentType: GovernanceActionType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
         tag: 2,
         id: expectDefined(self.asDataType).path,
-        name: "Inline",
+        name: "TreasuryWithdrawals",
         fieldTypes: [
             {
-                name: "data",
-                type: RawDataType.toSchema(parents)
+                name: "withdrawals",
+                type: MapType$(SpendingCredentialType, IntType).toSchema(
+                    parents
+                )
+            },
+            {
+                name: "guardrail",
+                type: OptionType$(scriptHashType).toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        data: RawDataType
+        withdrawals: MapType$(SpendingCredentialType, IntType),
+        guardrail: OptionType$(scriptHashType)
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, TxOutputDatumType)
+        ...genCommonEnumTypeMembers(self, GovernanceActionType)
     })
 })
 
 /**
  * @type {EnumMemberType}
  */
-const TxOutputDatumNoneType = new GenericEnumMemberType({
-    name: "None",
-    constrIndex: 0,
-    parentType: TxOutputDatumType,
-    fieldNames: [],
+const GovernanceActionNoConfidenceType = new GenericEnumMemberType({
+    name: "NoConfidence",
+    constrIndex: 3,
+    fieldNames: ["prev_action"],
+    parentType: GovernanceActionType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
-        tag: 0,
+        tag: 3,
         id: expectDefined(self.asDataType).path,
-        name: "None",
-        fieldTypes: []
+        name: "NoConfidence",
+        fieldTypes: [
+            {
+                name: "prev_action",
+                type: OptionType$(GovernanceActionIdType).toSchema(parents)
+            }
+        ]
     }),
     genInstanceMembers: (self) => ({
-        ...genCommonInstanceMembers(self)
+        ...genCommonInstanceMembers(self),
+        prev_action: OptionType$(GovernanceActionIdType)
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, TxOutputDatumType)
+        ...genCommonEnumTypeMembers(self, GovernanceActionType)
     })
 })
 
 /**
- * Base class for ScriptContext, ContractContext, Scripts and other "macro"-types
+ * @type {EnumMemberType}
  */
-export class MacroType extends Common {
-    /**
-     * @type {string[]}
-     */
-    get fieldNames() {
-        return []
-    }
+const GovernanceActionUpdateCommitteeType = new GenericEnumMemberType({
+    name: "UpdateCommittee",
+    constrIndex: 4,
+    fieldNames: ["prev_action", "removed_members", "added_members", "quorum"],
+    parentType: GovernanceActionType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 4,
+        id: expectDefined(self.asDataType).path,
+        name: "UpdateCommittee",
+        fieldTypes: [
+            {
+                name: "prev_action",
+                type: OptionType$(GovernanceActionIdType).toSchema(parents)
+            },
+            {
+                name: "removed_members",
+                type: ListType$(SpendingCredentialType).toSchema(parents)
+            },
+            {
+                name: "added_members",
+                type: MapType$(SpendingCredentialType, IntType).toSchema(
+                    parents
+                )
+            },
+            {
+                name: "quorum",
+                type: RawDataType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        prev_action: OptionType$(GovernanceActionIdType),
+        removed_members: ListType$(SpendingCredentialType),
+        added_members: MapType$(SpendingCredentialType, IntType),
+        quorum: RawDataType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, GovernanceActionType)
+    })
+})
 
-    /**
-     * @type {InstanceMembers}
+/**
+ * @type {EnumMemberType}
+ */
+const GovernanceActionNewConstitutionType = new GenericEnumMemberType({
+    name: "NewConstitution",
+    constrIndex: 5,
+    fieldNames: ["prev_action", "constitution"],
+    parentType: GovernanceActionType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 5,
+        id: expectDefined(self.asDataType).path,
+        name: "NewConstitution",
+        fieldTypes: [
+            {
+                name: "prev_action",
+                type: OptionType$(GovernanceActionIdType).toSchema(parents)
+            },
+            {
+                name: "constitution",
+                type: RawDataType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        prev_action: OptionType$(GovernanceActionIdType),
+        constitution: RawDataType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, GovernanceActionType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const GovernanceActionInfoType = new GenericEnumMemberType({
+    name: "Info",
+    constrIndex: 6,
+    fieldNames: [],
+    parentType: GovernanceActionType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 6,
+        id: expectDefined(self.asDataType).path,
+        name: "Info",
+        fieldTypes: []
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, GovernanceActionType)
+    })
+})
+
+/**
+ * Builtin GovernanceActionId type, refers to a GovernanceAction through the id of the tx that proposed it and the index of the proposal in that tx
+ * @type {DataType}
+ */
+export const GovernanceActionIdType = new GenericType({
+    name: "GovernanceActionId",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "GovernanceActionId"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        tx_id: TxIdType,
+        index: IntType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        new: new FuncType([TxIdType, IntType], GovernanceActionIdType)
+    })
+})
+
+/**
+ * Builtin Credential type
+ * @type {DataType}
+ */
+export const SpendingCredentialType = new GenericType({
+    name: "SpendingCredential",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "SpendingCredential"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        PubKey: SpendingCredentialPubKeyType,
+        Validator: SpendingCredentialValidatorType,
+        new_pubkey: new FuncType(
+            [PubKeyHashType],
+            SpendingCredentialPubKeyType
+        ),
+        new_validator: new FuncType(
+            [ValidatorHashType],
+            SpendingCredentialValidatorType
+        )
+    })
+})
+
+/**
+ * Builtin SpendingCredential::PubKey
+ */
+const SpendingCredentialPubKeyType = new GenericEnumMemberType({
+    name: "PubKey",
+    constrIndex: 0,
+    fieldNames: ["hash"],
+    parentType: SpendingCredentialType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 0,
+        id: expectDefined(self.asDataType).path,
+        name: "PubKey",
+        fieldTypes: [
+            {
+                name: "hash",
+                type: PubKeyHashType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        hash: PubKeyHashType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, SpendingCredentialType)
+    })
+})
+
+/**
+ * Builtin SpendingCredential::Validator type
+ */
+const SpendingCredentialValidatorType = new GenericEnumMemberType({
+    name: "Validator",
+    constrIndex: 1,
+    fieldNames: ["hash"],
+    parentType: SpendingCredentialType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 1,
+        id: expectDefined(self.asDataType).path,
+        name: "Validator",
+        fieldTypes: [
+            {
+                name: "hash",
+                type: ValidatorHashType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        hash: ValidatorHashType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, SpendingCredentialType)
+    })
+})
+
+/**
+ * @type {DataType}
+ */
+export const TxOutputDatumType = new GenericType({
+    name: "TxOutputDatum",
+    path: "__helios__txoutputdatum",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "TxOutputDatum"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        inline: RawDataType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        Hash: TxOutputDatumHashType,
+        Inline: TxOutputDatumInlineType,
+        None: TxOutputDatumNoneType,
+        new_hash: new FuncType([DatumHashType], TxOutputDatumHashType),
+        new_inline: (() => {
+            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
+
+            return new ParametricFunc(
+                [a],
+                new FuncType([a.ref], TxOutputDatumInlineType)
+            )
+        })(),
+        new_none: new FuncType([], TxOutputDatumNoneType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const TxOutputDatumHashType = new GenericEnumMemberType({
+    name: "Hash",
+    constrIndex: 1,
+    parentType: TxOutputDatumType,
+    fieldNames: ["hash"],
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 1,
+        id: expectDefined(self.asDataType).path,
+        name: "Hash",
+        fieldTypes: [
+            {
+                name: "hash",
+                type: DatumHashType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        hash: DatumHashType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, TxOutputDatumType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const TxOutputDatumInlineType = new GenericEnumMemberType({
+    name: "Inline",
+    constrIndex: 2,
+    parentType: TxOutputDatumType,
+    fieldNames: ["data"],
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 2,
+        id: expectDefined(self.asDataType).path,
+        name: "Inline",
+        fieldTypes: [
+            {
+                name: "data",
+                type: RawDataType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        data: RawDataType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, TxOutputDatumType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const TxOutputDatumNoneType = new GenericEnumMemberType({
+    name: "None",
+    constrIndex: 0,
+    parentType: TxOutputDatumType,
+    fieldNames: [],
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 0,
+        id: expectDefined(self.asDataType).path,
+        name: "None",
+        fieldTypes: []
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, TxOutputDatumType)
+    })
+})
+
+/**
+ * Base class for ScriptContext, ContractContext, Scripts and other "macro"-types
+ */
+export class MacroType extends Common {
+    /**
+     * @type {string[]}
+     */
+    get fieldNames() {
+        return []
+    }
+
+    /**
+     * @type {InstanceMembers}
      */
     get instanceMembers() {
         throw new Error("not yet implemented")
@@ -530,31 +1072,169 @@ export class MacroType extends Common {
     }
 
     /**
-     * @type {Type}
+     * @type {Type}
+     */
+    get asType() {
+        return this
+    }
+
+    /**
+     * @param {Set<string>} parents
+     * @returns {TypeSchema}
+     */
+    toSchema(parents = new Set()) {
+        return {
+            kind: "internal",
+            name: "Data"
+        }
+    }
+
+    /**
+     * @param {Site} site
+     * @param {InferenceMap} map
+     * @param {null | Type} type
+     * @returns {Type}
+     */
+    infer(site, map, type) {
+        return this
+    }
+
+    /**
+     * @param {Type} other
+     * @returns {boolean}
+     */
+    isBaseOf(other) {
+        throw new Error("not yet implemented")
+    }
+
+    /**
+     * @returns {string}
+     */
+    toString() {
+        return this.name
+    }
+
+    /**
+     * @returns {Typed}
+     */
+    toTyped() {
+        return new DataEntity(this)
+    }
+}
+
+/**
+ * @typedef {{[name: string]: ScriptHashType}} ScriptTypes
+ */
+
+/**
+ * @typedef {{
+ *   currentScript: string
+ *   scriptTypes?: ScriptTypes
+ * }} MultiValidatorInfo
+ */
+
+/**
+ * @implements {DataType}
+ */
+export class ScriptsType extends MacroType {
+    /**
+     * @private
+     * @readonly
+     * @type {{[name: string]: Typed}}
+     */
+    _scripts
+
+    /**
+     * @param {ScriptTypes} scripts
+     */
+    constructor(scripts) {
+        super()
+
+        this._scripts = {}
+
+        for (let k in scripts) {
+            this._scripts[k] = scripts[k].toTyped()
+        }
+    }
+
+    /**
+     * @type {InstanceMembers}
+     */
+    get instanceMembers() {
+        return {}
+    }
+
+    /**
+     * @type {TypeMembers}
+     */
+    get typeMembers() {
+        return {
+            ...this._scripts
+        }
+    }
+
+    /**
+     * @type {string}
+     */
+    get name() {
+        return "Scripts"
+    }
+
+    /**
+     * @type {string}
+     */
+    get path() {
+        return "__helios__scripts"
+    }
+
+    /**
+     * @param {Type} other
+     * @returns {boolean}
+     */
+    isBaseOf(other) {
+        return other instanceof ScriptsType
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    isEmpty() {
+        return Object.keys(this._scripts).length == 0
+    }
+}
+
+/**
+ * @implements {DataType}
+ */
+export class ContractContextType extends MacroType {
+    constructor() {
+        super()
+    }
+
+    /**
+     * @type {InstanceMembers}
      */
-    get asType() {
-        return this
+    get instanceMembers() {
+        return {
+            now: new FuncType([], TimeType),
+            agent: WalletType,
+            network: NetworkType,
+            new_tx_builder: new FuncType([], TxBuilderType)
+        }
     }
 
     /**
-     * @param {Set<string>} parents
-     * @returns {TypeSchema}
+     * @type {string}
      */
-    toSchema(parents = new Set()) {
-        return {
-            kind: "internal",
-            name: "Data"
-        }
+    get name() {
+        return "ContractContext"
     }
 
     /**
-     * @param {Site} site
-     * @param {InferenceMap} map
-     * @param {null | Type} type
-     * @returns {Type}
+     * @type {string}
      */
-    infer(site, map, type) {
-        return this
+    get path() {
+        return "__helios__contractcontext"
     }
 
     /**
@@ -562,522 +1242,919 @@ export class MacroType extends Common {
      * @returns {boolean}
      */
     isBaseOf(other) {
-        throw new Error("not yet implemented")
+        return other instanceof ContractContextType
     }
+}
 
-    /**
-     * @returns {string}
-     */
-    toString() {
-        return this.name
-    }
+export const WalletType = new GenericType({
+    name: "Wallet",
+    genInstanceMembers: (self) => ({
+        address: AddressType,
+        hash: PubKeyHashType,
+        pick: new FuncType([ValueType], ListType$(TxInputType))
+    }),
+    genTypeMembers: (self) => ({})
+})
 
-    /**
-     * @returns {Typed}
-     */
-    toTyped() {
-        return new DataEntity(this)
-    }
-}
+export const NetworkType = new GenericType({
+    name: "Network",
+    genInstanceMembers: (self) => ({
+        pick: new FuncType([AddressType, ValueType], ListType$(TxInputType)),
+        get: new FuncType([TxOutputIdType], TxInputType),
+        utxos_at: new FuncType([AddressType], IteratorType$([TxInputType]))
+    }),
+    genTypeMembers: (self) => ({})
+})
+
+/**
+ * Builtin ProposalProcedure type, only available in Plutus V3 ScriptContexts
+ * @type {DataType}
+ */
+export const ProposalProcedureType = new GenericType({
+    name: "ProposalProcedure",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "ProposalProcedure"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        deposit: IntType,
+        return_credential: SpendingCredentialType,
+        governance_action: GovernanceActionType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self)
+    })
+})
+
+/**
+ * Builtin ScriptPurpose type (Minting| Spending| Rewarding | Certifying | Voting | Proposing)
+ * The Voting and Proposing variants only exist in Plutus V3 ScriptContexts
+ * @type {DataType}
+ */
+export const ScriptPurposeType = new GenericType({
+    name: "ScriptPurpose",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "ScriptPurpose"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        Certifying: ScriptPurposeCertifyingType,
+        Minting: ScriptPurposeMintingType,
+        Proposing: ScriptPurposeProposingType,
+        Rewarding: ScriptPurposeTypeRewarding,
+        Spending: ScriptPurposeSpendingType,
+        Voting: ScriptPurposeVotingType,
+        new_certifying: new FuncType([DCertType], ScriptPurposeCertifyingType),
+        new_minting: new FuncType(
+            [MintingPolicyHashType],
+            ScriptPurposeMintingType
+        ),
+        new_rewarding: new FuncType(
+            [StakingCredentialType],
+            ScriptPurposeTypeRewarding
+        ),
+        new_spending: new FuncType([TxOutputIdType], ScriptPurposeSpendingType)
+    })
+})
+
+/**
+ * Builtin ScriptPurpose::Certifying
+ * `dcert` is only available in Plutus V2 scripts, `index` and `cert` only in Plutus V3 scripts
+ * @type {EnumMemberType}
+ */
+const ScriptPurposeCertifyingType = new GenericEnumMemberType({
+    name: "Certifying",
+    constrIndex: 3,
+    parentType: ScriptPurposeType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 3,
+        id: expectDefined(self.asDataType).path,
+        name: "Certifying",
+        fieldTypes: [
+            {
+                name: "dcert",
+                type: DCertType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        cert: TxCertType,
+        dcert: DCertType,
+        index: IntType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+    })
+})
+
+/**
+ * Builtin ScriptPurpose::Minting
+ * @type {EnumMemberType}
+ */
+const ScriptPurposeMintingType = new GenericEnumMemberType({
+    name: "Minting",
+    constrIndex: 0,
+    parentType: ScriptPurposeType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        name: "Minting",
+        tag: 0,
+        id: expectDefined(self.asDataType).path,
+        fieldTypes: [
+            {
+                name: "policy_hash",
+                type: MintingPolicyHashType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        policy_hash: MintingPolicyHashType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+    })
+})
+
+/**
+ * Builtin ScriptPurpose::Proposing
+ * @type {EnumMemberType}
+ */
+const ScriptPurposeProposingType = new GenericEnumMemberType({
+    name: "Proposing",
+    constrIndex: 5,
+    parentType: ScriptPurposeType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        name: "Proposing",
+        tag: 5,
+        id: expectDefined(self.asDataType).path,
+        fieldTypes: [
+            {
+                name: "index",
+                type: IntType.toSchema(parents)
+            },
+            {
+                name: "proposal",
+                type: ProposalProcedureType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        index: IntType,
+        proposal: ProposalProcedureType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+    })
+})
+
+/**
+ * Builtin ScriptPurpose::Rewarding
+ * @type {EnumMemberType}
+ */
+const ScriptPurposeTypeRewarding = new GenericEnumMemberType({
+    name: "Rewarding",
+    constrIndex: 2,
+    parentType: ScriptPurposeType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        name: "Rewarding",
+        tag: 2,
+        id: expectDefined(self.asDataType).path,
+        fieldTypes: [
+            {
+                name: "credential",
+                type: StakingCredentialType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        credential: StakingCredentialType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+    })
+})
+
+/**
+ * Builtin ScriptPurpose::Spending
+ * @type {EnumMemberType}
+ */
+const ScriptPurposeSpendingType = new GenericEnumMemberType({
+    name: "Spending",
+    constrIndex: 1,
+    parentType: ScriptPurposeType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        name: "Spending",
+        tag: 1,
+        id: expectDefined(self.asDataType).path,
+        fieldTypes: [
+            {
+                name: "output_id",
+                type: TxOutputIdType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        output_id: TxOutputIdType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+    })
+})
+
+/**
+ * Builtin ScriptPurpose::Voting
+ * @type {EnumMemberType}
+ */
+const ScriptPurposeVotingType = new GenericEnumMemberType({
+    name: "Voting",
+    constrIndex: 4,
+    parentType: ScriptPurposeType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        name: "Voting",
+        tag: 4,
+        id: expectDefined(self.asDataType).path,
+        fieldTypes: [
+            {
+                name: "voter",
+                type: VoterType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        voter: VoterType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+    })
+})
 
 /**
- * @typedef {{[name: string]: ScriptHashType}} ScriptTypes
+ * Builtin StakingCredential type
+ * @type {DataType}
  */
+export const StakingCredentialType = new GenericType({
+    name: "StakingCredential",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "StakingCredential"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        Hash: StakingCredentialHashType,
+        Ptr: StakingCredentialPtrType,
+        new_hash: new FuncType([StakingHashType], StakingCredentialHashType),
+        new_ptr: new FuncType(
+            [IntType, IntType, IntType],
+            StakingCredentialPtrType
+        )
+    })
+})
 
 /**
- * @typedef {{
- *   currentScript: string
- *   scriptTypes?: ScriptTypes
- * }} MultiValidatorInfo
+ * Builtin StakingCredential::Hash
+ * @type {EnumMemberType}
  */
+const StakingCredentialHashType = new GenericEnumMemberType({
+    name: "Hash",
+    constrIndex: 0,
+    parentType: StakingCredentialType,
+    fieldNames: ["hash"],
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 0,
+        id: expectDefined(self.asDataType).path,
+        name: "Hash",
+        fieldTypes: [
+            {
+                name: "hash",
+                type: StakingHashType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        hash: StakingHashType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, StakingCredentialType)
+    })
+})
 
 /**
- * @implements {DataType}
+ * Builtin StakingCredential::Ptr
+ * @type {EnumMemberType}
  */
-export class ScriptsType extends MacroType {
-    /**
-     * @private
-     * @readonly
-     * @type {{[name: string]: Typed}}
-     */
-    _scripts
-
-    /**
-     * @param {ScriptTypes} scripts
-     */
-    constructor(scripts) {
-        super()
-
-        this._scripts = {}
-
-        for (let k in scripts) {
-            this._scripts[k] = scripts[k].toTyped()
-        }
-    }
-
-    /**
-     * @type {InstanceMembers}
-     */
-    get instanceMembers() {
-        return {}
-    }
-
-    /**
-     * @type {TypeMembers}
-     */
-    get typeMembers() {
-        return {
-            ...this._scripts
-        }
-    }
-
-    /**
-     * @type {string}
-     */
-    get name() {
-        return "Scripts"
-    }
-
-    /**
-     * @type {string}
-     */
-    get path() {
-        return "__helios__scripts"
-    }
-
-    /**
-     * @param {Type} other
-     * @returns {boolean}
-     */
-    isBaseOf(other) {
-        return other instanceof ScriptsType
-    }
-
-    /**
-     * @returns {boolean}
-     */
-    isEmpty() {
-        return Object.keys(this._scripts).length == 0
-    }
-}
+const StakingCredentialPtrType = new GenericEnumMemberType({
+    name: "Ptr",
+    constrIndex: 1,
+    parentType: StakingCredentialType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 1,
+        id: expectDefined(self.asDataType).path,
+        name: "Ptr",
+        fieldTypes: []
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, StakingCredentialType)
+    })
+})
 
 /**
- * @implements {DataType}
+ * Builtin StakingPurpose type (Rewarding or Certifying)
+ * @type {DataType}
  */
-export class ContractContextType extends MacroType {
-    constructor() {
-        super()
-    }
-
-    /**
-     * @type {InstanceMembers}
-     */
-    get instanceMembers() {
-        return {
-            now: new FuncType([], TimeType),
-            agent: WalletType,
-            network: NetworkType,
-            new_tx_builder: new FuncType([], TxBuilderType)
-        }
-    }
-
-    /**
-     * @type {string}
-     */
-    get name() {
-        return "ContractContext"
-    }
-
-    /**
-     * @type {string}
-     */
-    get path() {
-        return "__helios__contractcontext"
-    }
+export const StakingPurposeType = new GenericType({
+    name: "StakingPurpose",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "StakingPurpose"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        Certifying: StakingPurposeCertifyingType,
+        Rewarding: StakingPurposeRewardingType
+    })
+})
 
-    /**
-     * @param {Type} other
-     * @returns {boolean}
-     */
-    isBaseOf(other) {
-        return other instanceof ContractContextType
-    }
-}
+/**
+ * Builtin StakingPurpose::Certifying
+ * `dcert` is only available in Plutus V2 scripts, `index` and `cert` only in Plutus V3 scripts
+ * @type {EnumMemberType}
+ */
+const StakingPurposeCertifyingType = new GenericEnumMemberType({
+    name: "Certifying",
+    constrIndex: 3,
+    parentType: StakingPurposeType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 3,
+        id: expectDefined(self.asDataType).path,
+        name: "Certifying",
+        fieldTypes: [
+            {
+                name: "dcert",
+                type: DCertType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        cert: TxCertType,
+        dcert: DCertType,
+        index: IntType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, StakingPurposeType)
+    })
+})
 
-export const WalletType = new GenericType({
-    name: "Wallet",
+/**
+ * Builtin StakingPurpose::Rewarding
+ * @type {EnumMemberType}
+ */
+const StakingPurposeRewardingType = new GenericEnumMemberType({
+    name: "Rewarding",
+    constrIndex: 2,
+    parentType: StakingPurposeType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        name: "Rewarding",
+        tag: 2,
+        id: expectDefined(self.asDataType).path,
+        fieldTypes: [
+            {
+                name: "credential",
+                type: StakingCredentialType.toSchema(parents)
+            }
+        ]
+    }),
     genInstanceMembers: (self) => ({
-        address: AddressType,
-        hash: PubKeyHashType,
-        pick: new FuncType([ValueType], ListType$(TxInputType))
+        ...genCommonInstanceMembers(self),
+        credential: StakingCredentialType
     }),
-    genTypeMembers: (self) => ({})
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, StakingPurposeType)
+    })
 })
 
-export const NetworkType = new GenericType({
-    name: "Network",
+export const TxBuilderType = new GenericType({
+    name: "TxBuilder",
+    path: "__helios__txbuilder",
     genInstanceMembers: (self) => ({
-        pick: new FuncType([AddressType, ValueType], ListType$(TxInputType)),
-        get: new FuncType([TxOutputIdType], TxInputType),
-        utxos_at: new FuncType([AddressType], IteratorType$([TxInputType]))
+        ...genCommonInstanceMembers(self),
+        add_output: new FuncType([TxOutputType], self),
+        add_outputs: new FuncType([ListType$(TxOutputType)], self),
+        add_ref_input: new FuncType([TxInputType], self),
+        add_signer: new FuncType([PubKeyHashType], self),
+        finalize: new FuncType([], TxType),
+        pay: (() => {
+            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
+            return new ParametricFunc(
+                [a],
+                new FuncType([AddressType, ValueType, a.ref], self)
+            )
+        })(),
+        pay_if_true: (() => {
+            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
+            return new ParametricFunc(
+                [a],
+                new FuncType([BoolType, AddressType, ValueType, a.ref], self)
+            )
+        })(),
+        mint: (() => {
+            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
+            return new ParametricFunc(
+                [a],
+                new FuncType([ValueType, a.ref], self)
+            )
+        })(),
+        redeem: (() => {
+            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
+            return new ParametricFunc(
+                [a],
+                new FuncType([TxInputType, a.ref], self)
+            )
+        })(),
+        redeem_many: (() => {
+            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
+            return new ParametricFunc(
+                [a],
+                new FuncType([ListType$(TxInputType), a.ref], self)
+            )
+        })(),
+        spend: new FuncType([TxInputType], self),
+        spend_many: new FuncType([ListType$(TxInputType)], self)
     }),
-    genTypeMembers: (self) => ({})
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self)
+    })
 })
 
 /**
- * Builtin ScriptPurpose type (Minting| Spending| Rewarding | Certifying)
+ * Builtin TxCert type, the Conway era certificates found in Plutus V3 ScriptContexts
  * @type {DataType}
  */
-export const ScriptPurposeType = new GenericType({
-    name: "ScriptPurpose",
+export const TxCertType = new GenericType({
+    name: "TxCert",
     genTypeSchema: (self, parents) => ({
         kind: "internal",
-        name: "ScriptPurpose"
+        name: "TxCert"
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self)
     }),
     genTypeMembers: (self) => ({
         ...genCommonTypeMembers(self),
-        Certifying: ScriptPurposeCertifyingType,
-        Minting: ScriptPurposeMintingType,
-        Rewarding: ScriptPurposeTypeRewarding,
-        Spending: ScriptPurposeSpendingType,
-        new_certifying: new FuncType([DCertType], ScriptPurposeCertifyingType),
-        new_minting: new FuncType(
-            [MintingPolicyHashType],
-            ScriptPurposeMintingType
+        RegisterStaking: TxCertRegisterStakingType,
+        DeregisterStaking: TxCertDeregisterStakingType,
+        Delegate: TxCertDelegateType,
+        RegisterAndDelegate: TxCertRegisterAndDelegateType,
+        RegisterDRep: TxCertRegisterDRepType,
+        UpdateDRep: TxCertUpdateDRepType,
+        DeregisterDRep: TxCertDeregisterDRepType,
+        RegisterPool: TxCertRegisterPoolType,
+        RetirePool: TxCertRetirePoolType,
+        AuthorizeHotCommittee: TxCertAuthorizeHotCommitteeType,
+        ResignColdCommittee: TxCertResignColdCommitteeType,
+        new_register_staking: new FuncType(
+            [SpendingCredentialType, OptionType$(IntType)],
+            TxCertRegisterStakingType
         ),
-        new_rewarding: new FuncType(
-            [StakingCredentialType],
-            ScriptPurposeTypeRewarding
+        new_deregister_staking: new FuncType(
+            [SpendingCredentialType, OptionType$(IntType)],
+            TxCertDeregisterStakingType
         ),
-        new_spending: new FuncType([TxOutputIdType], ScriptPurposeSpendingType)
+        new_delegate: new FuncType(
+            [SpendingCredentialType, DelegateeType],
+            TxCertDelegateType
+        ),
+        new_register_and_delegate: new FuncType(
+            [SpendingCredentialType, DelegateeType, IntType],
+            TxCertRegisterAndDelegateType
+        ),
+        new_register_drep: new FuncType(
+            [SpendingCredentialType, IntType],
+            TxCertRegisterDRepType
+        ),
+        new_update_drep: new FuncType(
+            [SpendingCredentialType],
+            TxCertUpdateDRepType
+        ),
+        new_deregister_drep: new FuncType(
+            [SpendingCredentialType, IntType],
+            TxCertDeregisterDRepType
+        ),
+        new_register_pool: new FuncType(
+            [PubKeyHashType, PubKeyHashType],
+            TxCertRegisterPoolType
+        ),
+        new_retire_pool: new FuncType(
+            [PubKeyHashType, IntType],
+            TxCertRetirePoolType
+        ),
+        new_authorize_hot_committee: new FuncType(
+            [SpendingCredentialType, SpendingCredentialType],
+            TxCertAuthorizeHotCommitteeType
+        ),
+        new_resign_cold_committee: new FuncType(
+            [SpendingCredentialType],
+            TxCertResignColdCommitteeType
+        )
     })
 })
 
 /**
- * Builtin ScriptPurpose::Certifying
  * @type {EnumMemberType}
  */
-const ScriptPurposeCertifyingType = new GenericEnumMemberType({
-    name: "Certifying",
-    constrIndex: 3,
-    parentType: ScriptPurposeType,
+const TxCertRegisterStakingType = new GenericEnumMemberType({
+    name: "RegisterStaking",
+    constrIndex: 0,
+    fieldNames: ["credential", "deposit"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
-        tag: 3,
+        tag: 0,
         id: expectDefined(self.asDataType).path,
-        name: "Certifying",
+        name: "RegisterStaking",
         fieldTypes: [
             {
-                name: "dcert",
-                type: DCertType.toSchema(parents)
+                name: "credential",
+                type: SpendingCredentialType.toSchema(parents)
+            },
+            {
+                name: "deposit",
+                type: OptionType$(IntType).toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        dcert: DCertType
+        credential: SpendingCredentialType,
+        deposit: OptionType$(IntType)
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
 /**
- * Builtin ScriptPurpose::Minting
  * @type {EnumMemberType}
  */
-const ScriptPurposeMintingType = new GenericEnumMemberType({
-    name: "Minting",
-    constrIndex: 0,
-    parentType: ScriptPurposeType,
+const TxCertDeregisterStakingType = new GenericEnumMemberType({
+    name: "DeregisterStaking",
+    constrIndex: 1,
+    fieldNames: ["credential", "refund"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
-        name: "Minting",
-        tag: 0,
+        tag: 1,
         id: expectDefined(self.asDataType).path,
+        name: "DeregisterStaking",
         fieldTypes: [
             {
-                name: "policy_hash",
-                type: MintingPolicyHashType.toSchema(parents)
+                name: "credential",
+                type: SpendingCredentialType.toSchema(parents)
+            },
+            {
+                name: "refund",
+                type: OptionType$(IntType).toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        policy_hash: MintingPolicyHashType
+        credential: SpendingCredentialType,
+        refund: OptionType$(IntType)
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
 /**
- * Builtin ScriptPurpose::Rewarding
  * @type {EnumMemberType}
  */
-const ScriptPurposeTypeRewarding = new GenericEnumMemberType({
-    name: "Rewarding",
+const TxCertDelegateType = new GenericEnumMemberType({
+    name: "Delegate",
     constrIndex: 2,
-    parentType: ScriptPurposeType,
+    fieldNames: ["delegator", "delegatee"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
-        name: "Rewarding",
         tag: 2,
         id: expectDefined(self.asDataType).path,
+        name: "Delegate",
         fieldTypes: [
             {
-                name: "credential",
-                type: StakingCredentialType.toSchema(parents)
+                name: "delegator",
+                type: SpendingCredentialType.toSchema(parents)
+            },
+            {
+                name: "delegatee",
+                type: DelegateeType.toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        credential: StakingCredentialType
+        delegator: SpendingCredentialType,
+        delegatee: DelegateeType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
 /**
- * Builtin ScriptPurpose::Spending
  * @type {EnumMemberType}
  */
-const ScriptPurposeSpendingType = new GenericEnumMemberType({
-    name: "Spending",
-    constrIndex: 1,
-    parentType: ScriptPurposeType,
+const TxCertRegisterAndDelegateType = new GenericEnumMemberType({
+    name: "RegisterAndDelegate",
+    constrIndex: 3,
+    fieldNames: ["delegator", "delegatee", "deposit"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
-        name: "Spending",
-        tag: 1,
+        tag: 3,
         id: expectDefined(self.asDataType).path,
+        name: "RegisterAndDelegate",
         fieldTypes: [
             {
-                name: "output_id",
-                type: TxOutputIdType.toSchema(parents)
+                name: "delegator",
+                type: SpendingCredentialType.toSchema(parents)
+            },
+            {
+                name: "delegatee",
+                type: DelegateeType.toSchema(parents)
+            },
+            {
+                name: "deposit",
+                type: IntType.toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        output_id: TxOutputIdType
+        delegator: SpendingCredentialType,
+        delegatee: DelegateeType,
+        deposit: IntType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, ScriptPurposeType)
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
 /**
- * Builtin StakingCredential type
- * @type {DataType}
+ * @type {EnumMemberType}
  */
-export const StakingCredentialType = new GenericType({
-    name: "StakingCredential",
+const TxCertRegisterDRepType = new GenericEnumMemberType({
+    name: "RegisterDRep",
+    constrIndex: 4,
+    fieldNames: ["credential", "deposit"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
-        kind: "internal",
-        name: "StakingCredential"
+        kind: "variant",
+        tag: 4,
+        id: expectDefined(self.asDataType).path,
+        name: "RegisterDRep",
+        fieldTypes: [
+            {
+                name: "credential",
+                type: SpendingCredentialType.toSchema(parents)
+            },
+            {
+                name: "deposit",
+                type: IntType.toSchema(parents)
+            }
+        ]
     }),
     genInstanceMembers: (self) => ({
-        ...genCommonInstanceMembers(self)
+        ...genCommonInstanceMembers(self),
+        credential: SpendingCredentialType,
+        deposit: IntType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonTypeMembers(self),
-        Hash: StakingCredentialHashType,
-        Ptr: StakingCredentialPtrType,
-        new_hash: new FuncType([StakingHashType], StakingCredentialHashType),
-        new_ptr: new FuncType(
-            [IntType, IntType, IntType],
-            StakingCredentialPtrType
-        )
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
 /**
- * Builtin StakingCredential::Hash
  * @type {EnumMemberType}
  */
-const StakingCredentialHashType = new GenericEnumMemberType({
-    name: "Hash",
-    constrIndex: 0,
-    parentType: StakingCredentialType,
-    fieldNames: ["hash"],
+const TxCertUpdateDRepType = new GenericEnumMemberType({
+    name: "UpdateDRep",
+    constrIndex: 5,
+    fieldNames: ["credential"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
-        tag: 0,
+        tag: 5,
         id: expectDefined(self.asDataType).path,
-        name: "Hash",
+        name: "UpdateDRep",
         fieldTypes: [
             {
-                name: "hash",
-                type: StakingHashType.toSchema(parents)
+                name: "credential",
+                type: SpendingCredentialType.toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        hash: StakingHashType
+        credential: SpendingCredentialType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, StakingCredentialType)
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
 /**
- * Builtin StakingCredential::Ptr
  * @type {EnumMemberType}
  */
-const StakingCredentialPtrType = new GenericEnumMemberType({
-    name: "Ptr",
-    constrIndex: 1,
-    parentType: StakingCredentialType,
+const TxCertDeregisterDRepType = new GenericEnumMemberType({
+    name: "DeregisterDRep",
+    constrIndex: 6,
+    fieldNames: ["credential", "refund"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
-        tag: 1,
+        tag: 6,
         id: expectDefined(self.asDataType).path,
-        name: "Ptr",
-        fieldTypes: []
+        name: "DeregisterDRep",
+        fieldTypes: [
+            {
+                name: "credential",
+                type: SpendingCredentialType.toSchema(parents)
+            },
+            {
+                name: "refund",
+                type: IntType.toSchema(parents)
+            }
+        ]
     }),
     genInstanceMembers: (self) => ({
-        ...genCommonInstanceMembers(self)
+        ...genCommonInstanceMembers(self),
+        credential: SpendingCredentialType,
+        refund: IntType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, TxCertType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const TxCertRegisterPoolType = new GenericEnumMemberType({
+    name: "RegisterPool",
+    constrIndex: 7,
+    fieldNames: ["pool_id", "pool_vrf"],
+    parentType: TxCertType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 7,
+        id: expectDefined(self.asDataType).path,
+        name: "RegisterPool",
+        fieldTypes: [
+            {
+                name: "pool_id",
+                type: PubKeyHashType.toSchema(parents)
+            },
+            {
+                name: "pool_vrf",
+                type: PubKeyHashType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        pool_id: PubKeyHashType,
+        pool_vrf: PubKeyHashType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, StakingCredentialType)
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
 /**
- * Builtin StakingPurpose type (Rewarding or Certifying)
- * @type {DataType}
+ * @type {EnumMemberType}
  */
-export const StakingPurposeType = new GenericType({
-    name: "StakingPurpose",
+const TxCertRetirePoolType = new GenericEnumMemberType({
+    name: "RetirePool",
+    constrIndex: 8,
+    fieldNames: ["pool_id", "epoch"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
-        kind: "internal",
-        name: "StakingPurpose"
+        kind: "variant",
+        tag: 8,
+        id: expectDefined(self.asDataType).path,
+        name: "RetirePool",
+        fieldTypes: [
+            {
+                name: "pool_id",
+                type: PubKeyHashType.toSchema(parents)
+            },
+            {
+                name: "epoch",
+                type: IntType.toSchema(parents)
+            }
+        ]
     }),
     genInstanceMembers: (self) => ({
-        ...genCommonInstanceMembers(self)
+        ...genCommonInstanceMembers(self),
+        pool_id: PubKeyHashType,
+        epoch: IntType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonTypeMembers(self),
-        Certifying: StakingPurposeCertifyingType,
-        Rewarding: StakingPurposeRewardingType
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
 /**
- * Builtin StakingPurpose::Certifying
  * @type {EnumMemberType}
  */
-const StakingPurposeCertifyingType = new GenericEnumMemberType({
-    name: "Certifying",
-    constrIndex: 3,
-    parentType: StakingPurposeType,
+const TxCertAuthorizeHotCommitteeType = new GenericEnumMemberType({
+    name: "AuthorizeHotCommittee",
+    constrIndex: 9,
+    fieldNames: ["cold_credential", "hot_credential"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
-        tag: 3,
+        tag: 9,
         id: expectDefined(self.asDataType).path,
-        name: "Certifying",
+        name: "AuthorizeHotCommittee",
         fieldTypes: [
             {
-                name: "dcert",
-                type: DCertType.toSchema(parents)
+                name: "cold_credential",
+                type: SpendingCredentialType.toSchema(parents)
+            },
+            {
+                name: "hot_credential",
+                type: SpendingCredentialType.toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        dcert: DCertType
+        cold_credential: SpendingCredentialType,
+        hot_credential: SpendingCredentialType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, StakingPurposeType)
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
 /**
- * Builtin StakingPurpose::Rewarding
  * @type {EnumMemberType}
  */
-const StakingPurposeRewardingType = new GenericEnumMemberType({
-    name: "Rewarding",
-    constrIndex: 2,
-    parentType: StakingPurposeType,
+const TxCertResignColdCommitteeType = new GenericEnumMemberType({
+    name: "ResignColdCommittee",
+    constrIndex: 10,
+    fieldNames: ["cold_credential"],
+    parentType: TxCertType,
     genTypeSchema: (self, parents) => ({
         kind: "variant",
-        name: "Rewarding",
-        tag: 2,
+        tag: 10,
         id: expectDefined(self.asDataType).path,
+        name: "ResignColdCommittee",
         fieldTypes: [
             {
-                name: "credential",
-                type: StakingCredentialType.toSchema(parents)
+                name: "cold_credential",
+                type: SpendingCredentialType.toSchema(parents)
             }
         ]
     }),
     genInstanceMembers: (self) => ({
         ...genCommonInstanceMembers(self),
-        credential: StakingCredentialType
-    }),
-    genTypeMembers: (self) => ({
-        ...genCommonEnumTypeMembers(self, StakingPurposeType)
-    })
-})
-
-export const TxBuilderType = new GenericType({
-    name: "TxBuilder",
-    path: "__helios__txbuilder",
-    genInstanceMembers: (self) => ({
-        ...genCommonInstanceMembers(self),
-        add_output: new FuncType([TxOutputType], self),
-        add_outputs: new FuncType([ListType$(TxOutputType)], self),
-        add_ref_input: new FuncType([TxInputType], self),
-        add_signer: new FuncType([PubKeyHashType], self),
-        finalize: new FuncType([], TxType),
-        pay: (() => {
-            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
-            return new ParametricFunc(
-                [a],
-                new FuncType([AddressType, ValueType, a.ref], self)
-            )
-        })(),
-        pay_if_true: (() => {
-            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
-            return new ParametricFunc(
-                [a],
-                new FuncType([BoolType, AddressType, ValueType, a.ref], self)
-            )
-        })(),
-        mint: (() => {
-            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
-            return new ParametricFunc(
-                [a],
-                new FuncType([ValueType, a.ref], self)
-            )
-        })(),
-        redeem: (() => {
-            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
-            return new ParametricFunc(
-                [a],
-                new FuncType([TxInputType, a.ref], self)
-            )
-        })(),
-        redeem_many: (() => {
-            const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
-            return new ParametricFunc(
-                [a],
-                new FuncType([ListType$(TxInputType), a.ref], self)
-            )
-        })(),
-        spend: new FuncType([TxInputType], self),
-        spend_many: new FuncType([ListType$(TxInputType)], self)
+        cold_credential: SpendingCredentialType
     }),
     genTypeMembers: (self) => ({
-        ...genCommonTypeMembers(self)
+        ...genCommonEnumTypeMembers(self, TxCertType)
     })
 })
 
@@ -1099,12 +2176,17 @@ export const TxType = new GenericType({
         fee: ValueType,
         minted: ValueType,
         dcerts: ListType$(DCertType),
+        certs: ListType$(TxCertType),
         withdrawals: MapType$(StakingCredentialType, IntType),
         time_range: TimeRangeType,
         signatories: ListType$(PubKeyHashType),
         redeemers: MapType$(ScriptPurposeType, RawDataType),
         datums: MapType$(DatumHashType, RawDataType),
         id: TxIdType,
+        votes: MapType$(VoterType, MapType$(GovernanceActionIdType, VoteType)),
+        proposal_procedures: ListType$(ProposalProcedureType),
+        current_treasury_amount: OptionType$(IntType),
+        treasury_donation: OptionType$(IntType),
         find_datum_hash: (() => {
             const a = new Parameter("a", `${FTPP}0`, new DefaultTypeClass())
 
@@ -1296,6 +2378,213 @@ export const TxOutputIdType = new GenericType({
     })
 })
 
+/**
+ * Builtin Voter type (Committee | DRep | StakePool), only available in Plutus V3 ScriptContexts
+ * @type {DataType}
+ */
+export const VoterType = new GenericType({
+    name: "Voter",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "Voter"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        Committee: VoterCommitteeType,
+        DRep: VoterDRepType,
+        StakePool: VoterStakePoolType,
+        new_committee: new FuncType(
+            [SpendingCredentialType],
+            VoterCommitteeType
+        ),
+        new_drep: new FuncType([SpendingCredentialType], VoterDRepType),
+        new_stake_pool: new FuncType([PubKeyHashType], VoterStakePoolType)
+    })
+})
+
+/**
+ * Builtin Voter::Committee, identified by the hot credential of a constitutional committee member
+ * @type {EnumMemberType}
+ */
+const VoterCommitteeType = new GenericEnumMemberType({
+    name: "Committee",
+    constrIndex: 0,
+    fieldNames: ["credential"],
+    parentType: VoterType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 0,
+        id: expectDefined(self.asDataType).path,
+        name: "Committee",
+        fieldTypes: [
+            {
+                name: "credential",
+                type: SpendingCredentialType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        credential: SpendingCredentialType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, VoterType)
+    })
+})
+
+/**
+ * Builtin Voter::DRep
+ * @type {EnumMemberType}
+ */
+const VoterDRepType = new GenericEnumMemberType({
+    name: "DRep",
+    constrIndex: 1,
+    fieldNames: ["credential"],
+    parentType: VoterType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 1,
+        id: expectDefined(self.asDataType).path,
+        name: "DRep",
+        fieldTypes: [
+            {
+                name: "credential",
+                type: SpendingCredentialType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        credential: SpendingCredentialType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, VoterType)
+    })
+})
+
+/**
+ * Builtin Voter::StakePool
+ * @type {EnumMemberType}
+ */
+const VoterStakePoolType = new GenericEnumMemberType({
+    name: "StakePool",
+    constrIndex: 2,
+    fieldNames: ["pool_id"],
+    parentType: VoterType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 2,
+        id: expectDefined(self.asDataType).path,
+        name: "StakePool",
+        fieldTypes: [
+            {
+                name: "pool_id",
+                type: PubKeyHashType.toSchema(parents)
+            }
+        ]
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self),
+        pool_id: PubKeyHashType
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, VoterType)
+    })
+})
+
+/**
+ * Builtin Vote type (No | Yes | Abstain)
+ * @type {DataType}
+ */
+export const VoteType = new GenericType({
+    name: "Vote",
+    genTypeSchema: (self, parents) => ({
+        kind: "internal",
+        name: "Vote"
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonTypeMembers(self),
+        No: VoteNoType,
+        Yes: VoteYesType,
+        Abstain: VoteAbstainType
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const VoteNoType = new GenericEnumMemberType({
+    name: "No",
+    constrIndex: 0,
+    fieldNames: [],
+    parentType: VoteType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 0,
+        id: expectDefined(self.asDataType).path,
+        name: "No",
+        fieldTypes: []
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, VoteType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const VoteYesType = new GenericEnumMemberType({
+    name: "Yes",
+    constrIndex: 1,
+    fieldNames: [],
+    parentType: VoteType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 1,
+        id: expectDefined(self.asDataType).path,
+        name: "Yes",
+        fieldTypes: []
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, VoteType)
+    })
+})
+
+/**
+ * @type {EnumMemberType}
+ */
+const VoteAbstainType = new GenericEnumMemberType({
+    name: "Abstain",
+    constrIndex: 2,
+    fieldNames: [],
+    parentType: VoteType,
+    genTypeSchema: (self, parents) => ({
+        kind: "variant",
+        tag: 2,
+        id: expectDefined(self.asDataType).path,
+        name: "Abstain",
+        fieldTypes: []
+    }),
+    genInstanceMembers: (self) => ({
+        ...genCommonInstanceMembers(self)
+    }),
+    genTypeMembers: (self) => ({
+        ...genCommonEnumTypeMembers(self, VoteType)
+    })
+})
+
 export const MixedArgsType = new GenericType({
     name: "MixedArgs",
     genTypeSchema: (self, parents) => ({
@@ -1439,6 +2728,8 @@ export function ScriptContextNamespace(info) {
             MintingPolicyHashType
         ),
         get_current_input: new FuncType([], TxInputType),
+        get_current_proposal: new FuncType([], ProposalProcedureType),
+        get_current_voter: new FuncType([], VoterType),
         get_cont_outputs: new FuncType([], ListType$(TxOutputType)),
         get_current_validator_hash: new FuncType([], ValidatorHashType),
         get_spending_purpose_output_id: new FuncType([], TxOutputIdType),
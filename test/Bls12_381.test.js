@@ -0,0 +1,168 @@
+import { describe } from "node:test"
+import {
+    bytes,
+    compileAndRunMany,
+    evalTypesMany,
+    False,
+    int,
+    True
+} from "./utils.js"
+
+describe("Bls12_381", () => {
+    const g1 =
+        "97f1d3a73197d7942695638c4fa9ac0fc3688c4f9774b905a14e3a3f171bac586c55e83ff97a1aeffb3af00adb22c6bb"
+    const identity = "c0" + "00".repeat(47)
+
+    compileAndRunMany([
+        {
+            description:
+                "Bls12_381_G1::uncompress followed by compress returns the same bytes",
+            main: `testing bls12_381_g1_uncompress
+            func main(a: ByteArray) -> ByteArray {
+                Bls12_381_G1::uncompress(a).compress()
+            }`,
+            inputs: [bytes(g1)],
+            plutusVersion: "PlutusScriptV3",
+            output: bytes(g1)
+        },
+        {
+            description: "Bls12_381_G1::uncompress fails for invalid bytes",
+            main: `testing bls12_381_g1_uncompress_invalid
+            func main(a: ByteArray) -> ByteArray {
+                Bls12_381_G1::uncompress(a).compress()
+            }`,
+            inputs: [bytes("0102")],
+            plutusVersion: "PlutusScriptV3",
+            output: { error: "" }
+        },
+        {
+            description:
+                "adding the negation of a G1 point returns the identity",
+            main: `testing bls12_381_g1_neg
+            func main(a: ByteArray) -> ByteArray {
+                g = Bls12_381_G1::uncompress(a);
+                (g + (-g)).compress()
+            }`,
+            inputs: [bytes(g1)],
+            plutusVersion: "PlutusScriptV3",
+            output: bytes(identity)
+        },
+        {
+            description:
+                "Bls12_381_G1.scalar_mul(2) is the same as adding a point to itself",
+            main: `testing bls12_381_g1_scalar_mul
+            func main(a: ByteArray, n: Int) -> Bool {
+                g = Bls12_381_G1::uncompress(a);
+                g.scalar_mul(n) == g + g
+            }`,
+            inputs: [bytes(g1), int(2)],
+            plutusVersion: "PlutusScriptV3",
+            output: True
+        },
+        {
+            description:
+                "Bls12_381_G1.scalar_mul(3) isn't the same as adding a point to itself",
+            main: `testing bls12_381_g1_scalar_mul
+            func main(a: ByteArray, n: Int) -> Bool {
+                g = Bls12_381_G1::uncompress(a);
+                g.scalar_mul(n) == g + g
+            }`,
+            inputs: [bytes(g1), int(3)],
+            plutusVersion: "PlutusScriptV3",
+            output: False
+        },
+        {
+            description: "Bls12_381_G1 != returns true for different points",
+            main: `testing bls12_381_g1_neq
+            func main(a: ByteArray) -> Bool {
+                g = Bls12_381_G1::uncompress(a);
+                g != g.scalar_mul(2)
+            }`,
+            inputs: [bytes(g1)],
+            plutusVersion: "PlutusScriptV3",
+            output: True
+        },
+        {
+            description: "Bls12_381_G1.scalar_mul can be used inside a branch",
+            main: `testing bls12_381_g1_scalar_mul_branch
+            func main(a: ByteArray, n: Int) -> ByteArray {
+                g = Bls12_381_G1::uncompress(a);
+                if (n > 0) {
+                    g.scalar_mul(n).compress()
+                } else {
+                    error("n must be positive")
+                }
+            }`,
+            inputs: [bytes(g1), int(1)],
+            plutusVersion: "PlutusScriptV3",
+            output: bytes(g1)
+        },
+        {
+            description: "Bls12_381_G1::uncompress can't be used in Plutus V2",
+            main: `testing bls12_381_g1_uncompress_v2
+            func main(a: ByteArray) -> ByteArray {
+                Bls12_381_G1::uncompress(a).compress()
+            }`,
+            inputs: [bytes(g1)],
+            output: { error: "" },
+            fails: /Bls12_381_G1 is only available in Plutus V3 scripts/
+        }
+    ])
+
+    // official test vector: a point of the hash_to_curve vectors of RFC 9380 (appendix J.9.1)
+    const g1HashAbc =
+        "83567bc5ef9c690c2ab2ecdf6a96ef1c139cc0b2f284dca0a9a7943388a49a3aee664ba5379a7655d3c68900be2f6903"
+
+    compileAndRunMany([
+        {
+            description:
+                "Bls12_381_G1::uncompress followed by compress returns the same bytes for a hash_to_curve test vector",
+            main: `testing bls12_381_g1_uncompress_vector
+            func main(a: ByteArray) -> ByteArray {
+                Bls12_381_G1::uncompress(a).compress()
+            }`,
+            inputs: [bytes(g1HashAbc)],
+            plutusVersion: "PlutusScriptV3",
+            output: bytes(g1HashAbc)
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description: "BLS12-381 points can't be used as arguments of main",
+            main: `testing bls12_381_main_arg
+            func main(g: Bls12_381_G1) -> ByteArray {
+                g.compress()
+            }`,
+            fails: true
+        },
+        {
+            description:
+                "BLS12-381 points can't be used as struct fields (reported at the field)",
+            main: `testing bls12_381_struct_field
+            struct Pair {
+                a: Int
+                g: Bls12_381_G1
+            }
+            func main(a: ByteArray) -> Bool {
+                Pair{0, Bls12_381_G1::uncompress(a)}.a == 0
+            }`,
+            fails: /BLS types have no data representation, 'Bls12_381_G1'/
+        },
+        {
+            description:
+                "BLS12-381 points can't be used as enum variant fields",
+            main: `testing bls12_381_enum_field
+            enum Key {
+                None
+                Some {
+                    g: Bls12_381_G1
+                }
+            }
+            func main() -> Bool {
+                true
+            }`,
+            fails: /BLS types have no data representation, 'Bls12_381_G1'/
+        }
+    ])
+})
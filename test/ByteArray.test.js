@@ -1,3 +1,4 @@
+import { throws } from "node:assert"
 import { describe, it } from "node:test"
 import {
     False,
@@ -63,4 +64,78 @@ describe("ByteArray", () => {
             )
         })
     })
+
+    describe("ByteArray.keccak_256()", () => {
+        const runner = compileForRun(
+            `testing bytearray_keccak_256
+        func main(a: ByteArray) -> ByteArray {
+            a.keccak_256()
+        }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("hashes # correctly", () => {
+            runner(
+                [bytes("")],
+                bytes(
+                    "c5d2460186f7233c927e7db2dcc703c0e500b653ca82273b7bfad8045d85a470"
+                )
+            )
+        })
+
+        it("hashes #616263 correctly", () => {
+            runner(
+                [bytes("616263")],
+                bytes(
+                    "4e03657aea45a94fc7d47ba826c8d667c0d1e6e33a64a036ec44f58fa12d6c45"
+                )
+            )
+        })
+
+        it("can't be compiled to Plutus V2", () => {
+            throws(() => {
+                compileForRun(`testing bytearray_keccak_256_v2
+                func main(a: ByteArray) -> ByteArray {
+                    a.keccak_256()
+                }`)
+            }, /ByteArray.keccak_256\(\) is only available in Plutus V3 scripts/)
+        })
+    })
+
+    describe("ByteArray.blake2b_224()", () => {
+        const runner = compileForRun(
+            `testing bytearray_blake2b_224
+        func main(a: ByteArray) -> ByteArray {
+            a.blake2b_224()
+        }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("hashes # correctly", () => {
+            runner(
+                [bytes("")],
+                bytes(
+                    "836cc68931c2e4e3e838602eca1902591d216837bafddfe6f0c8cb07"
+                )
+            )
+        })
+
+        it("hashes #616263 correctly", () => {
+            runner(
+                [bytes("616263")],
+                bytes(
+                    "9bd237b02a29e43bdd6738afa5b53ff0eee178d6210b618e4511aec8"
+                )
+            )
+        })
+
+        it("can't be compiled to Plutus V2", () => {
+            throws(() => {
+                compileForRun(`testing bytearray_blake2b_224_v2
+                func main(a: ByteArray) -> ByteArray {
+                    a.blake2b_224()
+                }`)
+            }, /ByteArray.blake2b_224\(\) is only available in Plutus V3 scripts/)
+        })
+    })
 })
@@ -0,0 +1,88 @@
+import { describe, it } from "node:test"
+import { False, True, bytes, compileForRun, int } from "./utils.js"
+
+/**
+ * @typedef {import("../src/codegen/index.js").PlutusVersion} PlutusVersion
+ */
+
+describe("EcdsaSecp256k1PubKey", () => {
+    const pubKey =
+        "0284bf7562262bbd6940085748f3be6afa52ae317155181ece31b66351ccffa4b0"
+    const message =
+        "fffefdfcfbfaf9f8f7f6f5f4f3f2f1f0efeeedecebeae9e8e7e6e5e4e3e2e1e0"
+    const signature =
+        "4750b6f34937a6703ef53c1242ad97d4d8966f50c52a8f2311678aa630074f5633004ac05729990f964827d78a1f88b452b967b0212e9c8c779073271f47c918"
+
+    describe("EcdsaSecp256k1PubKey::is_valid_data", () => {
+        const runner = compileForRun(`
+        testing ecdsasecp256k1pubkey_is_valid_data
+        func main(a: Data) -> Bool {
+            EcdsaSecp256k1PubKey::is_valid_data(a)
+        }`)
+
+        it("returns true for bData with 33 bytes", () => {
+            runner([bytes(pubKey)], True)
+        })
+
+        it("returns false for bData with 32 bytes", () => {
+            runner([bytes(new Array(32).fill(255))], False)
+        })
+
+        it("returns false for iData", () => {
+            runner([int(0)], False)
+        })
+    })
+
+    /**
+     * @type {PlutusVersion[]}
+     */
+    const plutusVersions = ["PlutusScriptV2", "PlutusScriptV3"]
+
+    for (const plutusVersion of plutusVersions) {
+        describe(`EcdsaSecp256k1PubKey.verify() (${plutusVersion})`, () => {
+            const runner = compileForRun(
+                `testing ecdsasecp256k1pubkey_verify
+            func main(pk: EcdsaSecp256k1PubKey, message: ByteArray, signature: ByteArray) -> Bool {
+                pk.verify(message, signature)
+            }`,
+                { plutusVersion }
+            )
+
+            it("returns true for a valid signature", () => {
+                runner([bytes(pubKey), bytes(message), bytes(signature)], True)
+            })
+
+            it("returns false for a different message", () => {
+                runner(
+                    [
+                        bytes(pubKey),
+                        bytes("00" + message.slice(2)),
+                        bytes(signature)
+                    ],
+                    False
+                )
+            })
+
+            it("throws an error for a public key that isn't 33 bytes long", () => {
+                runner(
+                    [bytes(pubKey.slice(2)), bytes(message), bytes(signature)],
+                    { error: "" }
+                )
+            })
+
+            it("throws an error for a message that isn't 32 bytes long", () => {
+                runner(
+                    [bytes(pubKey), bytes(message + "00"), bytes(signature)],
+                    { error: "" }
+                )
+            })
+
+            it("throws an error for a signature that isn't 64 bytes long", () => {
+                runner(
+                    [bytes(pubKey), bytes(message), bytes(signature.slice(2))],
+                    { error: "" }
+                )
+            })
+        })
+    }
+})
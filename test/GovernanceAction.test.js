@@ -0,0 +1,220 @@
+import { describe, it } from "node:test"
+import {
+    assertOptimizedAs,
+    bytes,
+    compileAndRunMany,
+    compileForRun,
+    constr,
+    False,
+    int,
+    list,
+    map,
+    str,
+    True
+} from "./utils.js"
+
+describe("GovernanceAction", () => {
+    const txId =
+        "0000000000000000000000000000000000000000000000000000000000000001"
+    const pkh = "01234567890123456789012345678901234567890123456789012345"
+    const sh = "01234567890123456789012345678901234567890123456789012346"
+
+    compileAndRunMany([
+        {
+            description:
+                "GovernanceAction::new_parameter_change encodes the previous action and the guardrail",
+            main: `testing governanceaction_new_parameter_change
+            func main(tx_id: TxId, sh: ScriptHash, params: Data) -> GovernanceAction {
+                GovernanceAction::new_parameter_change(
+                    Option[GovernanceActionId]::Some{GovernanceActionId::new(tx_id, 0)},
+                    params,
+                    Option[ScriptHash]::Some{sh}
+                )
+            }`,
+            inputs: [bytes(txId), bytes(sh), map([[int(0), int(44)]])],
+            plutusVersion: "PlutusScriptV3",
+            output: constr(
+                0,
+                constr(0, constr(0, bytes(txId), int(0))),
+                map([[int(0), int(44)]]),
+                constr(0, bytes(sh))
+            )
+        },
+        {
+            description:
+                "GovernanceAction::new_treasury_withdrawals encodes the withdrawals",
+            main: `testing governanceaction_new_treasury_withdrawals
+            func main(pkh: PubKeyHash) -> GovernanceAction {
+                GovernanceAction::new_treasury_withdrawals(
+                    Map[SpendingCredential]Int{SpendingCredential::new_pubkey(pkh): 1_000_000},
+                    Option[ScriptHash]::None
+                )
+            }`,
+            inputs: [bytes(pkh)],
+            plutusVersion: "PlutusScriptV3",
+            output: constr(
+                2,
+                map([[constr(0, bytes(pkh)), int(1_000_000)]]),
+                constr(1)
+            )
+        },
+        {
+            description:
+                "GovernanceAction::new_update_committee encodes the removed and added members",
+            main: `testing governanceaction_new_update_committee
+            func main(pkh: PubKeyHash, quorum: Data) -> GovernanceAction {
+                cred = SpendingCredential::new_pubkey(pkh);
+                GovernanceAction::new_update_committee(
+                    Option[GovernanceActionId]::None,
+                    []SpendingCredential{cred},
+                    Map[SpendingCredential]Int{cred: 500},
+                    quorum
+                )
+            }`,
+            inputs: [bytes(pkh), constr(0, int(2), int(3))],
+            plutusVersion: "PlutusScriptV3",
+            output: constr(
+                4,
+                constr(1),
+                list(constr(0, bytes(pkh))),
+                map([[constr(0, bytes(pkh)), int(500)]]),
+                constr(0, int(2), int(3))
+            )
+        },
+        {
+            description: "GovernanceAction::Info has no fields",
+            main: `testing governanceaction_info
+            func main() -> GovernanceAction {
+                GovernanceAction::Info
+            }`,
+            inputs: [],
+            plutusVersion: "PlutusScriptV3",
+            output: constr(6)
+        },
+        {
+            description: "Vote::Abstain has tag 2",
+            main: `testing vote_abstain
+            func main() -> Vote {
+                Vote::Abstain
+            }`,
+            inputs: [],
+            plutusVersion: "PlutusScriptV3",
+            output: constr(2)
+        },
+        {
+            description: "GovernanceActionId fields",
+            main: `testing governanceactionid_fields
+            func main(id: GovernanceActionId) -> Int {
+                id.index
+            }`,
+            inputs: [constr(0, bytes(txId), int(3))],
+            plutusVersion: "PlutusScriptV3",
+            output: int(3)
+        }
+    ])
+
+    describe("GovernanceAction guardrail", () => {
+        const runner = compileForRun(
+            `testing governanceaction_guardrail
+        func main(action: GovernanceAction) -> Option[ScriptHash] {
+            action.switch{
+                ParameterChange{_, _, guardrail} => guardrail,
+                TreasuryWithdrawals{_, guardrail} => guardrail,
+                else => Option[ScriptHash]::None
+            }
+        }`,
+            {
+                plutusVersion: "PlutusScriptV3"
+            }
+        )
+
+        it("returns the guardrail of a parameter change", () => {
+            runner(
+                [constr(0, constr(1), map([]), constr(0, bytes(sh)))],
+                constr(0, bytes(sh))
+            )
+        })
+
+        it("returns the guardrail of a treasury withdrawal", () => {
+            runner(
+                [constr(2, map([]), constr(0, bytes(sh)))],
+                constr(0, bytes(sh))
+            )
+        })
+
+        it("returns None for a hard fork", () => {
+            runner(
+                [constr(1, constr(1), constr(0, int(10), int(0)))],
+                constr(1)
+            )
+        })
+    })
+
+    describe("GovernanceAction::is_valid_data", () => {
+        const runner = compileForRun(
+            `testing governanceaction_is_valid_data
+        func main(d: Data) -> Bool {
+            GovernanceAction::is_valid_data(d)
+        }`,
+            {
+                plutusVersion: "PlutusScriptV3"
+            }
+        )
+
+        it("returns true for a no confidence action", () => {
+            runner([constr(3, constr(0, constr(0, bytes(txId), int(0))))], True)
+        })
+
+        it("returns true for a new constitution", () => {
+            runner([constr(5, constr(1), constr(0, constr(1)))], True)
+        })
+
+        it("returns false for a treasury withdrawal with a non-map", () => {
+            runner([constr(2, list(), constr(1))], False)
+        })
+
+        it("returns false for an info action with fields", () => {
+            runner([constr(6, int(0))], False)
+        })
+
+        it("returns false for an unknown tag", () => {
+            runner([constr(7)], False)
+        })
+    })
+
+    describe("GovernanceAction.show()", () => {
+        const runner = compileForRun(
+            `testing governanceaction_show
+        func main(action: GovernanceAction) -> String {
+            action.show()
+        }`,
+            {
+                plutusVersion: "PlutusScriptV3"
+            }
+        )
+
+        it("shows a no confidence action", () => {
+            runner(
+                [constr(3, constr(0, constr(0, bytes(txId), int(0))))],
+                str(`NoConfidence{prev_action:Some{${txId}#0}}`)
+            )
+        })
+
+        it("shows an info action", () => {
+            runner([constr(6)], str("Info"))
+        })
+
+        it("is optimized out in print()", () => {
+            assertOptimizedAs(
+                `testing governanceaction_show_in_print_actual
+                func main(action: GovernanceAction) -> () {
+                    print(action.show())
+                }`,
+                `testing governanceaction_show_in_print_expected_optimized
+                func main(_: GovernanceAction) -> () {
+                    ()
+                }`
+            )
+        })
+    })
+})
@@ -1,6 +1,7 @@
 import { describe, it } from "node:test"
 import { encodeIntBE } from "@helios-lang/codec-utils"
 import { makeIntData } from "@helios-lang/uplc"
+import { isLeft } from "@helios-lang/type-utils"
 import {
     False,
     True,
@@ -17,6 +18,11 @@ import {
     str
 } from "./utils.js"
 
+/**
+ * @typedef {import("@helios-lang/uplc").CekResult} CekResult
+ * @typedef {import("../src/codegen/index.js").PlutusVersion} PlutusVersion
+ */
+
 describe("Int", () => {
     describe("Literals", () => {
         it("0", () => {
@@ -816,6 +822,224 @@ describe("Int", () => {
         })
     })
 
+    /**
+     * @type {PlutusVersion[]}
+     */
+    const plutusVersions = ["PlutusScriptV2", "PlutusScriptV3"]
+
+    /**
+     * @param {CekResult} result
+     * @param {RegExp} msg
+     */
+    function assertFailsWith(result, msg) {
+        const output = result.result
+
+        if (!isLeft(output) || !output.left.error.match(msg)) {
+            throw new Error(
+                `expected error ${msg.toString()}, got ${isLeft(output) ? output.left.error : "no error"}`
+            )
+        }
+    }
+
+    describe("Int.to_big_endian_padded", () => {
+        const src = `testing int_to_big_endian_padded
+        func main(a: Int, width: Int) -> ByteArray {
+            a.to_big_endian_padded(width)
+        }`
+
+        for (const plutusVersion of plutusVersions) {
+            const runner = compileForRun(src, { plutusVersion })
+
+            it(`1024.to_big_endian_padded(4) == #00000400 (${plutusVersion})`, () => {
+                runner([int(1024), int(4)], bytes("00000400"))
+            })
+
+            it(`1024.to_big_endian_padded(2) == #0400 (${plutusVersion})`, () => {
+                runner([int(1024), int(2)], bytes("0400"))
+            })
+
+            it(`0.to_big_endian_padded(0) == # (${plutusVersion})`, () => {
+                runner([int(0), int(0)], bytes(""))
+            })
+
+            it(`0.to_big_endian_padded(2) == #0000 (${plutusVersion})`, () => {
+                runner([int(0), int(2)], bytes("0000"))
+            })
+
+            it(`1024.to_big_endian_padded(1) throws an error (${plutusVersion})`, () => {
+                const [result] = runner([int(1024), int(1)], { error: "" })
+
+                assertFailsWith(
+                    result,
+                    /integer doesn't fit in the given width/
+                )
+            })
+
+            it(`1.to_big_endian_padded(0) throws an error (${plutusVersion})`, () => {
+                const [result] = runner([int(1), int(0)], { error: "" })
+
+                assertFailsWith(
+                    result,
+                    /integer doesn't fit in the given width/
+                )
+            })
+
+            it(`-1.to_big_endian_padded(4) throws an error (${plutusVersion})`, () => {
+                const [result] = runner([int(-1), int(4)], { error: "" })
+
+                assertFailsWith(
+                    result,
+                    /can't convert negative number to padded bytearray/
+                )
+            })
+
+            it(`0.to_big_endian_padded(-1) throws an error (${plutusVersion})`, () => {
+                const [result] = runner([int(0), int(-1)], { error: "" })
+
+                assertFailsWith(result, /negative width/)
+            })
+
+            it(`1.to_big_endian_padded(8192) == #00...0001 (${plutusVersion})`, () => {
+                runner([int(1), int(8192)], bytes("00".repeat(8191) + "01"))
+            })
+
+            it(`1.to_big_endian_padded(8193) == #00...0001 (${plutusVersion})`, () => {
+                runner([int(1), int(8193)], bytes("00".repeat(8192) + "01"))
+            })
+        }
+    })
+
+    describe("Int.to_little_endian_padded", () => {
+        const src = `testing int_to_little_endian_padded
+        func main(a: Int, width: Int) -> ByteArray {
+            a.to_little_endian_padded(width)
+        }`
+
+        for (const plutusVersion of plutusVersions) {
+            const runner = compileForRun(src, { plutusVersion })
+
+            it(`1024.to_little_endian_padded(4) == #00040000 (${plutusVersion})`, () => {
+                runner([int(1024), int(4)], bytes("00040000"))
+            })
+
+            it(`0.to_little_endian_padded(0) == # (${plutusVersion})`, () => {
+                runner([int(0), int(0)], bytes(""))
+            })
+
+            it(`1024.to_little_endian_padded(1) throws an error (${plutusVersion})`, () => {
+                const [result] = runner([int(1024), int(1)], { error: "" })
+
+                assertFailsWith(
+                    result,
+                    /integer doesn't fit in the given width/
+                )
+            })
+
+            it(`-1.to_little_endian_padded(4) throws an error (${plutusVersion})`, () => {
+                const [result] = runner([int(-1), int(4)], { error: "" })
+
+                assertFailsWith(
+                    result,
+                    /can't convert negative number to padded bytearray/
+                )
+            })
+
+            it(`1.to_little_endian_padded(8193) == #0100...00 (${plutusVersion})`, () => {
+                runner([int(1), int(8193)], bytes("01" + "00".repeat(8192)))
+            })
+        }
+    })
+
+    describe("Int::from_big_endian and Int::from_little_endian of empty bytes", () => {
+        for (const plutusVersion of plutusVersions) {
+            const runner = compileForRun(
+                `testing int_from_endian_empty
+                func main(a: ByteArray) -> Int {
+                    Int::from_big_endian(a) + Int::from_little_endian(a)
+                }`,
+                { plutusVersion }
+            )
+
+            it(`# from big and little endian == 0 (${plutusVersion})`, () => {
+                runner([bytes("")], int(0))
+            })
+        }
+    })
+
+    describe("Int conversions in Plutus V3", () => {
+        const runner1 = compileForRun(
+            `testing int_to_big_endian_v3
+            func main(a: Int) -> ByteArray {
+                a.to_big_endian()
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("1024.to_big_endian() == JS-equiv", () => {
+            runner1([int(1024)], bytes(encodeIntBE(1024)))
+        })
+
+        it("0.to_big_endian() == #00", () => {
+            runner1([int(0)], bytes("00"))
+        })
+
+        it("-1.to_big_endian() throws an error", () => {
+            runner1([int(-1)], { error: "" })
+        })
+
+        const runner2 = compileForRun(
+            `testing int_to_little_endian_v3
+            func main(a: Int) -> ByteArray {
+                a.to_little_endian()
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("1024.to_little_endian() == JS-equiv", () => {
+            runner2([int(1024)], bytes(encodeIntBE(1024).reverse()))
+        })
+
+        it("0.to_little_endian() == #00", () => {
+            runner2([int(0)], bytes("00"))
+        })
+
+        const runner3 = compileForRun(
+            `testing int_from_big_endian_v3
+            func main(a: ByteArray) -> Int {
+                Int::from_big_endian(a)
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("#0400 from big endian == 1024", () => {
+            runner3([bytes("0400")], int(1024))
+        })
+
+        const runner4 = compileForRun(
+            `testing int_from_little_endian_v3
+            func main(a: ByteArray) -> Int {
+                Int::from_little_endian(a)
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("#0004 from little endian == 1024", () => {
+            runner4([bytes("0004")], int(1024))
+        })
+
+        const runner5 = compileForRun(
+            `testing int_big_endian_roundtrip_v3
+            func main(a: Int) -> Bool {
+                Int::from_big_endian(a.to_big_endian_padded(32)) == a
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("1234567890 padded big endian roundtrip", () => {
+            runner5([int(1234567890)], True)
+        })
+    })
+
     describe("Int.to_base58", () => {
         const runner = compileForRun(`testing int_to_base58
         func main(a: Int) -> String {
@@ -987,6 +1211,79 @@ describe("Int", () => {
         })
     })
 
+    describe("Int.pow", () => {
+        const runner = compileForRun(`testing int_pow
+        func main(a: Int, b: Int) -> Int {
+            a.pow(b)
+        }`)
+
+        it("2.pow(10) == 1024", () => {
+            runner([int(2), int(10)], int(1024))
+        })
+
+        it("-3.pow(3) == -27", () => {
+            runner([int(-3), int(3)], int(-27))
+        })
+
+        it("5.pow(0) == 1", () => {
+            runner([int(5), int(0)], int(1))
+        })
+
+        it("0.pow(0) == 1", () => {
+            runner([int(0), int(0)], int(1))
+        })
+
+        it("2.pow(100) == 2^100", () => {
+            runner([int(2), int(100)], int(2n ** 100n))
+        })
+
+        it("2.pow(-1) throws an error", () => {
+            runner([int(2), int(-1)], { error: "" })
+        })
+    })
+
+    describe("Int.pow_mod", () => {
+        const runner = compileForRun(`testing int_pow_mod
+        func main(a: Int, b: Int, m: Int) -> Int {
+            a.pow_mod(b, m)
+        }`)
+
+        it("4.pow_mod(13, 497) == 445", () => {
+            runner([int(4), int(13), int(497)], int(445))
+        })
+
+        it("-2.pow_mod(3, 5) == 2", () => {
+            runner([int(-2), int(3), int(5)], int(2))
+        })
+
+        it("3.pow_mod(0, 1) == 0", () => {
+            runner([int(3), int(0), int(1)], int(0))
+        })
+
+        it("2.pow_mod(2^64, 1_000_000_007) matches the bigint result", () => {
+            const m = 1_000_000_007n
+            let expected = 1n
+            let base = 2n
+
+            for (let e = 2n ** 64n; e > 0n; e /= 2n) {
+                if (e % 2n == 1n) {
+                    expected = (expected * base) % m
+                }
+                base = (base * base) % m
+            }
+
+            runner([int(2), int(2n ** 64n), int(m)], int(expected))
+        })
+
+        it("2.pow_mod(-1, 5) throws an error", () => {
+            runner([int(2), int(-1), int(5)], { error: "" })
+        })
+
+        it("2.pow_mod(2, 0) throws an error", () => {
+            runner([int(2), int(2), int(0)], { error: "" })
+        })
+    })
+
     describe("Int::is_valid_data", () => {
         const runner = compileForRun(`testing int_is_valid_data
         func main(data: Data) -> Bool {
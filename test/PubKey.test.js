@@ -1,3 +1,4 @@
+import { throws } from "node:assert"
 import { describe, it } from "node:test"
 import {
     False,
@@ -66,4 +67,36 @@ describe("PubKey", () => {
             )
         })
     })
+
+    describe("PubKey.hash()", () => {
+        const runner = compileForRun(
+            `testing pubkey_hash
+        func main(pk: PubKey) -> PubKeyHash {
+            pk.hash()
+        }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("returns the blake2b_224 hash of the key", () => {
+            runner(
+                [
+                    bytes(
+                        "8a4be2e8d7e0b0d4ea2d7b68e1d5d8b2e1a1cdf70b1fdbf0f0b4a0d52e6e0a1c"
+                    )
+                ],
+                bytes(
+                    "58c94fcc0cfd948e18233b8d1a0c3021dc3ab65adb2fc27f49df9948"
+                )
+            )
+        })
+
+        it("can't be compiled to Plutus V2", () => {
+            throws(() => {
+                compileForRun(`testing pubkey_hash_v2
+                func main(pk: PubKey) -> PubKeyHash {
+                    pk.hash()
+                }`)
+            }, /PubKey.hash\(\) is only available in Plutus V3 scripts/)
+        })
+    })
 })
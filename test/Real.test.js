@@ -739,6 +739,37 @@ describe("Real", () => {
         })
     })
 
+    describe("Real.pow", () => {
+        const runner = compileForRun(`testing real_pow
+        func main(a: Real, b: Int) -> Real {
+            a.pow(b)
+        }`)
+
+        it("1.5.pow(2) == 2.25", () => {
+            runner([real(1.5), int(2)], real(2.25))
+        })
+
+        it("1.1.pow(3) == 1.331", () => {
+            runner([real(1.1), int(3)], real(1.331))
+        })
+
+        it("-0.5.pow(3) == -0.125", () => {
+            runner([real(-0.5), int(3)], real(-0.125))
+        })
+
+        it("2.5.pow(0) == 1", () => {
+            runner([real(2.5), int(0)], real(1))
+        })
+
+        it("2.pow(-2) == 0.25", () => {
+            runner([real(2), int(-2)], real(0.25))
+        })
+
+        it("0.pow(-1) throws an error", () => {
+            runner([real(0), int(-1)], { error: "" })
+        })
+    })
+
     describe("Real.show", () => {
         const runner = compileForRun(`testing real_show
         func main(a: Real) -> String {
@@ -0,0 +1,76 @@
+import { describe, it } from "node:test"
+import { False, True, bytes, compileForRun, int } from "./utils.js"
+
+/**
+ * @typedef {import("../src/codegen/index.js").PlutusVersion} PlutusVersion
+ */
+
+describe("SchnorrSecp256k1PubKey", () => {
+    const pubKey =
+        "84bf7562262bbd6940085748f3be6afa52ae317155181ece31b66351ccffa4b0"
+    const message = "0102030405"
+    const signature =
+        "8439bc39be8caac99ba56ce6bc434327c98ba977e38dc82383c7862e9b7b7643c37b8464d76b827063b8812fd288828de0ee6a34733281a2fefd2a51506a541f"
+
+    describe("SchnorrSecp256k1PubKey::is_valid_data", () => {
+        const runner = compileForRun(`
+        testing schnorrsecp256k1pubkey_is_valid_data
+        func main(a: Data) -> Bool {
+            SchnorrSecp256k1PubKey::is_valid_data(a)
+        }`)
+
+        it("returns true for bData with 32 bytes", () => {
+            runner([bytes(pubKey)], True)
+        })
+
+        it("returns false for bData with 33 bytes", () => {
+            runner([bytes(new Array(33).fill(255))], False)
+        })
+
+        it("returns false for iData", () => {
+            runner([int(0)], False)
+        })
+    })
+
+    /**
+     * @type {PlutusVersion[]}
+     */
+    const plutusVersions = ["PlutusScriptV2", "PlutusScriptV3"]
+
+    for (const plutusVersion of plutusVersions) {
+        describe(`SchnorrSecp256k1PubKey.verify() (${plutusVersion})`, () => {
+            const runner = compileForRun(
+                `testing schnorrsecp256k1pubkey_verify
+            func main(pk: SchnorrSecp256k1PubKey, message: ByteArray, signature: ByteArray) -> Bool {
+                pk.verify(message, signature)
+            }`,
+                { plutusVersion }
+            )
+
+            it("returns true for a valid signature", () => {
+                runner([bytes(pubKey), bytes(message), bytes(signature)], True)
+            })
+
+            it("returns false for a different message", () => {
+                runner(
+                    [bytes(pubKey), bytes("010203"), bytes(signature)],
+                    False
+                )
+            })
+
+            it("throws an error for a public key that isn't 32 bytes long", () => {
+                runner(
+                    [bytes("02" + pubKey), bytes(message), bytes(signature)],
+                    { error: "" }
+                )
+            })
+
+            it("throws an error for a signature that isn't 64 bytes long", () => {
+                runner(
+                    [bytes(pubKey), bytes(message), bytes(signature.slice(2))],
+                    { error: "" }
+                )
+            })
+        })
+    }
+})
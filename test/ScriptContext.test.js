@@ -3,12 +3,22 @@ import { describe, it } from "node:test"
 import {
     bytes,
     compileAndRun,
+    constr,
     evalSingle,
+    evalTypes,
     int,
+    list,
+    map,
     mixedOther,
-    mixedSpending
+    mixedSpending,
+    True
 } from "./utils.js"
 
+/**
+ * @typedef {import("@helios-lang/uplc").UplcData} UplcData
+ * @typedef {import("../src/codegen/index.js").PlutusVersion} PlutusVersion
+ */
+
 const dummyBytes28_1 =
     "01234567890123456789012345678901234567890123456789012345"
 const dummyBytes28_2 =
@@ -20,7 +30,10 @@ const dummyBytes32_1 =
  * ScriptContexts are usually generated using transaction builders, but here we only want to test the correctness of the ScriptContext related functionality, so it is easier to create a dummy ScriptContext using a testing script
  */
 
-function genSimpleSpendingScriptContext() {
+/**
+ * @param {PlutusVersion} plutusVersion
+ */
+function genSimpleSpendingScriptContext(plutusVersion = "PlutusScriptV2") {
     const pubKeyHashBytes = dummyBytes28_1
     const txIdInBytes = dummyBytes32_1
     const inputLovelace = 2_000_000n
@@ -90,11 +103,14 @@ function genSimpleSpendingScriptContext() {
         pubKeyHashBytes,
         txIdInBytes,
         inputLovelace,
-        data: evalSingle(src)
+        data: evalSingle(src, [], plutusVersion)
     }
 }
 
-function genSimpleMintingScriptContext() {
+/**
+ * @param {PlutusVersion} plutusVersion
+ */
+function genSimpleMintingScriptContext(plutusVersion = "PlutusScriptV2") {
     const pubKeyHashBytes = dummyBytes28_1
     const txIdInBytes = dummyBytes32_1
     const currentMphBytes = dummyBytes28_2
@@ -169,8 +185,73 @@ function genSimpleMintingScriptContext() {
         currentMphBytes,
         inputLovelace,
         currentTokenName,
-        data: evalSingle(src)
+        data: evalSingle(src, [], plutusVersion)
+    }
+}
+
+/**
+ * ScriptContexts generated by testing scripts compiled for Plutus V3 contain a unit redeemer and no datum
+ * @param {UplcData} scriptContext
+ * @param {UplcData} redeemer
+ * @param {UplcData | undefined} datum - only set for spending ScriptContexts
+ * @returns {UplcData}
+ */
+function setV3RedeemerAndDatum(scriptContext, redeemer, datum = undefined) {
+    if (scriptContext.kind != "constr") {
+        throw new Error("expected constr data")
+    }
+
+    const [tx, _, scriptInfo] = scriptContext.fields
+
+    return constr(
+        0,
+        tx,
+        redeemer,
+        datum && scriptInfo.kind == "constr"
+            ? constr(scriptInfo.tag, scriptInfo.fields[0], constr(0, datum))
+            : scriptInfo
+    )
+}
+
+/**
+ * Replaces the ScriptInfo of a Plutus V3 ScriptContext
+ * @param {UplcData} scriptContext
+ * @param {UplcData} scriptInfo
+ * @returns {UplcData}
+ */
+function setV3ScriptInfo(scriptContext, scriptInfo) {
+    if (scriptContext.kind != "constr") {
+        throw new Error("expected constr data")
     }
+
+    const [tx, redeemer, _] = scriptContext.fields
+
+    return constr(0, tx, redeemer, scriptInfo)
+}
+
+/**
+ * Replaces some of the TxInfo fields of a Plutus V3 ScriptContext
+ * @param {UplcData} scriptContext
+ * @param {Record<number, UplcData>} fields
+ * @returns {UplcData}
+ */
+function setV3TxFields(scriptContext, fields) {
+    if (scriptContext.kind != "constr") {
+        throw new Error("expected constr data")
+    }
+
+    const [tx, redeemer, scriptInfo] = scriptContext.fields
+
+    if (tx.kind != "constr") {
+        throw new Error("expected constr data")
+    }
+
+    return constr(
+        0,
+        constr(0, ...tx.fields.map((f, i) => fields[i] ?? f)),
+        redeemer,
+        scriptInfo
+    )
 }
 
 describe("Entry points", () => {
@@ -215,6 +296,36 @@ describe("Entry points", () => {
         output: "()"
     })
 
+    compileAndRun({
+        description: "spending script with optional datum receives the datum",
+        main: `spending optional_datum_check
+        func main(d: Int = -1, r: Int) -> Bool {
+            d == 1 && r == 2
+        }`,
+        inputs: [int(1), int(2), spendingScriptContext.data],
+        output: "()"
+    })
+
+    compileAndRun({
+        description: "spending script can't have an Option datum",
+        main: `spending option_datum_check_v2
+        func main(d: Option[Int], r: Int) -> Bool {
+            d == Option[Int]::Some{r}
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /an Option datum is only allowed in Plutus V3 spending scripts/
+    })
+
+    evalTypes({
+        description: "the redeemer of a spending script can't be optional",
+        main: `spending optional_redeemer_check
+        func main(d: Int, r: Int = 0) -> Bool {
+            d == r
+        }`,
+        fails: /redeemer can't be optional/
+    })
+
     compileAndRun({
         description: "can validate minting script based on tx",
         main: `minting always_succeeds
@@ -250,3 +361,564 @@ describe("Entry points", () => {
         output: "()"
     })
 })
+
+describe("Plutus V3 entry points", () => {
+    const mintingScriptContext = genSimpleMintingScriptContext("PlutusScriptV3")
+    const spendingScriptContext =
+        genSimpleSpendingScriptContext("PlutusScriptV3")
+
+    it("ScriptContext has 3 fields", () => {
+        const data = mintingScriptContext.data
+        strictEqual(data.kind == "constr" && data.fields.length, 3)
+    })
+
+    it("TxInfo has 16 fields", () => {
+        const data = mintingScriptContext.data
+        const tx = data.kind == "constr" ? data.fields[0] : undefined
+        strictEqual(tx?.kind == "constr" && tx.fields.length, 16)
+    })
+
+    compileAndRun({
+        description: "can call always succeeds minting script",
+        main: `minting always_succeeds
+        func main(_) -> Bool {
+            true
+        }`,
+        inputs: [mintingScriptContext.data],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "minting script receives redeemer through ScriptContext",
+        main: `minting redeemer_check
+        func main(r: Int) -> Bool {
+            r == 42
+        }`,
+        inputs: [setV3RedeemerAndDatum(mintingScriptContext.data, int(42))],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "minting script fails for wrong redeemer",
+        main: `minting redeemer_check
+        func main(r: Int) -> Bool {
+            r == 42
+        }`,
+        inputs: [setV3RedeemerAndDatum(mintingScriptContext.data, int(41))],
+        output: { error: "" },
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "can validate minting script based on fee and tx id",
+        main: `minting fee_check
+        import { tx, get_current_minting_policy_hash } from ScriptContext
+        func main(_) -> Bool {
+            tx.fee == Value::lovelace(160_000) 
+                && tx.id == TxId::new(#${mintingScriptContext.txIdInBytes})
+                && get_current_minting_policy_hash() == MintingPolicyHash::new(#${mintingScriptContext.currentMphBytes})
+        }`,
+        inputs: [mintingScriptContext.data],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "can read the Conway certificates of the tx",
+        main: `minting certs_check
+        import { tx } from ScriptContext
+        func main(_) -> Bool {
+            tx.certs.all((cert: TxCert) -> {
+                cert.switch{
+                    RegisterDRep => false,
+                    else => true
+                }
+            })
+        }`,
+        inputs: [mintingScriptContext.data],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "tx.certs can't be used in Plutus V2 scripts",
+        main: `minting certs_check_v2
+        import { tx } from ScriptContext
+        func main(_) -> Bool {
+            tx.certs.is_empty()
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /tx.certs is only available in Plutus V3 scripts/
+    })
+
+    compileAndRun({
+        description: "tx.dcerts can't be used in Plutus V3 scripts",
+        main: `minting dcerts_check_v3
+        import { tx } from ScriptContext
+        func main(_) -> Bool {
+            tx.dcerts.is_empty()
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /tx.dcerts is only available in Plutus V2 scripts/,
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description:
+            "DCerts of script purposes can't be used in Plutus V3 scripts",
+        main: `staking dcert_check_v3
+        import { get_staking_purpose } from ScriptContext
+        func main(_) -> Bool {
+            get_staking_purpose().switch{
+                c: Certifying => c.dcert.switch{
+                    Register => true,
+                    else => false
+                },
+                else => false
+            }
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /DCert is only available in Plutus V2 scripts/,
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    // RegisterStaking certificate of a script credential, at index 1 of the tx certs
+    const certifyingScriptContext = setV3ScriptInfo(
+        mintingScriptContext.data,
+        constr(
+            3,
+            int(1),
+            constr(0, constr(1, bytes(dummyBytes28_2)), constr(1))
+        )
+    )
+
+    compileAndRun({
+        description: "can read the index and cert of the script purpose",
+        main: `staking cert_check
+        import { purpose } from ScriptContext
+        func main(_) -> Bool {
+            purpose.switch{
+                c: Certifying => c.index == 1 && c.cert.switch{
+                    RegisterStaking{cred, _} => cred == SpendingCredential::new_validator(ValidatorHash::new(#${dummyBytes28_2})),
+                    else => false
+                },
+                else => false
+            }
+        }`,
+        inputs: [certifyingScriptContext],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "can read the index and cert of the staking purpose",
+        main: `staking staking_cert_check
+        import { get_staking_purpose } from ScriptContext
+        func main(_) -> Bool {
+            get_staking_purpose().switch{
+                c: Certifying => c.index == 1 && c.cert.switch{
+                    RegisterStaking => true,
+                    else => false
+                },
+                else => false
+            }
+        }`,
+        inputs: [certifyingScriptContext],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "can show a certifying script purpose",
+        main: `staking show_cert_purpose
+        import { purpose } from ScriptContext
+        func main(_) -> Bool {
+            purpose.show().starts_with("Certifying{index:1,cert:RegisterStaking{")
+        }`,
+        inputs: [certifyingScriptContext],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description:
+            "the index and cert of script purposes can't be used in Plutus V2 scripts",
+        main: `staking cert_check_v2
+        import { purpose } from ScriptContext
+        func main(_) -> Bool {
+            purpose.switch{
+                c: Certifying => c.index == 1,
+                else => false
+            }
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /the index and cert of a certifying purpose are only available in Plutus V3 scripts/
+    })
+
+    compileAndRun({
+        description: "tx without governance fields",
+        main: `minting governance_check
+        import { tx } from ScriptContext
+        func main(_) -> Bool {
+            tx.votes.is_empty()
+                && tx.proposal_procedures.is_empty()
+                && tx.current_treasury_amount == Option[Int]::None
+                && tx.treasury_donation == Option[Int]::None
+        }`,
+        inputs: [mintingScriptContext.data],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    const governanceScriptContext = setV3TxFields(mintingScriptContext.data, {
+        12: map([
+            [
+                constr(1, constr(1, bytes(dummyBytes28_2))),
+                map([[constr(0, bytes(dummyBytes32_1), int(1)), constr(1)]])
+            ]
+        ]),
+        13: list(
+            constr(
+                0,
+                int(100_000_000_000),
+                constr(0, bytes(dummyBytes28_1)),
+                constr(
+                    2,
+                    map([[constr(0, bytes(dummyBytes28_1)), int(1_000_000)]]),
+                    constr(1)
+                )
+            )
+        ),
+        14: constr(0, int(1_000_000_000_000)),
+        15: constr(0, int(5_000_000))
+    })
+
+    compileAndRun({
+        description: "can read the votes of the tx",
+        main: `minting votes_check
+        import { tx } from ScriptContext
+        func main(_) -> Bool {
+            voter = Voter::new_drep(SpendingCredential::new_validator(ValidatorHash::new(#${dummyBytes28_2})));
+            action_id = GovernanceActionId::new(TxId::new(#${dummyBytes32_1}), 1);
+            tx.votes.get(voter).get(action_id) == Vote::Yes
+        }`,
+        inputs: [governanceScriptContext],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "can read the proposals of the tx",
+        main: `minting proposals_check
+        import { tx } from ScriptContext
+        func main(_) -> Bool {
+            cred = SpendingCredential::new_pubkey(PubKeyHash::new(#${dummyBytes28_1}));
+            tx.proposal_procedures.head.governance_action.switch{
+                TreasuryWithdrawals{withdrawals, guardrail} => withdrawals.get(cred) == 1_000_000 && guardrail == Option[ScriptHash]::None,
+                else => false
+            }
+        }`,
+        inputs: [governanceScriptContext],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "can read the treasury fields of the tx",
+        main: `minting treasury_check
+        import { tx } from ScriptContext
+        func main(_) -> Bool {
+            tx.current_treasury_amount.unwrap() == 1_000_000_000_000
+                && tx.treasury_donation == Option[Int]::Some{5_000_000}
+        }`,
+        inputs: [governanceScriptContext],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description:
+            "the governance fields of the tx can't be used in Plutus V2 scripts",
+        main: `minting votes_check_v2
+        import { tx } from ScriptContext
+        func main(_) -> Bool {
+            tx.votes.is_empty()
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /tx.votes is only available in Plutus V3 scripts/
+    })
+
+    compileAndRun({
+        description:
+            "the treasury fields of the tx can't be used in Plutus V2 scripts",
+        main: `minting treasury_check_v2
+        import { tx } from ScriptContext
+        func main(_) -> Bool {
+            tx.treasury_donation == Option[Int]::None
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /tx.treasury_donation is only available in Plutus V3 scripts/
+    })
+
+    compileAndRun({
+        description: "spending script receives datum and redeemer",
+        main: `spending datum_redeemer_check
+        import { get_current_input } from ScriptContext
+        func main(d: Int, r: Int) -> Bool {
+            d == 1 && r == 2 && get_current_input().value.get_lovelace() == ${spendingScriptContext.inputLovelace.toString()}
+        }`,
+        inputs: [
+            setV3RedeemerAndDatum(spendingScriptContext.data, int(2), int(1))
+        ],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "spending script fails if datum is missing",
+        main: `spending datum_check
+        func main(d: Int, _) -> Bool {
+            d == 1
+        }`,
+        inputs: [spendingScriptContext.data],
+        output: { error: "" },
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description:
+            "spending script with unused datum succeeds if datum is missing",
+        main: `spending redeemer_check
+        func main(_, r: Int) -> Bool {
+            r == 2
+        }`,
+        inputs: [setV3RedeemerAndDatum(spendingScriptContext.data, int(2))],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description:
+            "spending script with optional datum receives the default if datum is missing",
+        main: `spending optional_datum_check
+        func main(d: Option[Int] = Option[Int]::None, r: Int) -> Bool {
+            d.switch{
+                None => r == 2,
+                Some => false
+            }
+        }`,
+        inputs: [setV3RedeemerAndDatum(spendingScriptContext.data, int(2))],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description:
+            "spending script with optional datum receives the datum if it is present",
+        main: `spending optional_datum_check
+        func main(d: Int = -1, r: Int) -> Bool {
+            d == 1 && r == 2
+        }`,
+        inputs: [
+            setV3RedeemerAndDatum(spendingScriptContext.data, int(2), int(1))
+        ],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description:
+            "spending script with Option datum (without a default) receives Some if the datum is present",
+        main: `spending option_datum_check
+        func main(d: Option[Int], r: Int) -> Bool {
+            d.unwrap() == 1 && r == 2
+        }`,
+        inputs: [
+            setV3RedeemerAndDatum(spendingScriptContext.data, int(2), int(1))
+        ],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description:
+            "spending script with Option datum (without a default) receives None if datum is missing",
+        main: `spending option_datum_check
+        func main(d: Option[Int], r: Int) -> Bool {
+            d == Option[Int]::None && r == 2
+        }`,
+        inputs: [setV3RedeemerAndDatum(spendingScriptContext.data, int(2))],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "can mint using mixed script",
+        main: `mixed mixed_check
+        func main(args: MixedArgs) -> Bool {
+            args.switch{
+                o: Other => Int::from_data(o.redeemer) == 0,
+                _ => false
+            }
+        }`,
+        inputs: [setV3RedeemerAndDatum(mintingScriptContext.data, int(0))],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description: "can spend using mixed script",
+        main: `mixed mixed_check
+        func main(args: MixedArgs) -> Bool {
+            args.switch{
+                s: Spending => Int::from_data(s.datum) == 0 && Int::from_data(s.redeemer) == 1,
+                _ => false
+            }
+        }`,
+        inputs: [
+            setV3RedeemerAndDatum(spendingScriptContext.data, int(1), int(0))
+        ],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+
+    compileAndRun({
+        description:
+            "mixed script receives Other if the spent output doesn't have a datum",
+        main: `mixed mixed_check
+        func main(args: MixedArgs) -> Bool {
+            args.switch{
+                o: Other => Int::from_data(o.redeemer) == 1,
+                _ => false
+            }
+        }`,
+        inputs: [setV3RedeemerAndDatum(spendingScriptContext.data, int(1))],
+        output: "()",
+        plutusVersion: "PlutusScriptV3"
+    })
+})
+
+describe("Plutus V3 governance entry points", () => {
+    const mintingScriptContext = genSimpleMintingScriptContext("PlutusScriptV3")
+    const scriptHashBytes = dummyBytes28_2
+
+    const votingScriptContext = setV3ScriptInfo(
+        mintingScriptContext.data,
+        constr(4, constr(1, constr(1, bytes(scriptHashBytes))))
+    )
+
+    const proposingScriptContext = setV3ScriptInfo(
+        mintingScriptContext.data,
+        constr(
+            5,
+            int(0),
+            constr(
+                0,
+                int(100_000_000_000),
+                constr(0, bytes(dummyBytes28_1)),
+                // TreasuryWithdrawals guarded by the current script
+                constr(
+                    2,
+                    map([[constr(0, bytes(dummyBytes28_1)), int(1_000_000)]]),
+                    constr(0, bytes(scriptHashBytes))
+                )
+            )
+        )
+    )
+
+    compileAndRun({
+        description: "voting script receives redeemer and current voter",
+        main: `voting drep_check
+        import { get_current_voter } from ScriptContext
+        func main(r: Int) -> Bool {
+            r == 42 && get_current_voter().switch{
+                DRep{cred} => cred == SpendingCredential::new_validator(ValidatorHash::new(#${scriptHashBytes})),
+                _ => false
+            }
+        }`,
+        inputs: [setV3RedeemerAndDatum(votingScriptContext, int(42))],
+        output: "()"
+    })
+
+    compileAndRun({
+        description: "voting script fails for a proposal",
+        main: `voting drep_check
+        import { get_current_voter } from ScriptContext
+        func main(_) -> Bool {
+            get_current_voter().show() != ""
+        }`,
+        inputs: [proposingScriptContext],
+        output: { error: "" }
+    })
+
+    compileAndRun({
+        description: "can show the current voter",
+        main: `voting show_voter
+        import { get_current_voter } from ScriptContext
+        func main(_) -> Bool {
+            get_current_voter().show() == "DRep{credential:Validator{hash:${scriptHashBytes}}}"
+        }`,
+        inputs: [votingScriptContext],
+        output: "()"
+    })
+
+    compileAndRun({
+        description: "can construct a Voter",
+        main: `testing new_voter
+        func main(pkh: PubKeyHash) -> Bool {
+            cred = SpendingCredential::new_pubkey(pkh);
+            voter: Voter = Voter::new_drep(cred);
+            Voter::new_stake_pool(pkh).pool_id == pkh && voter.switch{
+                DRep{c} => c == cred,
+                _ => false
+            }
+        }`,
+        inputs: [bytes(dummyBytes28_1)],
+        output: True
+    })
+
+    compileAndRun({
+        description: "proposing script receives the current proposal",
+        main: `proposing treasury_guardrail
+        import { get_current_proposal } from ScriptContext
+        func main(_) -> Bool {
+            p = get_current_proposal();
+            p.deposit == 100_000_000_000
+                && p.return_credential == SpendingCredential::new_pubkey(PubKeyHash::new(#${dummyBytes28_1}))
+        }`,
+        inputs: [proposingScriptContext],
+        output: "()"
+    })
+
+    compileAndRun({
+        description: "get_current_voter can't be used in Plutus V2 scripts",
+        main: `minting voter_check_v2
+        import { get_current_voter } from ScriptContext
+        func main(_) -> Bool {
+            get_current_voter().show() != ""
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /get_current_voter is only available in Plutus V3 scripts/
+    })
+
+    compileAndRun({
+        description: "get_current_proposal can't be used in Plutus V2 scripts",
+        main: `minting proposal_check_v2
+        import { get_current_proposal } from ScriptContext
+        func main(_) -> Bool {
+            get_current_proposal().deposit > 0
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /get_current_proposal is only available in Plutus V3 scripts/
+    })
+})
@@ -2,12 +2,18 @@ import { describe, it } from "node:test"
 import {
     assertOptimizedAs,
     bytes,
+    compileAndRun,
     compileForRun,
     constr,
     int,
-    str
+    str,
+    True
 } from "./utils.js"
 
+const voter = constr(1, constr(1, bytes("abcd")))
+
+const proposal = constr(0, int(100), constr(0, bytes("abcd")), constr(6))
+
 describe("ScriptPurpose", () => {
     describe("ScriptPurpose.show()", () => {
         const runner = compileForRun(
@@ -49,4 +55,141 @@ describe("ScriptPurpose", () => {
             )
         })
     })
+
+    describe("ScriptPurpose.switch{...}", () => {
+        const runner = compileForRun(
+            `testing scriptpurpose_switch
+            func main(purpose: ScriptPurpose) -> Int {
+                purpose.switch{
+                    Minting => 0,
+                    Spending => 1,
+                    Rewarding => 2,
+                    Certifying => 3,
+                    v: Voting => v.voter.switch{
+                        DRep => 4,
+                        else => -1
+                    },
+                    p: Proposing => p.index + p.proposal.deposit
+                }
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("takes the Certifying branch for tag 3", () => {
+            runner([constr(3, int(0), constr(0))], int(3))
+        })
+
+        it("takes the Voting branch for tag 4", () => {
+            runner([constr(4, voter)], int(4))
+        })
+
+        it("takes the Proposing branch for tag 5", () => {
+            runner([constr(5, int(2), proposal)], int(102))
+        })
+    })
+
+    describe("ScriptPurpose::Voting::from_data()", () => {
+        const runner = compileForRun(
+            `testing scriptpurpose_voting_from_data
+            func main(d: Data) -> Bool {
+                ScriptPurpose::Voting::from_data(d).voter.switch{
+                    DRep => true,
+                    else => false
+                }
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("accepts tag 4", () => {
+            runner([constr(4, voter)], True)
+        })
+
+        it("fails for tag 3", () => {
+            runner([constr(3, int(0), constr(0))], { error: "" })
+        })
+    })
+
+    describe("ScriptPurpose::Proposing::from_data()", () => {
+        const runner = compileForRun(
+            `testing scriptpurpose_proposing_from_data
+            func main(d: Data) -> Int {
+                ScriptPurpose::Proposing::from_data(d).index
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("accepts tag 5", () => {
+            runner([constr(5, int(7), proposal)], int(7))
+        })
+
+        it("fails for tag 4", () => {
+            runner([constr(4, voter)], { error: "" })
+        })
+    })
+
+    describe("ScriptPurpose::from_data()", () => {
+        const runner = compileForRun(
+            `testing scriptpurpose_from_data_switch
+            func main(d: Data) -> String {
+                ScriptPurpose::from_data(d).switch{
+                    Certifying => "certifying",
+                    Voting => "voting",
+                    Proposing => "proposing",
+                    else => "other"
+                }
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it("decodes tag 4 as Voting", () => {
+            runner([constr(4, voter)], str("voting"))
+        })
+
+        it("decodes tag 5 as Proposing", () => {
+            runner([constr(5, int(0), proposal)], str("proposing"))
+        })
+    })
+
+    describe("ScriptPurpose.show() in Plutus V3", () => {
+        const runner = compileForRun(
+            `testing scriptpurpose_show_v3
+            func main(purpose: ScriptPurpose) -> String {
+                purpose.show()
+            }`,
+            { plutusVersion: "PlutusScriptV3" }
+        )
+
+        it('ScriptPurpose::Voting{DRep} shows as "Voting{voter:...}"', () => {
+            runner(
+                [constr(4, voter)],
+                str("Voting{voter:DRep{credential:Validator{hash:abcd}}}")
+            )
+        })
+    })
+
+    compileAndRun({
+        description: "ScriptPurpose::Voting can't be used in Plutus V2 scripts",
+        main: `testing scriptpurpose_voting_v2
+        func main(purpose: ScriptPurpose) -> Bool {
+            purpose.switch{
+                Voting => true,
+                else => false
+            }
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /ScriptPurpose::Voting is only available in Plutus V3 scripts/
+    })
+
+    compileAndRun({
+        description:
+            "ScriptPurpose::Proposing can't be used in Plutus V2 scripts",
+        main: `testing scriptpurpose_proposing_v2
+        func main(d: Data) -> Int {
+            ScriptPurpose::Proposing::from_data(d).index
+        }`,
+        inputs: [],
+        output: "()",
+        fails: /ScriptPurpose::Proposing is only available in Plutus V3 scripts/
+    })
 })
@@ -0,0 +1,312 @@
+import { describe, it } from "node:test"
+import {
+    assertOptimizedAs,
+    bytes,
+    compileAndRunMany,
+    compileForRun,
+    constr,
+    False,
+    int,
+    str,
+    True
+} from "./utils.js"
+
+describe("TxCert", () => {
+    const pkh = "01234567890123456789012345678901234567890123456789012345"
+    const vh = "01234567890123456789012345678901234567890123456789012346"
+
+    compileAndRunMany([
+        {
+            description: "TxCert::new_register_staking encodes the deposit",
+            main: `testing txcert_new_register_staking
+            func main(pkh: PubKeyHash) -> TxCert {
+                TxCert::new_register_staking(
+                    SpendingCredential::new_pubkey(pkh),
+                    Option[Int]::Some{2_000_000}
+                )
+            }`,
+            inputs: [bytes(pkh)],
+            output: constr(0, constr(0, bytes(pkh)), constr(0, int(2_000_000)))
+        },
+        {
+            description: "TxCert::new_deregister_staking without refund",
+            main: `testing txcert_new_deregister_staking
+            func main(pkh: PubKeyHash) -> TxCert {
+                TxCert::new_deregister_staking(
+                    SpendingCredential::new_pubkey(pkh),
+                    Option[Int]::None
+                )
+            }`,
+            inputs: [bytes(pkh)],
+            output: constr(1, constr(0, bytes(pkh)), constr(1))
+        },
+        {
+            description:
+                "TxCert::new_delegate encodes a combined stake and vote delegation",
+            main: `testing txcert_new_delegate
+            func main(pkh: PubKeyHash) -> TxCert {
+                TxCert::new_delegate(
+                    SpendingCredential::new_pubkey(pkh),
+                    Delegatee::new_stake_vote(pkh, DRep::AlwaysAbstain)
+                )
+            }`,
+            inputs: [bytes(pkh)],
+            output: constr(
+                2,
+                constr(0, bytes(pkh)),
+                constr(2, bytes(pkh), constr(1))
+            )
+        },
+        {
+            description:
+                "TxCert::new_register_and_delegate encodes a vote delegation to a script DRep",
+            main: `testing txcert_new_register_and_delegate
+            func main(pkh: PubKeyHash, vh: ValidatorHash) -> TxCert {
+                TxCert::new_register_and_delegate(
+                    SpendingCredential::new_pubkey(pkh),
+                    Delegatee::new_vote(DRep::new_credential(SpendingCredential::new_validator(vh))),
+                    2_000_000
+                )
+            }`,
+            inputs: [bytes(pkh), bytes(vh)],
+            output: constr(
+                3,
+                constr(0, bytes(pkh)),
+                constr(1, constr(0, constr(1, bytes(vh)))),
+                int(2_000_000)
+            )
+        },
+        {
+            description: "TxCert::new_register_drep encodes the deposit",
+            main: `testing txcert_new_register_drep
+            func main(vh: ValidatorHash) -> TxCert {
+                TxCert::new_register_drep(SpendingCredential::new_validator(vh), 500_000_000)
+            }`,
+            inputs: [bytes(vh)],
+            output: constr(4, constr(1, bytes(vh)), int(500_000_000))
+        },
+        {
+            description: "TxCert::new_update_drep",
+            main: `testing txcert_new_update_drep
+            func main(vh: ValidatorHash) -> TxCert {
+                TxCert::new_update_drep(SpendingCredential::new_validator(vh))
+            }`,
+            inputs: [bytes(vh)],
+            output: constr(5, constr(1, bytes(vh)))
+        },
+        {
+            description: "TxCert::new_deregister_drep encodes the refund",
+            main: `testing txcert_new_deregister_drep
+            func main(vh: ValidatorHash) -> TxCert {
+                TxCert::new_deregister_drep(SpendingCredential::new_validator(vh), 500_000_000)
+            }`,
+            inputs: [bytes(vh)],
+            output: constr(6, constr(1, bytes(vh)), int(500_000_000))
+        },
+        {
+            description: "TxCert::new_register_pool",
+            main: `testing txcert_new_register_pool
+            func main(pkh: PubKeyHash) -> TxCert {
+                TxCert::new_register_pool(pkh, pkh)
+            }`,
+            inputs: [bytes(pkh)],
+            output: constr(7, bytes(pkh), bytes(pkh))
+        },
+        {
+            description: "TxCert::new_retire_pool",
+            main: `testing txcert_new_retire_pool
+            func main(pkh: PubKeyHash) -> TxCert {
+                TxCert::new_retire_pool(pkh, 500)
+            }`,
+            inputs: [bytes(pkh)],
+            output: constr(8, bytes(pkh), int(500))
+        },
+        {
+            description: "TxCert::new_authorize_hot_committee",
+            main: `testing txcert_new_authorize_hot_committee
+            func main(pkh: PubKeyHash, vh: ValidatorHash) -> TxCert {
+                TxCert::new_authorize_hot_committee(
+                    SpendingCredential::new_validator(vh),
+                    SpendingCredential::new_pubkey(pkh)
+                )
+            }`,
+            inputs: [bytes(pkh), bytes(vh)],
+            output: constr(9, constr(1, bytes(vh)), constr(0, bytes(pkh)))
+        },
+        {
+            description: "TxCert::new_resign_cold_committee",
+            main: `testing txcert_new_resign_cold_committee
+            func main(vh: ValidatorHash) -> TxCert {
+                TxCert::new_resign_cold_committee(SpendingCredential::new_validator(vh))
+            }`,
+            inputs: [bytes(vh)],
+            output: constr(10, constr(1, bytes(vh)))
+        }
+    ])
+
+    describe("TxCert fields", () => {
+        const runner = compileForRun(`testing txcert_deposit
+        func main(cert: TxCert) -> Int {
+            cert.switch{
+                RegisterStaking{_, deposit} => deposit.unwrap(),
+                RegisterAndDelegate{_, _, deposit} => deposit,
+                RegisterDRep{_, deposit} => deposit,
+                _ => 0
+            }
+        }`)
+
+        it("returns the deposit of a staking registration", () => {
+            runner(
+                [constr(0, constr(0, bytes(pkh)), constr(0, int(2_000_000)))],
+                int(2_000_000)
+            )
+        })
+
+        it("returns the deposit of a combined registration and delegation", () => {
+            runner(
+                [
+                    constr(
+                        3,
+                        constr(0, bytes(pkh)),
+                        constr(0, bytes(pkh)),
+                        int(2_000_000)
+                    )
+                ],
+                int(2_000_000)
+            )
+        })
+
+        it("returns the deposit of a DRep registration", () => {
+            runner(
+                [constr(4, constr(1, bytes(vh)), int(500_000_000))],
+                int(500_000_000)
+            )
+        })
+
+        it("returns 0 for a DRep retirement", () => {
+            runner([constr(6, constr(1, bytes(vh)), int(500_000_000))], int(0))
+        })
+
+        const delegateeRunner =
+            compileForRun(`testing txcert_delegates_to_abstain
+        func main(cert: TxCert) -> Bool {
+            cert.switch{
+                Delegate{_, delegatee} => delegatee.switch{
+                    Vote{drep} => drep == DRep::AlwaysAbstain,
+                    StakeVote{_, drep} => drep == DRep::AlwaysAbstain,
+                    else => false
+                },
+                else => false
+            }
+        }`)
+
+        it("detects a vote delegation to always abstain", () => {
+            delegateeRunner(
+                [constr(2, constr(0, bytes(pkh)), constr(1, constr(1)))],
+                True
+            )
+        })
+
+        it("detects a combined delegation to always abstain", () => {
+            delegateeRunner(
+                [
+                    constr(
+                        2,
+                        constr(0, bytes(pkh)),
+                        constr(2, bytes(pkh), constr(1))
+                    )
+                ],
+                True
+            )
+        })
+
+        it("ignores a stake delegation", () => {
+            delegateeRunner(
+                [constr(2, constr(0, bytes(pkh)), constr(0, bytes(pkh)))],
+                False
+            )
+        })
+    })
+
+    describe("TxCert::is_valid_data", () => {
+        const runner = compileForRun(`testing txcert_is_valid_data
+        func main(d: Data) -> Bool {
+            TxCert::is_valid_data(d)
+        }`)
+
+        it("returns true for a staking registration without deposit", () => {
+            runner([constr(0, constr(0, bytes(pkh)), constr(1))], True)
+        })
+
+        it("returns true for a hot key authorization", () => {
+            runner(
+                [constr(9, constr(1, bytes(vh)), constr(0, bytes(pkh)))],
+                True
+            )
+        })
+
+        it("returns false for an invalid delegatee", () => {
+            runner([constr(2, constr(0, bytes(pkh)), constr(3))], False)
+        })
+
+        it("returns false for a missing field", () => {
+            runner([constr(8, bytes(pkh))], False)
+        })
+
+        it("returns false for too many fields", () => {
+            runner([constr(5, constr(1, bytes(vh)), int(0))], False)
+        })
+
+        it("returns false for an unknown tag", () => {
+            runner([constr(11, constr(1, bytes(vh)))], False)
+        })
+
+        it("returns false for iData", () => {
+            runner([int(0)], False)
+        })
+    })
+
+    describe("TxCert.show()", () => {
+        const runner = compileForRun(`testing txcert_show
+        func main(cert: TxCert) -> String {
+            cert.show()
+        }`)
+
+        it("shows a DRep registration", () => {
+            runner(
+                [constr(4, constr(1, bytes(vh)), int(500))],
+                str(
+                    `RegisterDRep{credential:Validator{hash:${vh}},deposit:500}`
+                )
+            )
+        })
+
+        it("shows a combined delegation", () => {
+            runner(
+                [
+                    constr(
+                        2,
+                        constr(0, bytes(pkh)),
+                        constr(2, bytes(pkh), constr(2))
+                    )
+                ],
+                str(
+                    `Delegate{delegator:PubKey{hash:${pkh}},delegatee:StakeVote{pool_id:${pkh},drep:AlwaysNoConfidence}}`
+                )
+            )
+        })
+
+        it("is optimized out in print()", () => {
+            assertOptimizedAs(
+                `testing txcert_show_in_print_actual
+                func main(cert: TxCert) -> () {
+                    print(cert.show())
+                }`,
+                `testing txcert_show_in_print_expected_optimized
+                func main(_: TxCert) -> () {
+                    ()
+                }`
+            )
+        })
+    })
+})
@@ -0,0 +1,241 @@
+import { describe } from "node:test"
+import {
+    bytes,
+    compileAndRunMany,
+    constr,
+    evalTypesMany,
+    int,
+    map
+} from "./utils.js"
+
+describe("Type aliases", () => {
+    const ledgerModule = `module ledger
+    type Ledger = Map[ByteArray]Map[PubKeyHash]Int
+
+    type Table[V] = Map[ByteArray]V
+
+    func total(ledger: Ledger) -> Int {
+        ledger.fold((acc: Int, _, m: Map[PubKeyHash]Int) -> Int {
+            acc + m.fold((a: Int, _, v: Int) -> Int { a + v }, 0)
+        }, 0)
+    }`
+
+    compileAndRunMany([
+        {
+            description: "type alias is interchangeable with the aliased type",
+            main: `testing alias_ledger
+            import { Ledger, total } from ledger
+
+            func main(a: Int) -> Int {
+                pkh = PubKeyHash::new(#1234);
+                ledger: Ledger = Map[ByteArray]Map[PubKeyHash]Int{
+                    #01: Map[PubKeyHash]Int{pkh: a},
+                    #02: Map[PubKeyHash]Int{pkh: 2*a}
+                };
+                total(ledger) + ledger.length
+            }`,
+            modules: [ledgerModule],
+            inputs: [int(10)],
+            output: int(32)
+        },
+        {
+            description:
+                "parametric type alias can be used in generic functions",
+            main: `testing alias_table
+            import { Table } from ledger
+
+            func lookup[V](table: Table[V], key: ByteArray) -> V {
+                table.get(key)
+            }
+
+            func first[V](m: Map[ByteArray]V) -> V {
+                m.head_value
+            }
+
+            func main(a: Int) -> Int {
+                table: Table[Int] = Map[ByteArray]Int{#ab: a};
+                raw: Map[ByteArray]Int = Map[ByteArray]Int{#cd: 5};
+                lookup(table, #ab) + lookup(raw, #cd) + first(table)
+            }`,
+            modules: [ledgerModule],
+            inputs: [int(10)],
+            output: int(25)
+        },
+        {
+            description:
+                "type alias can be used as the type of a main argument",
+            main: `testing alias_main_arg
+            type Amounts = Map[ByteArray]Int
+
+            func main(amounts: Amounts) -> Int {
+                amounts.get(#ab)
+            }`,
+            inputs: [map([[bytes("ab"), int(1)]])],
+            output: int(1)
+        },
+        {
+            description:
+                "enum variants and struct fields can be accessed through aliases",
+            main: `testing alias_enum_struct
+            enum Fruit {
+                Pear { n: Int }
+                Plum
+            }
+
+            struct Basket {
+                fruit: Fruit
+                count: Int
+            }
+
+            type F = Fruit
+            type B = Basket
+            type BB = B
+
+            func main(a: Int) -> Int {
+                basket: BB = B{F::Pear{a}, 2};
+
+                basket.fruit.switch{
+                    Pear{n} => n * basket.count,
+                    Plum => 0
+                }
+            }`,
+            inputs: [int(3)],
+            output: int(6)
+        },
+        {
+            description: "Option and tuple types can be aliased",
+            main: `testing alias_option_tuple
+            type MaybeInt = Option[Int]
+            type Pair = (Int, Int)
+
+            func get_pair(a: Int) -> Pair {
+                (a, a + 1)
+            }
+
+            func main(a: MaybeInt) -> Int {
+                (x, y) = get_pair(1);
+
+                a.switch{
+                    Some{s} => s + x + y,
+                    None => 0
+                }
+            }`,
+            inputs: [constr(0, int(10))],
+            output: int(13)
+        },
+        {
+            description: "function types can be aliased",
+            main: `testing alias_func
+            type Pred = (Int) -> Bool
+
+            func count(lst: []Int, p: Pred) -> Int {
+                lst.filter(p).length
+            }
+
+            func main(a: Int) -> Int {
+                count([]Int{-1, a, 2}, (x: Int) -> Bool { x > 0 })
+            }`,
+            inputs: [int(1)],
+            output: int(2)
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description: "type errors show the alias name",
+            main: `testing alias_error
+            import { Ledger } from ledger
+
+            func main() -> Int {
+                ledger: Ledger = Map[ByteArray]Map[PubKeyHash]Int{};
+                b: Int = ledger;
+                b
+            }`,
+            modules: [ledgerModule],
+            fails: /expected Int for rhs 1, got Ledger/
+        },
+        {
+            description: "type errors show the parametric alias name",
+            main: `testing alias_parametric_error
+            import { Table } from ledger
+
+            func main() -> Int {
+                table: Table[Int] = Map[ByteArray]Int{};
+                b: Bool = table;
+                0
+            }`,
+            modules: [ledgerModule],
+            fails: /got Table\[Int\]/
+        },
+        {
+            description:
+                "an alias of a BLS type used as a field reports that BLS types have no data representation",
+            main: `testing alias_bls_field
+            type G = Bls12_381_G1
+
+            struct S {
+                g: G
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /BLS types have no data representation, 'G'/
+        },
+        {
+            description: "type parameters of an alias must be used",
+            main: `testing alias_unused_param
+            type Foo[V] = Int
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /'V' unused/
+        },
+        {
+            description: "an alias without '=' is a syntax error",
+            main: `testing alias_missing_equals
+            type L
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /expected '=' after 'L'/
+        },
+        {
+            description: "an alias without a type is a syntax error",
+            main: `testing alias_missing_type
+            type L =
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /expected type after '='/
+        },
+        {
+            description:
+                "field names that are also top-level keywords can be used in const initializers",
+            main: `testing alias_keyword_fields
+            struct S {
+                type: Int
+                private: Int
+                newtype: Int
+                trait: Int
+            }
+
+            const s: S = S{2, 3, 4, 5}
+
+            const x: Int = s.type
+
+            const y: Int = s.private + s.newtype + s.trait
+
+            type T = Int
+
+            func main() -> T {
+                x*y
+            }`,
+            inputs: [],
+            output: int(24)
+        }
+    ])
+})
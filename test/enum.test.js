@@ -1,14 +1,19 @@
+import { deepEqual } from "node:assert"
 import { describe, it } from "node:test"
+import { Program } from "../src/index.js"
 import {
     False,
     True,
     assertOptimizedAs,
     bytes,
+    compileAndRunMany,
     compileForRun,
     constr,
+    evalTypesMany,
     int,
     list,
-    map
+    map,
+    str
 } from "./utils.js"
 
 describe("Enum with two variants", () => {
@@ -106,3 +111,301 @@ describe("Enum with two variants", () => {
         })
     })
 })
+
+describe("Enum with explicit constructor tags", () => {
+    const ENUM_DEF = `enum Action {
+        Deposit = 0 {
+            amount: Int
+        }
+        Withdraw = 3 {
+            amount: Int
+        }
+        Close
+    }`
+
+    describe("is_valid_data", () => {
+        const runner = compileForRun(`testing enum_explicit_tags_is_valid_data
+        ${ENUM_DEF}
+
+        func main(d: Data) -> Bool {
+            Action::is_valid_data(d)
+        }`)
+
+        it("returns true for constrData with tag 0 and one field", () => {
+            runner([constr(0, int(1))], True)
+        })
+
+        it("returns true for constrData with tag 3 and one field", () => {
+            runner([constr(3, int(1))], True)
+        })
+
+        it("returns true for constrData with tag 4 (following tag 3) and no fields", () => {
+            runner([constr(4)], True)
+        })
+
+        it("returns false for constrData with the skipped tag 1", () => {
+            runner([constr(1, int(1))], False)
+        })
+
+        it("returns false for constrData with tag 2 and no fields", () => {
+            runner([constr(2)], False)
+        })
+    })
+
+    compileAndRunMany([
+        {
+            description: "switch uses the explicit tags",
+            main: `testing enum_explicit_tags_switch
+            ${ENUM_DEF}
+
+            func main(a: Action) -> Int {
+                a.switch{
+                    Deposit{x} => x,
+                    Withdraw{x} => -x,
+                    Close => 0
+                }
+            }`,
+            inputs: [constr(3, int(5))],
+            output: int(-5)
+        },
+        {
+            description: "constructed variants use the explicit tags",
+            main: `testing enum_explicit_tags_new
+            ${ENUM_DEF}
+
+            func main(a: Int) -> []Action {
+                []Action{Action::Withdraw{a}, Action::Close}
+            }`,
+            inputs: [int(5)],
+            output: list(constr(3, int(5)), constr(4))
+        },
+        {
+            description: "from_data checks the explicit tag of a variant",
+            main: `testing enum_explicit_tags_from_data
+            ${ENUM_DEF}
+
+            func main(d: Data) -> Int {
+                Action::Withdraw::from_data(d).amount
+            }`,
+            inputs: [constr(3, int(5))],
+            output: int(5)
+        },
+        {
+            description: "explicit tags can be as big as 2^53-1",
+            main: `testing enum_explicit_tags_big
+            enum Big {
+                A = 9007199254740989
+                B
+                C = 9007199254740991
+            }
+
+            func main() -> []Big {
+                []Big{Big::A, Big::B, Big::C}
+            }`,
+            inputs: [],
+            output: list(
+                constr(9007199254740989n),
+                constr(9007199254740990n),
+                constr(9007199254740991n)
+            )
+        },
+        {
+            description: "switch distinguishes big explicit tags",
+            main: `testing enum_explicit_tags_big_switch
+            enum Big {
+                A = 9007199254740989
+                B
+                C = 9007199254740991
+            }
+
+            func main(b: Big) -> Int {
+                b.switch{
+                    A => 1,
+                    B => 2,
+                    C => 3
+                }
+            }`,
+            inputs: [constr(9007199254740990n)],
+            output: int(2)
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description: "explicit constructor tags must be unique",
+            main: `testing enum_explicit_tags_duplicate
+            enum Action {
+                Deposit = 1
+                Withdraw
+                Close = 2
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /duplicate constructor tag 2 \(also used by 'Withdraw'\)/
+        },
+        {
+            description:
+                "explicit constructor tags can't be bigger than 2^53-1",
+            main: `testing enum_explicit_tags_too_big
+            enum Big {
+                A = 9007199254740992
+                B = 9007199254740993
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /constructor tag 9007199254740992 out of range \(expected at most 9007199254740991\)/
+        },
+        {
+            description:
+                "the variant after the maximum explicit tag is out of range",
+            main: `testing enum_explicit_tags_implicit_too_big
+            enum Big {
+                A = 9007199254740991
+                B
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /constructor tag 9007199254740992 out of range/
+        },
+        {
+            description: "explicit constructor tags must fit in 64 bits",
+            main: `testing enum_explicit_tags_too_big_64
+            enum Big {
+                A = 18446744073709551616
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /constructor tag 18446744073709551616 out of range/
+        },
+        {
+            description: "explicit constructor tags can't be negative",
+            main: `testing enum_explicit_tags_negative
+            enum B {
+                X = -1
+                Y
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /constructor tag can't be negative/
+        },
+        {
+            description: "'=' must be followed by a constructor tag",
+            main: `testing enum_explicit_tags_missing
+            enum B {
+                X =
+                Y
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /expected constructor tag after '='/
+        }
+    ])
+
+    it("schema contains the explicit tags", () => {
+        const program = new Program(`testing enum_explicit_tags_schema
+        ${ENUM_DEF}
+
+        func main(a: Action) -> Bool {
+            a == a
+        }`)
+
+        const schema =
+            program.userTypes["enum_explicit_tags_schema"]["Action"].toSchema()
+
+        deepEqual(
+            schema.kind == "enum" && schema.variantTypes.map((v) => v.tag),
+            [0, 3, 4]
+        )
+    })
+})
+
+describe("Enum variant literal with record update syntax", () => {
+    compileAndRunMany([
+        {
+            description:
+                "fields that aren't given are copied from the base variant",
+            main: `testing enum_variant_update
+            enum Action {
+                Deposit {
+                    amount: Int
+                    memo: String
+                }
+                Close
+            }
+
+            func main(a: Int) -> Action {
+                d = Action::Deposit{1, "memo"};
+
+                Action::Deposit{..d, amount: a}
+            }`,
+            inputs: [int(5)],
+            output: constr(0, int(5), str("memo"))
+        },
+        {
+            description: "the base can have the parent enum type",
+            main: `testing enum_variant_update_parent_base
+            enum Action {
+                Deposit {
+                    amount: Int
+                    memo: String
+                }
+                Close
+            }
+
+            func main(a: Action, b: Int) -> Action {
+                Action::Deposit{..a, amount: b}
+            }`,
+            inputs: [constr(0, int(1), str("memo")), int(5)],
+            output: constr(0, int(5), str("memo"))
+        },
+        {
+            description:
+                "throws an error if a base with the parent enum type is another variant",
+            main: `testing enum_variant_update_parent_base_wrong_variant
+            enum Action {
+                Deposit {
+                    amount: Int
+                    memo: String
+                }
+                Close
+            }
+
+            func main(a: Action, b: Int) -> Action {
+                Action::Deposit{..a, amount: b}
+            }`,
+            inputs: [constr(1), int(5)],
+            output: { error: "" }
+        },
+        {
+            description: "a base with another variant type is a type error",
+            main: `testing enum_variant_update_other_variant
+            enum Action {
+                Deposit {
+                    amount: Int
+                }
+                Withdraw {
+                    amount: Int
+                }
+            }
+
+            func main(a: Int) -> Action {
+                w = Action::Withdraw{a};
+
+                Action::Deposit{..w}
+            }`,
+            fails: /expected Action::Deposit for '..', got Action::Withdraw/
+        }
+    ])
+})
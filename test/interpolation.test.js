@@ -0,0 +1,190 @@
+import { describe, it } from "node:test"
+import {
+    assertOptimizedAs,
+    compileAndRunMany,
+    evalTypesMany,
+    int,
+    list,
+    str
+} from "./utils.js"
+
+describe("String interpolation", () => {
+    compileAndRunMany([
+        {
+            description: "interpolated values are converted using show",
+            main: `testing interpolation_show
+            func main(a: Int) -> String {
+                f"a = \${a}, a > 1 = \${a > 1}, bytes = \${#abcd}"
+            }`,
+            inputs: [int(2)],
+            output: str("a = 2, a > 1 = true, bytes = abcd")
+        },
+        {
+            description: "interpolated Strings are inserted as is",
+            main: `testing interpolation_string
+            func main(a: Int) -> String {
+                s = a.show() + "!";
+                f"\${s}\${s} (\${s.encode_utf8().length})"
+            }`,
+            inputs: [int(12)],
+            output: str("12!12! (3)")
+        },
+        {
+            description:
+                "interpolated expressions can be arbitrary value expressions",
+            main: `testing interpolation_expr
+            struct Pair {
+                a: Int
+                b: Int
+            }
+
+            func main(a: Int) -> String {
+                p = Pair{a, a * 2};
+                f"sum: \${p.a + p.b}, list: \${[]Int{a, p.b}}, pair: \${p}"
+            }`,
+            inputs: [int(1)],
+            output: str("sum: 3, list: [1,2], pair: Pair{a: 1, b: 2}")
+        },
+        {
+            description: "'$${' is a literal '${'",
+            main: `testing interpolation_escape
+            func main(a: Int) -> String {
+                f"$\${a} = \${a}"
+            }`,
+            inputs: [int(1)],
+            output: str("${a} = 1")
+        },
+        {
+            description:
+                "string literals without the 'f' prefix aren't interpolated, so a literal '${' can still be written",
+            main: `testing interpolation_plain
+            func main(a: Int) -> []String {
+                []String{f"price: \${a}", "price: \${a}", "price: $\${a}", "price: $ {a}"}
+            }`,
+            inputs: [int(3)],
+            output: list(
+                str("price: 3"),
+                str("price: ${a}"),
+                str("price: $${a}"),
+                str("price: $ {a}")
+            )
+        },
+        {
+            description:
+                "an 'f' prefixed string literal without '${' is a regular string",
+            main: `testing interpolation_prefix_only
+            func main() -> String {
+                f"price"
+            }`,
+            inputs: [],
+            output: str("price")
+        },
+        {
+            description:
+                "quotes and escape sequences are kept in the literal text",
+            main: `testing interpolation_escape_sequences
+            func main(a: Int) -> String {
+                f"a\\"b \${a} c\\nd\\t\\\\e"
+            }`,
+            inputs: [int(1)],
+            output: str('a"b 1 c\nd\t\\e')
+        },
+        {
+            description: "interpolated error messages are thrown",
+            main: `testing interpolation_error
+            func main(a: Int) -> String {
+                if (a > 1) {
+                    error(f"expected at most 1, got \${a}")
+                } else {
+                    "ok"
+                }
+            }`,
+            inputs: [int(2)],
+            output: { error: "" }
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description: "interpolated values must have a show method",
+            main: `testing interpolation_no_show
+            func main(a: Int) -> String {
+                f = (b: Int) -> Int { a + b };
+                f"f = \${f}"
+            }`,
+            fails: /\(b: Int\) -> Int doesn't have a 'show' method/
+        },
+        {
+            description:
+                "the 'f' prefix must be directly followed by the string literal",
+            main: `testing interpolation_prefix_whitespace
+            func main(a: Int) -> String {
+                f "\${a}"
+            }`,
+            fails: /unexpected whitespace between 'f' and the interpolated string literal/
+        },
+        {
+            description: "interpolated expressions can't be empty",
+            main: `testing interpolation_empty
+            func main() -> String {
+                f"\${ }"
+            }`,
+            fails: /empty interpolated expression/
+        },
+        {
+            description: "interpolated expressions must be closed",
+            main: `testing interpolation_unmatched
+            func main(a: Int) -> String {
+                f"\${a"
+            }`,
+            fails: /unmatched '\${'/
+        },
+        {
+            description:
+                "interpolated expressions can't contain string literals",
+            main: `testing interpolation_nested_string
+            func main(a: Int) -> String {
+                f"\${a.show() + "!"}"
+            }`,
+            fails: /unmatched '\${' \(nested string literals aren't supported in interpolated expressions\)/
+        },
+        {
+            description:
+                "interpolated expressions can't contain escaped string literals",
+            main: `testing interpolation_nested_escaped_string
+            func main(a: Int) -> String {
+                f"\${a.show() + \\"!\\"}"
+            }`,
+            fails: /nested string literals aren't supported in interpolated expressions/
+        }
+    ])
+
+    it("interpolated print messages are elided in optimized builds", () => {
+        assertOptimizedAs(
+            `testing interpolation_print_elided
+            func main(a: Int) -> Int {
+                print(f"inverse: \${1 / a}");
+                a
+            }`,
+            `testing interpolation_print_elided
+            func main(a: Int) -> Int {
+                a
+            }`
+        )
+    })
+
+    it("interpolated assert messages are elided in optimized builds", () => {
+        assertOptimizedAs(
+            `testing interpolation_assert_elided
+            func main(a: Int) -> Int {
+                assert(a > 0, f"inverse: \${1 / a}");
+                a
+            }`,
+            `testing interpolation_assert_elided
+            func main(a: Int) -> Int {
+                assert(a > 0, "");
+                a
+            }`
+        )
+    })
+})
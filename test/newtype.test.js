@@ -0,0 +1,188 @@
+import { describe } from "node:test"
+import {
+    bytes,
+    compileAndRunMany,
+    constr,
+    evalTypesMany,
+    int,
+    map,
+    str
+} from "./utils.js"
+
+describe("Newtypes", () => {
+    const unitsModule = `module units
+    struct Point {
+        x: Int
+        y: Int
+    }
+
+    newtype Lovelace = Int with (+, -, <, >=) {
+        const ZERO: Lovelace = Lovelace::new(0)
+
+        func double(self) -> Lovelace {
+            self + self
+        }
+    }
+
+    newtype Position = Point
+
+    newtype Ledger = Map[ByteArray]Int`
+
+    compileAndRunMany([
+        {
+            description:
+                "newtype is explicitly converted from and to the underlying type",
+            main: `testing newtype_new_unwrap
+            newtype Lovelace = Int
+
+            func main(a: Int) -> Int {
+                Lovelace::new(a).unwrap() + 1
+            }`,
+            inputs: [int(10)],
+            output: int(11)
+        },
+        {
+            description: "newtype has the same encoding as the underlying type",
+            main: `testing newtype_encoding
+            import { Lovelace, Ledger } from units
+
+            func main(a: Lovelace, ledger: Ledger) -> Lovelace {
+                a + Lovelace::new(ledger.unwrap().get(#ab))
+            }`,
+            modules: [unitsModule],
+            inputs: [int(10), map([[bytes("ab"), int(2)]])],
+            output: int(12)
+        },
+        {
+            description: "inherited operators take and return the newtype",
+            main: `testing newtype_operators
+            import { Lovelace } from units
+
+            func main(a: Int) -> Bool {
+                b = Lovelace::new(a);
+                c = (b - Lovelace::new(1)).double();
+
+                b < c && c >= Lovelace::ZERO && -c.unwrap() == -2*(a - 1) && c != b
+            }`,
+            modules: [unitsModule],
+            inputs: [int(10)],
+            output: constr(1)
+        },
+        {
+            description: "newtype of a struct is encoded like the struct",
+            main: `testing newtype_struct
+            import { Point, Position } from units
+
+            func main(a: Int) -> Bool {
+                p = Position::new(Point{a, 2});
+
+                p.serialize() == Point{a, 2}.serialize() && p.unwrap().y == 2
+            }`,
+            modules: [unitsModule],
+            inputs: [int(1)],
+            output: constr(1)
+        },
+        {
+            description: "String newtype can inherit string concatenation",
+            main: `testing newtype_string
+            newtype Name = String with (+)
+
+            func main() -> String {
+                (Name::new("a") + Name::new("b")).unwrap()
+            }`,
+            inputs: [],
+            output: str("ab")
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description:
+                "underlying type can't be used in place of the newtype",
+            main: `testing newtype_distinct
+            newtype Lovelace = Int
+
+            func main(a: Int) -> Lovelace {
+                a
+            }`,
+            fails: /expected Lovelace but got Int/
+        },
+        {
+            description:
+                "newtype can't be used in place of the underlying type",
+            main: `testing newtype_distinct_unwrap
+            newtype Lovelace = Int
+
+            func main(a: Lovelace) -> Int {
+                a
+            }`,
+            fails: /expected Int but got Lovelace/
+        },
+        {
+            description: "operators that aren't inherited are undefined",
+            main: `testing newtype_no_mul
+            import { Lovelace } from units
+
+            func main(a: Lovelace) -> Lovelace {
+                a * a
+            }`,
+            modules: [unitsModule],
+            fails: /'Lovelace \* Lovelace' undefined/
+        },
+        {
+            description:
+                "inherited operators don't mix with the underlying type",
+            main: `testing newtype_no_mix
+            import { Lovelace } from units
+
+            func main(a: Lovelace) -> Lovelace {
+                a + 1
+            }`,
+            modules: [unitsModule],
+            fails: /'Lovelace \+ Int' undefined/
+        },
+        {
+            description:
+                "only operators of the underlying type can be inherited",
+            main: `testing newtype_bad_operator
+            newtype Name = String with (*)
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /operator '\*' isn't defined for String/
+        },
+        {
+            description: "a newtype without '=' is a syntax error",
+            main: `testing newtype_missing_equals
+            newtype L
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /expected '=' after 'L'/
+        },
+        {
+            description:
+                "a newtype without an underlying type is a syntax error",
+            main: `testing newtype_missing_type
+            newtype L =
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /expected type after '='/
+        },
+        {
+            description:
+                "a newtype without an underlying type before 'with' is a syntax error",
+            main: `testing newtype_missing_type_with
+            newtype L = with (+)
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /expected type after '='/
+        }
+    ])
+})
@@ -0,0 +1,135 @@
+import { describe } from "node:test"
+import { compileAndRunMany, evalTypesMany, int } from "./utils.js"
+
+describe("Private module declarations", () => {
+    const mathModule = `module math
+    private const SCALE: Int = 10
+
+    private func scale(a: Int) -> Int {
+        a * SCALE
+    }
+
+    private struct Scaled {
+        value: Int
+    }
+
+    private enum Rounding {
+        Down
+        Up
+    }
+
+    import { Pair } from pairs
+
+    func scale_sum(a: Int, b: Int) -> Int {
+        p = Pair{a, b};
+        r: Rounding = Rounding::Up;
+        Scaled{scale(p.a + p.b)}.value + r.switch{
+            Down => 0,
+            Up => 1
+        }
+    }`
+
+    const pairsModule = `module pairs
+    struct Pair {
+        a: Int
+        b: Int
+    }`
+
+    compileAndRunMany([
+        {
+            description:
+                "private declarations can be used inside their own module",
+            main: `testing private_internal_use
+            import { scale_sum } from math
+
+            func main(a: Int) -> Int {
+                scale_sum(a, 2)
+            }`,
+            modules: [pairsModule, mathModule],
+            inputs: [int(1)],
+            output: int(31)
+        },
+        {
+            description: "public declarations can be imported as a namespace",
+            main: `testing private_namespace_public
+            import math
+
+            func main(a: Int) -> Int {
+                math::scale_sum(a, 1)
+            }`,
+            modules: [pairsModule, mathModule],
+            inputs: [int(1)],
+            output: int(21)
+        },
+        {
+            description: "private declarations can be used in the main module",
+            main: `testing private_main
+            private func double(a: Int) -> Int {
+                a * 2
+            }
+
+            func main(a: Int) -> Int {
+                double(a)
+            }`,
+            inputs: [int(3)],
+            output: int(6)
+        }
+    ])
+
+    evalTypesMany([
+        ...["SCALE", "scale", "Scaled", "Rounding"].map((name) => ({
+            description: `private '${name}' can't be imported`,
+            main: `testing private_import_${name}
+            import { ${name} } from math
+
+            func main() -> Int {
+                0
+            }`,
+            modules: [pairsModule, mathModule],
+            fails: new RegExp(`'${name}' is private to module 'math'`)
+        })),
+        {
+            description:
+                "private functions can't be accessed through the namespace",
+            main: `testing private_namespace_private
+            import math
+
+            func main(a: Int) -> Int {
+                math::scale(a)
+            }`,
+            modules: [pairsModule, mathModule],
+            fails: /'scale' is private to module 'math'/
+        },
+        {
+            description:
+                "private types can't be accessed through the namespace",
+            main: `testing private_namespace_private_type
+            import math
+
+            func main(a: Int) -> Int {
+                math::Scaled{a}.value
+            }`,
+            modules: [pairsModule, mathModule],
+            fails: /'Scaled' is private to module 'math'/
+        },
+        {
+            description: "imports can't be private",
+            main: `testing private_import_statement
+            private import { Pair } from pairs
+
+            func main(a: Int) -> Int {
+                Pair{a, a}.a
+            }`,
+            modules: [pairsModule],
+            fails: /imports can't be private/
+        },
+        {
+            description: "'private' must be followed by a top-level statement",
+            main: `testing private_missing_statement
+            private main(a: Int) -> Int {
+                a
+            }`,
+            fails: true
+        }
+    ])
+})
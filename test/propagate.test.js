@@ -0,0 +1,368 @@
+import { describe } from "node:test"
+import { compileAndRunMany, constr, evalTypesMany, int, list } from "./utils.js"
+
+describe("Option propagation", () => {
+    const ledger = `Map[Int]Int{1: 2, 2: 3, 3: 4, 5: 6, 6: 100}`
+
+    compileAndRunMany([
+        {
+            description: "'?' unwraps Some",
+            main: `testing propagate_some
+            func lookup(m: Map[Int]Int, k: Int) -> Option[Int] {
+                a = m.get_safe(k)?;
+                b = m.get_safe(a)?;
+                Option[Int]::Some{a + b + m.get_safe(b)?}
+            }
+
+            func main(a: Int) -> Int {
+                lookup(${ledger}, a).unwrap()
+            }`,
+            inputs: [int(1)],
+            output: int(9)
+        },
+        ...[2, 3, 5, 7].map((a) => ({
+            description: `'?' returns None early (${a})`,
+            main: `testing propagate_none
+            func lookup(m: Map[Int]Int, k: Int) -> Option[Int] {
+                a = m.get_safe(k)?;
+                b = m.get_safe(a)?;
+                Option[Int]::Some{a + b + m.get_safe(b)?}
+            }
+
+            func main(a: Int) -> Option[Int] {
+                lookup(${ledger}, a)
+            }`,
+            inputs: [int(a)],
+            output: constr(1)
+        })),
+        {
+            description: "'?' can be chained with calls and member accesses",
+            main: `testing propagate_chain
+            struct Pair {
+                a: Int
+                b: Int
+            }
+
+            func find_pair(pairs: []Pair, a: Int) -> Option[Pair] {
+                pairs.find_safe((p: Pair) -> Bool { p.a == a })
+            }
+
+            func second(pairs: []Pair, a: Int) -> Option[Int] {
+                Option[Int]::Some{find_pair(pairs, find_pair(pairs, a)?.b)?.b * 10}
+            }
+
+            func main(a: Int) -> Option[Int] {
+                second([]Pair{Pair{1, 2}, Pair{2, 3}, Pair{3, 5}}, a)
+            }`,
+            inputs: [int(1)],
+            output: constr(0, int(30))
+        },
+        {
+            description: "'?' in a chained call returns None early",
+            main: `testing propagate_chain_none
+            struct Pair {
+                a: Int
+                b: Int
+            }
+
+            func find_pair(pairs: []Pair, a: Int) -> Option[Pair] {
+                pairs.find_safe((p: Pair) -> Bool { p.a == a })
+            }
+
+            func second(pairs: []Pair, a: Int) -> Option[Int] {
+                Option[Int]::Some{find_pair(pairs, find_pair(pairs, a)?.b)?.b * 10}
+            }
+
+            func main(a: Int) -> Option[Int] {
+                second([]Pair{Pair{1, 2}, Pair{2, 3}, Pair{3, 5}}, a)
+            }`,
+            inputs: [int(3)],
+            output: constr(1)
+        },
+        {
+            description: "'?' can be used in branches that are returned",
+            main: `testing propagate_branches
+            func f(m: Map[Int]Int, k: Int) -> Option[Int] {
+                if (k > 10) {
+                    Option[Int]::Some{m.get_safe(k - 10)? * 2}
+                } else {
+                    k.switch{
+                        0 => Option[Int]::None,
+                        else => {
+                            v = m.get_safe(k)?;
+                            Option[Int]::Some{v + 1}
+                        }
+                    }
+                }
+            }
+
+            func main(a: Int) -> []Option[Int] {
+                m = Map[Int]Int{1: 10, 2: 20};
+                []Option[Int]{f(m, a), f(m, a + 10), f(m, a + 1), f(m, 0)}
+            }`,
+            inputs: [int(1)],
+            output: list(
+                constr(0, int(11)),
+                constr(0, int(20)),
+                constr(0, int(21)),
+                constr(1)
+            )
+        },
+        {
+            description: "'?' can be used in enum switch cases",
+            main: `testing propagate_enum_switch
+            enum Key {
+                Direct { k: Int }
+                Indirect { k: Int }
+            }
+
+            func f(m: Map[Int]Int, key: Key) -> Option[Int] {
+                key.switch{
+                    Direct{k} => m.get_safe(k),
+                    Indirect{k} => m.get_safe(m.get_safe(k)?)
+                }
+            }
+
+            func main(a: Int) -> Option[Int] {
+                f(Map[Int]Int{1: 2, 2: 3}, Key::Indirect{a})
+            }`,
+            inputs: [int(1)],
+            output: constr(0, int(3))
+        },
+        {
+            description:
+                "'?' in a function literal returns from the function literal",
+            main: `testing propagate_func_literal
+            func main(a: Int) -> []Int {
+                m = Map[Int]Int{1: 2, 2: 3};
+                f = (k: Int) -> Option[Int] { Option[Int]::Some{m.get_safe(k)? + 1} };
+                []Int{1, 2, a}.map((k: Int) -> Int {
+                    f(k).switch{
+                        Some{v} => v,
+                        None => 0
+                    }
+                })
+            }`,
+            inputs: [int(3)],
+            output: list(int(3), int(4), int(0))
+        },
+        {
+            description:
+                "the Option is checked before evaluating the rest of the branch",
+            main: `testing propagate_short_circuit
+            func f(m: Map[Int]Int, k: Int) -> Option[Int] {
+                Option[Int]::Some{m.get_safe(k)? + 1 / (k - 2)}
+            }
+
+            func main(a: Int) -> Option[Int] {
+                f(Map[Int]Int{1: 2}, a)
+            }`,
+            inputs: [int(2)],
+            output: constr(1)
+        },
+        {
+            description:
+                "expressions that can fail are evaluated before a '?' if assigned first",
+            main: `testing propagate_assigned_first
+            func f(a: Option[Int], b: Int) -> Option[Int] {
+                c = 100 / b;
+                Option[Int]::Some{c + a?}
+            }
+
+            func main(b: Int) -> Option[Int] {
+                f(Option[Int]::None, b)
+            }`,
+            inputs: [int(0)],
+            output: { error: "" }
+        },
+        ...[
+            [1, constr(0, int(6))],
+            [2, constr(0, int(8))],
+            [4, constr(1)]
+        ].map(([k, output]) => ({
+            description: `'?' can be used after a call (${k})`,
+            main: `testing propagate_after_call
+            func g(a: Int) -> Int {
+                a * 2
+            }
+
+            func f(m: Map[Int]Int, k: Int) -> Option[Int] {
+                Option[Int]::Some{g(1) + m.get_safe(k)?}
+            }
+
+            func main(k: Int) -> Option[Int] {
+                f(Map[Int]Int{1: 4, 2: 6}, k)
+            }`,
+            inputs: [int(k)],
+            output
+        })),
+        ...[
+            [constr(0, int(3)), constr(0, int(13))],
+            [constr(1), constr(1)]
+        ].map(([x, output], i) => ({
+            description: `'?' can be used after a method call (${i})`,
+            main: `testing propagate_after_method_call
+            func f(l: []Int, x: Option[Int]) -> Option[Int] {
+                Option[Int]::Some{l.get(0) + x?}
+            }
+
+            func main(x: Option[Int]) -> Option[Int] {
+                f([]Int{10}, x)
+            }`,
+            inputs: [x],
+            output
+        })),
+        {
+            description:
+                "an expression before a '?' is evaluated before the Option is checked",
+            main: `testing propagate_after_failing
+            func f(a: Option[Int], b: Int) -> Option[Int] {
+                Option[Int]::Some{(100 / b) + a?}
+            }
+
+            func main(b: Int) -> Option[Int] {
+                f(Option[Int]::None, b)
+            }`,
+            inputs: [int(0)],
+            output: { error: "" }
+        },
+        {
+            description:
+                "an expression before a '?' doesn't change the result if it doesn't fail",
+            main: `testing propagate_after_failing
+            func f(a: Option[Int], b: Int) -> Option[Int] {
+                Option[Int]::Some{(100 / b) + a?}
+            }
+
+            func main(b: Int) -> []Option[Int] {
+                []Option[Int]{f(Option[Int]::None, b), f(Option[Int]::Some{1}, b)}
+            }`,
+            inputs: [int(4)],
+            output: list(constr(1), constr(0, int(26)))
+        },
+        {
+            description:
+                "a call argument before a '?' is evaluated before the Option is checked",
+            main: `testing propagate_after_failing_call
+            func g(a: Int, b: Int) -> Int {
+                a + b
+            }
+
+            func f(m: Map[Int]Int, k: Int) -> Option[Int] {
+                Option[Int]::Some{g(m.get(k), m.get_safe(k + 1)?)}
+            }
+
+            func main(k: Int) -> Option[Int] {
+                f(Map[Int]Int{}, k)
+            }`,
+            inputs: [int(0)],
+            output: { error: "" }
+        },
+        {
+            description:
+                "call arguments before and after '?' are combined with the unwrapped value",
+            main: `testing propagate_call_args
+            func g(a: Int, b: Int, c: Int) -> Int {
+                a*100 + b*10 + c
+            }
+
+            func f(m: Map[Int]Int, k: Int) -> Option[Int] {
+                Option[Int]::Some{g(m.get(k), m.get_safe(k + 1)?, m.get(k) + m.get_safe(k + 2)?)}
+            }
+
+            func main(k: Int) -> []Option[Int] {
+                m = Map[Int]Int{1: 1, 2: 2, 3: 3};
+                []Option[Int]{f(m, k), f(m, k + 1)}
+            }`,
+            inputs: [int(1)],
+            output: list(constr(0, int(124)), constr(1))
+        },
+        {
+            description: "'?' can be used in several statements of a branch",
+            main: `testing propagate_mixed
+            func g(a: Int) -> Int {
+                a + 1
+            }
+
+            func f(m: Map[Int]Int, k: Int) -> Option[Int] {
+                a = g(k) * m.get_safe(k)?;
+                print(g(a).show());
+                Option[Int]::Some{g(a) - g(m.get_safe(a)?)}
+            }
+
+            func main(k: Int) -> []Option[Int] {
+                m = Map[Int]Int{1: 4, 2: 6, 8: 1};
+                []Option[Int]{f(m, k), f(m, 2), f(m, 3)}
+            }`,
+            inputs: [int(1)],
+            output: list(constr(0, int(7)), constr(1), constr(1))
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description: "'?' can only be used on an Option",
+            main: `testing propagate_not_option
+            func f(a: Int) -> Option[Int] {
+                Option[Int]::Some{a?}
+            }
+
+            func main(a: Int) -> Option[Int] {
+                f(a)
+            }`,
+            fails: /expected Option for '\?', got Int/
+        },
+        {
+            description:
+                "'?' can only be used in functions returning an Option",
+            main: `testing propagate_wrong_ret
+            func main(a: Int) -> Int {
+                Map[Int]Int{}.get_safe(a)?
+            }`,
+            fails: /'\?' can only be used in functions returning an Option/
+        },
+        {
+            description:
+                "'?' can't be used in a branch that isn't returned by the function",
+            main: `testing propagate_non_tail_branch
+            func main(a: Int) -> Option[Int] {
+                b = if (a > 0) {
+                    Map[Int]Int{}.get_safe(a)?
+                } else {
+                    0
+                };
+                Option[Int]::Some{b}
+            }`,
+            fails: /'\?' can't be used in a conditional branch/
+        },
+        {
+            description: "'?' can't be used in the rhs of '&&'",
+            main: `testing propagate_lazy
+            func main(a: Int) -> Option[Bool] {
+                Option[Bool]::Some{a > 0 && Map[Int]Bool{}.get_safe(a)?}
+            }`,
+            fails: /'\?' can't be used in a conditional branch/
+        },
+        {
+            description: "'?' can't be used in a switch guard",
+            main: `testing propagate_guard
+            func main(a: Int) -> Option[Int] {
+                a.switch{
+                    1 if Map[Int]Bool{}.get_safe(a)? => Option[Int]::Some{a},
+                    else => Option[Int]::None
+                }
+            }`,
+            fails: /'\?' can't be used in a conditional branch/
+        },
+        {
+            description: "'?' can't be used outside functions",
+            main: `testing propagate_const
+            const A: Int = Map[Int]Int{}.get_safe(0)?
+
+            func main() -> Option[Int] {
+                Option[Int]::Some{A}
+            }`,
+            fails: /'\?' can only be used in functions returning an Option/
+        }
+    ])
+})
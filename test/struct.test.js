@@ -1,11 +1,15 @@
+import { deepEqual } from "node:assert"
 import { describe, it } from "node:test"
+import { Program } from "../src/index.js"
 import {
     False,
     True,
     str,
     bytes,
+    compileAndRunMany,
     compileForRun,
     constr,
+    evalTypesMany,
     int,
     list,
     map,
@@ -14,6 +18,10 @@ import {
 import { encodeUtf8 } from "@helios-lang/codec-utils"
 import { expectDefined } from "@helios-lang/type-utils"
 
+/**
+ * @typedef {import("../src/typecheck/index.js").FieldTypeSchemaWithDefault} FieldTypeSchemaWithDefault
+ */
+
 /**
  * @param {number} stackOffset
  * @returns {number}
@@ -627,3 +635,306 @@ describe("CIP-68 encoding", () => {
         })
     })
 })
+
+describe("struct field defaults", () => {
+    const CONFIG_DEF = `const DEFAULT_NAME: String = "pool"
+
+    struct Config {
+        owner: Int
+        fee_bps: Int = 30
+        name: String = DEFAULT_NAME + "_a"
+    }`
+
+    compileAndRunMany([
+        {
+            description:
+                "positional struct literal can omit trailing defaulted fields",
+            main: `testing struct_defaults_positional
+            ${CONFIG_DEF}
+
+            func main(a: Int) -> []Config {
+                []Config{Config{a}, Config{a, 10}}
+            }`,
+            inputs: [int(1)],
+            output: list(
+                list(int(1), int(30), str("pool_a")),
+                list(int(1), int(10), str("pool_a"))
+            )
+        },
+        {
+            description: "named struct literal can omit any defaulted field",
+            main: `testing struct_defaults_named
+            ${CONFIG_DEF}
+
+            func main(a: Int) -> Config {
+                Config{name: "x", owner: a}
+            }`,
+            inputs: [int(1)],
+            output: list(int(1), int(30), str("x"))
+        },
+        {
+            description: "mapped struct literal can omit defaulted fields",
+            main: `testing struct_defaults_mapped
+            struct Datum {
+                owner: Int "o"
+                fee_bps: Int "f" = 30
+            }
+
+            func main(a: Int) -> Int {
+                Datum{owner: a}.fee_bps
+            }`,
+            inputs: [int(1)],
+            output: int(30)
+        },
+        {
+            description:
+                "struct literal of a generic struct can omit defaulted fields",
+            main: `testing struct_defaults_generic
+            struct Wrapper[T] {
+                value: T
+                count: Int = 1
+            }
+
+            func main(a: Int) -> Int {
+                Wrapper[Int]{a}.count + Wrapper[Bool]{true}.count
+            }`,
+            inputs: [int(1)],
+            output: int(2)
+        },
+        {
+            description:
+                "from_data of a mapped struct uses the default value if the key is missing",
+            main: `testing struct_defaults_mapped_from_data
+            struct Datum {
+                owner: Int "o"
+                fee_bps: Int "f" = 30
+            }
+
+            func main(d: Data) -> Int {
+                Datum::from_data(d).fee_bps
+            }`,
+            inputs: [map([[str("o"), int(1)]])],
+            output: int(30)
+        },
+        {
+            description:
+                "from_data of a mapped struct uses the value of the key if it is there",
+            main: `testing struct_defaults_mapped_from_data_given
+            struct Datum {
+                owner: Int "o"
+                fee_bps: Int "f" = 30
+            }
+
+            func main(d: Data) -> Int {
+                Datum::from_data(d).fee_bps
+            }`,
+            inputs: [
+                map([
+                    [str("o"), int(1)],
+                    [str("f"), int(10)]
+                ])
+            ],
+            output: int(10)
+        },
+        {
+            description:
+                "decoded mapped struct with a missing defaulted key equals the literal",
+            main: `testing struct_defaults_mapped_eq
+            struct Datum {
+                owner: Int "o"
+                fee_bps: Int "f" = 30
+            }
+
+            func main(d: Datum) -> Bool {
+                d == Datum{owner: 1}
+            }`,
+            inputs: [map([[str("o"), int(1)]])],
+            output: True
+        },
+        {
+            description:
+                "is_valid_data of a mapped struct allows missing defaulted keys",
+            main: `testing struct_defaults_mapped_is_valid_data
+            struct Datum {
+                owner: Int "o"
+                fee_bps: Int "f" = 30
+            }
+
+            func main(a: Data, b: Data, c: Data) -> []Bool {
+                []Bool{
+                    Datum::is_valid_data(a),
+                    Datum::is_valid_data(b),
+                    Datum::is_valid_data(c)
+                }
+            }`,
+            inputs: [
+                map([[str("o"), int(1)]]),
+                map([[str("f"), int(1)]]),
+                map([
+                    [str("o"), int(1)],
+                    [str("f"), str("x")]
+                ])
+            ],
+            output: list(True, False, False)
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description: "fields without a default can't be omitted",
+            main: `testing struct_defaults_missing
+            ${CONFIG_DEF}
+
+            func main(a: Int) -> Config {
+                Config{fee_bps: a}
+            }`,
+            fails: /missing field 'owner' for Config/
+        },
+        {
+            description: "named fields can't be given twice",
+            main: `testing struct_defaults_duplicate
+            ${CONFIG_DEF}
+
+            func main(a: Int) -> Config {
+                Config{owner: a, owner: 2}
+            }`,
+            fails: /duplicate field 'owner'/
+        },
+        {
+            description:
+                "positional literal can't have more fields than the struct",
+            main: `testing struct_defaults_too_many
+            ${CONFIG_DEF}
+
+            func main(a: Int) -> Config {
+                Config{a, 10, "x", 1}
+            }`,
+            fails: /unexpected field 3 for Config, expected at most 3 fields/
+        },
+        {
+            description: "default value must have the field type",
+            main: `testing struct_defaults_wrong_type
+            struct Config {
+                fee_bps: Int = "30"
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /wrong default value type for 'fee_bps', expected Int, got String/
+        }
+    ])
+
+    it("default value is included in the schema", () => {
+        const program = new Program(`testing struct_defaults_schema
+        ${CONFIG_DEF}
+
+        func main(c: Config) -> Int {
+            c.owner
+        }`)
+
+        const schema =
+            program.userTypes["struct_defaults_schema"]["Config"].toSchema()
+
+        deepEqual(
+            schema.kind == "struct" &&
+                schema.fieldTypes.map(
+                    (/** @type {FieldTypeSchemaWithDefault} */ ft) => [
+                        ft.name,
+                        ft.default
+                    ]
+                ),
+            [
+                ["owner", undefined],
+                ["fee_bps", "30"],
+                ["name", 'DEFAULT_NAME + "_a"']
+            ]
+        )
+    })
+})
+
+describe("struct literal with record update syntax", () => {
+    const STATE_DEF = `struct State {
+        owner: Int
+        counter: Int
+        name: String
+    }`
+
+    compileAndRunMany([
+        {
+            description:
+                "fields that aren't given are copied from the base value",
+            main: `testing struct_update
+            ${STATE_DEF}
+
+            func main(a: Int) -> []State {
+                old = State{a, 1, "x"};
+
+                []State{
+                    State{..old, counter: old.counter + 1},
+                    State{..old, name: "y", owner: 0},
+                    State{..old}
+                }
+            }`,
+            inputs: [int(7)],
+            output: list(
+                list(int(7), int(2), str("x")),
+                list(int(0), int(1), str("y")),
+                list(int(7), int(1), str("x"))
+            )
+        },
+        {
+            description:
+                "fields of a mapped struct are copied from the base value",
+            main: `testing struct_update_mapped
+            struct Datum {
+                owner: Int "o"
+                counter: Int "c"
+            }
+
+            func main(a: Int) -> Datum {
+                Datum{..Datum{a, a}, counter: 0}
+            }`,
+            inputs: [int(7)],
+            output: map([
+                [str("o"), int(7)],
+                [str("c"), int(0)]
+            ])
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description: "base value must have the struct type",
+            main: `testing struct_update_wrong_type
+            ${STATE_DEF}
+
+            func main(a: Int) -> State {
+                State{..a, counter: 1}
+            }`,
+            fails: /expected State for '\.\.', got Int/
+        },
+        {
+            description: "updated fields must be struct fields",
+            main: `testing struct_update_bad_field
+            ${STATE_DEF}
+
+            func main(a: Int) -> State {
+                old = State{a, 1, "x"};
+                State{..old, count: 1}
+            }`,
+            fails: /not a valid field/
+        },
+        {
+            description: "updated fields can't be given twice",
+            main: `testing struct_update_duplicate_field
+            ${STATE_DEF}
+
+            func main(a: Int) -> State {
+                old = State{a, 1, "x"};
+                State{..old, counter: 1, counter: 2}
+            }`,
+            fails: /duplicate field 'counter'/
+        }
+    ])
+})
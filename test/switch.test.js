@@ -1,5 +1,13 @@
 import { describe } from "node:test"
-import { True, compileAndRunMany, constr, evalTypesMany } from "./utils.js"
+import {
+    True,
+    bytes,
+    compileAndRunMany,
+    constr,
+    evalTypesMany,
+    int,
+    str
+} from "./utils.js"
 
 describe("Switch", () => {
     compileAndRunMany([
@@ -145,6 +153,447 @@ describe("Switch", () => {
             }`,
             inputs: [],
             output: True
+        },
+        {
+            description: "switch guard is used if it's true",
+            main: `testing switch_guard
+            enum Action {
+                Withdraw { amount: Int }
+                Deposit { amount: Int }
+                Close
+            }
+
+            func main(a: Int) -> Int {
+                action: Action = if (a < 100) {
+                    Action::Withdraw{a}
+                } else if (a < 200) {
+                    Action::Deposit{a - 100}
+                } else {
+                    Action::Close
+                };
+
+                action.switch{
+                    Withdraw{amount} if amount > 10 => amount * 2,
+                    w: Withdraw if w.amount > 0 => w.amount,
+                    Deposit{amount} if amount > 0 => amount + 1000,
+                    Close => -1,
+                    else => 0
+                }
+            }`,
+            inputs: [int(20)],
+            output: int(40)
+        },
+        {
+            description: "switch guard falls through to the next matching case",
+            main: `testing switch_guard
+            enum Action {
+                Withdraw { amount: Int }
+                Deposit { amount: Int }
+                Close
+            }
+
+            func main(a: Int) -> Int {
+                action: Action = if (a < 100) {
+                    Action::Withdraw{a}
+                } else if (a < 200) {
+                    Action::Deposit{a - 100}
+                } else {
+                    Action::Close
+                };
+
+                action.switch{
+                    Withdraw{amount} if amount > 10 => amount * 2,
+                    w: Withdraw if w.amount > 0 => w.amount,
+                    Deposit{amount} if amount > 0 => amount + 1000,
+                    Close => -1,
+                    else => 0
+                }
+            }`,
+            inputs: [int(5)],
+            output: int(5)
+        },
+        {
+            description: "switch guard falls through to the else branch",
+            main: `testing switch_guard
+            enum Action {
+                Withdraw { amount: Int }
+                Deposit { amount: Int }
+                Close
+            }
+
+            func main(a: Int) -> Int {
+                action: Action = if (a < 100) {
+                    Action::Withdraw{a}
+                } else if (a < 200) {
+                    Action::Deposit{a - 100}
+                } else {
+                    Action::Close
+                };
+
+                action.switch{
+                    Withdraw{amount} if amount > 10 => amount * 2,
+                    w: Withdraw if w.amount > 0 => w.amount,
+                    Deposit{amount} if amount > 0 => amount + 1000,
+                    Close => -1,
+                    else => 0
+                }
+            }`,
+            inputs: [int(-5)],
+            output: int(0)
+        },
+        {
+            description: "switch guard can be used in a different variant",
+            main: `testing switch_guard
+            enum Action {
+                Withdraw { amount: Int }
+                Deposit { amount: Int }
+                Close
+            }
+
+            func main(a: Int) -> Int {
+                action: Action = if (a < 100) {
+                    Action::Withdraw{a}
+                } else if (a < 200) {
+                    Action::Deposit{a - 100}
+                } else {
+                    Action::Close
+                };
+
+                action.switch{
+                    Withdraw{amount} if amount > 10 => amount * 2,
+                    w: Withdraw if w.amount > 0 => w.amount,
+                    Deposit{amount} if amount > 0 => amount + 1000,
+                    Close => -1,
+                    else => 0
+                }
+            }`,
+            inputs: [int(103)],
+            output: int(1003)
+        },
+        {
+            description: "switch case without guard after guarded cases",
+            main: `testing switch_guard
+            enum Action {
+                Withdraw { amount: Int }
+                Deposit { amount: Int }
+                Close
+            }
+
+            func main(a: Int) -> Int {
+                action: Action = if (a < 100) {
+                    Action::Withdraw{a}
+                } else if (a < 200) {
+                    Action::Deposit{a - 100}
+                } else {
+                    Action::Close
+                };
+
+                action.switch{
+                    Withdraw{amount} if amount > 10 => amount * 2,
+                    w: Withdraw if w.amount > 0 => w.amount,
+                    Deposit{amount} if amount > 0 => amount + 1000,
+                    Close => -1,
+                    else => 0
+                }
+            }`,
+            inputs: [int(300)],
+            output: int(-1)
+        },
+        {
+            description:
+                "multi switch guard falls through to the next matching case",
+            main: `testing multi_switch_guard
+            func main(a: Int, b: Int) -> Int {
+                x: Option[Int] = Option[Int]::Some{a};
+                y: Option[Int] = Option[Int]::Some{b};
+
+                (x, y).switch{
+                    (Some{n}, Some{m}) if n > m => n - m,
+                    (Some{n}, _) => n,
+                    else => 0
+                }
+            }`,
+            inputs: [int(5), int(20)],
+            output: int(5)
+        },
+        {
+            description: "Int switch selects the matching literal",
+            main: `testing int_switch
+            func main(a: Int) -> Int {
+                a.switch{
+                    0 => 100,
+                    -3 => 300,
+                    7 if a > 100 => 0,
+                    7 => 700,
+                    else => -1
+                }
+            }`,
+            inputs: [int(0)],
+            output: int(100)
+        },
+        {
+            description: "Int switch accepts negative literals",
+            main: `testing int_switch
+            func main(a: Int) -> Int {
+                a.switch{
+                    0 => 100,
+                    -3 => 300,
+                    7 if a > 100 => 0,
+                    7 => 700,
+                    else => -1
+                }
+            }`,
+            inputs: [int(-3)],
+            output: int(300)
+        },
+        {
+            description: "Int switch falls through a false guard",
+            main: `testing int_switch
+            func main(a: Int) -> Int {
+                a.switch{
+                    0 => 100,
+                    -3 => 300,
+                    7 if a > 100 => 0,
+                    7 => 700,
+                    else => -1
+                }
+            }`,
+            inputs: [int(7)],
+            output: int(700)
+        },
+        {
+            description: "Int switch uses else if no literal matches",
+            main: `testing int_switch
+            func main(a: Int) -> Int {
+                a.switch{
+                    0 => 100,
+                    -3 => 300,
+                    7 if a > 100 => 0,
+                    7 => 700,
+                    else => -1
+                }
+            }`,
+            inputs: [int(5)],
+            output: int(-1)
+        },
+        {
+            description: "ByteArray switch selects the matching literal",
+            main: `testing bytearray_switch
+            func main(a: ByteArray) -> Int {
+                a.switch{
+                    #01 => 1,
+                    #abcd => 2,
+                    else => 0
+                }
+            }`,
+            inputs: [bytes("abcd")],
+            output: int(2)
+        },
+        {
+            description: "ByteArray switch uses else if no literal matches",
+            main: `testing bytearray_switch
+            func main(a: ByteArray) -> Int {
+                a.switch{
+                    #01 => 1,
+                    #abcd => 2,
+                    else => 0
+                }
+            }`,
+            inputs: [bytes("abcdef")],
+            output: int(0)
+        },
+        {
+            description: "String switch selects the matching literal",
+            main: `testing string_switch
+            func main(a: Int) -> String {
+                a.show().switch{
+                    "1" => "one",
+                    "2" => "two",
+                    else => "many"
+                }
+            }`,
+            inputs: [int(2)],
+            output: str("two")
+        },
+        {
+            description: "tuple switch destructures each component",
+            main: `testing state_machine_switch
+            enum State {
+                Open { deadline: Int }
+                Closed
+            }
+
+            enum Action {
+                Bid { amount: Int }
+                Close
+                Cancel
+            }
+
+            func main(a: Int) -> Int {
+                state: State = if (a > 0) { State::Open{a} } else { State::Closed };
+                action: Action = if (a > 10) {
+                    Action::Bid{a}
+                } else if (a > 5) {
+                    Action::Close
+                } else {
+                    Action::Cancel
+                };
+                bonus: Option[Int] = if (a == 3) { Option[Int]::None } else { Option[Int]::Some{a} };
+
+                (state, action, bonus).switch{
+                    (Open{deadline}, Bid{amount}, Some{b}) => deadline + amount + b,
+                    (Open{deadline}, _, None) => deadline * 1000,
+                    (s: Open, Close, _) => s.deadline * 10,
+                    (Closed, _, _) => -1,
+                    (_, Cancel, _) => -2
+                }
+            }`,
+            inputs: [int(20)],
+            output: int(60)
+        },
+        {
+            description: "tuple switch binds a component to a name",
+            main: `testing state_machine_switch
+            enum State {
+                Open { deadline: Int }
+                Closed
+            }
+
+            enum Action {
+                Bid { amount: Int }
+                Close
+                Cancel
+            }
+
+            func main(a: Int) -> Int {
+                state: State = if (a > 0) { State::Open{a} } else { State::Closed };
+                action: Action = if (a > 10) {
+                    Action::Bid{a}
+                } else if (a > 5) {
+                    Action::Close
+                } else {
+                    Action::Cancel
+                };
+                bonus: Option[Int] = if (a == 3) { Option[Int]::None } else { Option[Int]::Some{a} };
+
+                (state, action, bonus).switch{
+                    (Open{deadline}, Bid{amount}, Some{b}) => deadline + amount + b,
+                    (Open{deadline}, _, None) => deadline * 1000,
+                    (s: Open, Close, _) => s.deadline * 10,
+                    (Closed, _, _) => -1,
+                    (_, Cancel, _) => -2
+                }
+            }`,
+            inputs: [int(7)],
+            output: int(70)
+        },
+        {
+            description: "tuple switch matches a wildcard component",
+            main: `testing state_machine_switch
+            enum State {
+                Open { deadline: Int }
+                Closed
+            }
+
+            enum Action {
+                Bid { amount: Int }
+                Close
+                Cancel
+            }
+
+            func main(a: Int) -> Int {
+                state: State = if (a > 0) { State::Open{a} } else { State::Closed };
+                action: Action = if (a > 10) {
+                    Action::Bid{a}
+                } else if (a > 5) {
+                    Action::Close
+                } else {
+                    Action::Cancel
+                };
+                bonus: Option[Int] = if (a == 3) { Option[Int]::None } else { Option[Int]::Some{a} };
+
+                (state, action, bonus).switch{
+                    (Open{deadline}, Bid{amount}, Some{b}) => deadline + amount + b,
+                    (Open{deadline}, _, None) => deadline * 1000,
+                    (s: Open, Close, _) => s.deadline * 10,
+                    (Closed, _, _) => -1,
+                    (_, Cancel, _) => -2
+                }
+            }`,
+            inputs: [int(3)],
+            output: int(3000)
+        },
+        {
+            description: "tuple switch falls through to a later wildcard case",
+            main: `testing state_machine_switch
+            enum State {
+                Open { deadline: Int }
+                Closed
+            }
+
+            enum Action {
+                Bid { amount: Int }
+                Close
+                Cancel
+            }
+
+            func main(a: Int) -> Int {
+                state: State = if (a > 0) { State::Open{a} } else { State::Closed };
+                action: Action = if (a > 10) {
+                    Action::Bid{a}
+                } else if (a > 5) {
+                    Action::Close
+                } else {
+                    Action::Cancel
+                };
+                bonus: Option[Int] = if (a == 3) { Option[Int]::None } else { Option[Int]::Some{a} };
+
+                (state, action, bonus).switch{
+                    (Open{deadline}, Bid{amount}, Some{b}) => deadline + amount + b,
+                    (Open{deadline}, _, None) => deadline * 1000,
+                    (s: Open, Close, _) => s.deadline * 10,
+                    (Closed, _, _) => -1,
+                    (_, Cancel, _) => -2
+                }
+            }`,
+            inputs: [int(2)],
+            output: int(-2)
+        },
+        {
+            description: "tuple switch matches the first component only",
+            main: `testing state_machine_switch
+            enum State {
+                Open { deadline: Int }
+                Closed
+            }
+
+            enum Action {
+                Bid { amount: Int }
+                Close
+                Cancel
+            }
+
+            func main(a: Int) -> Int {
+                state: State = if (a > 0) { State::Open{a} } else { State::Closed };
+                action: Action = if (a > 10) {
+                    Action::Bid{a}
+                } else if (a > 5) {
+                    Action::Close
+                } else {
+                    Action::Cancel
+                };
+                bonus: Option[Int] = if (a == 3) { Option[Int]::None } else { Option[Int]::Some{a} };
+
+                (state, action, bonus).switch{
+                    (Open{deadline}, Bid{amount}, Some{b}) => deadline + amount + b,
+                    (Open{deadline}, _, None) => deadline * 1000,
+                    (s: Open, Close, _) => s.deadline * 10,
+                    (Closed, _, _) => -1,
+                    (_, Cancel, _) => -2
+                }
+            }`,
+            inputs: [int(0)],
+            output: int(-1)
         }
     ])
 
@@ -200,6 +649,206 @@ describe("Switch", () => {
                 }
             }`,
             fails: true
+        },
+        {
+            description:
+                "typecheck fails if the variants are only covered by guarded cases",
+            main: `testing switch_guard_not_exhaustive
+            func main(a: Option[Int]) -> Int {
+                a.switch{
+                    Some{n} if n > 0 => n,
+                    None => 0
+                }
+            }`,
+            fails: /incomplete enum coverage/
+        },
+        {
+            description: "typecheck fails if a switch guard isn't a Bool",
+            main: `testing switch_guard_not_bool
+            func main(a: Option[Int]) -> Int {
+                a.switch{
+                    Some{n} if n => n,
+                    else => 0
+                }
+            }`,
+            fails: /expected bool/
+        },
+        {
+            description:
+                "typecheck fails for a guarded case after a case without a guard",
+            main: `testing switch_guard_unreachable
+            func main(a: Option[Int]) -> Int {
+                a.switch{
+                    Some{n} => n,
+                    Some{n} if n > 0 => n,
+                    None => 0
+                }
+            }`,
+            fails: /unreachable condition/
+        },
+        {
+            description:
+                "typecheck fails for an unreachable default case after cases without guards",
+            main: `testing switch_guard_unreachable_default
+            func main(a: Option[Int]) -> Int {
+                a.switch{
+                    Some{n} if n > 0 => n,
+                    Some => -1,
+                    None => 0,
+                    else => 1
+                }
+            }`,
+            fails: /unreachable default case/
+        },
+        {
+            description: "typecheck fails for duplicate literal switch cases",
+            main: `testing int_switch_duplicate
+            func main(a: Int) -> Int {
+                a.switch{
+                    0 => 1,
+                    0 => 2,
+                    else => 3
+                }
+            }`,
+            fails: /duplicate switch case '0'/
+        },
+        {
+            description: "literal switch without else fails",
+            main: `testing int_switch_no_else
+            func main(a: Int) -> Int {
+                a.switch{
+                    0 => 1,
+                    1 => 2
+                }
+            }`,
+            fails: /missing 'else' switch case/
+        },
+        {
+            description:
+                "typecheck fails if the literal type doesn't match the switched value",
+            main: `testing int_switch_wrong_literal
+            func main(a: Int) -> Int {
+                a.switch{
+                    "0" => 1,
+                    else => 2
+                }
+            }`,
+            fails: /expected Int literal/
+        },
+        {
+            description: "literal switch can't be mixed with enum variants",
+            main: `testing int_switch_mixed
+            func main(a: Int) -> Int {
+                a.switch{
+                    0 => 1,
+                    Some => 2,
+                    else => 3
+                }
+            }`,
+            fails: /inconsistent switch case condition/
+        },
+        {
+            description: "typecheck fails for a literal switch on a Bool",
+            main: `testing bool_switch
+            func main(a: Bool) -> Int {
+                a.switch{
+                    0 => 1,
+                    else => 2
+                }
+            }`,
+            fails: /expected Int, String or ByteArray/
+        },
+        {
+            description:
+                "typecheck error of a tuple switch names the uncovered combination",
+            main: `testing tuple_switch_incomplete
+            enum State {
+                Open { deadline: Int }
+                Closed
+            }
+
+            enum Action {
+                Bid { amount: Int }
+                Close
+                Cancel
+            }
+
+            func main(state: State, action: Action) -> Int {
+                (state, action).switch{
+                    (Open, Bid) => 1,
+                    (Closed, _) => 2,
+                    (_, Cancel) => 3
+                }
+            }`,
+            fails: /incomplete enum coverage, '\(Open, Close\)' isn't handled/
+        },
+        {
+            description:
+                "typecheck fails if a tuple switch case has too many conditions",
+            main: `testing tuple_switch_too_many
+            enum State {
+                Open { deadline: Int }
+                Closed
+            }
+
+            enum Action {
+                Bid { amount: Int }
+                Close
+                Cancel
+            }
+
+            func main(state: State, action: Action) -> Int {
+                (state, action).switch{
+                    (Open, Bid, Bid) => 1,
+                    else => 2
+                }
+            }`,
+            fails: /wrong number of switch case conditions \(expected 2, got 3\)/
+        },
+        {
+            description: "typecheck fails if a tuple switch case isn't a tuple",
+            main: `testing tuple_switch_not_tuple_case
+            enum State {
+                Open { deadline: Int }
+                Closed
+            }
+
+            enum Action {
+                Bid { amount: Int }
+                Close
+                Cancel
+            }
+
+            func main(state: State, action: Action) -> Int {
+                (state, action).switch{
+                    Open => 1,
+                    else => 2
+                }
+            }`,
+            fails: /wrong number of switch case conditions \(expected 2, got 1\)/
+        },
+        {
+            description:
+                "typecheck fails for a tuple case if the switched value isn't a tuple",
+            main: `testing tuple_switch_single_value
+            enum State {
+                Open { deadline: Int }
+                Closed
+            }
+
+            enum Action {
+                Bid { amount: Int }
+                Close
+                Cancel
+            }
+
+            func main(state: State) -> Int {
+                state.switch{
+                    (Open, Bid) => 1,
+                    else => 2
+                }
+            }`,
+            fails: /wrong number of switch case conditions \(expected 1, got 2\)/
         }
     ])
 })
@@ -0,0 +1,283 @@
+import { describe } from "node:test"
+import { compileAndRunMany, evalTypesMany, int, str } from "./utils.js"
+
+describe("Traits", () => {
+    const pricedSrc = `trait Priced {
+        func price(self) -> Int
+        func discounted(self, pct: Int) -> Int
+    }
+
+    struct Apple {
+        weight: Int
+
+        func price(self) -> Int {
+            self.weight * 2
+        }
+
+        func discounted(self, p: Int) -> Int {
+            self.price() * (100 - p) / 100
+        }
+    }
+
+    enum Fruit {
+        Pear { n: Int }
+        Plum
+
+        func price(self) -> Int {
+            self.switch{
+                p: Pear => p.n * 3,
+                Plum => 1
+            }
+        }
+
+        func discounted(self, pct: Int) -> Int {
+            self.price() - pct
+        }
+    }
+
+    func total[T: Priced](items: []T) -> Int {
+        items.fold((acc: Int, item: T) -> Int { acc + item.discounted(10) }, 0)
+    }`
+
+    compileAndRunMany([
+        {
+            description:
+                "trait methods can be called on type parameters implemented by structs and enums",
+            main: `testing trait_methods
+            ${pricedSrc}
+
+            func main(a: Int) -> Int {
+                total([]Apple{Apple{a}, Apple{2*a}}) + total([]Fruit{Fruit::Pear{a}, Fruit::Plum})
+            }`,
+            inputs: [int(100)],
+            output: int(821)
+        },
+        {
+            description:
+                "trait methods can be called on explicitly applied type parameters",
+            main: `testing trait_methods_applied
+            ${pricedSrc}
+
+            func main(a: Int) -> Int {
+                total[Apple]([]Apple{Apple{a}})
+            }`,
+            inputs: [int(100)],
+            output: int(180)
+        },
+        {
+            description:
+                "trait functions without self can be called on the type parameter",
+            main: `testing trait_type_members
+            trait Named {
+                func type_name() -> String
+            }
+
+            struct Apple {
+                weight: Int
+
+                func type_name() -> String {
+                    "Apple"
+                }
+            }
+
+            func describe[T: Named](_: T) -> String {
+                T::type_name()
+            }
+
+            func main(a: Int) -> String {
+                describe(Apple{a})
+            }`,
+            inputs: [int(1)],
+            output: str("Apple")
+        },
+        {
+            description: "traits can be imported from other modules",
+            main: `testing trait_import
+            import { Priced } from priced
+
+            struct Apple {
+                weight: Int
+
+                func price(self) -> Int {
+                    self.weight
+                }
+            }
+
+            func double_price[T: Priced](item: T) -> Int {
+                item.price() * 2
+            }
+
+            func main(a: Int) -> Int {
+                double_price(Apple{a})
+            }`,
+            modules: [
+                `module priced
+                trait Priced {
+                    func price(self) -> Int
+                }`
+            ],
+            inputs: [int(5)],
+            output: int(10)
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description: "a type without the trait methods can't be used",
+            main: `testing trait_missing_method
+            ${pricedSrc}
+
+            func main(a: Int) -> Int {
+                total([]Int{a})
+            }`,
+            fails: /Int doesn't implement Priced/
+        },
+        {
+            description:
+                "a type with a wrong trait method signature can't be used",
+            main: `testing trait_wrong_signature
+            trait Priced {
+                func price(self) -> Int
+            }
+
+            struct Wrong {
+                weight: Int
+
+                func price(self) -> Bool {
+                    self.weight > 0
+                }
+            }
+
+            func get_price[T: Priced](item: T) -> Int {
+                item.price()
+            }
+
+            func main(a: Int) -> Int {
+                get_price(Wrong{a})
+            }`,
+            fails: /Wrong doesn't implement Priced/
+        },
+        {
+            description:
+                "methods that aren't part of the trait can't be called",
+            main: `testing trait_unknown_method
+            ${pricedSrc}
+
+            func weight[T: Priced](item: T) -> Int {
+                item.weight
+            }
+
+            func main(a: Int) -> Int {
+                weight(Apple{a})
+            }`,
+            fails: true
+        },
+        {
+            description: "trait methods must be unique",
+            main: `testing trait_duplicate_method
+            trait Priced {
+                func price(self) -> Int
+                func price(self) -> Bool
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /duplicate method 'price'/
+        },
+        {
+            description:
+                "a trait method without self is a type member, so a method with self doesn't implement it",
+            main: `testing trait_type_member_vs_method
+            trait Priced {
+                func price() -> Int
+            }
+
+            struct Apple {
+                weight: Int
+
+                func price(self) -> Int {
+                    self.weight
+                }
+            }
+
+            func get_price[T: Priced](_: T) -> Int {
+                T::price()
+            }
+
+            func main(a: Int) -> Int {
+                get_price(Apple{a})
+            }`,
+            fails: /Apple doesn't implement Priced/
+        },
+        {
+            description:
+                "a trait method with self is an instance member, so a type member doesn't implement it",
+            main: `testing trait_method_vs_type_member
+            trait Priced {
+                func price(self) -> Int
+            }
+
+            struct Apple {
+                weight: Int
+
+                func price() -> Int {
+                    1
+                }
+            }
+
+            func get_price[T: Priced](item: T) -> Int {
+                item.price()
+            }
+
+            func main(a: Int) -> Int {
+                get_price(Apple{a})
+            }`,
+            fails: /Apple doesn't implement Priced/
+        },
+        {
+            description:
+                "a trait method without self can't be called on an instance of the type parameter",
+            main: `testing trait_type_member_on_instance
+            trait Priced {
+                func price() -> Int
+            }
+
+            func get_price[T: Priced](item: T) -> Int {
+                item.price()
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /'T.price' undefined/
+        },
+        {
+            description:
+                "a trait method without a return type is a syntax error",
+            main: `testing trait_missing_return_type
+            trait Priced {
+                func price(self) ->
+                func weight(self) -> Int
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /expected return type after '->'/
+        },
+        {
+            description:
+                "the last trait method without a return type is a syntax error",
+            main: `testing trait_missing_last_return_type
+            trait Priced {
+                func price(self) ->
+            }
+
+            func main() -> Int {
+                0
+            }`,
+            fails: /expected return type after '->'/
+        }
+    ])
+})
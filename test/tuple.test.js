@@ -0,0 +1,155 @@
+import { describe, it } from "node:test"
+import {
+    False,
+    True,
+    bytes,
+    compileAndRunMany,
+    compileForRun,
+    evalTypesMany,
+    int,
+    list,
+    map
+} from "./utils.js"
+
+describe("Tuples", () => {
+    describe("[](Int, ByteArray)::is_valid_data", () => {
+        const runner = compileForRun(`testing tuple_is_valid_data
+        func main(data: Data) -> Bool {
+            [](Int, ByteArray)::is_valid_data(data)
+        }`)
+
+        it("returns true for a list of listData with an iData and a bData item", () => {
+            runner([list(list(int(1), bytes("abcd")))], True)
+        })
+
+        it("returns false for a list of listData with too few items", () => {
+            runner([list(list(int(1)))], False)
+        })
+
+        it("returns false for a list of listData with too many items", () => {
+            runner([list(list(int(1), bytes(""), int(1)))], False)
+        })
+    })
+
+    compileAndRunMany([
+        {
+            description: "tuple items can be accessed by index",
+            main: `testing tuple_index
+            func main(a: Int) -> Int {
+                t = (a, 2, #abcd);
+                t.0 + t.1 * t.2.length
+            }`,
+            inputs: [int(1)],
+            output: int(5)
+        },
+        {
+            description: "nested tuple items can be accessed using parentheses",
+            main: `testing tuple_index_nested
+            func main(a: Int) -> Int {
+                t = (a, (2, 3));
+                (t.1).0 * (t.1).1 + t.0
+            }`,
+            inputs: [int(1)],
+            output: int(7)
+        },
+        {
+            description: "tuples can be stored in lists",
+            main: `testing tuple_list
+            func main(a: Int) -> Int {
+                l = [](Int, ByteArray){(a, #01), (2, #0203)};
+                l.fold((acc: Int, t: (Int, ByteArray)) -> Int {
+                    acc + t.0 * t.1.length
+                }, 0)
+            }`,
+            inputs: [int(3)],
+            output: int(7)
+        },
+        {
+            description: "tuples can be stored in maps",
+            main: `testing tuple_map
+            func main(a: Int) -> Int {
+                pkh = PubKeyHash::new(#01);
+                m = Map[PubKeyHash](Int, Time){pkh: (a, Time::new(10))};
+                (n, time) = m.get(pkh);
+                n + (time - Time::new(0)) / Duration::new(1)
+            }`,
+            inputs: [int(3)],
+            output: int(13)
+        },
+        {
+            description: "tuples are encoded as a list of their items",
+            main: `testing tuple_encoding
+            struct Entry {
+                id: Int
+                t: (Int, ByteArray)
+            }
+
+            func main(a: Int) -> []Entry {
+                []Entry{Entry{0, (a, #ab)}}
+            }`,
+            inputs: [int(1)],
+            output: list(list(int(0), list(int(1), bytes("ab"))))
+        },
+        {
+            description: "tuples can be used as main arguments",
+            main: `testing tuple_main_arg
+            func main(entries: Map[ByteArray](Int, ByteArray)) -> Int {
+                entries.fold((acc: Int, _, t: (Int, ByteArray)) -> Int {
+                    acc + t.0 + t.1.length
+                }, 0)
+            }`,
+            inputs: [
+                map([
+                    [bytes("01"), list(int(1), bytes("abcd"))],
+                    [bytes("02"), list(int(2), bytes(""))]
+                ])
+            ],
+            output: int(5)
+        },
+        {
+            description:
+                "tuples can be destructured in enum fields and switch cases",
+            main: `testing tuple_destruct
+            enum Action {
+                Swap { amounts: (Int, Int) }
+                Skip
+            }
+
+            func main(a: Int) -> Int {
+                action: Action = Action::Swap{(a, 3)};
+                opt: Option[(Int, (Int, Int))] = Option[(Int, (Int, Int))]::Some{(1, (2, 3))};
+
+                action.switch{
+                    Swap{(x, y)} => x * y,
+                    Skip => 0
+                } + opt.switch{
+                    Some{(x, (y, z))} => x + y + z,
+                    None => 0
+                }
+            }`,
+            inputs: [int(2)],
+            output: int(12)
+        }
+    ])
+
+    evalTypesMany([
+        {
+            description: "tuple index must be in range",
+            main: `testing tuple_index_out_of_range
+            func main(a: Int) -> Int {
+                t = (a, 2);
+                t.2
+            }`,
+            fails: /'\(Int, Int\)\.2' undefined/
+        },
+        {
+            description: "nested tuple index requires parentheses",
+            main: `testing tuple_index_nested_error
+            func main(a: Int) -> Int {
+                t = (a, (2, 3));
+                t.1.0
+            }`,
+            fails: /nested tuple element access requires parentheses/
+        }
+    ])
+})
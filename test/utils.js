@@ -19,6 +19,8 @@ import { Program } from "../src/program/Program.js"
  * @typedef {import("@helios-lang/uplc").UplcData} UplcData
  * @typedef {import("@helios-lang/uplc").UplcLogger} UplcLogger
  * @typedef {import("@helios-lang/uplc").UplcProgramV2} UplcProgramV2
+ * @typedef {import("@helios-lang/uplc").UplcProgramV3} UplcProgramV3
+ * @typedef {import("../src/codegen/index.js").PlutusVersion} PlutusVersion
  */
 
 /**
@@ -59,6 +61,7 @@ export function $testTrace(traceMessage, ...args) {
 }
 
 /**
+ * `plutusVersion` defaults to "PlutusScriptV2"
  * @typedef {{
  *   description: string
  *   main: string
@@ -66,6 +69,7 @@ export function $testTrace(traceMessage, ...args) {
  *   inputs: UplcData[]
  *   output: HeliosTestOutput
  *    fails?: boolean | RegExp
+ *   plutusVersion?: PlutusVersion
  * }} HeliosTest
  */
 
@@ -100,7 +104,7 @@ export function compileAndRun(test) {
     it(test.description, () => {
         /**
          *
-         * @returns {[Program, UplcProgramV2]}
+         * @returns {[Program, UplcProgramV2 | UplcProgramV3]}
          */
         const initialTest = () => {
             const program = new Program(test.main, {
@@ -108,7 +112,10 @@ export function compileAndRun(test) {
                 isTestnet: true
             })
 
-            const uplc0 = program.compile(false)
+            const uplc0 = program.compile({
+                optimize: false,
+                plutusVersion: test.plutusVersion
+            })
             return [program, uplc0]
         }
         if (true == test.fails) {
@@ -130,7 +137,10 @@ export function compileAndRun(test) {
 
         const hash0 = bytesToHex(uplc0.hash())
 
-        const uplc1 = program.compile(true)
+        const uplc1 = program.compile({
+            optimize: true,
+            plutusVersion: test.plutusVersion
+        })
 
         const hash1 = bytesToHex(uplc1.hash())
 
@@ -194,6 +204,7 @@ export function assertOptimizedAs(main, expected) {
  *   moduleSources?: string[]
  *   dumpIR?: boolean
  *   dumpCostPrefix?: string
+ *   plutusVersion?: PlutusVersion
  * }} CompileForRunOptions
  */
 /**
@@ -211,15 +222,22 @@ export function compileForRun(mainSrc, options = {}) {
         const ir = program.toIR({
             dependsOnOwnHash: false,
             hashDependencies: {},
-            optimize: false
+            optimize: false,
+            plutusVersion: options.plutusVersion
         })
 
         console.log(ir.toString())
     }
 
-    const uplcUnopt = program.compile(false)
+    const uplcUnopt = program.compile({
+        optimize: false,
+        plutusVersion: options.plutusVersion
+    })
     const hashUnopt = bytesToHex(uplcUnopt.hash())
-    const uplcOptimized = program.compile(true)
+    const uplcOptimized = program.compile({
+        optimize: true,
+        plutusVersion: options.plutusVersion
+    })
     const hashOptimized = bytesToHex(uplcOptimized.hash())
 
     /**
@@ -298,15 +316,20 @@ export function compileForRun(mainSrc, options = {}) {
 /**
  * @param {string} src
  * @param {UplcData[]} dataArgs
+ * @param {PlutusVersion} plutusVersion
  * @returns {UplcData}
  */
-export function evalSingle(src, dataArgs = []) {
+export function evalSingle(
+    src,
+    dataArgs = [],
+    plutusVersion = "PlutusScriptV2"
+) {
     const program = new Program(src, {
         moduleSources: [],
         isTestnet: true
     })
 
-    const uplc = program.compile(false)
+    const uplc = program.compile({ optimize: false, plutusVersion })
 
     const args = dataArgs.map((d) => makeUplcDataValue(d))
     const res = uplc.eval(args)
@@ -393,7 +416,7 @@ export function cbor(d) {
 }
 
 /**
- * @param {number} tag
+ * @param {number | bigint} tag
  * @param  {...UplcData} fields
  * @returns {UplcData}
  */